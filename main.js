@@ -1,9 +1,19 @@
 import {
   createDefaultProject,
   createBlock,
+  createLinkedBlock,
+  createMarker,
+  createNote,
+  duplicateSection,
   ensureDrumPattern,
   getProjectEndBeat,
+  getProjectSections,
+  getSectionRange,
+  moveSection,
+  MAX_MARKERS,
   quantizeProject,
+  syncLinkedBlocks,
+  unlinkBlock,
   HistoryManager,
   normalizeProject,
   getDrumRowsForConsole,
@@ -24,13 +34,46 @@ import {
   resetChipDrumPad,
   ensureSampleWarp,
   SAMPLE_WARP_BAR_OPTIONS,
+  METER_DENOMINATORS,
+  MIN_BPM,
+  MAX_BPM,
+  TRACK_EFFECTS,
+  MAX_TRACK_EFFECTS,
+  createTrackEffect,
+  MAX_RETURN_BUSES,
+  createReturnBus,
+  HARDWARE_CHIPS,
+  MAX_INSTRUMENTS,
+  MAX_WAVETABLES,
+  applyInstrument,
+  createInstrument,
+  WAVETABLE_CONSOLES,
+  createTrackWavetable,
+  createWavetable,
+  getWavetableSpec,
+  requantizeWavetable,
 } from "./modules/dataModel.js";
 import { AudioEngine } from "./modules/audioEngine.js";
 import { Timeline } from "./modules/timeline.js";
 import { PianoRoll } from "./modules/pianoRoll.js";
 import { DrumEditor } from "./modules/drumEditor.js";
-import { exportProjectToWav } from "./modules/exportWav.js";
+import { TrackerView } from "./modules/trackerView.js";
+import { WavetableEditor } from "./modules/wavetableEditor.js";
+import { MacroEditor } from "./modules/macroEditor.js";
+import { createInstrumentPresetBlob, readInstrumentPreset } from "./modules/instrumentPreset.js";
+import { getHardwareChipId } from "./modules/hardwareChannels.js";
+import {
+  DEFAULT_WAV_FORMAT,
+  exportProjectToWav,
+  renderProjectPeaks,
+} from "./modules/exportWav.js";
 import { importMidiFile } from "./modules/midiImport.js";
+import { createMidiBlob } from "./modules/midiExport.js";
+import { importTrackerFile } from "./modules/trackerImport.js";
+import { importModuleFile } from "./modules/moduleImport.js";
+import { createXmBlob } from "./modules/xmExport.js";
+import { createApuExport, createApuLogBlob, createNsfBlob } from "./modules/nsfExport.js";
+import { TempoMap, getBarPosition, getMeterAt } from "./modules/tempoMap.js";
 import {
   clearAssets,
   createAssetId,
@@ -38,6 +81,32 @@ import {
   putAsset,
 } from "./modules/assetStore.js";
 import { createChipProjectBlob, readChipProject } from "./modules/chipProject.js";
+import {
+  clearLibrary,
+  createLibraryId,
+  deleteLibraryProject,
+  getLibraryProject,
+  listLibraryProjects,
+  putLibraryProject,
+} from "./modules/projectLibrary.js";
+import {
+  clearSnapshots,
+  deleteProjectSnapshots,
+  isQuotaError,
+  listSnapshots,
+  putSnapshot,
+} from "./modules/snapshotStore.js";
+import {
+  SHORTCUT_ACTIONS,
+  assignShortcut,
+  findShortcutAction,
+  formatCombo,
+  getDefaultKeymap,
+  getEventCombo,
+  normalizeKeymap,
+} from "./modules/keymap.js";
+import { loadSettings, saveSettings } from "./modules/settings.js";
+import { NoteInput, getLiveNoteSpan, getNextStepBeat } from "./modules/noteInput.js";
 
 const ui = {
   playBtn: document.getElementById("playBtn"),
@@ -60,6 +129,43 @@ const ui = {
   wavExportStatus: document.getElementById("wavExportStatus"),
   wavExportCancelBtn: document.getElementById("wavExportCancelBtn"),
   wavExportConfirmBtn: document.getElementById("wavExportConfirmBtn"),
+  wavExportMidiBtn: document.getElementById("wavExportMidiBtn"),
+  wavExportNsfBtn: document.getElementById("wavExportNsfBtn"),
+  wavExportApuLogBtn: document.getElementById("wavExportApuLogBtn"),
+  wavExportXmBtn: document.getElementById("wavExportXmBtn"),
+  tempoMapOverlay: document.getElementById("tempoMapOverlay"),
+  closeTempoMapBtn: document.getElementById("closeTempoMapBtn"),
+  addTempoChangeBtn: document.getElementById("addTempoChangeBtn"),
+  addMeterChangeBtn: document.getElementById("addMeterChangeBtn"),
+  tempoChangeList: document.getElementById("tempoChangeList"),
+  meterChangeList: document.getElementById("meterChangeList"),
+  sectionsOverlay: document.getElementById("sectionsOverlay"),
+  closeSectionsBtn: document.getElementById("closeSectionsBtn"),
+  addMarkerBtn: document.getElementById("addMarkerBtn"),
+  sectionList: document.getElementById("sectionList"),
+  wavExportRangeSelect: document.getElementById("wavExportRangeSelect"),
+  wavExportLoopModeSelect: document.getElementById("wavExportLoopModeSelect"),
+  wavExportLoopCountField: document.getElementById("wavExportLoopCountField"),
+  wavExportLoopCountInput: document.getElementById("wavExportLoopCountInput"),
+  wavExportFadeField: document.getElementById("wavExportFadeField"),
+  wavExportFadeInput: document.getElementById("wavExportFadeInput"),
+  wavExportSampleRateSelect: document.getElementById("wavExportSampleRateSelect"),
+  wavExportBitDepthSelect: document.getElementById("wavExportBitDepthSelect"),
+  wavExportDitherInput: document.getElementById("wavExportDitherInput"),
+  wavExportMonoInput: document.getElementById("wavExportMonoInput"),
+  wavExportLimiterInput: document.getElementById("wavExportLimiterInput"),
+  wavExportNormalizeSelect: document.getElementById("wavExportNormalizeSelect"),
+  wavExportNormalizeTargetField: document.getElementById("wavExportNormalizeTargetField"),
+  wavExportNormalizeTargetUnit: document.getElementById("wavExportNormalizeTargetUnit"),
+  wavExportNormalizeTargetInput: document.getElementById("wavExportNormalizeTargetInput"),
+  wavExportTailInput: document.getElementById("wavExportTailInput"),
+  setLoopPointBtn: document.getElementById("setLoopPointBtn"),
+  loopPointRow: document.getElementById("loopPointRow"),
+  returnBusBtn: document.getElementById("returnBusBtn"),
+  returnBusOverlay: document.getElementById("returnBusOverlay"),
+  addReturnBusBtn: document.getElementById("addReturnBusBtn"),
+  closeReturnBusBtn: document.getElementById("closeReturnBusBtn"),
+  returnBusList: document.getElementById("returnBusList"),
   globalConsoleSelect: document.getElementById("globalConsoleSelect"),
   globalWaveformSelect: document.getElementById("globalWaveformSelect"),
   snapSelect: document.getElementById("snapSelect"),
@@ -69,14 +175,48 @@ const ui = {
   redoBtn: document.getElementById("redoBtn"),
   saveBtn: document.getElementById("saveBtn"),
   loadBtn: document.getElementById("loadBtn"),
+  libraryBtn: document.getElementById("libraryBtn"),
+  snapshotsBtn: document.getElementById("snapshotsBtn"),
+  historyBtn: document.getElementById("historyBtn"),
+  shortcutsBtn: document.getElementById("shortcutsBtn"),
+  noteInputModeSelect: document.getElementById("noteInputModeSelect"),
+  noteInputOctaveInput: document.getElementById("noteInputOctaveInput"),
+  noteInputQuantizeInput: document.getElementById("noteInputQuantizeInput"),
+  midiConnectBtn: document.getElementById("midiConnectBtn"),
+  shortcutsOverlay: document.getElementById("shortcutsOverlay"),
+  shortcutsSubtitle: document.getElementById("shortcutsSubtitle"),
+  shortcutList: document.getElementById("shortcutList"),
+  resetShortcutsBtn: document.getElementById("resetShortcutsBtn"),
+  closeShortcutsBtn: document.getElementById("closeShortcutsBtn"),
+  historyOverlay: document.getElementById("historyOverlay"),
+  historyList: document.getElementById("historyList"),
+  closeHistoryBtn: document.getElementById("closeHistoryBtn"),
+  snapshotsOverlay: document.getElementById("snapshotsOverlay"),
+  snapshotsSubtitle: document.getElementById("snapshotsSubtitle"),
+  takeSnapshotBtn: document.getElementById("takeSnapshotBtn"),
+  closeSnapshotsBtn: document.getElementById("closeSnapshotsBtn"),
+  snapshotList: document.getElementById("snapshotList"),
+  storageWarning: document.getElementById("storageWarning"),
+  storageWarningText: document.getElementById("storageWarningText"),
+  dismissStorageWarningBtn: document.getElementById("dismissStorageWarningBtn"),
+  libraryOverlay: document.getElementById("libraryOverlay"),
+  newLibraryProjectBtn: document.getElementById("newLibraryProjectBtn"),
+  closeLibraryBtn: document.getElementById("closeLibraryBtn"),
+  libraryList: document.getElementById("libraryList"),
   saveProjectBtn: document.getElementById("saveProjectBtn"),
   openProjectBtn: document.getElementById("openProjectBtn"),
   importMidiBtn: document.getElementById("importMidiBtn"),
+  exportMidiBtn: document.getElementById("exportMidiBtn"),
+  importTrackerBtn: document.getElementById("importTrackerBtn"),
+  importModuleBtn: document.getElementById("importModuleBtn"),
   clearCacheBtn: document.getElementById("clearCacheBtn"),
   projectInput: document.getElementById("projectInput"),
   loadInput: document.getElementById("loadInput"),
   midiInput: document.getElementById("midiInput"),
+  trackerInput: document.getElementById("trackerInput"),
+  moduleInput: document.getElementById("moduleInput"),
   sampleInput: document.getElementById("sampleInput"),
+  instrumentInput: document.getElementById("instrumentInput"),
   timeline: document.getElementById("timeline"),
   timeInfo: document.getElementById("timeInfo"),
   addTrackBtn: document.getElementById("addTrackBtn"),
@@ -88,10 +228,12 @@ const ui = {
   pianoZoomOutBtn: document.getElementById("pianoZoomOutBtn"),
   pianoZoomInBtn: document.getElementById("pianoZoomInBtn"),
   pianoZoomValue: document.getElementById("pianoZoomValue"),
+  trackerViewBtn: document.getElementById("trackerViewBtn"),
   previewBtn: document.getElementById("previewBtn"),
   closeEditorBtn: document.getElementById("closeEditorBtn"),
   pianoRoll: document.getElementById("pianoRoll"),
   drumEditor: document.getElementById("drumEditor"),
+  trackerView: document.getElementById("trackerView"),
   confirmOverlay: document.getElementById("confirmOverlay"),
   confirmTitle: document.getElementById("confirmTitle"),
   confirmMessage: document.getElementById("confirmMessage"),
@@ -141,35 +283,110 @@ const ui = {
   sampleMarkerStatus: document.getElementById("sampleMarkerStatus"),
 };
 
-const STORAGE_KEY = "chiptune_composer_autosave_v1";
+// Older builds kept one autosaved project here; it is moved into the library on startup.
+const LEGACY_STORAGE_KEY = "chiptune_composer_autosave_v1";
+// Holds a save that could not reach IndexedDB before the page closed, until the next start.
+const UNLOAD_JOURNAL_KEY = "chiptune_composer_unload_journal_v1";
 let cacheSaveTimer = null;
+let libraryTouched = false;
+let librarySavesPending = 0;
+let currentProjectId = createLibraryId();
+let libraryReady = false;
+let librarySaveChain = Promise.resolve();
+let libraryRenderToken = 0;
+const SNAPSHOT_INTERVAL_MS = 2 * 60 * 1000;
+
+function reportStorageError(error) {
+  ui.storageWarningText.textContent = isQuotaError(error)
+    ? "Browser storage is full, so recent changes are not being saved. Save the project " +
+      "to a file, then delete old songs in the Library."
+    : `Saving to browser storage failed (${error?.message || "unknown error"}). ` +
+      "Save the project to a file to keep your work.";
+  ui.storageWarning.classList.remove("hidden");
+}
+
+async function takeSnapshot(reason) {
+  if (!libraryReady) return;
+  try {
+    await putSnapshot({ projectId: currentProjectId, project: safeClone(project), reason });
+  } catch (error) {
+    console.error("Failed to store snapshot", error);
+    reportStorageError(error);
+  }
+}
 let wavExportMode = "master";
 let wavExportTrackIds = new Set();
 let wavExportInProgress = false;
+let wavExportRange = "song";
+let wavExportLoopMode = "none";
+const wavExportFormat = { ...DEFAULT_WAV_FORMAT };
 let wavExportReturnFocus = null;
 
-function loadProjectFromCache() {
+// Saves are chained so a slow write can never land after, and overwrite, a newer one.
+function saveProjectToCache({ thumbnail } = {}) {
+  if (!libraryReady) return librarySaveChain;
+  const record = {
+    id: currentProjectId,
+    project: safeClone(project),
+    thumbnail,
+    history: history.serialize(),
+    touched: libraryTouched,
+  };
+  libraryTouched = false;
+  librarySavesPending += 1;
+  librarySaveChain = librarySaveChain
+    .then(() => putLibraryProject(record))
+    .catch((error) => {
+      console.error("Failed to save project to the library", error);
+      reportStorageError(error);
+    })
+    .finally(() => {
+      librarySavesPending -= 1;
+    });
+  return librarySaveChain;
+}
+
+function flushCacheSave() {
+  if (!cacheSaveTimer) return;
+  clearTimeout(cacheSaveTimer);
+  cacheSaveTimer = null;
+  saveProjectToCache();
+}
+
+function writeUnloadJournal() {
+  if (!libraryReady || !librarySavesPending) return;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    return normalizeProject(parsed);
+    const record = { id: currentProjectId, project, history: history.serialize() };
+    localStorage.setItem(UNLOAD_JOURNAL_KEY, JSON.stringify(record));
   } catch (error) {
-    console.warn("Failed to load cached project", error);
-    localStorage.removeItem(STORAGE_KEY);
-    return null;
+    console.warn("Failed to keep unsaved changes for the next visit", error);
   }
 }
 
-function saveProjectToCache() {
+async function saveProjectWithThumbnail() {
+  if (cacheSaveTimer) {
+    clearTimeout(cacheSaveTimer);
+    cacheSaveTimer = null;
+  }
+  let thumbnail;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(project));
+    await ensureProjectAssetsLoaded();
+    thumbnail = await renderProjectPeaks(project);
   } catch (error) {
-    console.warn("Failed to save project cache", error);
+    console.warn("Failed to render project thumbnail", error);
   }
+  await saveProjectToCache({ thumbnail: thumbnail || undefined });
+}
+
+// Imports and "New" start another library entry instead of overwriting the open song.
+async function startNewLibraryProject(reason) {
+  await saveProjectWithThumbnail();
+  await takeSnapshot(reason);
+  currentProjectId = createLibraryId();
 }
 
-function scheduleCacheSave() {
+function scheduleCacheSave({ touched = true } = {}) {
+  libraryTouched = libraryTouched || touched;
   if (cacheSaveTimer) {
     clearTimeout(cacheSaveTimer);
   }
@@ -179,8 +396,7 @@ function scheduleCacheSave() {
   }, 250);
 }
 
-const cachedProject = loadProjectFromCache();
-let project = cachedProject || normalizeProject(createDefaultProject());
+let project = normalizeProject(createDefaultProject());
 let snap = parseFloat(ui.snapSelect.value);
 let zoom = 72;
 const PIANO_ZOOM_LEVELS = [48, 72, 96, 120, 160, 224, 320, 448, 640];
@@ -196,6 +412,7 @@ const selectedDrumVoiceByTrack = new Map();
 const selectedSampleBlockByTrack = new Map();
 let pendingSampleTrackId = null;
 let pendingSampleBlockId = null;
+let pendingInstrumentTrackId = null;
 let activeChipDrumTrackId = null;
 let activeChipDrumPadId = null;
 let chipDrumOscilloscopeFrame = null;
@@ -206,19 +423,32 @@ let sampleMarkerZoom = 96;
 let sampleMarkerPreview = false;
 let sampleMarkerAnimationFrame = null;
 let previewEnabled = false;
+let trackerMode = false;
+let selectedBlockRef = null;
+let keymap = normalizeKeymap(loadSettings().keymap);
+let shortcutCaptureId = null;
+const NOTE_INPUT_MODES = ["off", "step", "live"];
+const noteInputSettings = { mode: "off", octave: 4, quantize: true, ...loadSettings().noteInput };
+if (!NOTE_INPUT_MODES.includes(noteInputSettings.mode)) noteInputSettings.mode = "off";
+let stepInputBeat = 0;
+const heldInputNotes = new Map();
+let activeMacroType = "volume";
 let animationFrame = null;
-let playbackStopTimer = null;
 let previewAnimationFrame = null;
 let pendingConfirm = null;
 let oscilloscopeFrame = null;
 
 const history = new HistoryManager(project);
-if (cachedProject) {
-  history.reset(project);
-}
 const audioEngine = new AudioEngine();
 const safeClone = (value) => JSON.parse(JSON.stringify(value));
 const createRuntimeId = () => Math.random().toString(36).slice(2, 10);
+// Dropped by commitChange and applyState, the two ways the song changes.
+const projectTempoMaps = new WeakMap();
+const getProjectTempoMap = () => {
+  if (!projectTempoMaps.has(project)) projectTempoMaps.set(project, new TempoMap(project));
+  return projectTempoMaps.get(project);
+};
+const getBpmAtBeat = (beat) => getProjectTempoMap().getBpmAt(beat);
 let assetHydrationPromise = null;
 
 function createWaveformPeaks(buffer, bucketCount = 160) {
@@ -289,12 +519,13 @@ async function importSampleIntoTrack(file, trackId, blockId = null) {
   }
 
   let block = track.blocks.find((item) => item.id === blockId);
+  const bpm = getBpmAtBeat(block ? block.startBeat : cursorBeat);
   if (!block) {
-    const length = Math.max(snap, audioBuffer.duration * (project.bpm / 60));
+    const length = Math.max(snap, audioBuffer.duration * (bpm / 60));
     block = createBlock({ startBeat: cursorBeat, length, type: "sample" });
     track.blocks.push(block);
   } else if (block.mode !== "loop") {
-    block.length = Math.max(snap, audioBuffer.duration * (project.bpm / 60));
+    block.length = Math.max(snap, audioBuffer.duration * (bpm / 60));
   }
   block.assetId = assetId;
   block.sourceStart = 0;
@@ -303,7 +534,7 @@ async function importSampleIntoTrack(file, trackId, blockId = null) {
   block.loopStart = 0;
   block.loopEnd = audioBuffer.duration;
   const warp = ensureSampleWarp(block);
-  const rawBars = (audioBuffer.duration * project.bpm) / 240;
+  const rawBars = (audioBuffer.duration * bpm) / 240;
   warp.bars = SAMPLE_WARP_BAR_OPTIONS.reduce((closest, value) =>
     Math.abs(value - rawBars) < Math.abs(closest - rawBars) ? value : closest,
   );
@@ -327,14 +558,18 @@ function downloadBlob(blob, fileName) {
   window.setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-function getSafeProjectName(extension) {
-  const rawName = (project.name || "chiptune-project").trim();
-  const safeName = rawName
+function getSafeFileName(name, extension, fallback = "chiptune-project") {
+  const safeName = String(name || fallback)
+    .trim()
     .toLowerCase()
     .replace(/[^a-z0-9-_]+/g, "-")
     .replace(/^-+|-+$/g, "")
     .slice(0, 64);
-  return `${safeName || "chiptune-project"}.${extension}`;
+  return `${safeName || fallback}.${extension}`;
+}
+
+function getSafeProjectName(extension) {
+  return getSafeFileName(project.name, extension);
 }
 
 function getWavExportTrackDetail(track) {
@@ -351,8 +586,88 @@ function getWavExportTrackDetail(track) {
   return `${device} · ${blockCount} clip${blockCount === 1 ? "" : "s"}`;
 }
 
+function renderWavExportRangeOptions() {
+  const options = [["song", "Whole song"]];
+  if (project.loopRange) options.push(["loop", "Loop range"]);
+  getProjectSections(project).forEach(({ marker, start }) => {
+    options.push([marker.id, `${marker.name} (${formatBarLabel(start)})`]);
+  });
+  if (!options.some(([value]) => value === wavExportRange)) wavExportRange = "song";
+  ui.wavExportRangeSelect.innerHTML = "";
+  options.forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    ui.wavExportRangeSelect.appendChild(option);
+  });
+  ui.wavExportRangeSelect.value = wavExportRange;
+}
+
+function getWavExportRange() {
+  if (wavExportRange === "song") return null;
+  if (wavExportRange === "loop") return project.loopRange;
+  return getSectionRange(project, wavExportRange);
+}
+
+function renderWavExportFormat() {
+  const format = wavExportFormat;
+  const isLufs = format.normalize === "lufs";
+  ui.wavExportSampleRateSelect.value = String(format.sampleRate);
+  ui.wavExportBitDepthSelect.value = String(format.bitDepth);
+  ui.wavExportDitherInput.checked = format.dither && format.bitDepth !== 32;
+  ui.wavExportDitherInput.disabled = wavExportInProgress || format.bitDepth === 32;
+  ui.wavExportMonoInput.checked = format.mono;
+  ui.wavExportLimiterInput.checked = format.limiter;
+  ui.wavExportNormalizeSelect.value = format.normalize;
+  ui.wavExportNormalizeTargetField.hidden = format.normalize === "none";
+  ui.wavExportNormalizeTargetUnit.textContent = isLufs ? "LUFS" : "dBFS";
+  ui.wavExportNormalizeTargetInput.min = isLufs ? -36 : -24;
+  ui.wavExportNormalizeTargetInput.max = isLufs ? -6 : 0;
+  ui.wavExportNormalizeTargetInput.value = isLufs ? format.lufsTarget : format.peakTarget;
+  ui.wavExportTailInput.value = format.tailSeconds;
+  [
+    ui.wavExportSampleRateSelect,
+    ui.wavExportBitDepthSelect,
+    ui.wavExportMonoInput,
+    ui.wavExportLimiterInput,
+    ui.wavExportNormalizeSelect,
+    ui.wavExportNormalizeTargetInput,
+    ui.wavExportTailInput,
+  ].forEach((control) => {
+    control.disabled = wavExportInProgress;
+  });
+}
+
+function updateWavExportFormat() {
+  const format = wavExportFormat;
+  const readNumber = (input, min, max, fallback) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+  };
+  format.sampleRate = parseInt(ui.wavExportSampleRateSelect.value, 10);
+  format.bitDepth = parseInt(ui.wavExportBitDepthSelect.value, 10);
+  if (format.bitDepth !== 32) format.dither = ui.wavExportDitherInput.checked;
+  format.mono = ui.wavExportMonoInput.checked;
+  format.limiter = ui.wavExportLimiterInput.checked;
+  if (format.normalize === "lufs") {
+    format.lufsTarget = readNumber(ui.wavExportNormalizeTargetInput, -36, -6, format.lufsTarget);
+  } else if (format.normalize === "peak") {
+    format.peakTarget = readNumber(ui.wavExportNormalizeTargetInput, -24, 0, format.peakTarget);
+  }
+  format.normalize = ui.wavExportNormalizeSelect.value;
+  format.tailSeconds = readNumber(ui.wavExportTailInput, 0, 10, format.tailSeconds);
+  renderWavExportFormat();
+}
+
 function renderWavExportDialog() {
   const selectedMode = wavExportMode === "tracks";
+  renderWavExportRangeOptions();
+  ui.wavExportRangeSelect.disabled = wavExportInProgress || wavExportLoopMode !== "none";
+  ui.wavExportLoopModeSelect.value = wavExportLoopMode;
+  ui.wavExportLoopModeSelect.disabled = wavExportInProgress;
+  ui.wavExportLoopCountField.hidden = wavExportLoopMode !== "intro-loops";
+  ui.wavExportFadeField.hidden = wavExportLoopMode !== "intro-loops";
+  renderWavExportFormat();
   ui.wavExportMasterBtn.setAttribute("aria-pressed", selectedMode ? "false" : "true");
   ui.wavExportTracksBtn.setAttribute("aria-pressed", selectedMode ? "true" : "false");
   ui.wavExportTrackSection.classList.toggle("hidden", !selectedMode);
@@ -406,6 +721,10 @@ function renderWavExportDialog() {
     `${count} track${count === 1 ? "" : "s"} selected`;
   ui.wavExportConfirmBtn.disabled = wavExportInProgress || (selectedMode && count === 0);
   ui.wavExportConfirmBtn.textContent = wavExportInProgress ? "Rendering..." : "Export WAV";
+  ui.wavExportMidiBtn.disabled = ui.wavExportConfirmBtn.disabled;
+  ui.wavExportNsfBtn.disabled = ui.wavExportConfirmBtn.disabled;
+  ui.wavExportApuLogBtn.disabled = ui.wavExportConfirmBtn.disabled;
+  ui.wavExportXmBtn.disabled = ui.wavExportConfirmBtn.disabled;
   ui.wavExportMasterBtn.disabled = wavExportInProgress;
   ui.wavExportTracksBtn.disabled = wavExportInProgress;
   ui.wavExportSelectAllBtn.disabled = wavExportInProgress;
@@ -426,6 +745,7 @@ function openWavExportDialog() {
   wavExportMode = "master";
   wavExportTrackIds = new Set(project.tracks.map((track) => track.id));
   wavExportInProgress = false;
+  wavExportRange = "song";
   ui.wavExportProjectName.textContent = project.name || "Untitled Project";
   ui.wavExportStatus.textContent = "";
   renderWavExportDialog();
@@ -457,14 +777,24 @@ async function confirmWavExport() {
   renderWavExportDialog();
   try {
     await ensureProjectAssetsLoaded();
-    const suffix = wavExportMode === "tracks"
-      ? `tracks-${trackIds
-          .map((id) => project.tracks.findIndex((track) => track.id === id) + 1)
-          .join("-")}`
+    const looped = wavExportLoopMode !== "none";
+    const range = looped ? null : getWavExportRange();
+    const rangeName = range
+      ? project.markers.find((marker) => marker.id === wavExportRange)?.name || "loop"
       : "";
+    const suffix = [
+      wavExportMode === "tracks" ? getExportTrackSuffix(trackIds) : "",
+      rangeName,
+      looped ? wavExportLoopMode : "",
+    ].filter(Boolean).join("-");
     await exportProjectToWav(project, {
       trackIds: wavExportMode === "tracks" ? trackIds : null,
       fileNameSuffix: suffix,
+      range,
+      loopMode: wavExportLoopMode,
+      loopCount: parseInt(ui.wavExportLoopCountInput.value, 10) || 2,
+      fadeSeconds: parseFloat(ui.wavExportFadeInput.value) || 0,
+      format: { ...wavExportFormat },
     });
     wavExportInProgress = false;
     closeWavExportDialog();
@@ -476,6 +806,558 @@ async function confirmWavExport() {
   }
 }
 
+function getExportTrackSuffix(trackIds) {
+  return `tracks-${trackIds
+    .map((id) => project.tracks.findIndex((track) => track.id === id) + 1)
+    .join("-")}`;
+}
+
+function getExportFileName(extension, trackIds) {
+  const fileName = getSafeProjectName(extension);
+  if (!trackIds) return fileName;
+  const baseName = fileName.slice(0, -extension.length - 1);
+  return `${baseName}-${getExportTrackSuffix(trackIds)}.${extension}`;
+}
+
+function exportMidi(trackIds = null) {
+  try {
+    const blob = createMidiBlob(project, { trackIds });
+    downloadBlob(blob, getExportFileName("mid", trackIds));
+    return true;
+  } catch (error) {
+    console.error("Failed to export MIDI", error);
+    window.alert(`MIDI export failed: ${error.message}`);
+    return false;
+  }
+}
+
+function confirmMidiExport() {
+  if (wavExportInProgress) return;
+  const trackIds = project.tracks
+    .filter((track) => wavExportTrackIds.has(track.id))
+    .map((track) => track.id);
+  if (wavExportMode === "tracks" && trackIds.length === 0) {
+    ui.wavExportStatus.textContent = "Select at least one track.";
+    return;
+  }
+  if (exportMidi(wavExportMode === "tracks" ? trackIds : null)) {
+    closeWavExportDialog();
+  }
+}
+
+function confirmChipExport(format) {
+  if (wavExportInProgress) return;
+  const trackIds = project.tracks
+    .filter((track) => wavExportTrackIds.has(track.id))
+    .map((track) => track.id);
+  if (wavExportMode === "tracks" && trackIds.length === 0) {
+    ui.wavExportStatus.textContent = "Select at least one track.";
+    return;
+  }
+  const selectedIds = wavExportMode === "tracks" ? trackIds : null;
+  try {
+    const apuExport = createApuExport(project, { trackIds: selectedIds });
+    if (format === "nsf") {
+      downloadBlob(createNsfBlob(project, apuExport), getExportFileName("nsf", selectedIds));
+    } else {
+      downloadBlob(createApuLogBlob(project, apuExport), getExportFileName("txt", selectedIds));
+    }
+    if (apuExport.issues.length) {
+      ui.wavExportStatus.textContent = `Exported with issues: ${apuExport.issues.join("; ")}.`;
+      return;
+    }
+    closeWavExportDialog();
+  } catch (error) {
+    console.error("Failed to export 2A03 data", error);
+    ui.wavExportStatus.textContent = error?.message || "Chip export failed.";
+  }
+}
+
+async function confirmXmExport() {
+  if (wavExportInProgress) return;
+  const trackIds = project.tracks
+    .filter((track) => wavExportTrackIds.has(track.id))
+    .map((track) => track.id);
+  if (wavExportMode === "tracks" && trackIds.length === 0) {
+    ui.wavExportStatus.textContent = "Select at least one track.";
+    return;
+  }
+  const selectedIds = wavExportMode === "tracks" ? trackIds : null;
+  wavExportInProgress = true;
+  ui.wavExportStatus.textContent = "Rendering instruments...";
+  renderWavExportDialog();
+  try {
+    await ensureProjectAssetsLoaded();
+    const { blob, issues } = await createXmBlob(project, {
+      trackIds: selectedIds,
+      getSampleBuffer: (assetId) => audioEngine.getSampleAssetBuffer(assetId),
+    });
+    downloadBlob(blob, getExportFileName("xm", selectedIds));
+    wavExportInProgress = false;
+    if (issues.length) {
+      ui.wavExportStatus.textContent = `Exported with issues: ${issues.join("; ")}.`;
+      renderWavExportDialog();
+      return;
+    }
+    closeWavExportDialog();
+  } catch (error) {
+    console.error("Failed to export XM", error);
+    wavExportInProgress = false;
+    ui.wavExportStatus.textContent = error?.message || "XM export failed.";
+    renderWavExportDialog();
+  }
+}
+
+function createDialogNumberInput(value, { min, max, step, label }, onChange) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value;
+  input.setAttribute("aria-label", label);
+  input.addEventListener("change", () => {
+    const next = parseFloat(input.value);
+    if (!Number.isFinite(next) || !onChange(Math.min(max, Math.max(min, next)))) {
+      input.value = value;
+    }
+  });
+  return input;
+}
+
+function createDialogField(labelText, control) {
+  const label = document.createElement("label");
+  const text = document.createElement("span");
+  text.textContent = labelText;
+  label.append(text, control);
+  return label;
+}
+
+function formatBarLabel(beat) {
+  const position = getBarPosition(project, beat);
+  return `Bar ${position.bar}.${position.beat}`;
+}
+
+function commitTempoMapChange() {
+  project.tempoMap.sort((a, b) => a.beat - b.beat);
+  project.meterMap.sort((a, b) => a.beat - b.beat);
+  ui.bpmInput.value = project.bpm;
+  commitChange({ reRenderEditors: false, reRenderDevice: false });
+  renderTempoMapDialog();
+}
+
+function isTempoMapBeatFree(list, beat, ignore) {
+  return (
+    beat > 0 &&
+    !list.some((change) => change !== ignore && Math.abs(change.beat - beat) < 0.0001)
+  );
+}
+
+function createTempoChangeRow(change) {
+  const row = document.createElement("div");
+  row.className = "dialog-row";
+  const position = document.createElement("span");
+  position.className = "dialog-row-label";
+  position.textContent = change ? formatBarLabel(change.beat) : "Start";
+  row.appendChild(position);
+
+  if (change) {
+    row.appendChild(
+      createDialogField(
+        "Beat",
+        createDialogNumberInput(
+          change.beat,
+          { min: snap, max: 4096, step: snap, label: "Tempo change beat" },
+          (beat) => {
+            if (!isTempoMapBeatFree(project.tempoMap, beat, change)) return false;
+            change.beat = beat;
+            commitTempoMapChange();
+            return true;
+          },
+        ),
+      ),
+    );
+  }
+
+  row.appendChild(
+    createDialogField(
+      "BPM",
+      createDialogNumberInput(
+        change ? change.bpm : project.bpm,
+        { min: MIN_BPM, max: MAX_BPM, step: 0.01, label: "Tempo" },
+        (bpm) => {
+          if (change) change.bpm = bpm;
+          else project.bpm = bpm;
+          commitTempoMapChange();
+          return true;
+        },
+      ),
+    ),
+  );
+
+  if (change) {
+    const curve = document.createElement("select");
+    curve.setAttribute("aria-label", "Tempo curve");
+    [
+      ["step", "Step"],
+      ["ramp", "Ramp"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      curve.appendChild(option);
+    });
+    curve.value = change.ramp ? "ramp" : "step";
+    curve.addEventListener("change", () => {
+      change.ramp = curve.value === "ramp";
+      commitTempoMapChange();
+    });
+    row.appendChild(curve);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "btn tiny danger";
+    deleteButton.textContent = "Del";
+    deleteButton.addEventListener("click", () => {
+      project.tempoMap = project.tempoMap.filter((item) => item !== change);
+      commitTempoMapChange();
+    });
+    row.appendChild(deleteButton);
+  }
+  return row;
+}
+
+function createMeterChangeRow(change) {
+  const meter = change || project.meter;
+  const row = document.createElement("div");
+  row.className = "dialog-row";
+  const position = document.createElement("span");
+  position.className = "dialog-row-label";
+  position.textContent = change ? formatBarLabel(change.beat) : "Start";
+  row.appendChild(position);
+
+  if (change) {
+    row.appendChild(
+      createDialogField(
+        "Beat",
+        createDialogNumberInput(
+          change.beat,
+          { min: snap, max: 4096, step: snap, label: "Meter change beat" },
+          (beat) => {
+            if (!isTempoMapBeatFree(project.meterMap, beat, change)) return false;
+            change.beat = beat;
+            commitTempoMapChange();
+            return true;
+          },
+        ),
+      ),
+    );
+  }
+
+  const numerator = createDialogNumberInput(
+    meter.numerator,
+    { min: 1, max: 32, step: 1, label: "Beats per bar" },
+    (value) => {
+      meter.numerator = Math.round(value);
+      commitTempoMapChange();
+      return true;
+    },
+  );
+  const denominator = document.createElement("select");
+  denominator.setAttribute("aria-label", "Beat unit");
+  METER_DENOMINATORS.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = String(value);
+    option.textContent = String(value);
+    denominator.appendChild(option);
+  });
+  denominator.value = String(meter.denominator);
+  denominator.addEventListener("change", () => {
+    meter.denominator = parseInt(denominator.value, 10);
+    commitTempoMapChange();
+  });
+  row.appendChild(createDialogField("Meter", numerator));
+  row.appendChild(createDialogField("/", denominator));
+
+  if (change) {
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "btn tiny danger";
+    deleteButton.textContent = "Del";
+    deleteButton.addEventListener("click", () => {
+      project.meterMap = project.meterMap.filter((item) => item !== change);
+      commitTempoMapChange();
+    });
+    row.appendChild(deleteButton);
+  }
+  return row;
+}
+
+function renderTempoMapDialog() {
+  ui.tempoChangeList.innerHTML = "";
+  ui.tempoChangeList.appendChild(createTempoChangeRow(null));
+  project.tempoMap.forEach((change) => {
+    ui.tempoChangeList.appendChild(createTempoChangeRow(change));
+  });
+  ui.meterChangeList.innerHTML = "";
+  ui.meterChangeList.appendChild(createMeterChangeRow(null));
+  project.meterMap.forEach((change) => {
+    ui.meterChangeList.appendChild(createMeterChangeRow(change));
+  });
+}
+
+function openTempoMapDialog() {
+  renderTempoMapDialog();
+  ui.tempoMapOverlay.classList.remove("hidden");
+  ui.closeTempoMapBtn.focus();
+}
+
+function closeTempoMapDialog() {
+  ui.tempoMapOverlay.classList.add("hidden");
+}
+
+function addTempoChangeAtCursor() {
+  if (!isTempoMapBeatFree(project.tempoMap, cursorBeat, null)) return;
+  project.tempoMap.push({
+    id: createRuntimeId(),
+    beat: cursorBeat,
+    bpm: Math.round(getBpmAtBeat(cursorBeat) * 100) / 100,
+    ramp: false,
+  });
+  commitTempoMapChange();
+}
+
+function addMeterChangeAtCursor() {
+  const { barStart } = getBarPosition(project, cursorBeat);
+  if (!isTempoMapBeatFree(project.meterMap, barStart, null)) return;
+  const meter = getMeterAt(project, barStart);
+  project.meterMap.push({
+    id: createRuntimeId(),
+    beat: barStart,
+    numerator: meter.numerator,
+    denominator: meter.denominator,
+  });
+  commitTempoMapChange();
+}
+
+function commitSectionChange(label) {
+  project.markers.sort((a, b) => a.beat - b.beat);
+  commitChange({ reRenderEditors: false, reRenderDevice: false, label });
+  renderSectionsDialog();
+}
+
+function isMarkerBeatFree(beat, ignore) {
+  return !project.markers.some(
+    (marker) => marker !== ignore && Math.abs(marker.beat - beat) < 0.0001,
+  );
+}
+
+function setProjectLoopRange(range) {
+  if (!range) return;
+  project.loopRange = range;
+  if (!loopEnabled) setLoopEnabled(true);
+  commitChange({ reRenderEditors: false, reRenderDevice: false, shouldRestartPlayback: false });
+  audioEngine.setLoop(loopEnabled, getPlaybackLoopRange());
+}
+
+function createSectionActionButton(text, title, onClick, disabled = false) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn tiny";
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createSectionRow({ marker, start, end }, index, count) {
+  const row = document.createElement("div");
+  row.className = "dialog-row";
+  row.dataset.markerId = marker.id;
+  const position = document.createElement("span");
+  position.className = "dialog-row-label";
+  position.textContent = formatBarLabel(start);
+  row.appendChild(position);
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.className = "section-name-input";
+  name.maxLength = 48;
+  name.value = marker.name;
+  name.setAttribute("aria-label", "Section name");
+  name.addEventListener("change", () => {
+    marker.name = name.value.trim().slice(0, 48) || "Section";
+    commitSectionChange();
+  });
+  row.appendChild(name);
+
+  row.appendChild(
+    createDialogField(
+      "Beat",
+      createDialogNumberInput(
+        marker.beat,
+        { min: 0, max: 4096, step: snap, label: "Marker beat" },
+        (beat) => {
+          if (!isMarkerBeatFree(beat, marker)) return false;
+          marker.beat = beat;
+          commitSectionChange();
+          return true;
+        },
+      ),
+    ),
+  );
+
+  const length = document.createElement("span");
+  length.className = "dialog-row-label";
+  length.textContent = `${Math.round((end - start) * 100) / 100} beats`;
+  row.appendChild(length);
+
+  const actions = document.createElement("span");
+  actions.className = "dialog-row-actions";
+  actions.append(
+    createSectionActionButton("Loop", "Loop this section", () => {
+      setProjectLoopRange(getSectionRange(project, marker.id));
+    }),
+    createSectionActionButton(
+      "◀",
+      "Swap with the previous section, moving every track's blocks",
+      () => {
+        if (moveSection(project, marker.id, -1)) commitSectionChange("Move section");
+      },
+      index === 0,
+    ),
+    createSectionActionButton(
+      "▶",
+      "Swap with the next section, moving every track's blocks",
+      () => {
+        if (moveSection(project, marker.id, 1)) commitSectionChange("Move section");
+      },
+      index === count - 1,
+    ),
+    createSectionActionButton(
+      "Copy",
+      "Insert a copy of this section after it, pushing later sections back",
+      () => {
+        if (duplicateSection(project, marker.id)) commitSectionChange("Copy section");
+      },
+      project.markers.length >= MAX_MARKERS,
+    ),
+  );
+  const deleteButton = createSectionActionButton("Del", "Remove this marker", () => {
+    project.markers = project.markers.filter((item) => item !== marker);
+    commitSectionChange();
+  });
+  deleteButton.classList.add("danger");
+  actions.appendChild(deleteButton);
+  row.appendChild(actions);
+  return row;
+}
+
+function renderLoopPointRow() {
+  ui.loopPointRow.innerHTML = "";
+  const loopPoint = project.loopPoint;
+  if (!Number.isFinite(loopPoint)) {
+    const empty = document.createElement("div");
+    empty.className = "dialog-empty";
+    empty.textContent = "Not set: loop exports repeat the whole song.";
+    ui.loopPointRow.appendChild(empty);
+    return;
+  }
+  const row = document.createElement("div");
+  row.className = "dialog-row";
+  const position = document.createElement("span");
+  position.className = "dialog-row-label";
+  position.textContent = formatBarLabel(loopPoint);
+  row.appendChild(position);
+  row.appendChild(
+    createDialogField(
+      "Beat",
+      createDialogNumberInput(
+        loopPoint,
+        { min: 0, max: 4096, step: snap, label: "Song loop point beat" },
+        (beat) => {
+          if (beat >= getProjectEndBeat(project)) return false;
+          project.loopPoint = beat;
+          commitSectionChange();
+          return true;
+        },
+      ),
+    ),
+  );
+  const actions = document.createElement("span");
+  actions.className = "dialog-row-actions";
+  actions.appendChild(
+    createSectionActionButton("Loop Body", "Loop playback from here to the song end", () => {
+      setProjectLoopRange({ start: loopPoint, end: getProjectEndBeat(project) });
+    }),
+  );
+  const clearButton = createSectionActionButton("Clear", "Remove the song loop point", () => {
+    project.loopPoint = null;
+    commitSectionChange();
+  });
+  clearButton.classList.add("danger");
+  actions.appendChild(clearButton);
+  row.appendChild(actions);
+  ui.loopPointRow.appendChild(row);
+}
+
+function setLoopPointAtCursor() {
+  if (cursorBeat >= getProjectEndBeat(project)) return;
+  project.loopPoint = cursorBeat;
+  commitSectionChange();
+}
+
+function renderSectionsDialog() {
+  renderLoopPointRow();
+  const sections = getProjectSections(project);
+  ui.sectionList.innerHTML = "";
+  ui.addMarkerBtn.disabled = project.markers.length >= MAX_MARKERS;
+  if (!sections.length) {
+    const empty = document.createElement("div");
+    empty.className = "dialog-empty";
+    empty.textContent = "No markers yet. Place the cursor and add one to start a section.";
+    ui.sectionList.appendChild(empty);
+    return;
+  }
+  sections.forEach((section, index) => {
+    ui.sectionList.appendChild(createSectionRow(section, index, sections.length));
+  });
+}
+
+function openSectionsDialog(markerId = null) {
+  renderSectionsDialog();
+  ui.sectionsOverlay.classList.remove("hidden");
+  const row = markerId && ui.sectionList.querySelector(`[data-marker-id="${markerId}"]`);
+  if (row) row.querySelector("input").focus();
+  else ui.closeSectionsBtn.focus();
+}
+
+function closeSectionsDialog() {
+  ui.sectionsOverlay.classList.add("hidden");
+}
+
+function addMarkerAtCursor() {
+  if (project.markers.length >= MAX_MARKERS || !isMarkerBeatFree(cursorBeat, null)) return;
+  const name = String.fromCharCode(65 + (project.markers.length % 26));
+  project.markers.push(createMarker(cursorBeat, name));
+  commitSectionChange();
+}
+
+function jumpToMarker(direction) {
+  const beats = project.markers.map((marker) => marker.beat);
+  const target = direction < 0
+    ? [0, ...beats].filter((beat) => beat < cursorBeat - 0.0001).pop()
+    : beats.find((beat) => beat > cursorBeat + 0.0001);
+  if (target === undefined) return;
+  moveCursorTo(target);
+}
+
+function moveCursorTo(beat) {
+  timeline.setCursor(beat);
+  timeline.onCursorChange(beat);
+}
+
 function findDuplicateStart(track, source) {
   const length = Math.max(0.25, source.length);
   let startBeat = source.startBeat + length;
@@ -503,7 +1385,9 @@ const timeline = new Timeline({
   onBlockDelete: (trackId, blockId) => {
     const track = project.tracks.find((item) => item.id === trackId);
     if (!track) return;
-    track.blocks = track.blocks.filter((block) => block.id !== blockId);
+    const block = track.blocks.find((item) => item.id === blockId);
+    if (block) unlinkBlock(track, block);
+    track.blocks = track.blocks.filter((item) => item.id !== blockId);
     if (selectedSampleBlockByTrack.get(trackId) === blockId) {
       selectedSampleBlockByTrack.delete(trackId);
     }
@@ -516,6 +1400,7 @@ const timeline = new Timeline({
     if (!source) return;
     const clone = safeClone(source);
     clone.id = createRuntimeId();
+    clone.linkId = null;
     clone.startBeat = findDuplicateStart(track, source);
     if (track.type === "drums") {
       ensureDrumPattern(clone, getDrumRowsForConsole(track.console));
@@ -528,7 +1413,26 @@ const timeline = new Timeline({
     if (track.type === "sample") {
       selectedSampleBlockByTrack.set(track.id, clone.id);
     }
-    commitChange();
+    commitChange({ label: "Duplicate clip" });
+  },
+  onBlockLinkDuplicate: (trackId, blockId) => {
+    const track = project.tracks.find((item) => item.id === trackId);
+    const source = track?.blocks.find((block) => block.id === blockId);
+    if (!source) return;
+    const startBeat = findDuplicateStart(track, source);
+    const linked = createLinkedBlock(track, source);
+    linked.startBeat = startBeat;
+    if (track.type === "sample") {
+      selectedSampleBlockByTrack.set(track.id, linked.id);
+    }
+    commitChange({ label: "Duplicate linked clip" });
+  },
+  onBlockUnlink: (trackId, blockId) => {
+    const track = project.tracks.find((item) => item.id === trackId);
+    const block = track?.blocks.find((item) => item.id === blockId);
+    if (!block) return;
+    unlinkBlock(track, block);
+    commitChange({ label: "Unlink clip" });
   },
   onBlockChange: (trackId, blockId, changes, meta = {}) => {
     const track = project.tracks.find((item) => item.id === trackId);
@@ -548,6 +1452,7 @@ const timeline = new Timeline({
     if (typeof changes.length === "number" && track.type === "synth") {
       trimNotesToBlock(block);
     }
+    syncLinkedBlocks(track, block);
     commitChange();
   },
   onAddBlock: (trackId) => {
@@ -577,7 +1482,8 @@ const timeline = new Timeline({
     }
     const isMuteSolo = Object.prototype.hasOwnProperty.call(changes, "mute") ||
       Object.prototype.hasOwnProperty.call(changes, "solo");
-    const isVolume = Object.prototype.hasOwnProperty.call(changes, "volume");
+    const isVolume = Object.prototype.hasOwnProperty.call(changes, "volume") ||
+      Object.prototype.hasOwnProperty.call(changes, "pan");
     commitChange({
       reRenderEditors: track.id === activeTrackId,
       shouldRestartPlayback: !(isMuteSolo || isVolume),
@@ -593,7 +1499,7 @@ const timeline = new Timeline({
     if (nextIndex < 0 || nextIndex >= project.tracks.length) return;
     const [track] = project.tracks.splice(index, 1);
     project.tracks.splice(nextIndex, 0, track);
-    commitChange();
+    commitChange({ label: "Move track" });
   },
   onTrackDelete: (trackId) => {
     if (project.tracks.length <= 1) return;
@@ -603,6 +1509,7 @@ const timeline = new Timeline({
       message: track ? `Delete ${track.type} track?` : "Delete this track?",
       onConfirm: () => {
         project.tracks = project.tracks.filter((item) => item.id !== trackId);
+        audioEngine.releasePreviewOutputs(project.tracks);
         if (activeTrackId === trackId) {
           closeEditor();
         }
@@ -617,7 +1524,25 @@ const timeline = new Timeline({
   onTrackSelect: (trackId) => {
     selectTrack(trackId);
   },
+  onTempoMapEdit: openTempoMapDialog,
+  onSectionsEdit: openSectionsDialog,
+  onAutomationChange: (trackId, automation) => {
+    const track = project.tracks.find((item) => item.id === trackId);
+    if (!track) return;
+    track.automation = automation;
+    commitChange({ reRenderEditors: false, reRenderDevice: false, shouldRestartPlayback: false });
+    audioEngine.updateAutomation(project);
+  },
+  onLoopRangeChange: (range) => {
+    project.loopRange = range;
+    if (range && !loopEnabled) {
+      setLoopEnabled(true);
+    }
+    commitChange({ reRenderEditors: false, reRenderDevice: false, shouldRestartPlayback: false });
+    audioEngine.setLoop(loopEnabled, getPlaybackLoopRange());
+  },
   onBlockSelect: (trackId, blockId) => {
+    selectTimelineBlock(trackId, blockId);
     const track = project.tracks.find((item) => item.id === trackId);
     if (track?.type !== "sample") return;
     selectedSampleBlockByTrack.set(trackId, blockId);
@@ -625,27 +1550,39 @@ const timeline = new Timeline({
   },
   onCursorChange: (beat) => {
     cursorBeat = beat;
-    if (!isPlaying) {
+    if (isPlaying) {
+      audioEngine.seek(cursorBeat);
+    } else {
       timeline.updatePlayhead(cursorBeat);
     }
   },
 });
 
-const pianoRoll = new PianoRoll({
-  container: ui.pianoRoll,
-  snap,
-  zoom,
-  onNoteChange: (_notes, meta = {}) => {
-    const shouldCommit = meta.commit !== false;
-    commitChange({
-      reRenderTimeline: false,
-      reRenderEditors: shouldCommit,
-      record: shouldCommit,
-    });
-    if (previewEnabled && shouldCommit) {
-      restartPreview();
-    }
-  },
+const handleEditorChange = (_data, meta = {}) => {
+  const shouldCommit = meta.commit !== false;
+  commitChange({
+    reRenderTimeline: shouldCommit && project.authenticChips.length > 0,
+    reRenderEditors: shouldCommit,
+    record: shouldCommit,
+  });
+  if (previewEnabled && shouldCommit) {
+    restartPreview();
+  }
+};
+
+const previewEditorDrum = (drum, level) => {
+  const track = getActiveTrack();
+  if (!track) return;
+  const ready = audioEngine.unlock();
+  if (!ready) return;
+  audioEngine.previewDrum(track, drum, level);
+};
+
+const pianoRoll = new PianoRoll({
+  container: ui.pianoRoll,
+  snap,
+  zoom,
+  onNoteChange: handleEditorChange,
   onPreviewNote: (pitch, trackOverride) => {
     const track = trackOverride || getActiveTrack() || pianoRoll.track;
     if (!track) return;
@@ -659,24 +1596,23 @@ const drumEditor = new DrumEditor({
   container: ui.drumEditor,
   zoom: zoom,
   snap,
-  onPatternChange: (_pattern, meta = {}) => {
-    const shouldCommit = meta.commit !== false;
-    commitChange({
-      reRenderTimeline: false,
-      reRenderEditors: shouldCommit,
-      record: shouldCommit,
-    });
-    if (previewEnabled && shouldCommit) {
-      restartPreview();
-    }
-  },
-  onPreview: (drum, level) => {
-    const track = getActiveTrack();
+  onPatternChange: handleEditorChange,
+  onPreview: previewEditorDrum,
+});
+
+const trackerView = new TrackerView({
+  container: ui.trackerView,
+  snap,
+  onNoteChange: handleEditorChange,
+  onPatternChange: handleEditorChange,
+  onPreviewNote: (pitch, trackOverride) => {
+    const track = trackOverride || getActiveTrack();
     if (!track) return;
     const ready = audioEngine.unlock();
     if (!ready) return;
-    audioEngine.previewDrum(track, drum, level);
+    audioEngine.previewNote(track, pitch);
   },
+  onPreview: previewEditorDrum,
 });
 
 ui.addTrackBtn.disabled = project.tracks.length >= MAX_TRACKS;
@@ -852,8 +1788,9 @@ function normalizeSampleOffset(block, fallbackDuration) {
 
 function getSampleSourceRate(block) {
   const warp = ensureSampleWarp(block);
+  const bpm = getBpmAtBeat(block.startBeat);
   const warpRate = warp.enabled
-    ? project.bpm / Math.min(400, Math.max(20, warp.sourceBpm || project.bpm))
+    ? bpm / Math.min(400, Math.max(20, warp.sourceBpm || bpm))
     : 1;
   return warp.enabled && warp.mode === "beats"
     ? warpRate
@@ -864,7 +1801,8 @@ function applySampleLeftTrim(block, changes, deltaBeats, fallbackDuration) {
   const region = getSampleActiveRegion(block, fallbackDuration);
   const oldOffset = normalizeSampleOffset(block, fallbackDuration);
   const sourceRate = Math.max(0.001, getSampleSourceRate(block));
-  const sourceDelta = deltaBeats * (60 / project.bpm) * sourceRate;
+  const bpm = getBpmAtBeat(block.startBeat);
+  const sourceDelta = deltaBeats * (60 / bpm) * sourceRate;
 
   if (block.mode === "loop") {
     const wrapped = ((oldOffset + sourceDelta) % region.duration + region.duration) %
@@ -878,7 +1816,7 @@ function applySampleLeftTrim(block, changes, deltaBeats, fallbackDuration) {
     Math.max(0, region.duration - 0.001),
     Math.max(0, oldOffset + sourceDelta),
   );
-  const actualDeltaBeats = ((nextOffset - oldOffset) / sourceRate) * (project.bpm / 60);
+  const actualDeltaBeats = ((nextOffset - oldOffset) / sourceRate) * (bpm / 60);
   changes.startBeat = block.startBeat + actualDeltaBeats;
   changes.length = Math.max(snap, block.length - actualDeltaBeats);
   block.offset = nextOffset;
@@ -1463,6 +2401,7 @@ function drawWarpMarkerCanvas() {
   const { drawing, pixelRatio } = prepareWaveformCanvas(canvas, width, height);
   const rulerHeight = 32;
   const gridStep = parseFloat(ui.sampleMarkerSnapSelect.value) || 0.25;
+  const bpm = getBpmAtBeat(block.startBeat);
   const analysis = getWaveformAnalysis(audioBuffer);
   const markerKey = anchors
     .map((marker) => `${marker.sourceTime.toFixed(5)}:${marker.beat.toFixed(5)}`)
@@ -1473,7 +2412,7 @@ function drawWarpMarkerCanvas() {
     height,
     pixelRatio,
     gridStep,
-    project.bpm,
+    bpm,
     markerKey,
     analysis?.buffer.length || 0,
   ].join(":");
@@ -1494,7 +2433,7 @@ function drawWarpMarkerCanvas() {
       const after = anchors[index + 1];
       const left = (before.beat / totalBeats) * width;
       const right = (after.beat / totalBeats) * width;
-      const targetSeconds = (after.beat - before.beat) * (60 / project.bpm);
+      const targetSeconds = (after.beat - before.beat) * (60 / bpm);
       const sourceSeconds = after.sourceTime - before.sourceTime;
       const sourceRate = sourceSeconds / Math.max(0.001, targetSeconds);
       base.fillStyle = sourceRate > 1.03
@@ -1611,7 +2550,7 @@ function drawWarpMarkerCanvas() {
   drawMarker(anchors[anchors.length - 1], true);
 
   if (sampleMarkerPreview) {
-    const previewBeat = audioEngine.getPreviewBeat(project.bpm) % totalBeats;
+    const previewBeat = audioEngine.getPreviewBeat() % totalBeats;
     const x = (previewBeat / totalBeats) * width;
     drawing.strokeStyle = "#ff6973";
     drawing.lineWidth = 2;
@@ -1853,7 +2792,7 @@ function renderSampleDevice(track) {
     previewButton.textContent = "Preview";
     previewButton.addEventListener("click", async () => {
       await ensureProjectAssetsLoaded();
-      audioEngine.previewBlock(track, block, project.bpm, { loop: false });
+      audioEngine.previewBlock(track, block, getBpmAtBeat(block.startBeat), { loop: false });
     });
     const editMarkersButton = document.createElement("button");
     editMarkersButton.type = "button";
@@ -2119,6 +3058,16 @@ function createAdsrSlider(track, key, labelText, min, max, step) {
   return wrap;
 }
 
+function convertTrackWavetable(track, consoleName) {
+  if (!track.wavetable) return;
+  const from = WAVETABLE_CONSOLES[track.console];
+  const to = WAVETABLE_CONSOLES[consoleName];
+  track.wavetable =
+    from && to
+      ? { ...track.wavetable, samples: requantizeWavetable(track.wavetable.samples, from.bits, to.bits) }
+      : null;
+}
+
 function setTrackConsole(track, consoleName) {
   if (track.type === "drums") {
     if (!DRUM_KITS[consoleName]) return;
@@ -2135,6 +3084,7 @@ function setTrackConsole(track, consoleName) {
 
   const waves = CONSOLE_WAVES[consoleName] || [];
   if (!waves.length) return;
+  convertTrackWavetable(track, consoleName);
   track.console = consoleName;
   track.waveform = waves[0];
   ensureTrackAdsr(track);
@@ -2149,6 +3099,26 @@ function createConsoleButton() {
   return consoleButton;
 }
 
+function createAuthenticModeButton(track) {
+  const chipId = getHardwareChipId(track);
+  if (!chipId) return null;
+  const chip = HARDWARE_CHIPS[chipId];
+  const enabled = project.authenticChips.includes(chipId);
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn tiny toggle";
+  button.textContent = "Authentic";
+  button.setAttribute("aria-pressed", enabled ? "true" : "false");
+  button.title = `${chip.label}: ${chip.channels.map((channel) => channel.label).join(", ")}`;
+  button.addEventListener("click", () => {
+    project.authenticChips = enabled
+      ? project.authenticChips.filter((item) => item !== chipId)
+      : [...project.authenticChips, chipId];
+    commitChange({ reRenderEditors: false });
+  });
+  return button;
+}
+
 function ensureCustomDrumVoice(track, drum) {
   track.drumVoices = track.drumVoices || {};
   track.drumVoices[track.console] = track.drumVoices[track.console] || {};
@@ -2303,6 +3273,8 @@ function renderDrumDevice(track) {
   const kitActions = document.createElement("div");
   kitActions.className = "drum-kit-actions";
   kitActions.appendChild(createConsoleButton());
+  const authenticButton = createAuthenticModeButton(track);
+  if (authenticButton) kitActions.appendChild(authenticButton);
 
   const kitPanel = document.createElement("div");
   kitPanel.className = "drum-kit-panel";
@@ -2405,15 +3377,151 @@ function renderDevicePanel() {
   ui.addDeviceBtn.title = "Choose console";
   ui.addDeviceBtn.setAttribute("aria-label", "Choose console");
 
+  if (track.type === "synth" || track.type === "drums") {
+    ui.deviceContent.appendChild(createInstrumentBrowser(track));
+  }
   if (track.type === "drums") {
     renderDrumDevice(track);
-    return;
-  }
-  if (track.type === "sample") {
+  } else if (track.type === "sample") {
     renderSampleDevice(track);
-    return;
+  } else {
+    renderSynthDevice(track);
   }
+  renderEffectDevices(track);
+}
+
+function getLinkedInstrument(track) {
+  return project.instruments.find((instrument) => instrument.id === track.instrumentId) || null;
+}
+
+function deleteInstrument(instrumentId) {
+  project.instruments = project.instruments.filter((instrument) => instrument.id !== instrumentId);
+  project.tracks.forEach((track) => {
+    if (track.instrumentId === instrumentId) track.instrumentId = null;
+    if (track.type !== "synth") return;
+    track.blocks.forEach((block) => {
+      block.notes.forEach((note) => {
+        if (note.instrumentId === instrumentId) note.instrumentId = null;
+      });
+    });
+  });
+}
+
+function createInstrumentBrowser(track) {
+  const linked = getLinkedInstrument(track);
+  const instruments = project.instruments.filter((instrument) => instrument.type === track.type);
+
+  const browser = document.createElement("div");
+  browser.className = "instrument-browser";
+
+  const title = document.createElement("div");
+  title.className = "instrument-browser-title";
+  title.textContent = "Instrument";
+
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", "Track instrument");
+  const trackOption = document.createElement("option");
+  trackOption.value = "";
+  trackOption.textContent = "Track sound";
+  select.appendChild(trackOption);
+  instruments.forEach((instrument) => {
+    const option = document.createElement("option");
+    option.value = instrument.id;
+    const number = project.instruments.indexOf(instrument) + 1;
+    option.textContent = `${number.toString(16).toUpperCase().padStart(2, "0")} ${instrument.name}`;
+    option.selected = instrument === linked;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", () => {
+    const instrument = instruments.find((item) => item.id === select.value);
+    if (instrument) {
+      applyInstrument(track, instrument);
+    } else {
+      track.instrumentId = null;
+    }
+    commitChange();
+  });
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "instrument-name";
+  nameInput.maxLength = 32;
+  nameInput.placeholder = "Name";
+  nameInput.disabled = !linked;
+  nameInput.value = linked?.name || "";
+  nameInput.addEventListener("change", () => {
+    if (!linked) return;
+    linked.name = nameInput.value.trim() || linked.name;
+    commitChange({ reRenderTimeline: false, shouldRestartPlayback: false });
+  });
 
+  const createButton = (label, titleText, onClick) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn tiny";
+    button.textContent = label;
+    button.title = titleText;
+    button.addEventListener("click", onClick);
+    return button;
+  };
+
+  const newButton = createButton("New", "Save this track's sound as a new instrument", () => {
+    if (project.instruments.length >= MAX_INSTRUMENTS) {
+      window.alert(`The project already has ${MAX_INSTRUMENTS} instruments.`);
+      return;
+    }
+    const instrument = createInstrument(track, `${track.console} ${instruments.length + 1}`);
+    project.instruments.push(instrument);
+    track.instrumentId = instrument.id;
+    commitChange({ reRenderTimeline: false, shouldRestartPlayback: false });
+  });
+
+  const updateButton = createButton(
+    "Update",
+    "Store this track's sound in the instrument and every track using it",
+    () => {
+      if (!linked) return;
+      Object.assign(linked, createInstrument(track, linked.name), { id: linked.id });
+      project.tracks.forEach((item) => {
+        if (item !== track && item.instrumentId === linked.id) applyInstrument(item, linked);
+      });
+      commitChange();
+    },
+  );
+  updateButton.disabled = !linked;
+
+  const deleteButton = createButton("Delete", "Remove the instrument from the project", () => {
+    if (!linked) return;
+    deleteInstrument(linked.id);
+    commitChange();
+  });
+  deleteButton.disabled = !linked;
+
+  const exportButton = createButton("Export", "Download as a .chipinstrument preset", () => {
+    const instrument = linked || createInstrument(track, `${track.console} ${track.waveform}`);
+    downloadBlob(
+      createInstrumentPresetBlob(instrument),
+      getSafeFileName(instrument.name, "chipinstrument", "instrument"),
+    );
+  });
+
+  const importButton = createButton("Import", "Load a .chipinstrument preset", () => {
+    pendingInstrumentTrackId = track.id;
+    ui.instrumentInput.click();
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "instrument-actions";
+  actions.append(newButton, updateButton, deleteButton, exportButton, importButton);
+
+  browser.appendChild(title);
+  browser.appendChild(select);
+  browser.appendChild(nameInput);
+  browser.appendChild(actions);
+  return browser;
+}
+
+function renderSynthDevice(track) {
   const adsr = ensureTrackAdsr(track);
   const waves = CONSOLE_WAVES[track.console] || [];
 
@@ -2444,13 +3552,19 @@ function renderDevicePanel() {
   });
   waveSelect.addEventListener("change", () => {
     track.waveform = waveSelect.value;
-    commitChange({ reRenderTimeline: false, reRenderEditors: false });
+    commitChange({
+      reRenderTimeline: project.authenticChips.includes(getHardwareChipId(track)),
+      reRenderEditors: false,
+      reRenderDevice: Boolean(WAVETABLE_CONSOLES[track.console]),
+    });
   });
 
   const deviceControls = document.createElement("div");
   deviceControls.className = "synth-device-controls";
   deviceControls.appendChild(createConsoleButton());
   deviceControls.appendChild(createDeviceField("Wave", waveSelect));
+  const authenticButton = createAuthenticModeButton(track);
+  if (authenticButton) deviceControls.appendChild(authenticButton);
 
   const adsrPanel = document.createElement("div");
   adsrPanel.className = "adsr-panel";
@@ -2462,11 +3576,494 @@ function renderDevicePanel() {
   synthBox.appendChild(deviceHead);
   synthBox.appendChild(deviceControls);
   synthBox.appendChild(adsrPanel);
+  const wavetablePanel = createWavetablePanel(track);
+  if (wavetablePanel) synthBox.appendChild(wavetablePanel);
   ui.deviceContent.appendChild(synthBox);
+  ui.deviceContent.appendChild(createMacroDevice(track));
 
   track.adsr = adsr;
 }
 
+function createMacroDevice(track) {
+  track.macros = track.macros || {};
+  const device = document.createElement("div");
+  device.className = "macro-device";
+
+  const head = document.createElement("div");
+  head.className = "macro-device-head";
+  const title = document.createElement("span");
+  title.className = "synth-device-title";
+  title.textContent = "Macros";
+  const type = document.createElement("span");
+  type.className = "synth-device-type";
+  type.textContent = "60 Hz frames";
+  head.append(title, type);
+
+  const editorContainer = document.createElement("div");
+  new MacroEditor({
+    container: editorContainer,
+    macros: track.macros,
+    type: activeMacroType,
+    onTypeChange: (macroType) => {
+      activeMacroType = macroType;
+    },
+    onChange: (_type, _macro, { commit }) => {
+      if (!commit) return;
+      commitChange({ reRenderTimeline: false, reRenderEditors: false, reRenderDevice: false });
+    },
+  });
+
+  device.append(head, editorContainer);
+  return device;
+}
+
+function createWavetablePanel(track) {
+  const spec = getWavetableSpec(track);
+  if (!spec) return null;
+  const library = project.wavetables.filter((wavetable) => wavetable.console === track.console);
+
+  const panel = document.createElement("div");
+  panel.className = "wavetable-panel";
+
+  const head = document.createElement("div");
+  head.className = "wavetable-head";
+
+  const title = document.createElement("span");
+  title.className = "wavetable-title";
+  title.textContent = track.wavetable ? "Custom Wave" : "Wave";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "wavetable-name";
+  nameInput.maxLength = 32;
+  nameInput.value = track.wavetable?.name || `${track.console} ${track.waveform}`;
+  nameInput.addEventListener("change", () => {
+    if (!track.wavetable) track.wavetable = createTrackWavetable(track);
+    track.wavetable.name = nameInput.value.trim() || "Custom";
+    commitChange({ reRenderTimeline: false, reRenderEditors: false, reRenderDevice: false });
+  });
+
+  const librarySelect = document.createElement("select");
+  librarySelect.className = "wavetable-library";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = library.length ? "Library" : "Library empty";
+  librarySelect.appendChild(placeholder);
+  library.forEach((wavetable) => {
+    const option = document.createElement("option");
+    option.value = wavetable.id;
+    option.textContent = wavetable.name;
+    librarySelect.appendChild(option);
+  });
+
+  const findSelected = () => library.find((wavetable) => wavetable.id === librarySelect.value);
+
+  const loadButton = document.createElement("button");
+  loadButton.type = "button";
+  loadButton.className = "btn tiny";
+  loadButton.textContent = "Load";
+  loadButton.addEventListener("click", () => {
+    const wavetable = findSelected();
+    if (!wavetable) return;
+    track.wavetable = { name: wavetable.name, samples: [...wavetable.samples] };
+    commitChange({ reRenderTimeline: false, reRenderEditors: false });
+  });
+
+  const deleteButton = document.createElement("button");
+  deleteButton.type = "button";
+  deleteButton.className = "btn tiny";
+  deleteButton.textContent = "Delete";
+  deleteButton.addEventListener("click", () => {
+    const wavetable = findSelected();
+    if (!wavetable) return;
+    project.wavetables = project.wavetables.filter((item) => item.id !== wavetable.id);
+    commitChange({ reRenderTimeline: false, reRenderEditors: false, shouldRestartPlayback: false });
+  });
+
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.className = "btn tiny";
+  saveButton.textContent = "Save";
+  saveButton.title = "Save this wave to the project library";
+  saveButton.addEventListener("click", () => {
+    const source = track.wavetable || createTrackWavetable(track);
+    const name = nameInput.value.trim() || source.name;
+    const existing = library.find((wavetable) => wavetable.name === name);
+    if (existing) {
+      existing.samples = [...source.samples];
+    } else if (project.wavetables.length < MAX_WAVETABLES) {
+      project.wavetables.push(
+        createWavetable({ name, console: track.console, samples: source.samples }),
+      );
+    } else {
+      window.alert(`The wavetable library is full (${MAX_WAVETABLES} waves).`);
+      return;
+    }
+    commitChange({ reRenderTimeline: false, reRenderEditors: false, shouldRestartPlayback: false });
+  });
+
+  const resetButton = document.createElement("button");
+  resetButton.type = "button";
+  resetButton.className = "btn tiny";
+  resetButton.textContent = "Reset";
+  resetButton.title = "Return to the built-in wave";
+  resetButton.disabled = !track.wavetable;
+  resetButton.addEventListener("click", () => {
+    track.wavetable = null;
+    commitChange({ reRenderTimeline: false, reRenderEditors: false });
+  });
+
+  head.appendChild(title);
+  head.appendChild(nameInput);
+  head.appendChild(librarySelect);
+  head.appendChild(loadButton);
+  head.appendChild(deleteButton);
+  head.appendChild(saveButton);
+  head.appendChild(resetButton);
+
+  const editorContainer = document.createElement("div");
+  new WavetableEditor({
+    container: editorContainer,
+    bits: spec.bits,
+    samples: (track.wavetable || createTrackWavetable(track)).samples,
+    onChange: (samples, { commit }) => {
+      if (!track.wavetable) {
+        track.wavetable = { ...createTrackWavetable(track), name: nameInput.value.trim() || "Custom" };
+        title.textContent = "Custom Wave";
+        resetButton.disabled = false;
+      }
+      track.wavetable.samples = samples;
+      if (!commit) return;
+      commitChange({ reRenderTimeline: false, reRenderEditors: false, reRenderDevice: false });
+    },
+  });
+
+  panel.appendChild(head);
+  panel.appendChild(editorContainer);
+  return panel;
+}
+
+function commitTrackEffectChange({ reRenderDevice = true, reRenderTimeline = false } = {}) {
+  commitChange({
+    reRenderTimeline,
+    reRenderEditors: false,
+    reRenderDevice,
+    shouldRestartPlayback: false,
+  });
+  if (reRenderDevice && !ui.returnBusOverlay.classList.contains("hidden")) {
+    renderReturnBusDialog();
+  }
+  audioEngine.updateAutomation(project);
+}
+
+function formatEffectValue(param, value) {
+  if (param.step >= 1) return String(Math.round(value));
+  return Number(value).toFixed(2);
+}
+
+function createEffectParamControl(effect, key, param) {
+  const wrap = document.createElement("label");
+  wrap.className = "effect-param";
+
+  const title = document.createElement("span");
+  title.textContent = param.label;
+  wrap.appendChild(title);
+
+  if (param.options) {
+    const select = document.createElement("select");
+    param.options.forEach((optionValue) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = optionValue;
+      option.selected = optionValue === effect.params[key];
+      select.appendChild(option);
+    });
+    select.addEventListener("change", () => {
+      effect.params[key] = select.value;
+      commitTrackEffectChange({ reRenderDevice: false });
+    });
+    wrap.appendChild(select);
+    return wrap;
+  }
+
+  const value = document.createElement("span");
+  value.className = "effect-param-value";
+  value.textContent = formatEffectValue(param, effect.params[key]);
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = param.min;
+  slider.max = param.max;
+  slider.step = param.step;
+  slider.value = effect.params[key];
+  slider.addEventListener("input", () => {
+    effect.params[key] = parseFloat(slider.value);
+    value.textContent = formatEffectValue(param, effect.params[key]);
+    commitTrackEffectChange({ reRenderDevice: false });
+  });
+
+  wrap.appendChild(slider);
+  wrap.appendChild(value);
+  return wrap;
+}
+
+function createEffectDevice(owner, effect, index) {
+  const definition = TRACK_EFFECTS[effect.type];
+  const device = document.createElement("div");
+  device.className = "effect-device";
+  device.classList.toggle("is-bypassed", !effect.enabled);
+
+  const head = document.createElement("div");
+  head.className = "effect-device-head";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "btn tiny toggle";
+  toggle.textContent = definition.label;
+  toggle.title = effect.enabled ? "Bypass effect" : "Enable effect";
+  toggle.setAttribute("aria-pressed", effect.enabled ? "true" : "false");
+  toggle.addEventListener("click", () => {
+    effect.enabled = !effect.enabled;
+    commitTrackEffectChange();
+  });
+
+  const moveEffect = (direction) => {
+    const [moved] = owner.effects.splice(index, 1);
+    owner.effects.splice(index + direction, 0, moved);
+    commitTrackEffectChange();
+  };
+
+  const moveLeftBtn = document.createElement("button");
+  moveLeftBtn.type = "button";
+  moveLeftBtn.className = "btn tiny";
+  moveLeftBtn.textContent = "<";
+  moveLeftBtn.title = "Move earlier in chain";
+  moveLeftBtn.disabled = index === 0;
+  moveLeftBtn.addEventListener("click", () => moveEffect(-1));
+
+  const moveRightBtn = document.createElement("button");
+  moveRightBtn.type = "button";
+  moveRightBtn.className = "btn tiny";
+  moveRightBtn.textContent = ">";
+  moveRightBtn.title = "Move later in chain";
+  moveRightBtn.disabled = index === owner.effects.length - 1;
+  moveRightBtn.addEventListener("click", () => moveEffect(1));
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "btn tiny danger";
+  removeBtn.textContent = "Del";
+  removeBtn.addEventListener("click", () => {
+    owner.effects.splice(index, 1);
+    const hasAutomation = owner.automation?.some((lane) =>
+      lane.target.startsWith(`effect:${effect.id}:`),
+    );
+    if (hasAutomation) {
+      owner.automation = owner.automation.filter(
+        (lane) => !lane.target.startsWith(`effect:${effect.id}:`),
+      );
+    }
+    commitTrackEffectChange({ reRenderTimeline: hasAutomation });
+  });
+
+  head.append(toggle, moveLeftBtn, moveRightBtn, removeBtn);
+
+  const params = document.createElement("div");
+  params.className = "effect-params";
+  Object.entries(definition.params).forEach(([key, param]) => {
+    params.appendChild(createEffectParamControl(effect, key, param));
+  });
+
+  device.append(head, params);
+  return device;
+}
+
+function createEffectChain(owner) {
+  owner.effects = Array.isArray(owner.effects) ? owner.effects : [];
+  const elements = owner.effects.map((effect, index) => createEffectDevice(owner, effect, index));
+
+  const addSlot = document.createElement("div");
+  addSlot.className = "effect-add";
+
+  const typeSelect = document.createElement("select");
+  Object.entries(TRACK_EFFECTS).forEach(([type, definition]) => {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = definition.label;
+    typeSelect.appendChild(option);
+  });
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "btn tiny";
+  addBtn.textContent = "+ Effect";
+  addBtn.disabled = owner.effects.length >= MAX_TRACK_EFFECTS;
+  addBtn.addEventListener("click", () => {
+    if (owner.effects.length >= MAX_TRACK_EFFECTS) return;
+    owner.effects.push(createTrackEffect(typeSelect.value));
+    commitTrackEffectChange();
+  });
+
+  addSlot.append(createDeviceField("Insert", typeSelect), addBtn);
+  elements.push(addSlot);
+  return elements;
+}
+
+function createSendsDevice(track) {
+  track.sends = track.sends || {};
+  const device = document.createElement("div");
+  device.className = "effect-device";
+
+  const head = document.createElement("div");
+  head.className = "effect-device-head";
+  const title = document.createElement("strong");
+  title.textContent = "Sends";
+  const returnsBtn = document.createElement("button");
+  returnsBtn.type = "button";
+  returnsBtn.className = "btn tiny";
+  returnsBtn.textContent = "Returns";
+  returnsBtn.addEventListener("click", openReturnBusDialog);
+  head.append(title, returnsBtn);
+
+  const params = document.createElement("div");
+  params.className = "effect-params";
+  project.buses.forEach((bus) => {
+    const wrap = document.createElement("label");
+    wrap.className = "effect-param";
+    const name = document.createElement("span");
+    name.textContent = bus.name;
+    const value = document.createElement("span");
+    value.className = "effect-param-value";
+    const level = track.sends[bus.id] ?? 0;
+    value.textContent = Math.round(level * 100);
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = 0;
+    slider.max = 1;
+    slider.step = 0.01;
+    slider.value = level;
+    slider.addEventListener("input", () => {
+      const next = parseFloat(slider.value);
+      if (next > 0) track.sends[bus.id] = next;
+      else delete track.sends[bus.id];
+      value.textContent = Math.round(next * 100);
+      commitTrackEffectChange({ reRenderDevice: false });
+    });
+    wrap.append(name, slider, value);
+    params.appendChild(wrap);
+  });
+
+  device.append(head, params);
+  return device;
+}
+
+function renderEffectDevices(track) {
+  createEffectChain(track).forEach((element) => ui.deviceContent.appendChild(element));
+  if (project.buses.length) {
+    ui.deviceContent.appendChild(createSendsDevice(track));
+  }
+}
+
+function createReturnBusSection(bus) {
+  const section = document.createElement("section");
+  section.className = "dialog-section";
+
+  const header = document.createElement("div");
+  header.className = "dialog-row";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.value = bus.name;
+  nameInput.maxLength = 32;
+  nameInput.setAttribute("aria-label", "Bus name");
+  nameInput.addEventListener("change", () => {
+    bus.name = nameInput.value.trim().slice(0, 32) || bus.name;
+    nameInput.value = bus.name;
+    commitTrackEffectChange();
+  });
+
+  const volumeInput = document.createElement("input");
+  volumeInput.type = "range";
+  volumeInput.min = 0;
+  volumeInput.max = 1;
+  volumeInput.step = 0.01;
+  volumeInput.value = bus.volume;
+  volumeInput.addEventListener("input", () => {
+    bus.volume = parseFloat(volumeInput.value);
+    commitTrackEffectChange({ reRenderDevice: false });
+  });
+
+  const muteBtn = document.createElement("button");
+  muteBtn.type = "button";
+  muteBtn.className = "btn tiny toggle";
+  muteBtn.textContent = "Mute";
+  muteBtn.setAttribute("aria-pressed", bus.mute ? "true" : "false");
+  muteBtn.addEventListener("click", () => {
+    bus.mute = !bus.mute;
+    commitTrackEffectChange();
+  });
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "btn tiny danger";
+  deleteBtn.textContent = "Del";
+  deleteBtn.addEventListener("click", () => {
+    project.buses = project.buses.filter((item) => item !== bus);
+    project.tracks.forEach((track) => {
+      delete track.sends?.[bus.id];
+    });
+    commitTrackEffectChange();
+  });
+
+  header.append(
+    createDialogField("Name", nameInput),
+    createDialogField("Vol", volumeInput),
+    muteBtn,
+    deleteBtn,
+  );
+
+  const chain = document.createElement("div");
+  chain.className = "return-bus-chain";
+  createEffectChain(bus).forEach((element) => chain.appendChild(element));
+
+  section.append(header, chain);
+  return section;
+}
+
+function renderReturnBusDialog() {
+  ui.returnBusList.innerHTML = "";
+  ui.addReturnBusBtn.disabled = project.buses.length >= MAX_RETURN_BUSES;
+  if (!project.buses.length) {
+    const empty = document.createElement("div");
+    empty.className = "dialog-subtitle";
+    empty.textContent = "No return buses yet.";
+    ui.returnBusList.appendChild(empty);
+    return;
+  }
+  project.buses.forEach((bus) => {
+    ui.returnBusList.appendChild(createReturnBusSection(bus));
+  });
+}
+
+function openReturnBusDialog() {
+  renderReturnBusDialog();
+  ui.returnBusOverlay.classList.remove("hidden");
+  ui.closeReturnBusBtn.focus();
+}
+
+function closeReturnBusDialog() {
+  ui.returnBusOverlay.classList.add("hidden");
+}
+
+function addReturnBus() {
+  if (project.buses.length >= MAX_RETURN_BUSES) return;
+  const effectType = project.buses.some((bus) => bus.effects.some((effect) => effect.type === "echo"))
+    ? "reverb"
+    : "echo";
+  project.buses.push(createReturnBus(project.buses.length, effectType));
+  commitTrackEffectChange();
+}
+
 function openConsolePicker() {
   const track = getSelectedTrack();
   if (!track) return;
@@ -2792,6 +4389,19 @@ function resetActiveChipDrumPad() {
   renderChipDrumEditor();
 }
 
+// Editors change the open block (or the selected sample clip) in place; copy that
+// content to its linked clips before anything is recorded or rendered.
+function syncEditedLinkedBlocks() {
+  const activeBlock = getActiveBlock();
+  if (activeBlock?.linkId) syncLinkedBlocks(getActiveTrack(), activeBlock);
+  const sampleTrack = project.tracks.find(
+    (track) => track.id === selectedTrackId && track.type === "sample",
+  );
+  const sampleBlockId = sampleTrack && selectedSampleBlockByTrack.get(sampleTrack.id);
+  const sampleBlock = sampleTrack?.blocks.find((block) => block.id === sampleBlockId);
+  if (sampleBlock?.linkId) syncLinkedBlocks(sampleTrack, sampleBlock);
+}
+
 function commitChange(options = {}) {
   const {
     reRenderTimeline = true,
@@ -2799,10 +4409,14 @@ function commitChange(options = {}) {
     reRenderDevice = true,
     record = true,
     shouldRestartPlayback = record,
+    label,
   } = options;
+  projectTempoMaps.delete(project);
+  syncEditedLinkedBlocks();
   if (record) {
-    history.push(project);
+    history.push(project, label);
     scheduleCacheSave();
+    refreshHistoryDialog();
   }
   if (reRenderTimeline) {
     timeline.setProject(project);
@@ -2820,18 +4434,30 @@ function commitChange(options = {}) {
   }
 }
 
-function applyState(nextState) {
+function applyState(nextState, { touched = true } = {}) {
+  audioEngine.releasePreviewOutputs(nextState === project ? project.tracks : null);
   project = nextState;
+  projectTempoMaps.delete(project);
   if (!project.tracks.some((track) => track.id === selectedTrackId)) {
     selectedTrackId = project.tracks[0]?.id || null;
   }
   ui.projectNameInput.value = project.name || "Untitled Project";
   ui.masterVolumeInput.value = Number.isFinite(project.masterVolume) ? project.masterVolume : 0.9;
   audioEngine.setMasterVolume(project.masterVolume ?? 0.9);
-  scheduleCacheSave();
+  scheduleCacheSave({ touched });
   ui.bpmInput.value = project.bpm;
   timeline.setProject(project);
   timeline.setSelectedTrackId(selectedTrackId);
+  if (!ui.tempoMapOverlay.classList.contains("hidden")) {
+    renderTempoMapDialog();
+  }
+  if (!ui.sectionsOverlay.classList.contains("hidden")) {
+    renderSectionsDialog();
+  }
+  if (!ui.returnBusOverlay.classList.contains("hidden")) {
+    renderReturnBusDialog();
+  }
+  refreshHistoryDialog();
   renderDevicePanel();
   ui.addTrackBtn.disabled = project.tracks.length >= MAX_TRACKS;
   if (activeBlockId) {
@@ -2863,38 +4489,395 @@ function applyState(nextState) {
   void ensureProjectAssetsLoaded().then(() => renderDevicePanel());
 }
 
-async function restartPlayback() {
-  audioEngine.stop();
-  await ensureProjectAssetsLoaded();
-  audioEngine.playProject(project, { loop: loopEnabled });
-  scheduleStopTimer();
+async function restartPlayback() {
+  await ensureProjectAssetsLoaded();
+  audioEngine.updateProject(project, { loop: loopEnabled, ...getPlaybackLoopRange() });
+}
+
+function getPlaybackLoopRange() {
+  return project.loopRange
+    ? { loopStart: project.loopRange.start, loopEnd: project.loopRange.end }
+    : { loopStart: 0, loopEnd: null };
+}
+
+function setLoopEnabled(enabled) {
+  loopEnabled = enabled;
+  ui.loopBtn.setAttribute("aria-pressed", loopEnabled ? "true" : "false");
+  timeline.setLoopEnabled(loopEnabled);
+}
+
+function openEditor(trackId, blockId) {
+  selectTrack(trackId);
+  const track = project.tracks.find((item) => item.id === trackId);
+  if (track?.type === "sample") {
+    selectedSampleBlockByTrack.set(trackId, blockId);
+    renderDevicePanel();
+    return;
+  }
+  activeTrackId = trackId;
+  activeBlockId = blockId;
+  stepInputBeat = 0;
+  previewEnabled = false;
+  ui.previewBtn.setAttribute("aria-pressed", "false");
+  ui.editorOverlay.classList.remove("hidden");
+  audioEngine.unlock();
+  refreshEditor();
+}
+
+function closeEditor() {
+  activeTrackId = null;
+  activeBlockId = null;
+  previewEnabled = false;
+  audioEngine.stopPreview();
+  stopPreviewAnimation();
+  ui.previewBtn.setAttribute("aria-pressed", "false");
+  ui.editorOverlay.classList.add("hidden");
+}
+
+function drawLibraryThumbnail(canvas, peaks) {
+  const context = canvas.getContext("2d");
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+  if (!peaks?.length) return;
+  const barWidth = width / peaks.length;
+  context.fillStyle = "#15788c";
+  peaks.forEach((peak, index) => {
+    const barHeight = Math.max(1, peak * height);
+    const x = index * barWidth;
+    context.fillRect(x, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+  });
+}
+
+function formatLibraryDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+async function loadLibraryProject(id) {
+  const record = await getLibraryProject(id);
+  if (!record) throw new Error("That song is no longer in the library");
+  currentProjectId = record.id;
+  audioEngine.releasePreviewOutputs();
+  project = normalizeProject(record.project);
+  history.restore(project, record.history);
+  await ensureProjectAssetsLoaded();
+  applyState(project, { touched: false });
+}
+
+async function openLibraryProject(id) {
+  if (id === currentProjectId) return;
+  try {
+    if (isPlaying) stopPlayback();
+    await saveProjectWithThumbnail();
+    await loadLibraryProject(id);
+    closeLibraryDialog();
+  } catch (error) {
+    console.error("Failed to open library project", error);
+    window.alert(`Could not open the song: ${error.message}`);
+  }
+}
+
+async function createLibraryProject() {
+  if (isPlaying) stopPlayback();
+  await startNewLibraryProject("Before New Song");
+  project = normalizeProject(createDefaultProject());
+  history.reset(project, "New song");
+  applyState(project);
+  await saveProjectToCache();
+  closeLibraryDialog();
+}
+
+async function renameLibraryProject(id, name) {
+  const safeName = name.trim() || "Untitled Project";
+  if (id === currentProjectId) {
+    project.name = safeName;
+    ui.projectNameInput.value = project.name;
+    commitChange({ reRenderTimeline: false, reRenderEditors: false });
+    await saveProjectToCache();
+  } else {
+    const record = await getLibraryProject(id);
+    if (!record) return;
+    await putLibraryProject({ id, project: { ...record.project, name: safeName } });
+  }
+  renderLibraryDialog();
+}
+
+async function duplicateLibraryProject(id) {
+  if (id === currentProjectId) await saveProjectToCache();
+  const record = await getLibraryProject(id);
+  if (!record) return;
+  await putLibraryProject({
+    id: createLibraryId(),
+    project: { ...record.project, name: `${record.project.name || "Untitled Project"} Copy` },
+    thumbnail: record.thumbnail,
+  });
+  renderLibraryDialog();
+}
+
+function confirmDeleteLibraryProject(id, name) {
+  openConfirm({
+    title: "Delete Song",
+    message: `Delete "${name}" from the library? Samples no other song uses are removed too.`,
+    onConfirm: async () => {
+      await librarySaveChain;
+      await deleteProjectSnapshots(id);
+      await deleteLibraryProject(id);
+      if (id === currentProjectId) {
+        const [next] = await listLibraryProjects();
+        if (next) {
+          await loadLibraryProject(next.id);
+        } else {
+          currentProjectId = createLibraryId();
+          project = normalizeProject(createDefaultProject());
+          history.reset(project);
+          applyState(project);
+        }
+      }
+      renderLibraryDialog();
+    },
+  });
+}
+
+function createLibraryRow(entry) {
+  const isCurrent = entry.id === currentProjectId;
+  const row = document.createElement("div");
+  row.className = "library-row";
+  row.classList.toggle("is-current", isCurrent);
+
+  const thumbnail = document.createElement("canvas");
+  thumbnail.className = "library-thumbnail";
+  thumbnail.width = 128;
+  thumbnail.height = 36;
+  drawLibraryThumbnail(thumbnail, entry.thumbnail);
+
+  const details = document.createElement("div");
+  details.className = "library-details";
+  const name = document.createElement("input");
+  name.type = "text";
+  name.value = entry.name;
+  name.setAttribute("aria-label", "Song name");
+  name.addEventListener("change", () => renameLibraryProject(entry.id, name.value));
+  const meta = document.createElement("span");
+  meta.className = "library-meta";
+  const sampleCount = entry.assetIds?.length || 0;
+  meta.textContent = [
+    isCurrent ? "Open now" : "",
+    `Modified ${formatLibraryDate(entry.updatedAt)}`,
+    sampleCount ? `${sampleCount} sample${sampleCount === 1 ? "" : "s"}` : "",
+  ].filter(Boolean).join(" · ");
+  details.append(name, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "library-actions";
+  const openButton = document.createElement("button");
+  openButton.type = "button";
+  openButton.className = "btn tiny";
+  openButton.textContent = "Open";
+  openButton.disabled = isCurrent;
+  openButton.addEventListener("click", () => openLibraryProject(entry.id));
+  const duplicateButton = document.createElement("button");
+  duplicateButton.type = "button";
+  duplicateButton.className = "btn tiny";
+  duplicateButton.textContent = "Duplicate";
+  duplicateButton.addEventListener("click", () => duplicateLibraryProject(entry.id));
+  const deleteButton = document.createElement("button");
+  deleteButton.type = "button";
+  deleteButton.className = "btn tiny danger";
+  deleteButton.textContent = "Del";
+  deleteButton.addEventListener("click", () => confirmDeleteLibraryProject(entry.id, entry.name));
+  actions.append(openButton, duplicateButton, deleteButton);
+
+  row.append(thumbnail, details, actions);
+  return row;
+}
+
+async function renderLibraryDialog() {
+  const token = ++libraryRenderToken;
+  await librarySaveChain;
+  const entries = await listLibraryProjects();
+  if (token !== libraryRenderToken) return;
+  ui.libraryList.innerHTML = "";
+  if (!entries.length) {
+    const empty = document.createElement("div");
+    empty.className = "dialog-empty";
+    empty.textContent = "The library is empty.";
+    ui.libraryList.appendChild(empty);
+    return;
+  }
+  entries.forEach((entry) => ui.libraryList.appendChild(createLibraryRow(entry)));
+}
+
+async function openLibraryDialog() {
+  ui.libraryOverlay.classList.remove("hidden");
+  ui.closeLibraryBtn.focus();
+  await saveProjectWithThumbnail();
+  renderLibraryDialog();
+}
+
+function closeLibraryDialog() {
+  ui.libraryOverlay.classList.add("hidden");
+}
+
+function summarizeProject(source) {
+  let blocks = 0;
+  let events = 0;
+  source.tracks.forEach((track) => {
+    blocks += track.blocks.length;
+    track.blocks.forEach((block) => {
+      events += block.notes?.length || block.pattern?.events?.length || 0;
+    });
+  });
+  return {
+    name: source.name,
+    bpm: source.bpm,
+    tracks: source.tracks.length,
+    blocks,
+    events,
+    beats: getProjectEndBeat(source),
+  };
+}
+
+function describeSnapshotChanges(snapshotProject) {
+  const then = summarizeProject(snapshotProject);
+  const now = summarizeProject(project);
+  const changes = [
+    ["name", "name"],
+    ["bpm", "tempo"],
+    ["tracks", "tracks"],
+    ["blocks", "clips"],
+    ["events", "notes/hits"],
+    ["beats", "length"],
+  ]
+    .filter(([key]) => then[key] !== now[key])
+    .map(([key, label]) => `${label} ${then[key]} → now ${now[key]}`);
+  return changes.length ? changes.join(", ") : "Same arrangement as now";
+}
+
+function formatSnapshotSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+async function restoreSnapshot(snapshot) {
+  try {
+    if (isPlaying) stopPlayback();
+    await takeSnapshot("Before Restore");
+    project = normalizeProject(JSON.parse(snapshot.json));
+    history.push(project, `Restore snapshot from ${formatLibraryDate(snapshot.createdAt)}`);
+    await ensureProjectAssetsLoaded();
+    applyState(project);
+    closeSnapshotsDialog();
+  } catch (error) {
+    console.error("Failed to restore snapshot", error);
+    window.alert(`Snapshot restore failed: ${error.message}`);
+  }
+}
+
+function createSnapshotRow(snapshot) {
+  const row = document.createElement("div");
+  row.className = "library-row snapshot-row";
+  const details = document.createElement("div");
+  details.className = "library-details";
+  const title = document.createElement("strong");
+  title.textContent = `${formatLibraryDate(snapshot.createdAt)} · ${snapshot.reason}`;
+  const meta = document.createElement("span");
+  meta.className = "library-meta";
+  let comparison = "";
+  try {
+    comparison = describeSnapshotChanges(normalizeProject(JSON.parse(snapshot.json)));
+  } catch (error) {
+    comparison = "Unreadable snapshot";
+  }
+  meta.textContent = `${formatSnapshotSize(snapshot.size)} · ${comparison}`;
+  details.append(title, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "library-actions";
+  const restoreButton = document.createElement("button");
+  restoreButton.type = "button";
+  restoreButton.className = "btn tiny";
+  restoreButton.textContent = "Restore";
+  restoreButton.title = "Replace the open song with this version (undo brings it back)";
+  restoreButton.addEventListener("click", () => restoreSnapshot(snapshot));
+  actions.appendChild(restoreButton);
+  row.append(details, actions);
+  return row;
+}
+
+async function renderSnapshotsDialog() {
+  const snapshots = await listSnapshots(currentProjectId);
+  ui.snapshotsSubtitle.textContent = `Saved versions of ${project.name || "this song"}`;
+  ui.snapshotList.innerHTML = "";
+  if (!snapshots.length) {
+    const empty = document.createElement("div");
+    empty.className = "dialog-empty";
+    empty.textContent = "No snapshots yet. They are taken on save, every few minutes and " +
+      "before imports replace the open song.";
+    ui.snapshotList.appendChild(empty);
+    return;
+  }
+  snapshots.forEach((snapshot) => ui.snapshotList.appendChild(createSnapshotRow(snapshot)));
+}
+
+function openSnapshotsDialog() {
+  ui.snapshotsOverlay.classList.remove("hidden");
+  ui.closeSnapshotsBtn.focus();
+  renderSnapshotsDialog();
+}
+
+function closeSnapshotsDialog() {
+  ui.snapshotsOverlay.classList.add("hidden");
+}
+
+function formatHistoryTime(timestamp) {
+  const sameDay = new Date(timestamp).toDateString() === new Date().toDateString();
+  return sameDay
+    ? new Date(timestamp).toLocaleTimeString(undefined, { timeStyle: "short" })
+    : formatLibraryDate(timestamp);
+}
+
+function jumpToHistoryStep(index) {
+  const nextState = history.jumpTo(index, project);
+  if (nextState) applyState(nextState);
+}
+
+function renderHistoryDialog() {
+  ui.historyList.innerHTML = "";
+  let currentRow = null;
+  history.getSteps().forEach((step, index) => {
+    const row = document.createElement("button");
+    row.type = "button";
+    row.className = "history-row";
+    row.classList.toggle("is-current", index === history.index);
+    row.classList.toggle("is-undone", index > history.index);
+    const label = document.createElement("span");
+    label.textContent = step.label;
+    const time = document.createElement("span");
+    time.className = "library-meta";
+    time.textContent = formatHistoryTime(step.time);
+    row.append(label, time);
+    row.addEventListener("click", () => jumpToHistoryStep(index));
+    ui.historyList.appendChild(row);
+    if (index === history.index) currentRow = row;
+  });
+  currentRow?.scrollIntoView({ block: "nearest" });
+}
+
+function refreshHistoryDialog() {
+  if (!ui.historyOverlay.classList.contains("hidden")) renderHistoryDialog();
 }
 
-function openEditor(trackId, blockId) {
-  selectTrack(trackId);
-  const track = project.tracks.find((item) => item.id === trackId);
-  if (track?.type === "sample") {
-    selectedSampleBlockByTrack.set(trackId, blockId);
-    renderDevicePanel();
-    return;
-  }
-  activeTrackId = trackId;
-  activeBlockId = blockId;
-  previewEnabled = false;
-  ui.previewBtn.setAttribute("aria-pressed", "false");
-  ui.editorOverlay.classList.remove("hidden");
-  audioEngine.unlock();
-  refreshEditor();
+function openHistoryDialog() {
+  ui.historyOverlay.classList.remove("hidden");
+  ui.closeHistoryBtn.focus();
+  renderHistoryDialog();
 }
 
-function closeEditor() {
-  activeTrackId = null;
-  activeBlockId = null;
-  previewEnabled = false;
-  audioEngine.stopPreview();
-  stopPreviewAnimation();
-  ui.previewBtn.setAttribute("aria-pressed", "false");
-  ui.editorOverlay.classList.add("hidden");
+function closeHistoryDialog() {
+  ui.historyOverlay.classList.add("hidden");
 }
 
 function openConfirm({ title, message, onConfirm }) {
@@ -2917,19 +4900,34 @@ function refreshEditor() {
     return;
   }
 
-  if (track.type === "synth") {
+  ui.trackerViewBtn.setAttribute("aria-pressed", trackerMode ? "true" : "false");
+  ui.pianoZoomControls.classList.toggle("is-tracker", trackerMode);
+  if (trackerMode && (track.type === "synth" || track.type === "drums")) {
+    ui.editorTitle.textContent = track.type === "synth" ? "Tracker" : "Drum Tracker";
+    ui.pianoZoomControls.classList.remove("hidden");
+    ui.trackerView.classList.remove("hidden");
+    ui.pianoRoll.classList.add("hidden");
+    ui.drumEditor.classList.add("hidden");
+    trackerView.setInstruments(project.instruments);
+    trackerView.setSnap(snap);
+    trackerView.setData(track, block);
+  } else if (track.type === "synth") {
     ui.editorTitle.textContent = "Piano Roll";
     ui.pianoZoomControls.classList.remove("hidden");
     ui.pianoRoll.classList.remove("hidden");
     ui.drumEditor.classList.add("hidden");
+    ui.trackerView.classList.add("hidden");
     pianoRoll.setSnap(snap);
     pianoRoll.setZoom(pianoZoom);
+    pianoRoll.setInstruments(project.instruments);
     pianoRoll.setData(track, block);
+    showStepInputCursor();
   } else if (track.type === "drums") {
     ui.editorTitle.textContent = "Drum Grid";
     ui.pianoZoomControls.classList.add("hidden");
     ui.drumEditor.classList.remove("hidden");
     ui.pianoRoll.classList.add("hidden");
+    ui.trackerView.classList.add("hidden");
     drumEditor.setZoom(zoom);
     drumEditor.setData(track, block);
   } else {
@@ -2950,7 +4948,10 @@ function restartPreview() {
   const track = getActiveTrack() || pianoRoll.track;
   const block = getActiveBlock() || pianoRoll.block;
   if (!track || !block) return;
-  audioEngine.previewBlock(track, block, project.bpm, { loop: previewEnabled });
+  audioEngine.previewBlock(track, block, getBpmAtBeat(block.startBeat), {
+    loop: previewEnabled,
+    instruments: project.instruments,
+  });
   pianoRoll.setPlayhead(0);
   startPreviewAnimation();
 }
@@ -2961,8 +4962,9 @@ function startPreviewAnimation() {
   }
   const tickPreview = () => {
     if (!previewEnabled) return;
-    const beat = audioEngine.getPreviewBeat(project.bpm);
+    const beat = audioEngine.getPreviewBeat();
     pianoRoll.setPlayhead(beat);
+    trackerView.setPlayhead(beat);
     previewAnimationFrame = window.requestAnimationFrame(tickPreview);
   };
   previewAnimationFrame = window.requestAnimationFrame(tickPreview);
@@ -2974,6 +4976,7 @@ function stopPreviewAnimation() {
     previewAnimationFrame = null;
   }
   pianoRoll.setPlayhead(0);
+  trackerView.setPlayhead(0);
 }
 
 function getActiveTrack() {
@@ -2987,7 +4990,7 @@ function getActiveBlock() {
 }
 
 function formatTime(beat) {
-  const seconds = (60 / project.bpm) * beat;
+  const seconds = getProjectTempoMap().beatToSeconds(beat);
   const minutes = Math.floor(seconds / 60);
   const remaining = Math.floor(seconds % 60).toString().padStart(2, "0");
   return `${minutes}:${remaining}`;
@@ -2995,7 +4998,11 @@ function formatTime(beat) {
 
 function tick() {
   if (!isPlaying) return;
-  const beat = audioEngine.getCurrentBeat(project.bpm);
+  if (!audioEngine.isPlaying) {
+    stopPlayback();
+    return;
+  }
+  const beat = audioEngine.getCurrentBeat();
   timeline.updatePlayhead(beat);
   ui.timeInfo.textContent = formatTime(beat);
   animationFrame = window.requestAnimationFrame(tick);
@@ -3035,20 +5042,12 @@ function startOscilloscope() {
   }
 }
 
-function scheduleStopTimer() {
-  if (playbackStopTimer) {
-    clearTimeout(playbackStopTimer);
-    playbackStopTimer = null;
-  }
-  if (loopEnabled) return;
-  const duration = getProjectEndBeat(project) * (60 / project.bpm) * 1000 + 120;
-  playbackStopTimer = window.setTimeout(() => {
-    isPlaying = false;
-    audioEngine.stop();
-    window.cancelAnimationFrame(animationFrame);
-    timeline.updatePlayhead(cursorBeat);
-    ui.timeInfo.textContent = formatTime(cursorBeat);
-  }, duration);
+function stopPlayback() {
+  isPlaying = false;
+  audioEngine.stop();
+  window.cancelAnimationFrame(animationFrame);
+  timeline.updatePlayhead(cursorBeat);
+  ui.timeInfo.textContent = formatTime(cursorBeat);
 }
 
 ui.playBtn.addEventListener("click", async () => {
@@ -3066,30 +5065,20 @@ ui.playBtn.addEventListener("click", async () => {
     return;
   }
   await ensureProjectAssetsLoaded();
-  audioEngine.playProject(project, { loop: loopEnabled });
-  scheduleStopTimer();
+  audioEngine.playProject(project, {
+    loop: loopEnabled,
+    startBeat: cursorBeat,
+    ...getPlaybackLoopRange(),
+  });
   animationFrame = window.requestAnimationFrame(tick);
   startOscilloscope();
 });
 
-ui.stopBtn.addEventListener("click", () => {
-  isPlaying = false;
-  audioEngine.stop();
-  if (playbackStopTimer) {
-    clearTimeout(playbackStopTimer);
-    playbackStopTimer = null;
-  }
-  window.cancelAnimationFrame(animationFrame);
-  timeline.updatePlayhead(cursorBeat);
-  ui.timeInfo.textContent = formatTime(cursorBeat);
-});
+ui.stopBtn.addEventListener("click", stopPlayback);
 
 ui.loopBtn.addEventListener("click", () => {
-  loopEnabled = !loopEnabled;
-  ui.loopBtn.setAttribute("aria-pressed", loopEnabled ? "true" : "false");
-  if (isPlaying) {
-    restartPlayback();
-  }
+  setLoopEnabled(!loopEnabled);
+  audioEngine.setLoop(loopEnabled, getPlaybackLoopRange());
 });
 
 ui.addTrackBtn.addEventListener("click", () => {
@@ -3108,9 +5097,12 @@ ui.addTrackBtn.addEventListener("click", () => {
 
 ui.bpmInput.value = project.bpm;
 ui.bpmInput.addEventListener("change", () => {
-  project.bpm = parseInt(ui.bpmInput.value, 10) || 120;
+  project.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, parseInt(ui.bpmInput.value, 10) || 120));
   ui.bpmInput.value = project.bpm;
-  commitChange({ reRenderTimeline: false, reRenderEditors: false });
+  commitChange({ reRenderEditors: false });
+  if (!ui.tempoMapOverlay.classList.contains("hidden")) {
+    renderTempoMapDialog();
+  }
 });
 
 ui.masterVolumeInput.value = Number.isFinite(project.masterVolume) ? project.masterVolume : 0.9;
@@ -3135,6 +5127,7 @@ function setGridSnap(value) {
   timeline.setSnap(snap);
   pianoRoll.setSnap(snap);
   drumEditor.setSnap(snap);
+  trackerView.setSnap(snap);
 }
 
 function updatePianoZoomControls() {
@@ -3174,6 +5167,7 @@ ui.globalConsoleSelect.addEventListener("change", () => {
   const waves = CONSOLE_WAVES[consoleName] || [];
   project.tracks.forEach((track) => {
     if (track.type !== "synth") return;
+    convertTrackWavetable(track, consoleName);
     track.console = consoleName;
     track.waveform = waves[0] || track.waveform;
   });
@@ -3214,24 +5208,19 @@ ui.quantizeBtn.addEventListener("click", () => {
     if (track.type !== "synth") return;
     track.blocks.forEach((block) => trimNotesToBlock(block));
   });
-  commitChange();
+  commitChange({ label: "Quantize project" });
 });
 
-ui.undoBtn.addEventListener("click", () => {
-  const nextState = history.undo();
-  if (nextState) applyState(nextState);
-});
+ui.undoBtn.addEventListener("click", () => applyHistoryStep(history.undo(project)));
 
-ui.redoBtn.addEventListener("click", () => {
-  const nextState = history.redo();
-  if (nextState) applyState(nextState);
-});
+ui.redoBtn.addEventListener("click", () => applyHistoryStep(history.redo(project)));
 
 ui.saveBtn.addEventListener("click", () => {
   const blob = new Blob([JSON.stringify(project, null, 2)], {
     type: "application/json",
   });
   downloadBlob(blob, getSafeProjectName("json"));
+  void takeSnapshot("Saved JSON");
 });
 
 ui.loadBtn.addEventListener("click", () => {
@@ -3242,6 +5231,7 @@ ui.saveProjectBtn.addEventListener("click", async () => {
   try {
     const blob = await createChipProjectBlob(project, getAsset);
     downloadBlob(blob, getSafeProjectName("chipproject"));
+    void takeSnapshot("Saved Project");
   } catch (error) {
     console.error("Failed to save project bundle", error);
     window.alert(`Project export failed: ${error.message}`);
@@ -3256,6 +5246,18 @@ ui.importMidiBtn.addEventListener("click", () => {
   ui.midiInput.click();
 });
 
+ui.exportMidiBtn.addEventListener("click", () => {
+  exportMidi();
+});
+
+ui.importTrackerBtn.addEventListener("click", () => {
+  ui.trackerInput.click();
+});
+
+ui.importModuleBtn.addEventListener("click", () => {
+  ui.moduleInput.click();
+});
+
 ui.sampleInput.addEventListener("change", async () => {
   const file = ui.sampleInput.files[0];
   const trackId = pendingSampleTrackId;
@@ -3272,6 +5274,29 @@ ui.sampleInput.addEventListener("change", async () => {
   }
 });
 
+ui.instrumentInput.addEventListener("change", async () => {
+  const file = ui.instrumentInput.files[0];
+  const track = project.tracks.find((item) => item.id === pendingInstrumentTrackId);
+  ui.instrumentInput.value = "";
+  pendingInstrumentTrackId = null;
+  if (!file || !track) return;
+  try {
+    const instrument = await readInstrumentPreset(file);
+    if (instrument.type !== track.type) {
+      throw new Error(`This preset is for ${instrument.type} tracks`);
+    }
+    if (project.instruments.length >= MAX_INSTRUMENTS) {
+      throw new Error(`The project already has ${MAX_INSTRUMENTS} instruments`);
+    }
+    project.instruments.push(instrument);
+    applyInstrument(track, instrument);
+    commitChange();
+  } catch (error) {
+    console.error("Failed to import instrument", error);
+    window.alert(`Instrument import failed: ${error.message}`);
+  }
+});
+
 ui.projectInput.addEventListener("change", async () => {
   const file = ui.projectInput.files[0];
   ui.projectInput.value = "";
@@ -3281,6 +5306,7 @@ ui.projectInput.addEventListener("change", async () => {
     for (const asset of imported.assets) {
       await putAsset(asset);
     }
+    await startNewLibraryProject("Before Open Project");
     project = normalizeProject(imported.project);
     history.reset(project);
     await ensureProjectAssetsLoaded();
@@ -3297,6 +5323,7 @@ ui.loadInput.addEventListener("change", async () => {
   const text = await file.text();
   try {
     const parsed = JSON.parse(text);
+    await startNewLibraryProject("Before Load JSON");
     project = normalizeProject(parsed);
     history.reset(project);
     await ensureProjectAssetsLoaded();
@@ -3312,6 +5339,7 @@ ui.midiInput.addEventListener("change", async () => {
   if (!file) return;
   try {
     const importedProject = await importMidiFile(file);
+    await startNewLibraryProject("Before Import MIDI");
     project = normalizeProject(importedProject);
     history.reset(project);
     applyState(project);
@@ -3321,13 +5349,86 @@ ui.midiInput.addEventListener("change", async () => {
   ui.midiInput.value = "";
 });
 
+ui.trackerInput.addEventListener("change", async () => {
+  const file = ui.trackerInput.files[0];
+  if (!file) return;
+  try {
+    const { project: importedProject, issues } = await importTrackerFile(file);
+    await startNewLibraryProject("Before Import Tracker");
+    project = normalizeProject(importedProject);
+    history.reset(project);
+    applyState(project);
+    if (issues.length) {
+      const list = issues.map((issue) => `- ${issue}`).join("\n");
+      window.alert(`Imported with unsupported features:\n${list}`);
+    }
+  } catch (error) {
+    console.error("Failed to import tracker file", error);
+    window.alert(`Tracker import failed: ${error.message}`);
+  }
+  ui.trackerInput.value = "";
+});
+
+ui.moduleInput.addEventListener("change", async () => {
+  const file = ui.moduleInput.files[0];
+  if (!file) return;
+  try {
+    const imported = await importModuleFile(file);
+    for (const asset of imported.assets) {
+      await putAsset(asset);
+    }
+    await startNewLibraryProject("Before Import Module");
+    project = normalizeProject(imported.project);
+    history.reset(project);
+    await ensureProjectAssetsLoaded();
+    applyState(project);
+    if (imported.issues.length) {
+      const list = imported.issues.map((issue) => `- ${issue}`).join("\n");
+      window.alert(`Imported with unsupported features:\n${list}`);
+    }
+  } catch (error) {
+    console.error("Failed to import module", error);
+    window.alert(`Module import failed: ${error.message}`);
+  }
+  ui.moduleInput.value = "";
+});
+
 ui.clearCacheBtn.addEventListener("click", async () => {
-  const confirmClear = window.confirm("Clear cached project data and stored audio assets?");
+  const confirmClear = window.confirm(
+    "Delete every song in the library and all stored audio assets?",
+  );
   if (!confirmClear) return;
-  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  await librarySaveChain;
+  await clearLibrary();
+  await clearSnapshots();
   await clearAssets();
 });
 
+ui.libraryBtn.addEventListener("click", openLibraryDialog);
+ui.snapshotsBtn.addEventListener("click", openSnapshotsDialog);
+ui.historyBtn.addEventListener("click", openHistoryDialog);
+ui.closeHistoryBtn.addEventListener("click", closeHistoryDialog);
+ui.historyOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.historyOverlay) closeHistoryDialog();
+});
+ui.closeSnapshotsBtn.addEventListener("click", closeSnapshotsDialog);
+ui.takeSnapshotBtn.addEventListener("click", async () => {
+  await takeSnapshot("Manual");
+  renderSnapshotsDialog();
+});
+ui.snapshotsOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.snapshotsOverlay) closeSnapshotsDialog();
+});
+ui.dismissStorageWarningBtn.addEventListener("click", () => {
+  ui.storageWarning.classList.add("hidden");
+});
+ui.newLibraryProjectBtn.addEventListener("click", createLibraryProject);
+ui.closeLibraryBtn.addEventListener("click", closeLibraryDialog);
+ui.libraryOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.libraryOverlay) closeLibraryDialog();
+});
+
 ui.exportBtn.addEventListener("click", openWavExportDialog);
 ui.wavExportMasterBtn.addEventListener("click", () => setWavExportMode("master"));
 ui.wavExportTracksBtn.addEventListener("click", () => setWavExportMode("tracks"));
@@ -3342,9 +5443,56 @@ ui.wavExportClearBtn.addEventListener("click", () => {
 ui.wavExportCancelBtn.addEventListener("click", closeWavExportDialog);
 ui.closeWavExportBtn.addEventListener("click", closeWavExportDialog);
 ui.wavExportConfirmBtn.addEventListener("click", confirmWavExport);
+ui.wavExportMidiBtn.addEventListener("click", confirmMidiExport);
+ui.wavExportNsfBtn.addEventListener("click", () => confirmChipExport("nsf"));
+ui.wavExportApuLogBtn.addEventListener("click", () => confirmChipExport("log"));
+ui.wavExportXmBtn.addEventListener("click", confirmXmExport);
 ui.wavExportOverlay.addEventListener("pointerdown", (event) => {
   if (event.target === ui.wavExportOverlay) closeWavExportDialog();
 });
+ui.closeTempoMapBtn.addEventListener("click", closeTempoMapDialog);
+ui.addTempoChangeBtn.addEventListener("click", addTempoChangeAtCursor);
+ui.addMeterChangeBtn.addEventListener("click", addMeterChangeAtCursor);
+ui.tempoMapOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.tempoMapOverlay) closeTempoMapDialog();
+});
+ui.closeSectionsBtn.addEventListener("click", closeSectionsDialog);
+ui.addMarkerBtn.addEventListener("click", addMarkerAtCursor);
+ui.setLoopPointBtn.addEventListener("click", setLoopPointAtCursor);
+ui.sectionsOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.sectionsOverlay) closeSectionsDialog();
+});
+ui.wavExportRangeSelect.addEventListener("change", () => {
+  wavExportRange = ui.wavExportRangeSelect.value;
+});
+[
+  ui.wavExportSampleRateSelect,
+  ui.wavExportBitDepthSelect,
+  ui.wavExportDitherInput,
+  ui.wavExportMonoInput,
+  ui.wavExportLimiterInput,
+  ui.wavExportNormalizeSelect,
+  ui.wavExportNormalizeTargetInput,
+  ui.wavExportTailInput,
+].forEach((control) => control.addEventListener("change", updateWavExportFormat));
+ui.wavExportLoopModeSelect.addEventListener("change", () => {
+  wavExportLoopMode = ui.wavExportLoopModeSelect.value;
+  renderWavExportDialog();
+});
+ui.returnBusBtn.addEventListener("click", openReturnBusDialog);
+ui.addReturnBusBtn.addEventListener("click", addReturnBus);
+ui.closeReturnBusBtn.addEventListener("click", closeReturnBusDialog);
+ui.returnBusOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.returnBusOverlay) closeReturnBusDialog();
+});
+
+ui.trackerViewBtn.addEventListener("click", () => {
+  trackerMode = !trackerMode;
+  refreshEditor();
+  if (trackerMode) {
+    ui.trackerView.focus({ preventScroll: true });
+  }
+});
 
 ui.previewBtn.addEventListener("click", () => {
   previewEnabled = !previewEnabled;
@@ -3567,7 +5715,9 @@ ui.sampleMarkerPreviewBtn.addEventListener("click", () => {
     ...context.block,
     warp: { ...context.warp, enabled: true, mode: "beats" },
   };
-  audioEngine.previewBlock(context.track, previewBlock, project.bpm, { loop: true });
+  audioEngine.previewBlock(context.track, previewBlock, getBpmAtBeat(previewBlock.startBeat), {
+    loop: true,
+  });
   const animate = () => {
     if (!sampleMarkerPreview) return;
     drawWarpMarkerCanvas();
@@ -3645,11 +5795,399 @@ ui.editorOverlay.addEventListener("pointerdown", () => {
   startOscilloscope();
 });
 
+function selectTimelineBlock(trackId, blockId) {
+  selectedBlockRef = blockId ? { trackId, blockId } : null;
+  timeline.setSelectedBlockId(blockId);
+}
+
+function getSelectedTimelineBlock() {
+  const track = project.tracks.find((item) => item.id === selectedBlockRef?.trackId);
+  const block = track?.blocks.find((item) => item.id === selectedBlockRef.blockId);
+  return block ? { track, block } : null;
+}
+
+const isEditorOpen = () => !ui.editorOverlay.classList.contains("hidden");
+const isPianoRollActive = () => isEditorOpen() && !ui.pianoRoll.classList.contains("hidden");
+const isTrackerActive = () => isEditorOpen() && !ui.trackerView.classList.contains("hidden");
+
+// With the editor open these act on the selected note, never on the clip behind it.
+function duplicateSelection() {
+  if (isEditorOpen()) return isPianoRollActive() && pianoRoll.duplicateSelectedNote();
+  const selection = getSelectedTimelineBlock();
+  if (!selection) return false;
+  const { track, block } = selection;
+  timeline.onBlockDuplicate(track.id, block.id);
+  selectTimelineBlock(track.id, track.blocks[track.blocks.length - 1].id);
+  return true;
+}
+
+function deleteSelection() {
+  if (isEditorOpen()) return isPianoRollActive() && pianoRoll.deleteSelectedNote();
+  const selection = getSelectedTimelineBlock();
+  if (!selection) return false;
+  timeline.onBlockDelete(selection.track.id, selection.block.id);
+  selectTimelineBlock(null, null);
+  return true;
+}
+
+function nudgeSelection(beats, semitones = 0) {
+  if (isEditorOpen()) {
+    return isPianoRollActive() && pianoRoll.nudgeSelectedNote({ beats, semitones });
+  }
+  const selection = getSelectedTimelineBlock();
+  if (!selection || !beats) return false;
+  const { track, block } = selection;
+  const startBeat = Math.max(0, Math.round((block.startBeat + beats) / snap) * snap);
+  if (startBeat !== block.startBeat) timeline.onBlockChange(track.id, block.id, { startBeat });
+  return true;
+}
+
+function stepOctave(direction) {
+  if (isTrackerActive()) {
+    trackerView.stepOctave(direction);
+    return true;
+  }
+  if (!isPianoRollActive()) return false;
+  if (!pianoRoll.nudgeSelectedNote({ semitones: 12 * direction })) {
+    pianoRoll.scrollOctave(direction);
+  }
+  return true;
+}
+
+function applyHistoryStep(nextState) {
+  if (nextState) applyState(nextState);
+}
+
+const SHORTCUT_HANDLERS = {
+  playStop: () => (isPlaying ? stopPlayback() : ui.playBtn.click()),
+  goToStart: () => moveCursorTo(0),
+  goToEnd: () => moveCursorTo(getProjectEndBeat(project)),
+  toggleLoop: () => ui.loopBtn.click(),
+  previousMarker: () => jumpToMarker(-1),
+  nextMarker: () => jumpToMarker(1),
+  addMarker: () => addMarkerAtCursor(),
+  undo: () => applyHistoryStep(history.undo(project)),
+  redo: () => applyHistoryStep(history.redo(project)),
+  duplicate: duplicateSelection,
+  delete: deleteSelection,
+  nudgeLeft: () => nudgeSelection(-snap),
+  nudgeRight: () => nudgeSelection(snap),
+  nudgeUp: () => nudgeSelection(0, 1),
+  nudgeDown: () => nudgeSelection(0, -1),
+  octaveUp: () => stepOctave(1),
+  octaveDown: () => stepOctave(-1),
+  showShortcuts: () => openShortcutsDialog(),
+};
+
+function handleShortcut(event) {
+  if (event.defaultPrevented || event.isComposing) return;
+  const combo = getEventCombo(event);
+  const action = combo && findShortcutAction(keymap, combo);
+  if (!action || (event.repeat && !action.repeat)) return;
+  if (action.id !== "undo" && action.id !== "redo" && !canUseGlobalKeys(event)) return;
+  if (combo.length === 1 && isNoteEntryFocused(event)) return;
+  const handled = action.snap ? setGridSnap(action.snap) : SHORTCUT_HANDLERS[action.id]?.();
+  if (handled !== false) event.preventDefault();
+}
+
+// Bare digits and letters are note, hex and effect keys while notes are being typed in.
+function isNoteEntryFocused(event) {
+  if (noteInputSettings.mode !== "off" && isPianoRollActive()) return true;
+  return isTrackerActive() && event.target === ui.trackerView;
+}
+
+function canUseGlobalKeys(event) {
+  const target = event.target;
+  const isTyping =
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName));
+  return !isTyping && !document.querySelector(".overlay:not(.hidden):not(#editorOverlay)");
+}
+
+function getNoteInputTarget() {
+  if (noteInputSettings.mode === "off" || !isPianoRollActive()) return null;
+  const track = getActiveTrack();
+  const block = getActiveBlock();
+  return track?.type === "synth" && block ? { track, block } : null;
+}
+
+function handleInputNoteOn(pitch, velocity) {
+  const previewTrack =
+    getActiveTrack() || project.tracks.find((item) => item.id === selectedTrackId);
+  if (previewTrack?.type === "synth" && audioEngine.unlock()) {
+    audioEngine.previewNote(previewTrack, pitch);
+  }
+  const target = getNoteInputTarget();
+  if (!target) return;
+  if (noteInputSettings.mode === "step") {
+    heldInputNotes.set(pitch, null);
+    addInputNote(target.block, { pitch, start: stepInputBeat, duration: snap, velocity });
+  } else if (isPlaying) {
+    heldInputNotes.set(pitch, { beat: audioEngine.getCurrentBeat(), velocity });
+  }
+}
+
+function handleInputNoteOff(pitch) {
+  if (!heldInputNotes.has(pitch)) return;
+  const held = heldInputNotes.get(pitch);
+  heldInputNotes.delete(pitch);
+  if (held === null) {
+    if (![...heldInputNotes.values()].includes(null)) advanceStepInput(snap);
+    return;
+  }
+  const target = getNoteInputTarget();
+  if (target && isPlaying) recordLiveNote(target.block, pitch, held, audioEngine.getCurrentBeat());
+}
+
+function recordLiveNote(block, pitch, { beat, velocity }, endBeat) {
+  const span = getLiveNoteSpan(block, beat, endBeat, {
+    snap,
+    quantize: noteInputSettings.quantize,
+  });
+  if (span) addInputNote(block, { pitch, ...span, velocity });
+}
+
+function addInputNote(block, { pitch, start, duration, velocity }) {
+  block.notes = block.notes.filter(
+    (note) => note.pitch !== pitch || Math.abs(note.start - start) >= 0.001,
+  );
+  block.notes.push(
+    createNote({ pitch, start, duration: Math.min(duration, block.length - start), velocity }),
+  );
+  commitChange({ reRenderDevice: false, shouldRestartPlayback: false });
+  showStepInputCursor();
+}
+
+function advanceStepInput(beats) {
+  const block = getActiveBlock();
+  if (!block) return;
+  stepInputBeat = getNextStepBeat(stepInputBeat, beats, block.length);
+  showStepInputCursor();
+}
+
+function showStepInputCursor() {
+  if (noteInputSettings.mode === "step" && !isPlaying && !previewEnabled) {
+    pianoRoll.setPlayhead(stepInputBeat);
+  }
+}
+
+function setNoteInputOctave(octave) {
+  noteInputSettings.octave = noteInput.setOctave(octave);
+  ui.noteInputOctaveInput.value = `${noteInputSettings.octave}`;
+  saveSettings({ noteInput: { ...noteInputSettings } });
+}
+
+// Layout keys win over global shortcuts while note input is on.
+function handleNoteInputKey(event) {
+  if (noteInputSettings.mode === "off" || !isPianoRollActive() || !canUseGlobalKeys(event)) {
+    return false;
+  }
+  if (event.metaKey || event.ctrlKey || event.altKey) return false;
+  if (event.key === "/" || event.key === "*") {
+    setNoteInputOctave(noteInputSettings.octave + (event.key === "*" ? 1 : -1));
+    return true;
+  }
+  if (noteInputSettings.mode === "step" && (event.key === "=" || event.key === "`")) {
+    advanceStepInput(snap);
+    return true;
+  }
+  return noteInput.handleKeyDown(event);
+}
+
+function setNoteInputMode(mode) {
+  noteInput.releaseAll();
+  heldInputNotes.clear();
+  noteInputSettings.mode = NOTE_INPUT_MODES.includes(mode) ? mode : "off";
+  ui.noteInputModeSelect.value = noteInputSettings.mode;
+  saveSettings({ noteInput: { ...noteInputSettings } });
+  stepInputBeat = 0;
+  showStepInputCursor();
+}
+
+function updateMidiButton(inputNames) {
+  const connected = Boolean(noteInput.midiAccess);
+  ui.midiConnectBtn.setAttribute("aria-pressed", connected ? "true" : "false");
+  ui.midiConnectBtn.textContent = connected ? `MIDI (${inputNames.length})` : "MIDI";
+  ui.midiConnectBtn.title = connected
+    ? inputNames.join(", ") || "No MIDI inputs connected"
+    : "Play notes from a MIDI keyboard";
+}
+
+const noteInput = new NoteInput({
+  octave: noteInputSettings.octave,
+  onNoteOn: handleInputNoteOn,
+  onNoteOff: handleInputNoteOff,
+  onMidiInputsChange: updateMidiButton,
+});
+noteInputSettings.octave = noteInput.setOctave(noteInputSettings.octave);
+
+ui.noteInputModeSelect.value = noteInputSettings.mode;
+ui.noteInputModeSelect.addEventListener("change", () => {
+  setNoteInputMode(ui.noteInputModeSelect.value);
+  ui.noteInputModeSelect.blur();
+});
+ui.noteInputOctaveInput.value = `${noteInputSettings.octave}`;
+ui.noteInputOctaveInput.addEventListener("change", () => {
+  setNoteInputOctave(ui.noteInputOctaveInput.value);
+});
+ui.noteInputQuantizeInput.checked = Boolean(noteInputSettings.quantize);
+ui.noteInputQuantizeInput.addEventListener("change", () => {
+  noteInputSettings.quantize = ui.noteInputQuantizeInput.checked;
+  saveSettings({ noteInput: { ...noteInputSettings } });
+});
+ui.midiConnectBtn.addEventListener("click", async () => {
+  if (noteInput.midiAccess) {
+    noteInput.disconnectMidi();
+    return;
+  }
+  try {
+    await noteInput.connectMidi();
+  } catch (error) {
+    console.error("Failed to connect MIDI input", error);
+    window.alert(`MIDI input unavailable: ${error.message}`);
+  }
+});
+window.addEventListener("keyup", (event) => noteInput.handleKeyUp(event));
+window.addEventListener("blur", () => noteInput.releaseAll());
+
+function createShortcutRow(action) {
+  const isCapturing = shortcutCaptureId === action.id;
+  const row = document.createElement("div");
+  row.className = "dialog-row";
+  const label = document.createElement("span");
+  label.className = "shortcut-label";
+  label.textContent = action.label;
+  const keys = document.createElement("span");
+  keys.className = "shortcut-keys";
+  if (isCapturing) {
+    keys.textContent = "Press a key… (Esc cancels)";
+  } else if (keymap[action.id].length) {
+    keymap[action.id].forEach((combo) => {
+      const kbd = document.createElement("kbd");
+      kbd.textContent = formatCombo(combo);
+      keys.appendChild(kbd);
+    });
+  } else {
+    keys.textContent = "Unassigned";
+  }
+  const changeButton = document.createElement("button");
+  changeButton.type = "button";
+  changeButton.className = "btn tiny";
+  changeButton.textContent = isCapturing ? "Cancel" : "Change";
+  changeButton.addEventListener("click", () => {
+    shortcutCaptureId = isCapturing ? null : action.id;
+    renderShortcutsDialog();
+  });
+  row.append(label, keys, changeButton);
+  return row;
+}
+
+function renderShortcutsDialog(notice = "") {
+  ui.shortcutsSubtitle.textContent = notice || "Change a shortcut, then press its new keys";
+  ui.shortcutList.innerHTML = "";
+  const groups = new Map();
+  SHORTCUT_ACTIONS.forEach((action) => {
+    if (!groups.has(action.group)) groups.set(action.group, []);
+    groups.get(action.group).push(action);
+  });
+  groups.forEach((actions, group) => {
+    const section = document.createElement("section");
+    section.className = "dialog-section";
+    const header = document.createElement("div");
+    header.className = "dialog-section-header";
+    const title = document.createElement("strong");
+    title.textContent = group;
+    header.appendChild(title);
+    const list = document.createElement("div");
+    list.className = "shortcut-list";
+    actions.forEach((action) => list.appendChild(createShortcutRow(action)));
+    section.append(header, list);
+    ui.shortcutList.appendChild(section);
+  });
+}
+
+// Escape is reserved for closing dialogs, so it cancels instead of being bound.
+function captureShortcut(event) {
+  const combo = getEventCombo(event);
+  if (!combo) return;
+  event.preventDefault();
+  const actionId = shortcutCaptureId;
+  shortcutCaptureId = null;
+  if (combo === "Escape") {
+    renderShortcutsDialog();
+    return;
+  }
+  const previous = findShortcutAction(keymap, combo);
+  keymap = assignShortcut(keymap, actionId, combo);
+  saveSettings({ keymap });
+  renderShortcutsDialog(
+    previous && previous.id !== actionId
+      ? `${formatCombo(combo)} moved here from "${previous.label}"`
+      : "",
+  );
+}
+
+function openShortcutsDialog() {
+  shortcutCaptureId = null;
+  ui.shortcutsOverlay.classList.remove("hidden");
+  ui.closeShortcutsBtn.focus();
+  renderShortcutsDialog();
+}
+
+function closeShortcutsDialog() {
+  shortcutCaptureId = null;
+  ui.shortcutsOverlay.classList.add("hidden");
+}
+
+ui.shortcutsBtn.addEventListener("click", openShortcutsDialog);
+ui.closeShortcutsBtn.addEventListener("click", closeShortcutsDialog);
+ui.resetShortcutsBtn.addEventListener("click", () => {
+  keymap = getDefaultKeymap();
+  saveSettings({ keymap });
+  shortcutCaptureId = null;
+  renderShortcutsDialog("Shortcuts reset to the defaults");
+});
+ui.shortcutsOverlay.addEventListener("pointerdown", (event) => {
+  if (event.target === ui.shortcutsOverlay) closeShortcutsDialog();
+});
+
 window.addEventListener("keydown", (event) => {
+  if (shortcutCaptureId) {
+    captureShortcut(event);
+    return;
+  }
+  if (event.key === "Escape" && !ui.shortcutsOverlay.classList.contains("hidden")) {
+    closeShortcutsDialog();
+    return;
+  }
   if (event.key === "Escape" && !ui.wavExportOverlay.classList.contains("hidden")) {
     closeWavExportDialog();
     return;
   }
+  if (event.key === "Escape" && !ui.tempoMapOverlay.classList.contains("hidden")) {
+    closeTempoMapDialog();
+    return;
+  }
+  if (event.key === "Escape" && !ui.historyOverlay.classList.contains("hidden")) {
+    closeHistoryDialog();
+    return;
+  }
+  if (event.key === "Escape" && !ui.snapshotsOverlay.classList.contains("hidden")) {
+    closeSnapshotsDialog();
+    return;
+  }
+  if (event.key === "Escape" && !ui.libraryOverlay.classList.contains("hidden")) {
+    closeLibraryDialog();
+    return;
+  }
+  if (event.key === "Escape" && !ui.sectionsOverlay.classList.contains("hidden")) {
+    closeSectionsDialog();
+    return;
+  }
+  if (event.key === "Escape" && !ui.returnBusOverlay.classList.contains("hidden")) {
+    closeReturnBusDialog();
+    return;
+  }
   if (event.key === "Escape" && !ui.sampleMarkerOverlay.classList.contains("hidden")) {
     closeSampleMarkerEditor();
     return;
@@ -3658,20 +6196,23 @@ window.addEventListener("keydown", (event) => {
     closeChipDrumEditor();
     return;
   }
-  if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === "z") {
+  if (handleNoteInputKey(event)) {
     event.preventDefault();
-    if (event.shiftKey) {
-      const nextState = history.redo();
-      if (nextState) applyState(nextState);
-    } else {
-      const nextState = history.undo();
-      if (nextState) applyState(nextState);
-    }
+    return;
   }
+  handleShortcut(event);
+});
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushCacheSave();
+});
+
+window.addEventListener("pagehide", () => {
+  flushCacheSave();
+  writeUnloadJournal();
 });
 
 window.addEventListener("beforeunload", () => {
-  saveProjectToCache();
   stopChipDrumOscilloscope();
   stopSampleMarkerPreview();
   audioEngine.stop();
@@ -3694,3 +6235,43 @@ if (project.tracks[0].blocks.length === 0) {
 timeline.setSelectedTrackId(selectedTrackId);
 renderDevicePanel();
 void ensureProjectAssetsLoaded().then(() => renderDevicePanel());
+
+async function restoreLibraryProject() {
+  try {
+    const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (legacy) {
+      await putLibraryProject({
+        id: createLibraryId(),
+        project: normalizeProject(JSON.parse(legacy)),
+      });
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Failed to move the autosaved project into the library", error);
+  }
+  try {
+    const journal = localStorage.getItem(UNLOAD_JOURNAL_KEY);
+    if (journal) {
+      const record = JSON.parse(journal);
+      await putLibraryProject({
+        id: record.id,
+        project: normalizeProject(record.project),
+        history: record.history,
+      });
+      localStorage.removeItem(UNLOAD_JOURNAL_KEY);
+    }
+  } catch (error) {
+    console.warn("Failed to recover changes made just before the page closed", error);
+  }
+  try {
+    const [latest] = await listLibraryProjects();
+    if (latest) await loadLibraryProject(latest.id);
+  } catch (error) {
+    console.warn("Failed to restore the last library project", error);
+  }
+  libraryReady = true;
+  scheduleCacheSave({ touched: false });
+  window.setInterval(() => takeSnapshot("Autosave"), SNAPSHOT_INTERVAL_MS);
+}
+
+void restoreLibraryProject();
@@ -1,53 +1,10 @@
-const DB_NAME = "chiptune_composer_assets_v1";
-const STORE_NAME = "assets";
-const DB_VERSION = 1;
-const memoryStore = new Map();
-
-function openDatabase() {
-  if (!window.indexedDB) return Promise.resolve(null);
-
-  return new Promise((resolve, reject) => {
-    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
-    request.onupgradeneeded = () => {
-      const db = request.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: "id" });
-      }
-    };
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-}
+import { createStoreTransaction } from "./indexedDbStore.js";
 
-async function runTransaction(mode, operation) {
-  let db;
-  try {
-    db = await openDatabase();
-  } catch (error) {
-    console.warn("IndexedDB unavailable, using memory storage", error);
-    return null;
-  }
-  if (!db) return null;
-
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(STORE_NAME, mode);
-    const store = transaction.objectStore(STORE_NAME);
-    let request;
-    try {
-      request = operation(store);
-    } catch (error) {
-      reject(error);
-      return;
-    }
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-    transaction.oncomplete = () => db.close();
-    transaction.onerror = () => {
-      db.close();
-      reject(transaction.error);
-    };
-  });
-}
+const runTransaction = createStoreTransaction({
+  dbName: "chiptune_composer_assets_v1",
+  storeName: "assets",
+});
+const memoryStore = new Map();
 
 function fallbackHash(bytes) {
   let hash = 2166136261;
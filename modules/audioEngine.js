@@ -2,9 +2,23 @@ import {
   DEFAULT_ADSR,
   DEFAULT_DRUM_ROWS,
   ensureDrumPattern,
+  getActiveAutomationLanes,
+  getActiveMacros,
+  getAutomationValue,
   getDrumVoiceDefinition,
+  getMacroFrameValue,
+  getNoteEffect,
+  getNoteInstrumentTrack,
   getProjectEndBeat,
+  getWavetableLevels,
+  MACRO_FRAME_RATE,
+  NOTE_DUTY_CYCLES,
+  NOTE_EFFECT_TICK_RATE,
+  WAVETABLE_CONSOLES,
+  WAVETABLES,
 } from "./dataModel.js";
+import { allocateHardwareChannels } from "./hardwareChannels.js";
+import { TempoMap } from "./tempoMap.js";
 
 const PULSE_WAVES = new Map();
 const NOISE_BUFFERS = new Map();
@@ -12,6 +26,10 @@ const WAVETABLE_BUFFERS = new Map();
 const SAMPLE_BUFFERS = new Map();
 const REVERSED_SAMPLE_BUFFERS = new WeakMap();
 const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_AHEAD_SECONDS = 0.2;
+const MAX_MACRO_FRAMES = MACRO_FRAME_RATE * 120;
+const PULSE_WAVEFORMS = new Set(["pulse12", "pulse25", "pulse50", "pulse", "square"]);
 
 const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
 const lerp = (min, max, amount) => min + (max - min) * amount;
@@ -67,7 +85,17 @@ function getWavetableBuffer(context, name, table) {
   return buffer;
 }
 
-function createWavetableSource(context, name, table, frequency) {
+function getTrackWavetable(track, tableName) {
+  const spec = WAVETABLE_CONSOLES[track.console];
+  if (!spec || !track.wavetable) return { name: tableName, table: WAVETABLES[tableName] };
+  return {
+    name: `${track.console}:${track.wavetable.samples.join(".")}`,
+    table: getWavetableLevels(track.wavetable.samples, spec.bits),
+  };
+}
+
+function createWavetableSource(context, track, tableName, frequency) {
+  const { name, table } = getTrackWavetable(track, tableName);
   const source = context.createBufferSource();
   source.buffer = getWavetableBuffer(context, name, table);
   source.loop = true;
@@ -144,45 +172,6 @@ function createPhaserNode(context) {
   return { input: stage1, output: stage2, extra: [lfo] };
 }
 
-const WAVETABLES = {
-  gb_wave: [
-    1, 0.8, 0.4, 0, -0.4, -0.8, -1, -0.8,
-    -0.4, 0, 0.4, 0.8, 1, 0.8, 0.4, 0,
-    -0.4, -0.8, -1, -0.8, -0.4, 0, 0.4, 0.8,
-    1, 0.8, 0.4, 0, -0.4, -0.8, -1, -0.8,
-  ],
-  tg16_wave1: [
-    0, 0.2, 0.5, 0.8, 1, 0.6, 0.2, -0.2,
-    -0.6, -1, -0.7, -0.3, 0.1, 0.5, 0.9, 0.6,
-    0.2, -0.2, -0.6, -1, -0.8, -0.4, 0, 0.4,
-    0.7, 1, 0.6, 0.2, -0.2, -0.5, -0.8, -0.6,
-  ],
-  tg16_wave2: [
-    0, 0.15, 0.3, 0.45, 0.6, 0.75, 0.9, 1,
-    0.7, 0.4, 0.1, -0.2, -0.5, -0.8, -1, -0.8,
-    -0.6, -0.4, -0.2, 0, 0.2, 0.4, 0.6, 0.8,
-    1, 0.7, 0.4, 0.1, -0.2, -0.5, -0.8, -1,
-  ],
-  tg16_wave3: [
-    0, 0.4, 0.7, 0.9, 1, 0.9, 0.7, 0.4,
-    0, -0.4, -0.7, -0.9, -1, -0.9, -0.7, -0.4,
-    0, 0.4, 0.7, 0.9, 1, 0.9, 0.7, 0.4,
-    0, -0.4, -0.7, -0.9, -1, -0.9, -0.7, -0.4,
-  ],
-  snes_wave1: [
-    0, 0.1, 0.3, 0.55, 0.8, 1, 0.8, 0.5,
-    0.2, -0.1, -0.35, -0.6, -0.85, -1, -0.7, -0.3,
-    0, 0.2, 0.45, 0.7, 0.9, 1, 0.7, 0.4,
-    0.1, -0.2, -0.5, -0.75, -0.95, -1, -0.6, -0.2,
-  ],
-  snes_wave2: [
-    0, 0.2, 0.45, 0.7, 0.9, 1, 0.6, 0.2,
-    -0.2, -0.6, -1, -0.7, -0.3, 0.1, 0.5, 0.8,
-    0.4, 0, -0.4, -0.8, -1, -0.6, -0.2, 0.2,
-    0.6, 1, 0.7, 0.3, -0.1, -0.5, -0.8, -0.4,
-  ],
-};
-
 function applyEnvelope(gainNode, startTime, duration, velocity = 0.9, adsr = DEFAULT_ADSR) {
   const { attack, decay, sustain, release } = adsr;
   const attackEnd = startTime + attack;
@@ -202,7 +191,7 @@ function createOscillatorForTrack(context, track, frequency) {
   if (track.console === "NES") {
     const osc = context.createOscillator();
     const dutyMap = { pulse12: 0.125, pulse25: 0.25, pulse50: 0.5 };
-    const duty = dutyMap[waveform] ?? 0.25;
+    const duty = track.duty ?? dutyMap[waveform] ?? 0.25;
     try {
       osc.setPeriodicWave(getPulseWave(context, duty));
     } catch (error) {
@@ -227,7 +216,7 @@ function createOscillatorForTrack(context, track, frequency) {
     }
     const osc = context.createOscillator();
     const dutyMap = { pulse12: 0.125, pulse25: 0.25, pulse50: 0.5 };
-    const duty = dutyMap[waveform] ?? 0.25;
+    const duty = track.duty ?? dutyMap[waveform] ?? 0.25;
     try {
       osc.setPeriodicWave(getPulseWave(context, duty));
     } catch (error) {
@@ -245,12 +234,12 @@ function createOscillatorForTrack(context, track, frequency) {
       return { osc: source, stop: (when) => source.stop(when) };
     }
     if (waveform === "wave") {
-      const source = createWavetableSource(context, "gb_wave", WAVETABLES.gb_wave, frequency);
+      const source = createWavetableSource(context, track, "gb_wave", frequency);
       return { osc: source, stop: (when) => source.stop(when) };
     }
     const osc = context.createOscillator();
     const dutyMap = { pulse12: 0.125, pulse25: 0.25, pulse50: 0.5 };
-    const duty = dutyMap[waveform] ?? 0.25;
+    const duty = track.duty ?? dutyMap[waveform] ?? 0.25;
     try {
       osc.setPeriodicWave(getPulseWave(context, duty));
     } catch (error) {
@@ -329,6 +318,7 @@ function createOscillatorForTrack(context, track, frequency) {
       return {
         osc: mix,
         extra: [oscA, oscB, lfo],
+        pitched: [oscA, oscB],
         stop: (when) => {
           oscA.stop(when);
           oscB.stop(when);
@@ -448,6 +438,7 @@ function createOscillatorForTrack(context, track, frequency) {
       return {
         osc: phaser.output,
         extra: [osc, ...phaser.extra],
+        pitched: [osc],
         stop: (when) => osc.stop(when),
       };
     }
@@ -461,6 +452,7 @@ function createOscillatorForTrack(context, track, frequency) {
       return {
         osc: chorus.output,
         extra: [osc, ...chorus.extra],
+        pitched: [osc],
         stop: (when) => osc.stop(when),
       };
     }
@@ -469,7 +461,7 @@ function createOscillatorForTrack(context, track, frequency) {
   if (track.console === "TurboGrafx16") {
     const tableName =
       waveform === "wave2" ? "tg16_wave2" : waveform === "wave3" ? "tg16_wave3" : "tg16_wave1";
-    const source = createWavetableSource(context, tableName, WAVETABLES[tableName], frequency);
+    const source = createWavetableSource(context, track, tableName, frequency);
     return { osc: source, stop: (when) => source.stop(when) };
   }
 
@@ -481,7 +473,7 @@ function createOscillatorForTrack(context, track, frequency) {
       return { osc: source, stop: (when) => source.stop(when) };
     }
     const tableName = waveform === "wave2" ? "snes_wave2" : "snes_wave1";
-    const source = createWavetableSource(context, tableName, WAVETABLES[tableName], frequency);
+    const source = createWavetableSource(context, track, tableName, frequency);
     return { osc: source, stop: (when) => source.stop(when) };
   }
 
@@ -526,7 +518,9 @@ function createOscillatorForTrack(context, track, frequency) {
   }
 
   const osc = context.createOscillator();
-  if (waveform === "pulse") {
+  if ((waveform === "pulse" || waveform === "square") && Number.isFinite(track.duty)) {
+    osc.setPeriodicWave(getPulseWave(context, track.duty));
+  } else if (waveform === "pulse") {
     osc.type = "square";
   } else if (waveform === "saw") {
     osc.type = "sawtooth";
@@ -537,7 +531,139 @@ function createOscillatorForTrack(context, track, frequency) {
   return { osc, stop: (when) => osc.stop(when) };
 }
 
-function scheduleSynthNote(context, track, trackChain, note, startTime, duration) {
+const getVoicePitchParams = (voice) =>
+  (voice.pitched || [voice.osc, ...(voice.extra || [])])
+    .filter((node) => node?.detune)
+    .map((node) => node.detune);
+
+function getMacroFrames(track, duration, offset, tail) {
+  const macros = getActiveMacros(track);
+  if (!macros) return null;
+  const releaseFrame = Math.round((offset + duration) * MACRO_FRAME_RATE);
+  const firstFrame = Math.floor(offset * MACRO_FRAME_RATE);
+  const lastFrame = Math.min(
+    Math.ceil((offset + duration + tail) * MACRO_FRAME_RATE),
+    firstFrame + MAX_MACRO_FRAMES,
+  );
+  const frames = [];
+  let pitchOffset = 0;
+  for (let frame = 0; frame <= lastFrame; frame += 1) {
+    if (macros.pitch) pitchOffset += getMacroFrameValue(macros.pitch, frame, releaseFrame);
+    if (frame < firstFrame) continue;
+    const valueOf = (type, fallback) =>
+      macros[type] ? getMacroFrameValue(macros[type], frame, releaseFrame) : fallback;
+    const duty = valueOf("duty", null);
+    frames.push({
+      frame,
+      time: Math.max(0, frame / MACRO_FRAME_RATE - offset),
+      cents: valueOf("arpeggio", 0) * 100 + (pitchOffset * 100) / 16,
+      volume: macros.volume ? valueOf("volume", 15) / 15 : null,
+      duty: duty === null ? null : NOTE_DUTY_CYCLES[duty],
+    });
+  }
+  return {
+    frames,
+    hasPitch: Boolean(macros.arpeggio || macros.pitch),
+    hasVolume: Boolean(macros.volume),
+    hasDuty: Boolean(macros.duty) && PULSE_WAVEFORMS.has(track.waveform),
+  };
+}
+
+function getNotePitchCurve(note, midi, duration, offset, previousPitch, macroFrames = null) {
+  const arpeggio = getNoteEffect(note, "arpeggio");
+  const slideUp = getNoteEffect(note, "slideUp");
+  const slideDown = getNoteEffect(note, "slideDown");
+  const vibrato = getNoteEffect(note, "vibrato");
+  const portamento = getNoteEffect(note, "portamento");
+  const portamentoCents =
+    portamento?.value && Number.isFinite(previousPitch) ? (previousPitch - note.pitch) * 100 : 0;
+  const macroCents = macroFrames?.hasPitch
+    ? new Map(macroFrames.frames.map((item) => [item.frame, item.cents]))
+    : null;
+  if (!arpeggio && !slideUp && !slideDown && !vibrato && !portamentoCents && !macroCents) {
+    return null;
+  }
+
+  const tickLength = 1 / NOTE_EFFECT_TICK_RATE;
+  const firstTick = Math.floor(offset / tickLength);
+  const lastTick = macroCents
+    ? macroFrames.frames[macroFrames.frames.length - 1].frame
+    : Math.ceil((offset + duration) / tickLength);
+  const arpeggioSteps = arpeggio ? [0, arpeggio.value >> 4, arpeggio.value & 0xf] : null;
+  const curve = [];
+  for (let tick = firstTick; tick <= lastTick; tick += 1) {
+    let cents = 0;
+    if (slideUp) cents += (tick * slideUp.value * 100) / 16;
+    if (slideDown) cents -= (tick * slideDown.value * 100) / 16;
+    if (portamentoCents) {
+      const remaining = Math.max(0, Math.abs(portamentoCents) - (tick * portamento.value * 100) / 16);
+      cents += Math.sign(portamentoCents) * remaining;
+    }
+    if (vibrato) {
+      const phase = (tick * (vibrato.value >> 4)) / 64;
+      cents += Math.sin(phase * Math.PI * 2) * (vibrato.value & 0xf) * 12.5;
+    }
+    if (arpeggioSteps) cents += arpeggioSteps[tick % 3] * 100;
+    if (macroCents) cents += macroCents.get(tick) ?? 0;
+    curve.push({
+      time: Math.max(0, tick * tickLength - offset),
+      cents: clamp(cents, -midi * 100, (135 - midi) * 100),
+    });
+  }
+  return curve;
+}
+
+function getNoteVolumeCurve(note, velocity, duration, offset) {
+  const slide = getNoteEffect(note, "volumeSlide");
+  if (!slide) return null;
+  const step = ((slide.value >> 4) - (slide.value & 0xf)) / 120;
+  if (!step) return null;
+  const tickLength = 1 / NOTE_EFFECT_TICK_RATE;
+  const maxLevel = 1 / Math.max(0.01, velocity);
+  const curve = [];
+  const lastTick = Math.ceil((offset + duration) / tickLength);
+  for (let tick = Math.floor(offset / tickLength); tick <= lastTick; tick += 1) {
+    const level = clamp(1 + tick * step, 0, maxLevel);
+    curve.push({ time: Math.max(0, tick * tickLength - offset), level });
+    if (level === 0 || level === maxLevel) break;
+  }
+  return curve;
+}
+
+function scheduleRetriggeredNote(context, track, trackChain, note, startTime, duration, options) {
+  const retrigger = getNoteEffect(note, "retrigger");
+  const { offset = 0 } = options;
+  const interval = retrigger.value / NOTE_EFFECT_TICK_RATE;
+  const segmentNote = { ...note, effects: note.effects.filter((effect) => effect !== retrigger) };
+  const adsr = track.adsr || DEFAULT_ADSR;
+  const cutTrack = { ...track, adsr: { ...adsr, release: Math.min(adsr.release ?? 0, interval) } };
+  const end = offset + duration;
+  let segmentStart = offset;
+  for (let count = 0; segmentStart < end - 0.0001 && count < 256; count += 1) {
+    const segmentEnd = Math.min(end, (Math.floor(segmentStart / interval + 0.0001) + 1) * interval);
+    scheduleSynthNote(
+      context,
+      segmentEnd >= end ? track : cutTrack,
+      trackChain,
+      segmentNote,
+      startTime + segmentStart - offset,
+      segmentEnd - segmentStart,
+      { ...options, offset: segmentStart },
+    );
+    segmentStart = segmentEnd;
+  }
+}
+
+function scheduleSynthNote(context, track, trackChain, note, startTime, duration, options = {}) {
+  const { offset = 0, previousPitch = null } = options;
+  if (getNoteEffect(note, "retrigger")) {
+    scheduleRetriggeredNote(context, track, trackChain, note, startTime, duration, options);
+    return;
+  }
+  const duty = getNoteEffect(note, "duty");
+  if (duty) {
+    track = { ...track, duty: NOTE_DUTY_CYCLES[duty.value] };
+  }
   const midi = Number(note.pitch) + Number(track.octave || 0) * 12;
   const frequency = midiToFrequency(midi);
   if (!Number.isFinite(frequency)) {
@@ -550,35 +676,87 @@ function scheduleSynthNote(context, track, trackChain, note, startTime, duration
   if (velocity <= 0) {
     return;
   }
-  const noteGain = context.createGain();
-  noteGain.connect(trackChain);
-
-  let voice;
-  try {
-    voice = createOscillatorForTrack(context, track, frequency);
-  } catch (error) {
-    const osc = context.createOscillator();
-    osc.type = "square";
-    osc.frequency.value = frequency;
-    voice = { osc, stop: () => osc.stop() };
+  const adsr = track.adsr || DEFAULT_ADSR;
+  const release = adsr.release ?? DEFAULT_ADSR.release;
+  const macroFrames = getMacroFrames(track, duration, offset, release);
+  let output = trackChain;
+  if (macroFrames?.hasVolume) {
+    const macroGain = context.createGain();
+    macroFrames.frames.forEach((point, index, frames) => {
+      if (index > 0 && frames[index - 1].volume === point.volume) return;
+      macroGain.gain.setValueAtTime(point.volume, startTime + point.time);
+    });
+    macroGain.connect(output);
+    output = macroGain;
   }
-  voice.osc.connect(noteGain);
 
-  const adsr = track.adsr || DEFAULT_ADSR;
-  applyEnvelope(noteGain, startTime, duration, velocity, adsr);
+  const noteGain = context.createGain();
+  const volumeCurve = getNoteVolumeCurve(note, velocity, duration, offset);
+  if (volumeCurve) {
+    const slideGain = context.createGain();
+    volumeCurve.forEach((point) => {
+      slideGain.gain.setValueAtTime(point.level, startTime + point.time);
+    });
+    noteGain.connect(slideGain);
+    slideGain.connect(output);
+  } else {
+    noteGain.connect(output);
+  }
 
-  if (typeof voice.start === "function") {
-    voice.start(startTime);
-  } else if (voice.osc.start) {
-    voice.osc.start(startTime);
+  const createVoice = (voiceTrack) => {
+    try {
+      return createOscillatorForTrack(context, voiceTrack, frequency);
+    } catch (error) {
+      const osc = context.createOscillator();
+      osc.type = "square";
+      osc.frequency.value = frequency;
+      return { osc, stop: () => osc.stop() };
+    }
+  };
+  let voices;
+  if (macroFrames?.hasDuty) {
+    const duties = [...new Set(macroFrames.frames.map((point) => point.duty))];
+    voices = duties.map((dutyCycle) => {
+      const voice = createVoice({ ...track, duty: dutyCycle });
+      const gate = context.createGain();
+      gate.gain.value = 0;
+      macroFrames.frames.forEach((point, index, frames) => {
+        if (index > 0 && frames[index - 1].duty === point.duty) return;
+        gate.gain.setValueAtTime(point.duty === dutyCycle ? 1 : 0, startTime + point.time);
+      });
+      voice.osc.connect(gate);
+      gate.connect(noteGain);
+      return voice;
+    });
+  } else {
+    const voice = createVoice(track);
+    voice.osc.connect(noteGain);
+    voices = [voice];
   }
-  if (voice.extra) {
-    voice.extra.forEach((osc) => {
-      if (osc.start) osc.start(startTime);
+
+  const pitchCurve = getNotePitchCurve(note, midi, duration, offset, previousPitch, macroFrames);
+  if (pitchCurve) {
+    voices.flatMap(getVoicePitchParams).forEach((param) => {
+      const base = param.value || 0;
+      pitchCurve.forEach((point) => param.setValueAtTime(base + point.cents, startTime + point.time));
     });
   }
 
-  voice.stop(startTime + duration + (adsr.release ?? DEFAULT_ADSR.release) + 0.1);
+  applyEnvelope(noteGain, startTime, duration, velocity, adsr);
+
+  voices.forEach((voice) => {
+    if (typeof voice.start === "function") {
+      voice.start(startTime);
+    } else if (voice.osc.start) {
+      voice.osc.start(startTime);
+    }
+    if (voice.extra) {
+      voice.extra.forEach((osc) => {
+        if (osc.start) osc.start(startTime);
+      });
+    }
+    voice.stop(startTime + duration + release + 0.1);
+  });
 }
 
 function createDrumDestination(context, trackChain, bits, settings) {
@@ -806,14 +984,15 @@ function scheduleDrumHit(context, track, trackChain, drum, startTime, level = 0.
   });
 }
 
-function scheduleDrumPattern(context, track, trackChain, block, secondsPerBeat, startOffset) {
+function scheduleDrumPattern(context, track, trackChain, block, tempoMap, startOffset) {
   const rows = Array.isArray(block.pattern?.rows) ? block.pattern.rows : DEFAULT_DRUM_ROWS;
   const pattern = ensureDrumPattern(block, rows);
 
   pattern.events.forEach((event) => {
-    const time = startOffset + (block.startBeat + event.start) * secondsPerBeat;
+    const eventBeat = block.startBeat + event.start;
+    const time = startOffset + tempoMap.beatToSeconds(eventBeat);
     const volume = Number.isFinite(pattern.volumes?.[event.drum]) ? pattern.volumes[event.drum] : 0.9;
-    const duration = Math.max(0.05, event.duration || 0.25) * secondsPerBeat;
+    const duration = tempoMap.getDuration(eventBeat, eventBeat + Math.max(0.05, event.duration || 0.25));
     scheduleDrumHit(context, track, trackChain, event.drum, time, volume, duration);
   });
 }
@@ -967,7 +1146,7 @@ function scheduleWarpedBeatGrains(
   }
 }
 
-function scheduleSampleBlock(context, trackChain, block, secondsPerBeat, startOffset) {
+function scheduleSampleBlock(context, trackChain, block, tempoMap, startOffset) {
   const originalBuffer = SAMPLE_BUFFERS.get(block.assetId);
   if (!originalBuffer) return;
 
@@ -983,8 +1162,9 @@ function scheduleSampleBlock(context, trackChain, block, secondsPerBeat, startOf
   );
   const sourceStart = block.reverse ? bufferDuration - originalEnd : originalStart;
   const sourceEnd = block.reverse ? bufferDuration - originalStart : originalEnd;
-  const eventStart = startOffset + block.startBeat * secondsPerBeat;
-  const clipDuration = Math.max(0.001, block.length * secondsPerBeat);
+  const eventStart = startOffset + tempoMap.beatToSeconds(block.startBeat);
+  const clipDuration = Math.max(0.001, tempoMap.getDuration(block.startBeat, block.startBeat + block.length));
+  const secondsPerBeat = clipDuration / Math.max(0.001, block.length);
   const eventEnd = eventStart + clipDuration;
   const warpEnabled = Boolean(block.warp?.enabled);
   const sourceBpm = clamp(
@@ -1072,18 +1252,395 @@ function scheduleSampleBlock(context, trackChain, block, secondsPerBeat, startOf
   source.stop(stopTime);
 }
 
-function createTrackOutput(context, master, volume = 0.8, pan = 0) {
+const identity = (value) => value;
+
+const setParam = (param, value, time) => {
+  try {
+    param.cancelScheduledValues(time);
+    param.setTargetAtTime(value, time, 0.01);
+  } catch (error) {
+    param.value = value;
+  }
+};
+
+const createShaperCurve = (shape) => {
+  const curve = new Float32Array(65536);
+  for (let i = 0; i < curve.length; i += 1) {
+    curve[i] = shape((i / (curve.length - 1)) * 2 - 1);
+  }
+  return curve;
+};
+
+function createEchoEffect(context) {
+  const delay = context.createDelay(2);
+  const feedback = context.createGain();
+  delay.connect(feedback);
+  feedback.connect(delay);
+  return {
+    input: delay,
+    output: delay,
+    params: {
+      time: [{ param: delay.delayTime }],
+      feedback: [{ param: feedback.gain }],
+    },
+  };
+}
+
+function createBitcrusherEffect(context) {
+  const shaper = context.createWaveShaper();
+  let bits = null;
+  return {
+    input: shaper,
+    output: shaper,
+    update: (params) => {
+      if (params.bits === bits) return;
+      bits = params.bits;
+      const levels = Math.pow(2, bits - 1);
+      shaper.curve = createShaperCurve((x) => Math.round(x * levels) / levels);
+    },
+  };
+}
+
+function createFilterEffect(context) {
+  const filter = context.createBiquadFilter();
+  return {
+    input: filter,
+    output: filter,
+    params: {
+      frequency: [{ param: filter.frequency }],
+      resonance: [{ param: filter.Q }],
+    },
+    update: (params) => {
+      filter.type = params.mode;
+    },
+  };
+}
+
+function createChorusEffect(context) {
+  const delay = context.createDelay();
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  delay.delayTime.value = 0.015;
+  lfo.connect(lfoGain);
+  lfoGain.connect(delay.delayTime);
+  return {
+    input: delay,
+    output: delay,
+    extra: [lfo],
+    params: {
+      rate: [{ param: lfo.frequency }],
+      depth: [{ param: lfoGain.gain, map: (value) => value * 0.008 }],
+    },
+  };
+}
+
+function createPhaserEffect(context) {
+  const stages = [500, 900, 1600, 2800].map((frequency) => {
+    const stage = context.createBiquadFilter();
+    stage.type = "allpass";
+    stage.frequency.value = frequency;
+    return stage;
+  });
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  lfo.connect(lfoGain);
+  stages.forEach((stage, index) => {
+    lfoGain.connect(stage.frequency);
+    if (index > 0) stages[index - 1].connect(stage);
+  });
+  return {
+    input: stages[0],
+    output: stages[stages.length - 1],
+    extra: [lfo],
+    params: {
+      rate: [{ param: lfo.frequency }],
+      depth: [{ param: lfoGain.gain, map: (value) => value * 450 }],
+    },
+  };
+}
+
+function createDistortionEffect(context) {
+  const shaper = context.createWaveShaper();
+  shaper.oversample = "2x";
+  let drive = null;
+  return {
+    input: shaper,
+    output: shaper,
+    update: (params) => {
+      if (params.drive === drive) return;
+      drive = params.drive;
+      const norm = Math.tanh(drive);
+      shaper.curve = createShaperCurve((x) => Math.tanh(x * drive) / norm);
+    },
+  };
+}
+
+function createReverbImpulse(context, size, damping) {
+  const length = Math.max(1, Math.round(context.sampleRate * size));
+  const impulse = context.createBuffer(2, length, context.sampleRate);
+  let seed = 0x2545f491;
+  const smoothing = damping * 0.92;
+  for (let channel = 0; channel < 2; channel += 1) {
+    const data = impulse.getChannelData(channel);
+    let previous = 0;
+    for (let i = 0; i < length; i += 1) {
+      seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+      const noise = (seed / 0xffffffff) * 2 - 1;
+      previous = previous * smoothing + noise * (1 - smoothing);
+      data[i] = previous * Math.pow(1 - i / length, 3);
+    }
+  }
+  return impulse;
+}
+
+function createReverbEffect(context) {
+  const convolver = context.createConvolver();
+  let impulseKey = null;
+  return {
+    input: convolver,
+    output: convolver,
+    update: (params) => {
+      const key = `${params.size}:${params.damping}`;
+      if (key === impulseKey) return;
+      impulseKey = key;
+      convolver.buffer = createReverbImpulse(context, params.size, params.damping);
+    },
+  };
+}
+
+const TRACK_EFFECT_FACTORIES = {
+  echo: createEchoEffect,
+  reverb: createReverbEffect,
+  bitcrusher: createBitcrusherEffect,
+  filter: createFilterEffect,
+  chorus: createChorusEffect,
+  phaser: createPhaserEffect,
+  distortion: createDistortionEffect,
+};
+
+function createInsertEffect(context, effect) {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  const core = TRACK_EFFECT_FACTORIES[effect.type](context);
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(core.input);
+  core.output.connect(wet);
+  wet.connect(output);
+  (core.extra || []).forEach((node) => node.start(context.currentTime));
+
+  const targets = {
+    ...core.params,
+    mix: [{ param: wet.gain }, { param: dry.gain, map: (value) => 1 - value }],
+  };
+
+  return {
+    input,
+    output,
+    targets,
+    update: (nextEffect, time, automatedKeys = new Set()) => {
+      core.update?.(nextEffect.params, time);
+      Object.entries(targets).forEach(([key, list]) => {
+        if (key === "mix" && !nextEffect.enabled) {
+          list.forEach(({ param, map = identity }) => setParam(param, map(0), time));
+          return;
+        }
+        if (automatedKeys.has(key)) return;
+        const value = key === "mix" ? nextEffect.params.mix ?? 1 : nextEffect.params[key];
+        list.forEach(({ param, map = identity }) => setParam(param, map(value), time));
+      });
+    },
+    dispose: () => {
+      (core.extra || []).forEach((node) => {
+        try {
+          node.stop();
+        } catch (error) {
+          // Ignore nodes that already stopped.
+        }
+      });
+      output.disconnect();
+    },
+  };
+}
+
+function getAutomatedEffectKeys(track, effectId) {
+  const prefix = `effect:${effectId}:`;
+  return new Set(
+    getActiveAutomationLanes(track)
+      .filter((lane) => lane.target.startsWith(prefix))
+      .map((lane) => lane.target.slice(prefix.length)),
+  );
+}
+
+function updateTrackEffects(context, trackOutput, track, time = context.currentTime) {
+  const effects = track.effects || [];
+  const key = effects.map((effect) => `${effect.id}:${effect.type}`).join("|");
+  if (key !== trackOutput.effectsKey) {
+    trackOutput.input.disconnect();
+    trackOutput.effects.forEach((insert) => insert.dispose());
+    trackOutput.effects = effects.map((effect) => createInsertEffect(context, effect));
+    let node = trackOutput.input;
+    trackOutput.effects.forEach((insert) => {
+      node.connect(insert.input);
+      node = insert.output;
+    });
+    node.connect(trackOutput.gain);
+    trackOutput.effectsKey = key;
+  }
+  trackOutput.effects.forEach((insert, index) => {
+    insert.update(effects[index], time, getAutomatedEffectKeys(track, effects[index].id));
+  });
+}
+
+const isAutomated = (track, target) =>
+  getActiveAutomationLanes(track).some((lane) => lane.target === target);
+
+const getTrackBaseVolume = (track) =>
+  isAutomated(track, "volume") ? 1 : Number.isFinite(track.volume) ? track.volume : 0.8;
+
+function createTrackOutput(context, master, track) {
   const trackGain = context.createGain();
-  trackGain.gain.value = volume;
+  const fader = context.createGain();
+  trackGain.gain.value = getTrackBaseVolume(track);
+  trackGain.connect(fader);
+  const trackOutput = {
+    input: context.createGain(),
+    gain: trackGain,
+    fader,
+    output: fader,
+    effects: [],
+    effectsKey: null,
+    sends: new Map(),
+    instruments: new Map(),
+  };
+  updateTrackEffects(context, trackOutput, track);
   if (context.createStereoPanner) {
     const panner = context.createStereoPanner();
-    panner.pan.value = clamp(pan, -1, 1);
-    trackGain.connect(panner);
+    panner.pan.value = clamp(track.pan ?? 0, -1, 1);
+    fader.connect(panner);
     panner.connect(master);
-    return { input: trackGain, output: panner };
+    trackOutput.output = panner;
+    return trackOutput;
   }
-  trackGain.connect(master);
-  return { input: trackGain, output: trackGain };
+  fader.connect(master);
+  return trackOutput;
+}
+
+// Per-note instruments with effects get their own inserts ahead of the track's.
+function getNoteDestination(context, trackOutput, track, instrument) {
+  if (track.type !== "synth" || instrument?.type !== "synth" || !instrument.effects?.length) {
+    return trackOutput.input;
+  }
+  let chain = trackOutput.instruments.get(instrument.id);
+  if (!chain) {
+    chain = { input: context.createGain(), gain: trackOutput.input, effects: [], effectsKey: null };
+    trackOutput.instruments.set(instrument.id, chain);
+    updateTrackEffects(context, chain, instrument);
+  }
+  return chain.input;
+}
+
+function disposeTrackOutput(trackOutput) {
+  trackOutput.effects.forEach((insert) => insert.dispose());
+  trackOutput.instruments.forEach((chain) => {
+    chain.input.disconnect();
+    chain.effects.forEach((insert) => insert.dispose());
+  });
+  trackOutput.sends.forEach((send) => send.disconnect());
+  trackOutput.output.disconnect();
+}
+
+function updateReturnBuses(context, busOutputs, master, project, time = context.currentTime) {
+  const buses = project.buses || [];
+  const busIds = new Set(buses.map((bus) => bus.id));
+  busOutputs.forEach((busOutput, busId) => {
+    if (busIds.has(busId)) return;
+    disposeTrackOutput(busOutput);
+    busOutputs.delete(busId);
+  });
+  buses.forEach((bus) => {
+    let busOutput = busOutputs.get(bus.id);
+    if (!busOutput) {
+      busOutput = createTrackOutput(context, master, bus);
+      busOutputs.set(bus.id, busOutput);
+    }
+    setParam(busOutput.gain.gain, bus.mute ? 0 : bus.volume, time);
+    updateTrackEffects(context, busOutput, bus, time);
+  });
+}
+
+function updateTrackSends(context, trackOutput, track, busOutputs, time = context.currentTime) {
+  trackOutput.sends.forEach((send, busId) => {
+    if (busOutputs.has(busId)) return;
+    send.disconnect();
+    trackOutput.sends.delete(busId);
+  });
+  busOutputs.forEach((busOutput, busId) => {
+    const level = track.sends?.[busId] ?? 0;
+    const send = trackOutput.sends.get(busId);
+    if (send) {
+      setParam(send.gain, level, time);
+      return;
+    }
+    if (level <= 0) return;
+    const nextSend = context.createGain();
+    nextSend.gain.value = level;
+    trackOutput.fader.connect(nextSend);
+    nextSend.connect(busOutput.input);
+    trackOutput.sends.set(busId, nextSend);
+  });
+}
+
+function getAutomationParams(trackOutput, track, target) {
+  if (target === "volume") return [{ param: trackOutput.fader.gain }];
+  if (target === "pan") return trackOutput.output.pan ? [{ param: trackOutput.output.pan }] : [];
+  if (!target.startsWith("effect:")) return [];
+  const separator = target.lastIndexOf(":");
+  const effectId = target.slice("effect:".length, separator);
+  const key = target.slice(separator + 1);
+  const index = (track.effects || []).findIndex((effect) => effect.id === effectId);
+  if (index === -1 || (key === "mix" && !track.effects[index].enabled)) return [];
+  return trackOutput.effects[index]?.targets[key] || [];
+}
+
+function scheduleTrackAutomation(trackOutput, track, tempoMap, timeOffset, fromBeat, toBeat) {
+  const startTime = timeOffset + tempoMap.beatToSeconds(fromBeat);
+  const endTime = timeOffset + tempoMap.beatToSeconds(toBeat);
+  getActiveAutomationLanes(track).forEach((lane) => {
+    const params = getAutomationParams(trackOutput, track, lane.target);
+    if (!params.length) return;
+    const ramps = lane.points
+      .filter((point) => point.beat > fromBeat && point.beat < toBeat)
+      .map((point) => ({ time: timeOffset + tempoMap.beatToSeconds(point.beat), value: point.value }));
+    if (Number.isFinite(endTime)) {
+      ramps.push({ time: Math.max(startTime, endTime - 0.001), value: getAutomationValue(lane, toBeat) });
+    }
+    const startValue = getAutomationValue(lane, fromBeat);
+    params.forEach(({ param, map = identity }) => {
+      param.cancelScheduledValues(startTime);
+      param.setValueAtTime(map(startValue), startTime);
+      ramps.forEach((ramp) => param.linearRampToValueAtTime(map(ramp.value), ramp.time));
+    });
+  });
+}
+
+function getAutomatedTrack(track, beat) {
+  const lanes = getActiveAutomationLanes(track).filter(
+    (lane) => lane.target === "duty" || lane.target.startsWith("adsr."),
+  );
+  if (!lanes.length) return track;
+  const automated = { ...track, adsr: { ...(track.adsr || DEFAULT_ADSR) } };
+  lanes.forEach((lane) => {
+    const value = getAutomationValue(lane, beat);
+    if (lane.target === "duty") {
+      automated.duty = Math.round(value * 64) / 64;
+    } else {
+      automated.adsr[lane.target.slice("adsr.".length)] = value;
+    }
+  });
+  return automated;
 }
 
 function createBus(context, master, level = 1) {
@@ -1112,15 +1669,143 @@ function fadeOutAndDisconnect(node, context) {
   }, 40);
 }
 
+function getSampleSourceRate(block, bpm) {
+  const warpEnabled = Boolean(block.warp?.enabled);
+  const warpRate = warpEnabled ? bpm / clamp(block.warp.sourceBpm || bpm, 20, 400) : 1;
+  return warpEnabled && block.warp.mode === "beats"
+    ? warpRate
+    : warpRate * Math.pow(2, (block.pitch || 0) / 12);
+}
+
+function trimSampleBlock(block, fromBeat, toBeat, tempoMap) {
+  const blockEnd = block.startBeat + block.length;
+  const startBeat = Math.max(block.startBeat, fromBeat);
+  const endBeat = Math.min(blockEnd, toBeat);
+  if (endBeat - startBeat <= 0.0001) return null;
+  if (startBeat === block.startBeat && endBeat === blockEnd) return block;
+
+  const trimmed = { ...block, startBeat, length: endBeat - startBeat };
+  if (endBeat < blockEnd) trimmed.fadeOut = 0;
+  if (startBeat > block.startBeat) {
+    const clipDuration = Math.max(0.001, tempoMap.getDuration(block.startBeat, blockEnd));
+    const bpm = (block.length * 60) / clipDuration;
+    const elapsed = tempoMap.getDuration(block.startBeat, startBeat);
+    const offset =
+      (Number.isFinite(block.offset) ? Math.max(0, block.offset) : 0) +
+      elapsed * getSampleSourceRate(block, bpm);
+    const buffer = SAMPLE_BUFFERS.get(block.assetId);
+    if (buffer && block.mode !== "loop") {
+      const sourceStart = clamp(block.sourceStart || 0, 0, buffer.duration);
+      const sourceEnd = Number.isFinite(block.sourceEnd) ? block.sourceEnd : buffer.duration;
+      if (offset >= sourceEnd - sourceStart) return null;
+    }
+    trimmed.offset = offset;
+    trimmed.fadeIn = 0;
+  }
+  return trimmed;
+}
+
+function collectProjectEvents(project) {
+  const events = [];
+  const instruments = new Map((project.instruments || []).map((item) => [item.id, item]));
+  project.tracks.forEach((track) => {
+    const noteEvents = [];
+    track.blocks.forEach((block) => {
+      if (track.type === "synth") {
+        block.notes.forEach((note) => {
+          const beat = block.startBeat + note.start;
+          noteEvents.push({
+            type: "note",
+            beat,
+            endBeat: beat + note.duration,
+            track,
+            block,
+            note,
+            instrument: instruments.get(note.instrumentId) || null,
+          });
+        });
+      } else if (track.type === "drums") {
+        const rows = Array.isArray(block.pattern?.rows) ? block.pattern.rows : DEFAULT_DRUM_ROWS;
+        const pattern = ensureDrumPattern(block, rows);
+        pattern.events.forEach((event) => {
+          const beat = block.startBeat + event.start;
+          events.push({
+            type: "drum",
+            beat,
+            endBeat: beat + Math.max(0.05, event.duration || 0.25),
+            track,
+            block,
+            drum: event.drum,
+            event,
+            volume: Number.isFinite(pattern.volumes?.[event.drum]) ? pattern.volumes[event.drum] : 0.9,
+          });
+        });
+      } else if (track.type === "sample") {
+        events.push({
+          type: "sample",
+          beat: block.startBeat,
+          endBeat: block.startBeat + block.length,
+          track,
+          block,
+        });
+      }
+    });
+    noteEvents
+      .sort((a, b) => a.beat - b.beat)
+      .forEach((event, index) => {
+        event.previousPitch = index > 0 ? noteEvents[index - 1].note.pitch : null;
+        events.push(event);
+      });
+  });
+  events.sort((a, b) => a.beat - b.beat);
+  if (!project.authenticChips?.length) return events;
+
+  allocateHardwareChannels(project, events);
+  return events.filter((event) => {
+    if (!event.hardware) return true;
+    event.endBeat = event.hardware.endBeat;
+    return event.hardware.status !== "dropped";
+  });
+}
+
+function scheduleProjectEvent(context, item, destination, tempoMap, timeOffset, fromBeat, toBeat) {
+  const startBeat = Math.max(item.beat, fromBeat);
+  const endBeat = Math.min(item.endBeat, toBeat);
+  if (endBeat <= startBeat) return;
+  const time = timeOffset + tempoMap.beatToSeconds(startBeat);
+  const duration = tempoMap.getDuration(startBeat, endBeat);
+
+  if (item.type === "note") {
+    const track = getAutomatedTrack(getNoteInstrumentTrack(item.track, item.instrument), item.beat);
+    scheduleSynthNote(context, track, destination, item.note, time, duration, {
+      offset: tempoMap.getDuration(item.beat, startBeat),
+      previousPitch: item.previousPitch,
+    });
+  } else if (item.type === "drum") {
+    if (startBeat > item.beat) return;
+    scheduleDrumHit(context, item.track, destination, item.drum, time, item.volume, duration);
+  } else if (item.type === "sample") {
+    const block = trimSampleBlock(item.block, startBeat, endBeat, tempoMap);
+    if (block) scheduleSampleBlock(context, destination, block, tempoMap, timeOffset);
+  }
+}
+
 export function scheduleProject(context, project, options = {}) {
   const {
     startTime = 0,
     master = context.destination,
     ignoreMuteSolo = false,
     trackGains = null,
+    fromBeat = 0,
+    toBeat = Infinity,
   } = options;
-  const secondsPerBeat = 60 / project.bpm;
+  const tempoMap = options.tempoMap || new TempoMap(project);
+  // startTime lines up with fromBeat, so a range render begins mid-song at time zero.
+  const timeOffset = startTime - tempoMap.beatToSeconds(fromBeat);
   const soloActive = project.tracks.some((track) => track.solo);
+  const outputs = new Map();
+  const busOutputs = new Map();
+  updateReturnBuses(context, busOutputs, master, project, startTime);
 
   project.tracks.forEach((track) => {
     if (!ignoreMuteSolo) {
@@ -1133,25 +1818,21 @@ export function scheduleProject(context, project, options = {}) {
       trackOutput = trackGains.get(track.id);
     }
     if (!trackOutput) {
-      trackOutput = createTrackOutput(context, master, track.volume ?? 0.8, track.pan ?? 0);
+      trackOutput = createTrackOutput(context, master, track);
       if (trackGains) {
         trackGains.set(track.id, trackOutput);
       }
     }
+    updateTrackSends(context, trackOutput, track, busOutputs, startTime);
+    scheduleTrackAutomation(trackOutput, track, tempoMap, timeOffset, fromBeat, toBeat);
+    outputs.set(track.id, trackOutput);
+  });
 
-    track.blocks.forEach((block) => {
-      if (track.type === "synth") {
-        block.notes.forEach((note) => {
-          const noteStart = startTime + (block.startBeat + note.start) * secondsPerBeat;
-          const duration = note.duration * secondsPerBeat;
-          scheduleSynthNote(context, track, trackOutput.input, note, noteStart, duration);
-        });
-      } else if (track.type === "drums") {
-        scheduleDrumPattern(context, track, trackOutput.input, block, secondsPerBeat, startTime);
-      } else if (track.type === "sample") {
-        scheduleSampleBlock(context, trackOutput.input, block, secondsPerBeat, startTime);
-      }
-    });
+  collectProjectEvents(project).forEach((item) => {
+    const trackOutput = outputs.get(item.track.id);
+    if (!trackOutput) return;
+    const destination = getNoteDestination(context, trackOutput, item.track, item.instrument);
+    scheduleProjectEvent(context, item, destination, tempoMap, timeOffset, fromBeat, toBeat);
   });
 }
 
@@ -1165,16 +1846,29 @@ export class AudioEngine {
     this.masterVolumeValue = 0.9;
     this.isPlaying = false;
     this.loop = false;
-    this.playStartTime = 0;
-    this.playDuration = 0;
-    this.loopTimer = null;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this.playTempoMap = null;
+    this.playEvents = [];
+    this.playTracks = [];
+    this.playEndBeat = 0;
+    this.passes = [];
+    this.currentPass = null;
+    this.nextEventIndex = 0;
+    this.scheduledUntil = 0;
+    this.schedulerTimer = null;
     this.previewTimer = null;
     this.previewStartTime = 0;
     this.previewDuration = 0;
+    this.previewBpm = 120;
     this.previewLoop = false;
     this.playBus = null;
     this.previewBus = null;
+    this.previewOutput = null;
+    this.previewOutputs = new Map();
     this.trackGains = new Map();
+    this.busOutputs = new Map();
+    this.voiceBuses = new Map();
   }
 
   ensureContext() {
@@ -1253,51 +1947,204 @@ export class AudioEngine {
     return this.drumPreviewAnalyser;
   }
 
-  playProject(project, { loop = false } = {}) {
+  playProject(project, { loop = false, startBeat = 0, loopStart = 0, loopEnd = null } = {}) {
     this.stop();
 
-    const schedule = () => {
-      const secondsPerBeat = 60 / project.bpm;
-      const totalBeats = getProjectEndBeat(project);
-      const duration = totalBeats * secondsPerBeat;
-      const startTime = this.context.currentTime + 0.08;
-
+    this.runWithContext(() => {
       this.playBus = createBus(this.context, this.masterGain, 1);
       this.trackGains = new Map();
-
       this.isPlaying = true;
       this.loop = loop;
-      this.playStartTime = startTime;
-      this.playDuration = duration;
-      this.updateTrackMix(project);
-
-      const leadTime = Math.min(0.2, duration / 3);
-      const scheduleLoop = (loopStart) => {
-        scheduleProject(this.context, project, {
-          startTime: loopStart,
-          master: this.playBus,
-          ignoreMuteSolo: true,
-          trackGains: this.trackGains,
-        });
-        if (!this.loop) return;
-        const nextStart = loopStart + duration;
-        const delay = Math.max(0, (nextStart - this.context.currentTime - leadTime) * 1000);
-        this.loopTimer = window.setTimeout(() => {
-          if (!this.isPlaying || !this.loop) return;
-          scheduleLoop(nextStart);
-        }, delay);
-      };
+      this.setPlaybackProject(project);
+      this.setLoopRange(loopStart, loopEnd);
+      this.startTransport(Math.max(0, startBeat), this.context.currentTime + 0.08);
+      this.schedulerTimer = window.setInterval(() => this.runScheduler(), SCHEDULER_INTERVAL_MS);
+    });
+  }
 
-      scheduleLoop(startTime);
+  setPlaybackProject(project) {
+    this.playTempoMap = new TempoMap(project);
+    this.playEvents = collectProjectEvents(project);
+    this.playEndBeat = getProjectEndBeat(project);
+    this.playTracks = project.tracks;
+    project.tracks.forEach((track) => this.getTrackOutput(track));
+    this.updateTrackMix(project);
+  }
+
+  setLoopRange(loopStart = 0, loopEnd = null) {
+    const start = Math.max(0, Number.isFinite(loopStart) ? loopStart : 0);
+    const end = Number.isFinite(loopEnd) ? loopEnd : this.playEndBeat;
+    this.loopStart = Math.min(start, Math.max(0, end - 0.25));
+    this.loopEnd = Math.max(this.loopStart + 0.25, end);
+  }
+
+  getTrackOutput(track) {
+    let output = this.trackGains.get(track.id);
+    if (!output) {
+      output = createTrackOutput(this.context, this.playBus, track);
+      this.trackGains.set(track.id, output);
+    }
+    return output;
+  }
+
+  getVoiceBus(track, instrument = null) {
+    const trackOutput = this.getTrackOutput(track);
+    const destination = getNoteDestination(this.context, trackOutput, track, instrument);
+    const key = destination === trackOutput.input ? track.id : `${track.id}:${instrument.id}`;
+    let bus = this.voiceBuses.get(key);
+    if (!bus) {
+      bus = createBus(this.context, destination, 1);
+      this.voiceBuses.set(key, bus);
+    }
+    return bus;
+  }
+
+  startTransport(startBeat, time) {
+    this.voiceBuses.forEach((bus) => fadeOutAndDisconnect(bus, this.context));
+    this.voiceBuses = new Map();
+    this.passes = [];
+    const beat = this.loop && startBeat >= this.loopEnd ? this.loopStart : startBeat;
+    const endBeat = this.loop ? this.loopEnd : this.playEndBeat;
+    this.beginPass(beat, Math.max(beat, endBeat), time);
+    this.runScheduler();
+  }
+
+  beginPass(startBeat, endBeat, startTime) {
+    const timeOffset = startTime - this.playTempoMap.beatToSeconds(startBeat);
+    const pass = {
+      startBeat,
+      endBeat,
+      startTime,
+      endTime: timeOffset + this.playTempoMap.beatToSeconds(endBeat),
+      timeOffset,
     };
+    this.passes = [...this.passes.slice(-3), pass];
+    this.currentPass = pass;
+    this.scheduleAutomation(pass);
 
-    this.runWithContext(schedule);
+    this.playEvents.forEach((item) => {
+      if (item.beat < startBeat && item.endBeat > startBeat) this.scheduleEvent(item, pass);
+    });
+    let index = 0;
+    while (index < this.playEvents.length && this.playEvents[index].beat < startBeat) {
+      index += 1;
+    }
+    this.nextEventIndex = index;
+  }
+
+  scheduleEvent(item, pass) {
+    scheduleProjectEvent(
+      this.context,
+      item,
+      this.getVoiceBus(item.track, item.instrument),
+      this.playTempoMap,
+      pass.timeOffset,
+      pass.startBeat,
+      pass.endBeat,
+    );
+  }
+
+  runScheduler() {
+    if (!this.isPlaying || !this.context) return;
+    const now = this.context.currentTime;
+    const horizon = now + SCHEDULE_AHEAD_SECONDS;
+    this.scheduledUntil = horizon;
+
+    while (this.currentPass) {
+      const pass = this.currentPass;
+      while (this.nextEventIndex < this.playEvents.length) {
+        const item = this.playEvents[this.nextEventIndex];
+        if (item.beat >= pass.endBeat) break;
+        if (pass.timeOffset + this.playTempoMap.beatToSeconds(item.beat) >= horizon) return;
+        this.scheduleEvent(item, pass);
+        this.nextEventIndex += 1;
+      }
+      if (pass.endTime >= horizon) return;
+      if (this.loop && pass.endBeat === this.loopEnd) {
+        this.beginPass(this.loopStart, this.loopEnd, pass.endTime);
+      } else {
+        this.currentPass = null;
+      }
+    }
+
+    const lastPass = this.passes[this.passes.length - 1];
+    if (!lastPass || now >= lastPass.endTime + 0.12) {
+      this.stop();
+    }
+  }
+
+  seek(beat) {
+    if (!this.isPlaying || !this.context) return;
+    this.startTransport(clamp(beat, 0, this.playEndBeat), this.context.currentTime + 0.05);
+  }
+
+  setLoop(loop, range = null) {
+    this.loop = loop;
+    if (range) this.setLoopRange(range.loopStart, range.loopEnd);
+    if (!this.isPlaying || !this.context) return;
+    const pass = this.currentPass;
+    const beat = this.getCurrentBeat();
+    const endBeat = this.loop ? this.loopEnd : this.playEndBeat;
+    if (pass && pass.endBeat === endBeat) return;
+    const scheduledBeat = pass
+      ? this.playTempoMap.secondsToBeat(
+          this.context.currentTime + SCHEDULE_AHEAD_SECONDS - pass.timeOffset,
+        )
+      : Infinity;
+    if (pass && scheduledBeat < endBeat && beat >= pass.startBeat) {
+      pass.endBeat = endBeat;
+      pass.endTime = pass.timeOffset + this.playTempoMap.beatToSeconds(endBeat);
+      this.scheduleAutomation(pass, clamp(scheduledBeat, pass.startBeat, endBeat));
+      return;
+    }
+    this.seek(beat);
+  }
+
+  // Edits that keep the tempo, loop and song length swap in the new events without a restart.
+  updateProject(project, { loop = this.loop, loopStart = 0, loopEnd = null } = {}) {
+    this.releasePreviewOutputs(project.tracks);
+    if (!this.isPlaying || !this.context) return;
+    const beat = this.getCurrentBeat();
+    const previous = {
+      segments: JSON.stringify(this.playTempoMap.segments),
+      endBeat: this.playEndBeat,
+      loop: this.loop,
+      loopStart: this.loopStart,
+      loopEnd: this.loopEnd,
+    };
+    this.loop = loop;
+    this.setPlaybackProject(project);
+    this.setLoopRange(loopStart, loopEnd);
+    const keepsLoop =
+      !this.loop || (previous.loopStart === this.loopStart && previous.loopEnd === this.loopEnd);
+    const keepsTiming =
+      this.currentPass &&
+      keepsLoop &&
+      previous.loop === this.loop &&
+      previous.endBeat === this.playEndBeat &&
+      previous.segments === JSON.stringify(this.playTempoMap.segments);
+    if (keepsTiming) {
+      this.resumeScheduling();
+      return;
+    }
+    this.startTransport(clamp(beat, 0, this.playEndBeat), this.context.currentTime + 0.05);
+  }
+
+  resumeScheduling() {
+    const pass = this.currentPass;
+    const toBeat = (time) =>
+      clamp(this.playTempoMap.secondsToBeat(time - pass.timeOffset), pass.startBeat, pass.endBeat);
+    const scheduledBeat = toBeat(this.scheduledUntil);
+    const index = this.playEvents.findIndex((item) => item.beat >= scheduledBeat);
+    this.nextEventIndex = index === -1 ? this.playEvents.length : index;
+    this.scheduleAutomation(pass, toBeat(this.context.currentTime + 0.02));
+    this.runScheduler();
   }
 
   stop() {
-    if (this.loopTimer) {
-      clearTimeout(this.loopTimer);
-      this.loopTimer = null;
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
     }
     if (this.previewTimer) {
       clearTimeout(this.previewTimer);
@@ -1307,7 +2154,13 @@ export class AudioEngine {
       fadeOutAndDisconnect(this.playBus, this.context);
       this.playBus = null;
     }
+    const trackOutputs = [...this.trackGains.values(), ...this.busOutputs.values()];
+    window.setTimeout(() => trackOutputs.forEach(disposeTrackOutput), 40);
     this.trackGains.clear();
+    this.busOutputs.clear();
+    this.voiceBuses.clear();
+    this.passes = [];
+    this.currentPass = null;
     this.isPlaying = false;
   }
 
@@ -1315,35 +2168,98 @@ export class AudioEngine {
     if (!this.trackGains || !this.context) return;
     const soloActive = project.tracks.some((track) => track.solo);
     const now = this.context.currentTime;
+    if (this.playBus) {
+      updateReturnBuses(this.context, this.busOutputs, this.playBus, project, now);
+    }
     project.tracks.forEach((track) => {
       const output = this.trackGains.get(track.id);
       if (!output) return;
-      const base = Number.isFinite(track.volume) ? track.volume : 0.8;
+      const base = getTrackBaseVolume(track);
       const shouldMute = track.mute || (soloActive && !track.solo);
       const target = shouldMute ? 0 : base;
       try {
-        output.input.gain.cancelScheduledValues(now);
-        output.input.gain.setValueAtTime(output.input.gain.value, now);
-        output.input.gain.linearRampToValueAtTime(target, now + 0.02);
+        output.gain.gain.cancelScheduledValues(now);
+        output.gain.gain.setValueAtTime(output.gain.gain.value, now);
+        output.gain.gain.linearRampToValueAtTime(target, now + 0.02);
       } catch (error) {
-        output.input.gain.value = target;
+        output.gain.gain.value = target;
+      }
+      updateTrackEffects(this.context, output, track, now);
+      output.instruments.forEach((chain, instrumentId) => {
+        const instrument = project.instruments?.find((item) => item.id === instrumentId);
+        if (instrument) updateTrackEffects(this.context, chain, instrument, now);
+      });
+      updateTrackSends(this.context, output, track, this.busOutputs, now);
+      if (!isAutomated(track, "volume")) {
+        setParam(output.fader.gain, 1, now);
+      }
+      if (output.output.pan && !isAutomated(track, "pan")) {
+        setParam(output.output.pan, clamp(track.pan ?? 0, -1, 1), now);
       }
     });
   }
 
-  getCurrentBeat(bpm) {
-    if (!this.isPlaying || !this.context) {
+  updateAutomation(project) {
+    this.updateTrackMix(project);
+    if (!this.isPlaying || !this.context || !this.currentPass) return;
+    const pass = this.currentPass;
+    this.playTracks = project.tracks;
+    const beat = this.playTempoMap.secondsToBeat(this.context.currentTime + 0.02 - pass.timeOffset);
+    this.scheduleAutomation(pass, clamp(beat, pass.startBeat, pass.endBeat));
+  }
+
+  scheduleAutomation(pass, fromBeat = pass.startBeat) {
+    this.playTracks.forEach((track) => {
+      const output = this.trackGains.get(track.id);
+      if (!output) return;
+      scheduleTrackAutomation(output, track, this.playTempoMap, pass.timeOffset, fromBeat, pass.endBeat);
+    });
+  }
+
+  getCurrentBeat() {
+    if (!this.isPlaying || !this.context || !this.passes.length) {
       return 0;
     }
-    const secondsPerBeat = 60 / bpm;
-    const elapsed = this.context.currentTime - this.playStartTime;
-    if (elapsed < 0) return 0;
+    const now = this.context.currentTime;
+    let pass = this.passes[0];
+    this.passes.forEach((item) => {
+      if (item.startTime <= now) pass = item;
+    });
+    const beat = this.playTempoMap.secondsToBeat(now - pass.timeOffset);
+    return clamp(beat, pass.startBeat, pass.endBeat);
+  }
 
-    let beat = elapsed / secondsPerBeat;
-    if (this.loop && this.playDuration > 0) {
-      beat = beat % (this.playDuration / secondsPerBeat);
+  // Reused per track and destination, so previews run through the track's inserts.
+  getPreviewOutput(track, destination, kind) {
+    const key = `${kind}:${track.id}`;
+    const now = this.context.currentTime;
+    let output = this.previewOutputs.get(key);
+    if (output && output.destination !== destination) {
+      const previous = output;
+      window.setTimeout(() => disposeTrackOutput(previous), 40);
+      output = null;
     }
-    return beat;
+    if (!output) {
+      output = createTrackOutput(this.context, destination, track);
+      output.destination = destination;
+      output.trackId = track.id;
+      this.previewOutputs.set(key, output);
+      return output;
+    }
+    updateTrackEffects(this.context, output, track, now);
+    setParam(output.gain.gain, getTrackBaseVolume(track), now);
+    if (output.output.pan) setParam(output.output.pan, clamp(track.pan ?? 0, -1, 1), now);
+    return output;
+  }
+
+  // Without `tracks` every preview output goes, as when another project is loaded.
+  releasePreviewOutputs(tracks = null) {
+    const trackIds = tracks ? new Set(tracks.map((track) => track.id)) : null;
+    this.previewOutputs.forEach((output, key) => {
+      if (trackIds?.has(output.trackId)) return;
+      window.setTimeout(() => disposeTrackOutput(output), 40);
+      this.previewOutputs.delete(key);
+    });
   }
 
   previewNote(track, pitch, duration = 0.4) {
@@ -1351,12 +2267,7 @@ export class AudioEngine {
       const now = this.context.currentTime + 0.01;
       const tempNote = { pitch, velocity: 0.9 };
       const master = this.previewBus || this.masterGain;
-      const trackOutput = createTrackOutput(
-        this.context,
-        master,
-        track.volume ?? 0.8,
-        track.pan ?? 0,
-      );
+      const trackOutput = this.getPreviewOutput(track, master, "note");
       scheduleSynthNote(this.context, track, trackOutput.input, tempNote, now, duration);
     });
   }
@@ -1364,51 +2275,50 @@ export class AudioEngine {
   previewDrum(track, drum, level = 0.9) {
     this.runWithContext(() => {
       const now = this.context.currentTime + 0.01;
-      const trackOutput = createTrackOutput(
-        this.context,
-        this.drumPreviewAnalyser,
-        track.volume ?? 0.8,
-        track.pan ?? 0,
-      );
+      const trackOutput = this.getPreviewOutput(track, this.drumPreviewAnalyser, "drum");
       scheduleDrumHit(this.context, track, trackOutput.input, drum, now, level);
     });
   }
 
-  previewBlock(track, block, bpm, { loop = true } = {}) {
+  previewBlock(track, block, bpm, { loop = true, instruments = [] } = {}) {
     this.stopPreview();
     const schedule = () => {
+      const tempoMap = new TempoMap({ bpm });
       const secondsPerBeat = 60 / bpm;
       const loopDuration = block.length * secondsPerBeat;
       const startTime = this.context.currentTime + 0.08;
 
       this.previewStartTime = startTime;
       this.previewDuration = loopDuration;
+      this.previewBpm = bpm;
       this.previewLoop = loop;
       this.previewBus = createBus(this.context, this.masterGain, 1);
+      this.previewOutput = createTrackOutput(this.context, this.previewBus, track);
+      const trackOutput = this.previewOutput;
 
       const scheduleOnce = (loopStart) => {
-        const trackOutput = createTrackOutput(
-          this.context,
-          this.previewBus,
-          track.volume ?? 0.8,
-          track.pan ?? 0,
-        );
         if (track.type === "synth") {
-          block.notes.forEach((note) => {
+          const notes = [...block.notes].sort((a, b) => a.start - b.start);
+          notes.forEach((note, index) => {
             const noteStart = loopStart + note.start * secondsPerBeat;
             const duration = note.duration * secondsPerBeat;
-            scheduleSynthNote(this.context, track, trackOutput.input, note, noteStart, duration);
+            const instrument = instruments.find((item) => item.id === note.instrumentId);
+            const noteTrack = getNoteInstrumentTrack(track, instrument);
+            const output = getNoteDestination(this.context, trackOutput, track, instrument);
+            scheduleSynthNote(this.context, noteTrack, output, note, noteStart, duration, {
+              previousPitch: index > 0 ? notes[index - 1].pitch : null,
+            });
           });
         } else if (track.type === "drums") {
           const previewBlock = { ...block, startBeat: 0 };
-          scheduleDrumPattern(this.context, track, trackOutput.input, previewBlock, secondsPerBeat, loopStart);
+          scheduleDrumPattern(this.context, track, trackOutput.input, previewBlock, tempoMap, loopStart);
         } else if (track.type === "sample") {
           const previewBlock = { ...block, startBeat: 0 };
           scheduleSampleBlock(
             this.context,
             trackOutput.input,
             previewBlock,
-            secondsPerBeat,
+            tempoMap,
             loopStart,
           );
         }
@@ -1443,16 +2353,21 @@ export class AudioEngine {
       fadeOutAndDisconnect(this.previewBus, this.context);
       this.previewBus = null;
     }
+    if (this.previewOutput) {
+      const previewOutput = this.previewOutput;
+      window.setTimeout(() => disposeTrackOutput(previewOutput), 40);
+      this.previewOutput = null;
+    }
     this.previewStartTime = 0;
     this.previewDuration = 0;
     this.previewLoop = false;
   }
 
-  getPreviewBeat(bpm) {
+  getPreviewBeat() {
     if (!this.context || !this.previewStartTime) {
       return 0;
     }
-    const secondsPerBeat = 60 / bpm;
+    const secondsPerBeat = 60 / (this.previewBpm || 120);
     const elapsed = this.context.currentTime - this.previewStartTime;
     if (elapsed < 0) return 0;
     let beat = elapsed / secondsPerBeat;
@@ -1,3 +1,5 @@
+import { applyOps, describeChange, diffState } from "./historyDiff.js";
+
 export const CHIP_DRUM_CONSOLE = "Chip Drum Machine";
 
 export const CHIP_DRUM_ENGINES = [
@@ -110,7 +112,117 @@ export const CONSOLE_WAVES = {
   Sega: ["fm1", "fm2", "fm3", "fm4"],
 };
 
+const createHardwareChannels = (prefix, label, count, accepts) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `${prefix}${index + 1}`,
+    label: `${label} ${index + 1}`,
+    accepts,
+  }));
+
+export const HARDWARE_CHIPS = {
+  "2A03": {
+    label: "NES / Famicom (2A03)",
+    consoles: ["NES", "Famicom"],
+    channels: [
+      ...createHardwareChannels("pulse", "Pulse", 2, ["pulse"]),
+      { id: "triangle", label: "Triangle", accepts: ["triangle"] },
+      { id: "noise", label: "Noise", accepts: ["noise", "drums"] },
+      { id: "dpcm", label: "DPCM", accepts: ["drums"] },
+    ],
+  },
+  DMG: {
+    label: "Game Boy (DMG)",
+    consoles: ["GameBoy"],
+    channels: [
+      ...createHardwareChannels("pulse", "Pulse", 2, ["pulse"]),
+      { id: "wave", label: "Wave", accepts: ["wave"] },
+      { id: "noise", label: "Noise", accepts: ["noise", "drums"] },
+    ],
+  },
+  SID: {
+    label: "C64 (SID)",
+    consoles: ["C64"],
+    channels: createHardwareChannels("voice", "Voice", 3, ["tone", "drums"]),
+  },
+  TIA: {
+    label: "Atari 2600 (TIA)",
+    consoles: ["Atari"],
+    channels: createHardwareChannels("channel", "Channel", 2, ["tone", "noise", "drums"]),
+  },
+  HuC6280: {
+    label: "TurboGrafx-16 (HuC6280)",
+    consoles: ["TurboGrafx16"],
+    channels: [
+      ...createHardwareChannels("channel", "Channel", 4, ["wave", "drums"]),
+      { id: "channel5", label: "Channel 5", accepts: ["wave", "noise", "drums"] },
+      { id: "channel6", label: "Channel 6", accepts: ["wave", "noise", "drums"] },
+    ],
+  },
+  "S-DSP": {
+    label: "SNES (S-DSP)",
+    consoles: ["SNES"],
+    channels: createHardwareChannels("voice", "Voice", 8, ["wave", "noise", "drums"]),
+  },
+  YM2612: {
+    label: "Mega Drive (YM2612)",
+    consoles: ["Sega"],
+    channels: createHardwareChannels("fm", "FM", 6, ["fm", "drums"]),
+  },
+};
+
+export const WAVETABLES = {
+  gb_wave: [
+    1, 0.8, 0.4, 0, -0.4, -0.8, -1, -0.8,
+    -0.4, 0, 0.4, 0.8, 1, 0.8, 0.4, 0,
+    -0.4, -0.8, -1, -0.8, -0.4, 0, 0.4, 0.8,
+    1, 0.8, 0.4, 0, -0.4, -0.8, -1, -0.8,
+  ],
+  tg16_wave1: [
+    0, 0.2, 0.5, 0.8, 1, 0.6, 0.2, -0.2,
+    -0.6, -1, -0.7, -0.3, 0.1, 0.5, 0.9, 0.6,
+    0.2, -0.2, -0.6, -1, -0.8, -0.4, 0, 0.4,
+    0.7, 1, 0.6, 0.2, -0.2, -0.5, -0.8, -0.6,
+  ],
+  tg16_wave2: [
+    0, 0.15, 0.3, 0.45, 0.6, 0.75, 0.9, 1,
+    0.7, 0.4, 0.1, -0.2, -0.5, -0.8, -1, -0.8,
+    -0.6, -0.4, -0.2, 0, 0.2, 0.4, 0.6, 0.8,
+    1, 0.7, 0.4, 0.1, -0.2, -0.5, -0.8, -1,
+  ],
+  tg16_wave3: [
+    0, 0.4, 0.7, 0.9, 1, 0.9, 0.7, 0.4,
+    0, -0.4, -0.7, -0.9, -1, -0.9, -0.7, -0.4,
+    0, 0.4, 0.7, 0.9, 1, 0.9, 0.7, 0.4,
+    0, -0.4, -0.7, -0.9, -1, -0.9, -0.7, -0.4,
+  ],
+  snes_wave1: [
+    0, 0.1, 0.3, 0.55, 0.8, 1, 0.8, 0.5,
+    0.2, -0.1, -0.35, -0.6, -0.85, -1, -0.7, -0.3,
+    0, 0.2, 0.45, 0.7, 0.9, 1, 0.7, 0.4,
+    0.1, -0.2, -0.5, -0.75, -0.95, -1, -0.6, -0.2,
+  ],
+  snes_wave2: [
+    0, 0.2, 0.45, 0.7, 0.9, 1, 0.6, 0.2,
+    -0.2, -0.6, -1, -0.7, -0.3, 0.1, 0.5, 0.8,
+    0.4, 0, -0.4, -0.8, -1, -0.6, -0.2, 0.2,
+    0.6, 1, 0.7, 0.3, -0.1, -0.5, -0.8, -0.4,
+  ],
+};
+
+export const WAVETABLE_LENGTH = 32;
+export const MAX_WAVETABLES = 64;
+
+export const WAVETABLE_CONSOLES = {
+  GameBoy: { bits: 4, tables: { wave: "gb_wave" } },
+  TurboGrafx16: {
+    bits: 5,
+    tables: { wave1: "tg16_wave1", wave2: "tg16_wave2", wave3: "tg16_wave3" },
+  },
+  SNES: { bits: 16, tables: { wave1: "snes_wave1", wave2: "snes_wave2" } },
+};
+
 export const MAX_TRACKS = 16;
+export const MAX_INSTRUMENTS = 255;
 
 export const DEFAULT_ADSR = {
   attack: 0.01,
@@ -128,6 +240,111 @@ export const DEFAULT_SAMPLE_WARP = {
 };
 export const SAMPLE_WARP_BAR_OPTIONS = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
 
+export const MAX_TRACK_EFFECTS = 8;
+export const FILTER_MODES = ["lowpass", "highpass", "bandpass"];
+
+export const TRACK_EFFECTS = {
+  echo: {
+    label: "Echo",
+    params: {
+      time: { label: "Time", min: 0.02, max: 1.5, step: 0.01, value: 0.25 },
+      feedback: { label: "Feedback", min: 0, max: 0.9, step: 0.01, value: 0.35 },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 0.3 },
+    },
+  },
+  reverb: {
+    label: "Reverb",
+    params: {
+      size: { label: "Size", min: 0.2, max: 6, step: 0.1, value: 1.6, automatable: false },
+      damping: { label: "Damping", min: 0, max: 1, step: 0.01, value: 0.5, automatable: false },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 0.35 },
+    },
+  },
+  bitcrusher: {
+    label: "Bitcrusher",
+    params: {
+      bits: { label: "Bits", min: 1, max: 12, step: 1, value: 5, automatable: false },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 1 },
+    },
+  },
+  filter: {
+    label: "Filter",
+    params: {
+      mode: { label: "Mode", options: FILTER_MODES, value: "lowpass" },
+      frequency: { label: "Cutoff", min: 40, max: 18000, step: 1, value: 2400 },
+      resonance: { label: "Reso", min: 0.1, max: 20, step: 0.1, value: 1 },
+    },
+  },
+  chorus: {
+    label: "Chorus",
+    params: {
+      rate: { label: "Rate", min: 0.05, max: 8, step: 0.01, value: 0.8 },
+      depth: { label: "Depth", min: 0, max: 1, step: 0.01, value: 0.5 },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 0.5 },
+    },
+  },
+  phaser: {
+    label: "Phaser",
+    params: {
+      rate: { label: "Rate", min: 0.05, max: 8, step: 0.01, value: 0.3 },
+      depth: { label: "Depth", min: 0, max: 1, step: 0.01, value: 0.6 },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 0.5 },
+    },
+  },
+  distortion: {
+    label: "Distortion",
+    params: {
+      drive: { label: "Drive", min: 1, max: 20, step: 0.1, value: 3, automatable: false },
+      mix: { label: "Mix", min: 0, max: 1, step: 0.01, value: 1 },
+    },
+  },
+};
+
+export const MAX_RETURN_BUSES = 4;
+export const MAX_AUTOMATION_POINTS = 2048;
+export const MAX_MARKERS = 128;
+const MAX_TIMELINE_CHANGES = 1024;
+
+export const AUTOMATION_TARGETS = {
+  volume: { label: "Volume", min: 0, max: 1, value: 0.8 },
+  pan: { label: "Pan", min: -1, max: 1, value: 0 },
+  "adsr.attack": { label: "Attack", min: 0, max: 2, value: DEFAULT_ADSR.attack, synthOnly: true },
+  "adsr.decay": { label: "Decay", min: 0, max: 2, value: DEFAULT_ADSR.decay, synthOnly: true },
+  "adsr.sustain": { label: "Sustain", min: 0, max: 1, value: DEFAULT_ADSR.sustain, synthOnly: true },
+  "adsr.release": { label: "Release", min: 0, max: 3, value: DEFAULT_ADSR.release, synthOnly: true },
+  duty: { label: "Pulse Duty", min: 0.05, max: 0.95, value: 0.5, synthOnly: true },
+};
+
+export const NOTE_EFFECT_TICK_RATE = 60;
+export const MAX_NOTE_EFFECTS = 4;
+export const NOTE_DUTY_CYCLES = [0.125, 0.25, 0.5, 0.75];
+
+export const NOTE_EFFECTS = {
+  arpeggio: { code: "0", label: "Arpeggio", hint: "x, y semitones", value: 0x37 },
+  slideUp: { code: "1", label: "Slide up", hint: "1/16 semitone per tick", value: 0x08 },
+  slideDown: { code: "2", label: "Slide down", hint: "1/16 semitone per tick", value: 0x08 },
+  portamento: { code: "3", label: "Portamento", hint: "1/16 semitone per tick", value: 0x10 },
+  vibrato: { code: "4", label: "Vibrato", hint: "x speed, y depth", value: 0x64 },
+  volumeSlide: { code: "A", label: "Volume slide", hint: "x up, y down", value: 0x02 },
+  retrigger: { code: "Q", label: "Retrigger", hint: "every xx ticks", min: 1, value: 0x04 },
+  duty: { code: "V", label: "Duty", hint: "0 12.5%, 1 25%, 2 50%, 3 75%", max: 3, value: 0x02 },
+};
+
+export const MACRO_FRAME_RATE = NOTE_EFFECT_TICK_RATE;
+export const MAX_MACRO_LENGTH = 128;
+
+export const MACRO_TYPES = {
+  volume: { label: "Volume", hint: "0-15 per frame", min: 0, max: 15, value: 15 },
+  arpeggio: { label: "Arpeggio", hint: "semitones from the note", min: -24, max: 24, value: 0 },
+  pitch: { label: "Pitch", hint: "1/16 semitone per frame, accumulates", min: -32, max: 32, value: 0 },
+  duty: { label: "Duty", hint: "0 12.5%, 1 25%, 2 50%, 3 75%", min: 0, max: 3, value: 2 },
+};
+
+export const DEFAULT_METER = { numerator: 4, denominator: 4 };
+export const METER_DENOMINATORS = [1, 2, 4, 8, 16, 32];
+export const MIN_BPM = 40;
+export const MAX_BPM = 240;
+
 const DEFAULT_TRACKS = [
   { type: "synth", console: "NES", waveform: "pulse25" },
   { type: "synth", console: "C64", waveform: "triangle" },
@@ -139,15 +356,104 @@ const DEFAULT_TRACKS = [
 
 const createId = () => Math.random().toString(36).slice(2, 10);
 
-export function createNote({ pitch, start, duration, velocity = 0.9 }) {
+export function createNote({
+  pitch,
+  start,
+  duration,
+  velocity = 0.9,
+  effects = [],
+  instrumentId = null,
+}) {
   return {
+    id: createId(),
     pitch,
     start,
     duration,
     velocity,
+    effects,
+    instrumentId,
   };
 }
 
+export function createNoteEffect(type) {
+  const definition = NOTE_EFFECTS[type];
+  if (!definition) {
+    throw new Error(`Unknown note effect: ${type}`);
+  }
+  return { type, value: definition.value };
+}
+
+export function createMacro(type) {
+  const definition = MACRO_TYPES[type];
+  if (!definition) throw new Error(`Unknown macro type: ${type}`);
+  return { values: [definition.value], loop: null, release: null };
+}
+
+const getMacroIndex = (frame, end, loop) => {
+  if (frame <= end) return frame;
+  if (loop === null || loop > end) return end;
+  return loop + ((frame - loop) % (end - loop + 1));
+};
+
+export function getMacroFrameValue(macro, frame, releaseFrame = Infinity) {
+  const last = macro.values.length - 1;
+  const release = macro.release;
+  if (release === null || frame < releaseFrame) {
+    const end = release ?? last;
+    return macro.values[getMacroIndex(frame, end, macro.loop)];
+  }
+  if (release >= last) return macro.values[last];
+  const loop = macro.loop !== null && macro.loop > release ? macro.loop - release - 1 : null;
+  return macro.values[release + 1 + getMacroIndex(frame - releaseFrame, last - release - 1, loop)];
+}
+
+export function formatMacro(macro) {
+  const parts = [];
+  macro.values.forEach((value, index) => {
+    if (index === macro.loop) parts.push("|");
+    parts.push(String(value));
+    if (index === macro.release) parts.push("/");
+  });
+  return parts.join(" ");
+}
+
+export function parseMacro(type, text) {
+  const definition = MACRO_TYPES[type];
+  const macro = { values: [], loop: null, release: null };
+  const tokens = String(text).match(/\||\/|-?\d+/g) || [];
+  for (const token of tokens) {
+    if (token === "|") {
+      macro.loop = macro.values.length;
+    } else if (token === "/") {
+      if (macro.values.length) macro.release = macro.values.length - 1;
+    } else if (macro.values.length < MAX_MACRO_LENGTH) {
+      macro.values.push(clamp(parseInt(token, 10), definition.min, definition.max));
+    }
+  }
+  if (!macro.values.length) return null;
+  if (macro.loop !== null && macro.loop >= macro.values.length) macro.loop = null;
+  return macro;
+}
+
+export function getNoteEffect(note, type) {
+  return Array.isArray(note?.effects) ? note.effects.find((effect) => effect.type === type) : undefined;
+}
+
+export function formatNoteEffect(effect) {
+  const definition = NOTE_EFFECTS[effect?.type];
+  if (!definition) return "...";
+  return `${definition.code}${effect.value.toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
+export function parseNoteEffect(text) {
+  const match = /^([0-9A-Z])([0-9A-F]{2})$/i.exec(String(text || "").trim());
+  if (!match) return null;
+  const code = match[1].toUpperCase();
+  const type = Object.keys(NOTE_EFFECTS).find((key) => NOTE_EFFECTS[key].code === code);
+  if (!type) return null;
+  return normalizeNoteEffects([{ type, value: parseInt(match[2], 16) }])[0] || null;
+}
+
 export function createBlock({ startBeat = 0, length = 4, type = "synth" } = {}) {
   const block = {
     id: createId(),
@@ -155,6 +461,7 @@ export function createBlock({ startBeat = 0, length = 4, type = "synth" } = {})
     length,
     notes: type === "synth" ? [] : [],
     pattern: type === "drums" ? {} : [],
+    linkId: null,
   };
 
   if (type === "sample") {
@@ -178,6 +485,72 @@ export function createBlock({ startBeat = 0, length = 4, type = "synth" } = {})
   return block;
 }
 
+// Linked clips share everything except their position; start beats stay per clip.
+const LINKED_BLOCK_FIELDS = {
+  synth: ["length", "notes"],
+  drums: ["length", "pattern"],
+  sample: [
+    "length",
+    "assetId",
+    "mode",
+    "sourceStart",
+    "sourceEnd",
+    "offset",
+    "loopStart",
+    "loopEnd",
+    "gain",
+    "pitch",
+    "reverse",
+    "fadeIn",
+    "fadeOut",
+    "warp",
+  ],
+};
+
+export function getLinkedBlocks(track, block) {
+  if (!track || !block?.linkId) return [];
+  return track.blocks.filter((item) => item !== block && item.linkId === block.linkId);
+}
+
+export function syncLinkedBlocks(track, source) {
+  const fields = LINKED_BLOCK_FIELDS[track?.type] || [];
+  getLinkedBlocks(track, source).forEach((block) => {
+    fields.forEach((field) => {
+      block[field] = source[field] && typeof source[field] === "object"
+        ? JSON.parse(JSON.stringify(source[field]))
+        : source[field];
+    });
+  });
+}
+
+export function createLinkedBlock(track, source) {
+  if (!source.linkId) source.linkId = createId();
+  const block = createBlock({ startBeat: source.startBeat, type: track.type });
+  block.linkId = source.linkId;
+  track.blocks.push(block);
+  syncLinkedBlocks(track, source);
+  return block;
+}
+
+export function unlinkBlock(track, block) {
+  const linked = getLinkedBlocks(track, block);
+  block.linkId = null;
+  if (linked.length === 1) linked[0].linkId = null;
+}
+
+function normalizeBlockLinks(track) {
+  const groups = new Map();
+  track.blocks.forEach((block) => {
+    if (!block.linkId) return;
+    if (!groups.has(block.linkId)) groups.set(block.linkId, []);
+    groups.get(block.linkId).push(block);
+  });
+  groups.forEach((blocks) => {
+    if (blocks.length === 1) blocks[0].linkId = null;
+    else syncLinkedBlocks(track, blocks[0]);
+  });
+}
+
 export function createTrack(index, options = {}) {
   const template = DEFAULT_TRACKS[index] || DEFAULT_TRACKS[0];
   const requestedType = ["synth", "drums", "sample"].includes(options.type) ? options.type : null;
@@ -199,18 +572,224 @@ export function createTrack(index, options = {}) {
     adsr: { ...DEFAULT_ADSR },
     drumVoices: {},
     chipDrumPads: null,
+    effects: [],
+    sends: {},
+    automation: [],
+    wavetable: null,
+    macros: {},
+    instrumentId: null,
     mute: false,
     solo: false,
     blocks: [],
   };
 }
 
+export function getWavetableSpec(track) {
+  if (!track || track.type !== "synth") return null;
+  const spec = WAVETABLE_CONSOLES[track.console];
+  const tableName = spec?.tables[track.waveform];
+  return tableName ? { bits: spec.bits, tableName } : null;
+}
+
+export function quantizeWavetable(levels, bits) {
+  const max = Math.pow(2, bits) - 1;
+  return Array.from({ length: WAVETABLE_LENGTH }, (_, index) => {
+    const level = Number(levels[Math.floor((index * levels.length) / WAVETABLE_LENGTH)]);
+    const value = Number.isFinite(level) ? clamp(level, -1, 1) : 0;
+    return Math.round(((value + 1) / 2) * max);
+  });
+}
+
+export function getWavetableLevels(samples, bits) {
+  const max = Math.pow(2, bits) - 1;
+  return samples.map((sample) => (sample / max) * 2 - 1);
+}
+
+export function requantizeWavetable(samples, fromBits, toBits) {
+  return quantizeWavetable(getWavetableLevels(samples, fromBits), toBits);
+}
+
+export function createTrackWavetable(track) {
+  const spec = getWavetableSpec(track);
+  if (!spec) throw new Error(`No wavetable channel for ${track.console} ${track.waveform}`);
+  return {
+    name: `${track.console} ${track.waveform}`,
+    samples: quantizeWavetable(WAVETABLES[spec.tableName], spec.bits),
+  };
+}
+
+export function createWavetable({ name, console: consoleName, samples }) {
+  return {
+    id: createId(),
+    name: String(name || "Wave").slice(0, 32),
+    console: consoleName,
+    samples: [...samples],
+  };
+}
+
+const cloneValue = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export function createInstrument(track, name = "Instrument") {
+  if (track.type !== "synth" && track.type !== "drums") {
+    throw new Error(`Cannot create an instrument from a ${track.type} track`);
+  }
+  return {
+    id: createId(),
+    name: String(name).slice(0, 32),
+    type: track.type,
+    console: track.console,
+    waveform: track.waveform,
+    octave: track.octave || 0,
+    adsr: { ...(track.adsr || DEFAULT_ADSR) },
+    duty: Number.isFinite(track.duty) ? track.duty : null,
+    wavetable: cloneValue(track.wavetable) || null,
+    macros: cloneValue(track.macros) || {},
+    effects: cloneValue(track.effects) || [],
+    drumVoices: cloneValue(track.drumVoices) || {},
+    chipDrumPads: cloneValue(track.chipDrumPads) || null,
+  };
+}
+
+export function applyInstrument(track, instrument) {
+  if (track.type !== instrument.type) {
+    throw new Error(`Cannot load a ${instrument.type} instrument on a ${track.type} track`);
+  }
+  const effectIds = new Set(track.effects.map((effect) => effect.id));
+  track.instrumentId = instrument.id;
+  track.console = instrument.console;
+  track.waveform = instrument.waveform;
+  track.octave = instrument.octave;
+  track.adsr = { ...instrument.adsr };
+  if (Number.isFinite(instrument.duty)) {
+    track.duty = instrument.duty;
+  } else {
+    delete track.duty;
+  }
+  track.wavetable = cloneValue(instrument.wavetable) || null;
+  track.macros = cloneValue(instrument.macros) || {};
+  track.effects = instrument.effects.map((effect) => ({ ...cloneValue(effect), id: createId() }));
+  track.automation = (track.automation || []).filter(
+    (lane) => ![...effectIds].some((id) => lane.target.startsWith(`effect:${id}:`)),
+  );
+  track.drumVoices = cloneValue(instrument.drumVoices) || {};
+  track.chipDrumPads = cloneValue(instrument.chipDrumPads) || null;
+  if (track.type === "drums") {
+    const rows = getDrumRowsForConsole(track.console);
+    track.blocks.forEach((block) => ensureDrumPattern(block, rows));
+  }
+  return track;
+}
+
+export function getNoteInstrumentTrack(track, instrument) {
+  if (!instrument || instrument.type !== "synth" || track.type !== "synth") return track;
+  const instrumentTrack = {
+    ...track,
+    console: instrument.console,
+    waveform: instrument.waveform,
+    octave: instrument.octave,
+    adsr: instrument.adsr,
+    wavetable: instrument.wavetable,
+    macros: instrument.macros,
+  };
+  if (Number.isFinite(instrument.duty)) {
+    instrumentTrack.duty = instrument.duty;
+  } else {
+    delete instrumentTrack.duty;
+  }
+  return instrumentTrack;
+}
+
+export function createTrackEffect(type) {
+  const definition = TRACK_EFFECTS[type] || TRACK_EFFECTS.echo;
+  const params = {};
+  Object.entries(definition.params).forEach(([key, param]) => {
+    params[key] = param.value;
+  });
+  return {
+    id: createId(),
+    type: TRACK_EFFECTS[type] ? type : "echo",
+    enabled: true,
+    params,
+  };
+}
+
+export function getAutomationTargets(track) {
+  const targets = Object.entries(AUTOMATION_TARGETS)
+    .filter(([, target]) => !target.synthOnly || track.type === "synth")
+    .map(([id, target]) => ({ id, ...target }));
+  (track.effects || []).forEach((effect) => {
+    const definition = TRACK_EFFECTS[effect.type];
+    if (!definition) return;
+    Object.entries(definition.params).forEach(([key, param]) => {
+      if (param.options || param.automatable === false) return;
+      targets.push({
+        id: `effect:${effect.id}:${key}`,
+        label: `${definition.label} ${param.label}`,
+        min: param.min,
+        max: param.max,
+        value: effect.params[key],
+      });
+    });
+  });
+  return targets;
+}
+
+export function getAutomationTarget(track, targetId) {
+  return getAutomationTargets(track).find((target) => target.id === targetId) || null;
+}
+
+export function createAutomationLane(target) {
+  return { id: createId(), target, points: [] };
+}
+
+export function getAutomationValue(lane, beat) {
+  const points = lane?.points || [];
+  if (!points.length) return null;
+  if (beat <= points[0].beat) return points[0].value;
+  for (let index = 1; index < points.length; index += 1) {
+    const next = points[index];
+    if (beat <= next.beat) {
+      const previous = points[index - 1];
+      const span = next.beat - previous.beat;
+      if (span <= 0) return next.value;
+      return previous.value + (next.value - previous.value) * ((beat - previous.beat) / span);
+    }
+  }
+  return points[points.length - 1].value;
+}
+
+export function getActiveAutomationLanes(track) {
+  return (track.automation || []).filter((lane) => lane.points.length > 0);
+}
+
+export function createReturnBus(index = 0, effectType = "echo") {
+  const effect = createTrackEffect(effectType);
+  effect.params.mix = 1;
+  return {
+    id: createId(),
+    name: `Return ${String.fromCharCode(65 + (index % 26))}`,
+    volume: 0.8,
+    mute: false,
+    effects: [effect],
+  };
+}
+
 export function createDefaultProject() {
   const tracks = Array.from({ length: 5 }, (_, index) => createTrack(index));
   return {
     name: "Untitled Project",
     bpm: 120,
+    meter: { ...DEFAULT_METER },
+    tempoMap: [],
+    meterMap: [],
+    loopRange: null,
+    loopPoint: null,
+    markers: [],
+    authenticChips: [],
     masterVolume: 0.9,
+    buses: [],
+    wavetables: [],
+    instruments: [],
     assets: [],
     tracks,
   };
@@ -223,13 +802,147 @@ const isObject = (value) => value && typeof value === "object";
 function normalizeNote(note) {
   const safe = isObject(note) ? note : {};
   return {
+    id: typeof safe.id === "string" && safe.id ? safe.id : createId(),
     pitch: Number.isFinite(safe.pitch) ? safe.pitch : 60,
     start: Number.isFinite(safe.start) ? Math.max(0, safe.start) : 0,
     duration: Number.isFinite(safe.duration) ? Math.max(0.125, safe.duration) : 0.25,
     velocity: Number.isFinite(safe.velocity) ? clamp(safe.velocity, 0, 1) : 0.9,
+    effects: normalizeNoteEffects(safe.effects),
+    instrumentId: typeof safe.instrumentId === "string" ? safe.instrumentId : null,
   };
 }
 
+export function normalizeNoteEffects(effects) {
+  if (!Array.isArray(effects)) return [];
+  const usedTypes = new Set();
+  return effects
+    .filter((effect) => {
+      if (!isObject(effect) || !NOTE_EFFECTS[effect.type] || usedTypes.has(effect.type)) return false;
+      usedTypes.add(effect.type);
+      return true;
+    })
+    .slice(0, MAX_NOTE_EFFECTS)
+    .map((effect) => {
+      const definition = NOTE_EFFECTS[effect.type];
+      const value = Number.isFinite(effect.value) ? Math.round(effect.value) : definition.value;
+      return {
+        type: effect.type,
+        value: clamp(value, definition.min ?? 0, definition.max ?? 0xff),
+      };
+    });
+}
+
+function normalizeMacros(macros) {
+  const safe = isObject(macros) ? macros : {};
+  const normalized = {};
+  Object.entries(MACRO_TYPES).forEach(([type, definition]) => {
+    const macro = safe[type];
+    if (!isObject(macro) || !Array.isArray(macro.values)) return;
+    const values = macro.values
+      .filter(Number.isFinite)
+      .slice(0, MAX_MACRO_LENGTH)
+      .map((value) => clamp(Math.round(value), definition.min, definition.max));
+    if (!values.length) return;
+    const getPoint = (point) =>
+      Number.isInteger(point) && point >= 0 && point < values.length ? point : null;
+    normalized[type] = { values, loop: getPoint(macro.loop), release: getPoint(macro.release) };
+  });
+  return normalized;
+}
+
+export function getActiveMacros(track) {
+  const macros = track?.macros;
+  if (!macros) return null;
+  const active = Object.keys(MACRO_TYPES).filter((type) => macros[type]?.values?.length);
+  return active.length ? macros : null;
+}
+
+function normalizeWavetableSamples(samples, bits) {
+  if (!Array.isArray(samples) || samples.length !== WAVETABLE_LENGTH) return null;
+  const max = Math.pow(2, bits) - 1;
+  return samples.map((sample) => (Number.isFinite(sample) ? clamp(Math.round(sample), 0, max) : 0));
+}
+
+function normalizeTrackWavetable(wavetable, consoleName) {
+  const spec = WAVETABLE_CONSOLES[consoleName];
+  if (!spec || !isObject(wavetable)) return null;
+  const samples = normalizeWavetableSamples(wavetable.samples, spec.bits);
+  if (!samples) return null;
+  const name = typeof wavetable.name === "string" ? wavetable.name.slice(0, 32) : "Custom";
+  return { name, samples };
+}
+
+function normalizeWavetables(wavetables) {
+  if (!Array.isArray(wavetables)) return [];
+  const ids = new Set();
+  return wavetables
+    .filter((wavetable) => {
+      if (!isObject(wavetable) || !WAVETABLE_CONSOLES[wavetable.console]) return false;
+      if (typeof wavetable.id !== "string" || ids.has(wavetable.id)) return false;
+      ids.add(wavetable.id);
+      return true;
+    })
+    .slice(0, MAX_WAVETABLES)
+    .map((wavetable) => {
+      const samples = normalizeWavetableSamples(
+        wavetable.samples,
+        WAVETABLE_CONSOLES[wavetable.console].bits,
+      );
+      return samples
+        ? {
+            id: wavetable.id,
+            name: typeof wavetable.name === "string" ? wavetable.name.slice(0, 32) : "Wave",
+            console: wavetable.console,
+            samples,
+          }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+export function normalizeInstrument(instrument) {
+  if (!isObject(instrument)) return null;
+  const type = instrument.type === "drums" ? "drums" : "synth";
+  const consoles = type === "drums" ? DRUM_KITS : CONSOLE_WAVES;
+  const consoleName = consoles[instrument.console] ? instrument.console : null;
+  if (!consoleName) return null;
+  const waves = CONSOLE_WAVES[consoleName] || [];
+  return {
+    id:
+      typeof instrument.id === "string" && instrument.id ? instrument.id.slice(0, 64) : createId(),
+    name:
+      typeof instrument.name === "string" && instrument.name.trim()
+        ? instrument.name.trim().slice(0, 32)
+        : "Instrument",
+    type,
+    console: consoleName,
+    waveform: waves.includes(instrument.waveform)
+      ? instrument.waveform
+      : waves[0] || DEFAULT_TRACKS[0].waveform,
+    octave: Number.isFinite(instrument.octave) ? Math.round(clamp(instrument.octave, -3, 3)) : 0,
+    adsr: normalizeAdsr(instrument.adsr),
+    duty: Number.isFinite(instrument.duty) ? clamp(instrument.duty, 0.05, 0.95) : null,
+    wavetable: type === "synth" ? normalizeTrackWavetable(instrument.wavetable, consoleName) : null,
+    macros: type === "synth" ? normalizeMacros(instrument.macros) : {},
+    effects: normalizeTrackEffects(instrument.effects),
+    drumVoices: type === "drums" ? normalizeDrumVoices(instrument.drumVoices) : {},
+    chipDrumPads: type === "drums" ? normalizeChipDrumPads(instrument.chipDrumPads) : null,
+  };
+}
+
+function normalizeInstruments(instruments) {
+  if (!Array.isArray(instruments)) return [];
+  const ids = new Set();
+  return instruments
+    .map(normalizeInstrument)
+    .filter((instrument) => {
+      if (!instrument || ids.has(instrument.id)) return false;
+      ids.add(instrument.id);
+      return true;
+    })
+    .slice(0, MAX_INSTRUMENTS);
+}
+
 function normalizeAdsr(adsr) {
   const safe = isObject(adsr) ? adsr : {};
   return {
@@ -287,6 +1000,101 @@ function normalizeChipDrumPads(chipDrumPads) {
   });
 }
 
+function normalizeEffectParams(type, params) {
+  const safe = isObject(params) ? params : {};
+  const normalized = {};
+  Object.entries(TRACK_EFFECTS[type].params).forEach(([key, param]) => {
+    if (param.options) {
+      normalized[key] = param.options.includes(safe[key]) ? safe[key] : param.value;
+      return;
+    }
+    normalized[key] = Number.isFinite(safe[key]) ? clamp(safe[key], param.min, param.max) : param.value;
+  });
+  return normalized;
+}
+
+function normalizeTrackEffects(effects) {
+  if (!Array.isArray(effects)) return [];
+  const ids = new Set();
+
+  return effects
+    .filter((effect) => isObject(effect) && TRACK_EFFECTS[effect.type])
+    .slice(0, MAX_TRACK_EFFECTS)
+    .map((effect) => {
+      const id = typeof effect.id === "string" && effect.id && !ids.has(effect.id)
+        ? effect.id.slice(0, 64)
+        : createId();
+      ids.add(id);
+      return {
+        id,
+        type: effect.type,
+        enabled: effect.enabled !== false,
+        params: normalizeEffectParams(effect.type, effect.params),
+      };
+    });
+}
+
+function normalizeSends(sends) {
+  const safe = isObject(sends) ? sends : {};
+  const normalized = {};
+  Object.entries(safe).forEach(([busId, level]) => {
+    if (Number.isFinite(level) && level > 0) {
+      normalized[busId.slice(0, 64)] = clamp(level, 0, 1);
+    }
+  });
+  return normalized;
+}
+
+function normalizeReturnBuses(buses) {
+  if (!Array.isArray(buses)) return [];
+  const ids = new Set();
+
+  return buses
+    .filter((bus) => isObject(bus))
+    .slice(0, MAX_RETURN_BUSES)
+    .map((bus, index) => {
+      const base = createReturnBus(index);
+      const id = typeof bus.id === "string" && bus.id && !ids.has(bus.id) ? bus.id.slice(0, 64) : base.id;
+      ids.add(id);
+      return {
+        id,
+        name: typeof bus.name === "string" && bus.name.trim() ? bus.name.trim().slice(0, 32) : base.name,
+        volume: Number.isFinite(bus.volume) ? clamp(bus.volume, 0, 1) : base.volume,
+        mute: Boolean(bus.mute),
+        effects: normalizeTrackEffects(bus.effects),
+      };
+    });
+}
+
+function normalizeAutomation(automation, track) {
+  if (!Array.isArray(automation)) return [];
+  const targets = new Map(getAutomationTargets(track).map((target) => [target.id, target]));
+  const usedTargets = new Set();
+
+  return automation
+    .filter((lane) => {
+      if (!isObject(lane) || !targets.has(lane.target) || usedTargets.has(lane.target)) return false;
+      usedTargets.add(lane.target);
+      return true;
+    })
+    .map((lane) => {
+      const target = targets.get(lane.target);
+      const points = (Array.isArray(lane.points) ? lane.points : [])
+        .filter((point) => isObject(point) && Number.isFinite(point.beat) && Number.isFinite(point.value))
+        .slice(0, MAX_AUTOMATION_POINTS)
+        .map((point) => ({
+          beat: Math.max(0, point.beat),
+          value: clamp(point.value, target.min, target.max),
+        }))
+        .sort((a, b) => a.beat - b.beat);
+      return {
+        id: typeof lane.id === "string" && lane.id ? lane.id.slice(0, 64) : createId(),
+        target: lane.target,
+        points,
+      };
+    });
+}
+
 function normalizeBlocks(blocks, type, drumRows) {
   if (!Array.isArray(blocks)) return [];
   return blocks.map((block) => {
@@ -323,6 +1131,8 @@ function normalizeBlocks(blocks, type, drumRows) {
       normalized.fadeOut = Number.isFinite(safe.fadeOut) ? clamp(safe.fadeOut, 0, 10) : 0;
       normalized.warp = normalizeSampleWarp(safe.warp);
     }
+    normalized.linkId =
+      typeof safe.linkId === "string" && safe.linkId ? safe.linkId.slice(0, 64) : null;
 
     return normalized;
   });
@@ -372,22 +1182,27 @@ function normalizeTrack(track, index) {
   const type = ["synth", "drums", "sample"].includes(safe.type) ? safe.type : base.type;
   if (type === "sample") {
     const sampleBase = createTrack(index, { type: "sample" });
-    return {
+    const sampleTrack = {
       ...sampleBase,
       id: typeof safe.id === "string" ? safe.id : sampleBase.id,
       volume: Number.isFinite(safe.volume) ? clamp(safe.volume, 0, 1) : sampleBase.volume,
       pan: Number.isFinite(safe.pan) ? clamp(safe.pan, -1, 1) : sampleBase.pan,
       mute: Boolean(safe.mute),
       solo: Boolean(safe.solo),
+      effects: normalizeTrackEffects(safe.effects),
+      sends: normalizeSends(safe.sends),
       blocks: normalizeBlocks(safe.blocks, type, []),
     };
+    sampleTrack.automation = normalizeAutomation(safe.automation, sampleTrack);
+    normalizeBlockLinks(sampleTrack);
+    return sampleTrack;
   }
   const availableConsoles = type === "drums" ? DRUM_KITS : CONSOLE_WAVES;
   const consoleName = availableConsoles[safe.console] ? safe.console : base.console;
   const waves = CONSOLE_WAVES[consoleName] || [];
   const waveform = waves.includes(safe.waveform) ? safe.waveform : waves[0] || base.waveform;
 
-  return {
+  const normalized = {
     ...base,
     id: typeof safe.id === "string" ? safe.id : base.id,
     type,
@@ -399,10 +1214,21 @@ function normalizeTrack(track, index) {
     adsr: normalizeAdsr(safe.adsr),
     drumVoices: normalizeDrumVoices(safe.drumVoices),
     chipDrumPads: normalizeChipDrumPads(safe.chipDrumPads),
+    effects: normalizeTrackEffects(safe.effects),
+    sends: normalizeSends(safe.sends),
+    wavetable: type === "synth" ? normalizeTrackWavetable(safe.wavetable, consoleName) : null,
+    macros: type === "synth" ? normalizeMacros(safe.macros) : {},
+    instrumentId: typeof safe.instrumentId === "string" ? safe.instrumentId : null,
     mute: Boolean(safe.mute),
     solo: Boolean(safe.solo),
     blocks: normalizeBlocks(safe.blocks, type, getDrumRowsForConsole(consoleName)),
   };
+  if (type === "synth" && Number.isFinite(safe.duty)) {
+    normalized.duty = clamp(safe.duty, 0.05, 0.95);
+  }
+  normalized.automation = normalizeAutomation(safe.automation, normalized);
+  normalizeBlockLinks(normalized);
+  return normalized;
 }
 
 function normalizeAssets(assets) {
@@ -437,9 +1263,87 @@ function normalizeAssets(assets) {
     });
 }
 
+export function normalizeMeter(meter) {
+  const safe = isObject(meter) ? meter : {};
+  return {
+    numerator: Number.isFinite(safe.numerator)
+      ? clamp(Math.round(safe.numerator), 1, 32)
+      : DEFAULT_METER.numerator,
+    denominator: METER_DENOMINATORS.includes(safe.denominator)
+      ? safe.denominator
+      : DEFAULT_METER.denominator,
+  };
+}
+
+function normalizeTempoMap(tempoMap) {
+  if (!Array.isArray(tempoMap)) return [];
+  const beats = new Set();
+  return tempoMap
+    .filter((change) => isObject(change) && Number.isFinite(change.beat) && change.beat > 0)
+    .slice(0, MAX_TIMELINE_CHANGES)
+    .map((change) => ({
+      id: typeof change.id === "string" && change.id ? change.id : createId(),
+      beat: change.beat,
+      bpm: Number.isFinite(change.bpm) ? clamp(change.bpm, MIN_BPM, MAX_BPM) : 120,
+      ramp: Boolean(change.ramp),
+    }))
+    .sort((a, b) => a.beat - b.beat)
+    .filter((change) => {
+      if (beats.has(change.beat)) return false;
+      beats.add(change.beat);
+      return true;
+    });
+}
+
+function normalizeMeterMap(meterMap) {
+  if (!Array.isArray(meterMap)) return [];
+  const beats = new Set();
+  return meterMap
+    .filter((change) => isObject(change) && Number.isFinite(change.beat) && change.beat > 0)
+    .slice(0, MAX_TIMELINE_CHANGES)
+    .map((change) => ({
+      id: typeof change.id === "string" && change.id ? change.id : createId(),
+      beat: change.beat,
+      ...normalizeMeter(change),
+    }))
+    .sort((a, b) => a.beat - b.beat)
+    .filter((change) => {
+      if (beats.has(change.beat)) return false;
+      beats.add(change.beat);
+      return true;
+    });
+}
+
+function normalizeAuthenticChips(chips) {
+  if (!Array.isArray(chips)) return [];
+  return Object.keys(HARDWARE_CHIPS).filter((chipId) => chips.includes(chipId));
+}
+
+function normalizeLoopRange(range) {
+  if (!isObject(range) || !Number.isFinite(range.start) || !Number.isFinite(range.end)) return null;
+  const start = Math.max(0, Math.min(range.start, range.end));
+  const end = Math.max(range.start, range.end);
+  return end - start > 0 ? { start, end } : null;
+}
+
+function normalizeMarkers(markers) {
+  if (!Array.isArray(markers)) return [];
+  const beats = new Set();
+  return markers
+    .filter((marker) => isObject(marker) && Number.isFinite(marker.beat))
+    .slice(0, MAX_MARKERS)
+    .map((marker) => createMarker(marker.beat, marker.name, marker.id))
+    .sort((a, b) => a.beat - b.beat)
+    .filter((marker) => {
+      if (beats.has(marker.beat)) return false;
+      beats.add(marker.beat);
+      return true;
+    });
+}
+
 export function normalizeProject(rawProject) {
   const safe = isObject(rawProject) ? rawProject : {};
-  const bpm = Number.isFinite(safe.bpm) ? clamp(safe.bpm, 40, 240) : 120;
+  const bpm = Number.isFinite(safe.bpm) ? clamp(safe.bpm, MIN_BPM, MAX_BPM) : 120;
   const incomingTracks = Array.isArray(safe.tracks) ? safe.tracks.slice(0, MAX_TRACKS) : [];
   const name = typeof safe.name === "string" && safe.name.trim() ? safe.name.trim() : "Untitled Project";
   const masterVolume = Number.isFinite(safe.masterVolume) ? clamp(safe.masterVolume, 0, 1) : 0.9;
@@ -448,8 +1352,40 @@ export function normalizeProject(rawProject) {
     const incoming = incomingTracks[index];
     return normalizeTrack(incoming, index);
   });
+  const buses = normalizeReturnBuses(safe.buses);
+  const busIds = new Set(buses.map((bus) => bus.id));
+  const instruments = normalizeInstruments(safe.instruments);
+  const instrumentTypes = new Map(instruments.map((item) => [item.id, item.type]));
+  tracks.forEach((track) => {
+    Object.keys(track.sends).forEach((busId) => {
+      if (!busIds.has(busId)) delete track.sends[busId];
+    });
+    if (instrumentTypes.get(track.instrumentId) !== track.type) track.instrumentId = null;
+    if (track.type !== "synth") return;
+    track.blocks.forEach((block) => {
+      block.notes.forEach((note) => {
+        if (instrumentTypes.get(note.instrumentId) !== "synth") note.instrumentId = null;
+      });
+    });
+  });
 
-  return { name, bpm, masterVolume, assets: normalizeAssets(safe.assets), tracks };
+  return {
+    name,
+    bpm,
+    meter: normalizeMeter(safe.meter),
+    tempoMap: normalizeTempoMap(safe.tempoMap),
+    meterMap: normalizeMeterMap(safe.meterMap),
+    loopRange: normalizeLoopRange(safe.loopRange),
+    loopPoint: Number.isFinite(safe.loopPoint) ? Math.max(0, safe.loopPoint) : null,
+    markers: normalizeMarkers(safe.markers),
+    authenticChips: normalizeAuthenticChips(safe.authenticChips),
+    masterVolume,
+    buses,
+    wavetables: normalizeWavetables(safe.wavetables),
+    instruments,
+    assets: normalizeAssets(safe.assets),
+    tracks,
+  };
 }
 
 export function ensureDrumPattern(block, rows = DEFAULT_DRUM_ROWS) {
@@ -621,6 +1557,188 @@ export function getProjectEndBeat(project) {
   return Math.max(maxBeat, 4);
 }
 
+export function createMarker(beat, name, id) {
+  const label = typeof name === "string" ? name.trim().slice(0, 48) : "";
+  return {
+    id: typeof id === "string" && id ? id.slice(0, 64) : createId(),
+    beat: Math.max(0, beat),
+    name: label || "Section",
+  };
+}
+
+// A section runs from its marker to the next one; the last section ends with the song.
+export function getProjectSections(project) {
+  const markers = [...(project.markers || [])].sort((a, b) => a.beat - b.beat);
+  const endBeat = getProjectEndBeat(project);
+  return markers.map((marker, index) => ({
+    marker,
+    start: marker.beat,
+    end: markers[index + 1]?.beat ?? Math.max(endBeat, marker.beat + 4),
+  }));
+}
+
+export function getSectionRange(project, markerId) {
+  const section = getProjectSections(project).find((item) => item.marker.id === markerId);
+  return section ? { start: section.start, end: section.end } : null;
+}
+
+// Blocks belong to the section their start falls in, so a block hanging over a marker
+// travels with the section it starts in.
+function mapProjectBeats(project, mapBeat) {
+  project.tracks.forEach((track) => {
+    track.blocks.forEach((block) => {
+      block.startBeat = mapBeat(block.startBeat);
+    });
+    (track.automation || []).forEach((lane) => {
+      lane.points.forEach((point) => {
+        point.beat = mapBeat(point.beat);
+      });
+      lane.points.sort((a, b) => a.beat - b.beat);
+    });
+  });
+  (project.markers || []).forEach((marker) => {
+    marker.beat = mapBeat(marker.beat);
+  });
+  if (Number.isFinite(project.loopPoint)) project.loopPoint = mapBeat(project.loopPoint);
+  project.markers?.sort((a, b) => a.beat - b.beat);
+  ["tempoMap", "meterMap"].forEach((key) => {
+    (project[key] || []).forEach((change) => {
+      change.beat = mapBeat(change.beat);
+    });
+    project[key]?.sort((a, b) => a.beat - b.beat);
+  });
+  // A change moved onto the song start becomes the base tempo or meter.
+  const startTempo = project.tempoMap?.find((change) => change.beat <= 0);
+  if (startTempo) {
+    project.bpm = startTempo.bpm;
+    project.tempoMap = project.tempoMap.filter((change) => change !== startTempo);
+  }
+  const startMeter = project.meterMap?.find((change) => change.beat <= 0);
+  if (startMeter) {
+    project.meter = { numerator: startMeter.numerator, denominator: startMeter.denominator };
+    project.meterMap = project.meterMap.filter((change) => change !== startMeter);
+  }
+  if (project.loopRange) {
+    const start = mapBeat(project.loopRange.start);
+    const end = mapBeat(project.loopRange.end, true);
+    project.loopRange = end > start ? { start, end } : null;
+  }
+}
+
+// Pins the tempo and meter in effect at each beat, so rearranged sections keep their own.
+function pinTimelineChanges(project, beats) {
+  project.tempoMap = project.tempoMap || [];
+  project.meterMap = project.meterMap || [];
+  beats.forEach((beat) => {
+    const tempoPoints = [{ beat: 0, bpm: project.bpm, ramp: false }, ...project.tempoMap];
+    const nextIndex = tempoPoints.findIndex((change) => change.beat > beat);
+    const previous = tempoPoints[(nextIndex < 0 ? tempoPoints.length : nextIndex) - 1];
+    const next = tempoPoints[nextIndex];
+    if (previous.beat !== beat || beat === 0) {
+      const ratio = next?.ramp ? (beat - previous.beat) / (next.beat - previous.beat) : 0;
+      const bpm = previous.bpm + (next ? next.bpm - previous.bpm : 0) * ratio;
+      project.tempoMap.push({ id: createId(), beat, bpm, ramp: Boolean(next?.ramp) });
+    }
+    const meter = [{ beat: 0, ...project.meter }, ...project.meterMap]
+      .filter((change) => change.beat <= beat)
+      .pop();
+    if (meter.beat !== beat || beat === 0) {
+      const { numerator, denominator } = meter;
+      project.meterMap.push({ id: createId(), beat, numerator, denominator });
+    }
+    project.tempoMap.sort((a, b) => a.beat - b.beat);
+    project.meterMap.sort((a, b) => a.beat - b.beat);
+  });
+}
+
+// Ramps into a boundary that now follows different music become steps; repeats are dropped.
+function settleTimelineChanges(project, beats) {
+  project.tempoMap.forEach((change) => {
+    if (beats.includes(change.beat)) change.ramp = false;
+  });
+  project.tempoMap = project.tempoMap.filter((change, index, changes) => {
+    const previous = changes[index - 1] || { bpm: project.bpm };
+    return change.ramp || change.bpm !== previous.bpm;
+  });
+  project.meterMap = project.meterMap.filter((change, index, changes) => {
+    const previous = changes[index - 1] || project.meter;
+    return (
+      change.numerator !== previous.numerator || change.denominator !== previous.denominator
+    );
+  });
+}
+
+export function moveSection(project, markerId, direction) {
+  const sections = getProjectSections(project);
+  const index = sections.findIndex((item) => item.marker.id === markerId);
+  const otherIndex = index + (direction < 0 ? -1 : 1);
+  if (index < 0 || otherIndex < 0 || otherIndex >= sections.length) return false;
+  const first = sections[Math.min(index, otherIndex)];
+  const second = sections[Math.max(index, otherIndex)];
+  const firstLength = first.end - first.start;
+  const secondLength = second.end - second.start;
+  pinTimelineChanges(project, [first.start, second.start, second.end]);
+  mapProjectBeats(project, (beat, isEnd = false) => {
+    const inside = (range) =>
+      isEnd ? beat > range.start && beat <= range.end : beat >= range.start && beat < range.end;
+    if (inside(first)) return beat + secondLength;
+    if (inside(second)) return beat - firstLength;
+    return beat;
+  });
+  settleTimelineChanges(project, [first.start, first.start + secondLength, second.end]);
+  return true;
+}
+
+export function duplicateSection(project, markerId) {
+  const section = getProjectSections(project).find((item) => item.marker.id === markerId);
+  if (!section || (project.markers || []).length >= MAX_MARKERS) return null;
+  const { start, end } = section;
+  const length = end - start;
+  const inSection = (beat) => beat >= start && beat < end;
+  pinTimelineChanges(project, [start, end]);
+  const copies = project.tracks.map((track) =>
+    track.blocks
+      .filter((block) => inSection(block.startBeat))
+      .map((block) => ({ ...JSON.parse(JSON.stringify(block)), id: createId() })),
+  );
+  const points = project.tracks.map((track) =>
+    (track.automation || []).map((lane) =>
+      lane.points.filter((point) => inSection(point.beat)).map((point) => ({ ...point })),
+    ),
+  );
+  const timelineChanges = ["tempoMap", "meterMap"].map((key) =>
+    (project[key] || []).filter((change) => inSection(change.beat)),
+  );
+  mapProjectBeats(project, (beat, isEnd = false) =>
+    beat > end || (beat === end && !isEnd) ? beat + length : beat,
+  );
+  ["tempoMap", "meterMap"].forEach((key, index) => {
+    const room = MAX_TIMELINE_CHANGES - project[key].length;
+    timelineChanges[index].slice(0, Math.max(0, room)).forEach((change) => {
+      project[key].push({ ...change, id: createId(), beat: change.beat + length });
+    });
+    project[key].sort((a, b) => a.beat - b.beat);
+  });
+  settleTimelineChanges(project, [end, end + length]);
+  project.tracks.forEach((track, trackIndex) => {
+    copies[trackIndex].forEach((block) => {
+      block.startBeat += length;
+      track.blocks.push(block);
+    });
+    (track.automation || []).forEach((lane, laneIndex) => {
+      const room = MAX_AUTOMATION_POINTS - lane.points.length;
+      points[trackIndex][laneIndex].slice(0, Math.max(0, room)).forEach((point) => {
+        lane.points.push({ ...point, beat: point.beat + length });
+      });
+      lane.points.sort((a, b) => a.beat - b.beat);
+    });
+  });
+  const copy = createMarker(end, section.marker.name);
+  project.markers.push(copy);
+  project.markers.sort((a, b) => a.beat - b.beat);
+  return copy;
+}
+
 export function quantizeProject(project, snap) {
   const quantizeValue = (value) => Math.round(value / snap) * snap;
 
@@ -640,42 +1758,112 @@ export function quantizeProject(project, snap) {
 }
 
 export class HistoryManager {
-  constructor(initialState, limit = 100) {
+  constructor(initialState, limit = 500) {
     this.clone = (value) => JSON.parse(JSON.stringify(value));
-    this.stack = [this.clone(initialState)];
-    this.index = 0;
     this.limit = limit;
+    this.reset(initialState);
   }
 
-  push(state) {
-    this.stack = this.stack.slice(0, this.index + 1);
-    this.stack.push(this.clone(state));
-    if (this.stack.length > this.limit) {
-      this.stack.shift();
-      this.index = this.stack.length - 1;
-    } else {
-      this.index += 1;
+  push(state, label) {
+    const ops = diffState(this.current, state);
+    if (!ops.length) return false;
+    applyOps(this.current, ops);
+    this.entries = this.entries.slice(0, this.index);
+    this.entries.push({ label: label || describeChange(ops, state), time: Date.now(), ops });
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+      this.baseLabel = "Earlier changes";
     }
+    this.index = this.entries.length;
+    return true;
   }
 
-  undo() {
+  undo(state) {
     if (this.index <= 0) {
       return null;
     }
     this.index -= 1;
-    return this.clone(this.stack[this.index]);
+    applyOps(this.current, this.entries[this.index].ops, "backward");
+    return applyOps(state, this.entries[this.index].ops, "backward");
   }
 
-  redo() {
-    if (this.index >= this.stack.length - 1) {
+  redo(state) {
+    if (this.index >= this.entries.length) {
       return null;
     }
+    applyOps(this.current, this.entries[this.index].ops);
+    applyOps(state, this.entries[this.index].ops);
     this.index += 1;
-    return this.clone(this.stack[this.index]);
+    return state;
   }
 
-  reset(state) {
-    this.stack = [this.clone(state)];
+  // 0 is the base state, `entries.length` the newest change.
+  jumpTo(index, state) {
+    const target = clamp(Math.round(index), 0, this.entries.length);
+    if (target === this.index) return null;
+    while (this.index > target) {
+      this.undo(state);
+    }
+    while (this.index < target) {
+      this.redo(state);
+    }
+    return state;
+  }
+
+  getSteps() {
+    return [
+      { label: this.baseLabel, time: this.baseTime },
+      ...this.entries.map(({ label, time }) => ({ label, time })),
+    ];
+  }
+
+  reset(state, label = "Opened project") {
+    this.current = this.clone(state);
+    this.entries = [];
     this.index = 0;
+    this.baseLabel = label;
+    this.baseTime = Date.now();
+  }
+
+  serialize() {
+    return {
+      baseLabel: this.baseLabel,
+      baseTime: this.baseTime,
+      index: this.index,
+      entries: [...this.entries],
+    };
+  }
+
+  restore(state, saved) {
+    this.reset(state);
+    if (!isObject(saved) || !Array.isArray(saved.entries)) return false;
+    if (!saved.entries.every((entry) => isObject(entry) && Array.isArray(entry.ops))) return false;
+    const offset = Math.max(0, saved.entries.length - this.limit);
+    const entries = saved.entries.slice(offset);
+    const savedIndex = Number.isFinite(saved.index) ? saved.index : saved.entries.length;
+    const index = clamp(Math.round(savedIndex) - offset, 0, entries.length);
+    try {
+      const base = this.clone(state);
+      for (let i = index - 1; i >= 0; i -= 1) applyOps(base, entries[i].ops, "backward");
+      const check = this.clone(base);
+      for (let i = 0; i < index; i += 1) applyOps(check, entries[i].ops);
+      if (diffState(check, state).length) return false;
+    } catch (error) {
+      console.warn("Discarding saved undo history", error);
+      return false;
+    }
+    this.entries = entries.map((entry) => ({
+      label: typeof entry.label === "string" ? entry.label : "Edit project",
+      time: Number.isFinite(entry.time) ? entry.time : this.baseTime,
+      ops: entry.ops,
+    }));
+    this.index = index;
+    if (offset) {
+      this.baseLabel = "Earlier changes";
+    } else if (typeof saved.baseLabel === "string") {
+      this.baseLabel = saved.baseLabel;
+    }
+    if (Number.isFinite(saved.baseTime)) this.baseTime = saved.baseTime;
+    return true;
   }
 }
@@ -1,17 +1,36 @@
 import { getProjectEndBeat } from "./dataModel.js";
 import { scheduleProject } from "./audioEngine.js";
+import { TempoMap } from "./tempoMap.js";
+import { getPeak, measureIntegratedLoudness } from "./loudness.js";
 
-function audioBufferToWav(buffer) {
-  const numChannels = buffer.numberOfChannels;
-  const sampleRate = buffer.sampleRate;
-  const format = 1; // PCM
-  const bitDepth = 16;
+export const WAV_SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+export const WAV_BIT_DEPTHS = [8, 16, 24, 32];
 
-  const samples = buffer.length;
-  const blockAlign = (numChannels * bitDepth) / 8;
-  const byteRate = sampleRate * blockAlign;
+export const DEFAULT_WAV_FORMAT = {
+  sampleRate: 44100,
+  bitDepth: 16,
+  dither: true,
+  normalize: "none",
+  peakTarget: -1,
+  lufsTarget: -14,
+  mono: false,
+  limiter: true,
+  tailSeconds: 1,
+};
+
+// 32 bits is IEEE float, which needs the extended fmt chunk and a `fact` chunk.
+function encodeWav(channels, sampleRate, { bitDepth = 16, dither = false, loop = null } = {}) {
+  const numChannels = channels.length;
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const samples = channels[0]?.length || 0;
+  const blockAlign = numChannels * bytesPerSample;
   const dataSize = samples * blockAlign;
-  const bufferSize = 44 + dataSize;
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const smplSize = loop ? 8 + 36 + 24 : 0;
+  const paddedDataSize = dataSize + (dataSize % 2);
+  const bufferSize = 12 + 8 + fmtSize + factSize + 8 + paddedDataSize + smplSize;
 
   const arrayBuffer = new ArrayBuffer(bufferSize);
   const view = new DataView(arrayBuffer);
@@ -23,46 +42,132 @@ function audioBufferToWav(buffer) {
     }
     offset += value.length;
   };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeUint16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
 
   writeString("RIFF");
-  view.setUint32(offset, bufferSize - 8, true);
-  offset += 4;
+  writeUint32(bufferSize - 8);
   writeString("WAVE");
   writeString("fmt ");
-  view.setUint32(offset, 16, true);
-  offset += 4;
-  view.setUint16(offset, format, true);
-  offset += 2;
-  view.setUint16(offset, numChannels, true);
-  offset += 2;
-  view.setUint32(offset, sampleRate, true);
-  offset += 4;
-  view.setUint32(offset, byteRate, true);
-  offset += 4;
-  view.setUint16(offset, blockAlign, true);
-  offset += 2;
-  view.setUint16(offset, bitDepth, true);
-  offset += 2;
-  writeString("data");
-  view.setUint32(offset, dataSize, true);
-  offset += 4;
-
-  const channelData = [];
-  for (let channel = 0; channel < numChannels; channel += 1) {
-    channelData.push(buffer.getChannelData(channel));
+  writeUint32(fmtSize);
+  writeUint16(isFloat ? 3 : 1);
+  writeUint16(numChannels);
+  writeUint32(sampleRate);
+  writeUint32(sampleRate * blockAlign);
+  writeUint16(blockAlign);
+  writeUint16(bitDepth);
+  if (isFloat) {
+    writeUint16(0);
+    writeString("fact");
+    writeUint32(4);
+    writeUint32(samples);
   }
+  writeString("data");
+  writeUint32(dataSize);
 
+  // TPDF dither: two uniform values give a triangular +-1 LSB error.
+  const scale = 2 ** (bitDepth - 1);
+  const useDither = dither && !isFloat;
   for (let i = 0; i < samples; i += 1) {
     for (let channel = 0; channel < numChannels; channel += 1) {
-      const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
-      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
-      offset += 2;
+      const sample = channels[channel][i];
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+        offset += 4;
+        continue;
+      }
+      const clamped = Math.max(-1, Math.min(1, sample));
+      const noise = useDither ? Math.random() - Math.random() : 0;
+      const level = clamped < 0 ? clamped * scale : clamped * (scale - 1);
+      const value = Math.max(-scale, Math.min(scale - 1, Math.round(level + noise)));
+      if (bitDepth === 8) {
+        view.setUint8(offset, value + 128);
+      } else if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setInt8(offset + 2, value >> 16);
+      }
+      offset += bytesPerSample;
     }
   }
+  offset += paddedDataSize - dataSize;
+
+  // `loop` is { start, end } in frames (end inclusive), written as a forward `smpl` loop.
+  if (loop) {
+    writeString("smpl");
+    [
+      smplSize - 8,
+      0, // manufacturer
+      0, // product
+      Math.round(1e9 / sampleRate), // sample period in nanoseconds
+      60, // MIDI unity note
+      0, // pitch fraction
+      0, // SMPTE format
+      0, // SMPTE offset
+      1, // loop count
+      0, // sampler data size
+      0, // cue point id
+      0, // loop type: forward
+      loop.start,
+      loop.end,
+      0, // fraction
+      0, // play count: infinite
+    ].forEach(writeUint32);
+  }
 
   return arrayBuffer;
 }
 
+export function audioBufferToWav(buffer, options = {}) {
+  const channels = [];
+  for (let channel = 0; channel < buffer.numberOfChannels; channel += 1) {
+    channels.push(buffer.getChannelData(channel));
+  }
+  return encodeWav(channels, buffer.sampleRate, options);
+}
+
+// Mixes everything rendered after the loop end back onto the start of the loop, so the
+// release tail of the last bar rings over the first bar when a player wraps around.
+function foldLoopTail(channels, loopStartFrame, loopEndFrame) {
+  const loopLength = loopEndFrame - loopStartFrame;
+  return channels.map((source) => {
+    const data = source.slice(0, loopEndFrame);
+    for (let frame = loopEndFrame; frame < source.length; frame += 1) {
+      data[loopStartFrame + ((frame - loopEndFrame) % loopLength)] += source[frame];
+    }
+    return data;
+  });
+}
+
+function downmixToMono(channels) {
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach((data) => {
+    for (let i = 0; i < data.length; i += 1) {
+      mono[i] += data[i] / channels.length;
+    }
+  });
+  return [mono];
+}
+
+// LUFS normalization never pushes the sample peak above the peak target.
+function getNormalizeGain(channels, sampleRate, format) {
+  const peak = getPeak(channels);
+  if (format.normalize === "none" || peak <= 0) return 1;
+  const peakGain = 10 ** (format.peakTarget / 20) / peak;
+  if (format.normalize === "peak") return peakGain;
+  const loudness = measureIntegratedLoudness(channels, sampleRate);
+  if (!Number.isFinite(loudness)) return 1;
+  return Math.min(10 ** ((format.lufsTarget - loudness) / 20), peakGain);
+}
+
 function sanitizeFileNamePart(value, fallback = "") {
   const safeValue = String(value || "")
     .trim()
@@ -74,7 +179,16 @@ function sanitizeFileNamePart(value, fallback = "") {
 }
 
 export async function exportProjectToWav(project, options = {}) {
-  const { trackIds = null, fileNameSuffix = "" } = options;
+  const {
+    trackIds = null,
+    fileNameSuffix = "",
+    range = null,
+    loopMode = "none",
+    loopCount = 2,
+    fadeSeconds = 8,
+  } = options;
+  const format = { ...DEFAULT_WAV_FORMAT, ...options.format };
+  const tail = Math.max(0, format.tailSeconds);
   const selectedTrackIds = Array.isArray(trackIds) ? new Set(trackIds) : null;
   const renderProject = selectedTrackIds
     ? {
@@ -86,35 +200,98 @@ export async function exportProjectToWav(project, options = {}) {
     throw new Error("Select at least one track.");
   }
 
-  const secondsPerBeat = 60 / project.bpm;
-  const totalBeats = getProjectEndBeat(renderProject);
-  const duration = totalBeats * secondsPerBeat + 1;
-  const sampleRate = 44100;
+  const tempoMap = new TempoMap(project);
+  const sampleRate = WAV_SAMPLE_RATES.includes(format.sampleRate) ? format.sampleRate : 44100;
+  const bitDepth = WAV_BIT_DEPTHS.includes(format.bitDepth) ? format.bitDepth : 16;
+  // Loop exports always use the whole song's end so stems of the same song line up.
+  const songEndBeat = getProjectEndBeat(project);
+  const loopStartBeat = Number.isFinite(project.loopPoint) ? project.loopPoint : 0;
+  const introSeconds = tempoMap.beatToSeconds(loopStartBeat);
+  const bodySeconds = tempoMap.getDuration(loopStartBeat, songEndBeat);
+  if (loopMode !== "none" && bodySeconds <= 0) {
+    throw new Error("The song loop point must be before the end of the song.");
+  }
+  const fade = Math.max(0, fadeSeconds);
+  const passes = [];
+  let duration = 0;
+  if (loopMode === "intro-loops") {
+    const loops = Math.max(1, Math.round(loopCount));
+    passes.push({ fromBeat: 0, toBeat: songEndBeat, time: 0 });
+    const extraPasses = fade > 0 ? loops : loops - 1;
+    for (let pass = 1; pass <= extraPasses; pass += 1) {
+      passes.push({
+        fromBeat: loopStartBeat,
+        toBeat: songEndBeat,
+        time: introSeconds + pass * bodySeconds,
+      });
+    }
+    duration = introSeconds + loops * bodySeconds + (fade > 0 ? fade : tail);
+  } else if (loopMode === "seamless") {
+    passes.push({ fromBeat: 0, toBeat: songEndBeat, time: 0 });
+    duration = introSeconds + bodySeconds + tail;
+  } else {
+    const fromBeat = range ? range.start : 0;
+    const toBeat = range ? range.end : getProjectEndBeat(renderProject);
+    passes.push({ fromBeat, toBeat: range ? range.end : Infinity, time: 0 });
+    duration = tempoMap.getDuration(fromBeat, toBeat) + tail;
+  }
   const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
   if (!OfflineContextClass) {
     throw new Error("OfflineAudioContext not supported");
   }
 
-  const offline = new OfflineContextClass(2, Math.ceil(duration * sampleRate), sampleRate);
+  const frameCount = Math.max(1, Math.ceil(duration * sampleRate));
+  const offline = new OfflineContextClass(2, frameCount, sampleRate);
   const master = offline.createGain();
   master.gain.value = Number.isFinite(project.masterVolume) ? project.masterVolume : 0.9;
-  const limiter = offline.createDynamicsCompressor();
-  limiter.threshold.value = -8;
-  limiter.knee.value = 8;
-  limiter.ratio.value = 12;
-  limiter.attack.value = 0.003;
-  limiter.release.value = 0.12;
-  master.connect(limiter);
-  limiter.connect(offline.destination);
-
-  scheduleProject(offline, renderProject, {
-    startTime: 0,
-    master,
-    ignoreMuteSolo: Boolean(selectedTrackIds),
+  const fadeGain = offline.createGain();
+  if (format.limiter) {
+    const limiter = offline.createDynamicsCompressor();
+    limiter.threshold.value = -8;
+    limiter.knee.value = 8;
+    limiter.ratio.value = 12;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.12;
+    master.connect(limiter);
+    limiter.connect(fadeGain);
+  } else {
+    master.connect(fadeGain);
+  }
+  fadeGain.connect(offline.destination);
+  if (loopMode === "intro-loops" && fade > 0) {
+    const fadeStart = introSeconds + Math.max(1, Math.round(loopCount)) * bodySeconds;
+    fadeGain.gain.setValueAtTime(1, fadeStart);
+    fadeGain.gain.linearRampToValueAtTime(0, fadeStart + fade);
+  }
+
+  passes.forEach((pass) => {
+    scheduleProject(offline, renderProject, {
+      startTime: pass.time,
+      master,
+      ignoreMuteSolo: Boolean(selectedTrackIds),
+      tempoMap,
+      fromBeat: pass.fromBeat,
+      toBeat: pass.toBeat,
+    });
   });
 
   const rendered = await offline.startRendering();
-  const wavData = audioBufferToWav(rendered);
+  let channels = [rendered.getChannelData(0), rendered.getChannelData(1)];
+  let loop = null;
+  if (loopMode === "seamless") {
+    const loopStartFrame = Math.round(introSeconds * sampleRate);
+    const loopEndFrame = Math.round((introSeconds + bodySeconds) * sampleRate);
+    channels = foldLoopTail(channels, loopStartFrame, loopEndFrame);
+    loop = { start: loopStartFrame, end: loopEndFrame - 1 };
+  }
+  if (format.mono) channels = downmixToMono(channels);
+  const gain = getNormalizeGain(channels, sampleRate, format);
+  if (gain !== 1) {
+    channels.forEach((data) => {
+      for (let i = 0; i < data.length; i += 1) data[i] *= gain;
+    });
+  }
+  const wavData = encodeWav(channels, sampleRate, { bitDepth, dither: format.dither, loop });
   const blob = new Blob([wavData], { type: "audio/wav" });
 
   const url = URL.createObjectURL(blob);
@@ -128,3 +305,27 @@ export async function exportProjectToWav(project, options = {}) {
   anchor.remove();
   URL.revokeObjectURL(url);
 }
+
+// A quick low-rate mono render of the song's opening for library thumbnails.
+export async function renderProjectPeaks(project, { bucketCount = 96, maxSeconds = 90 } = {}) {
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) return null;
+  const sampleRate = 8000;
+  const tempoMap = new TempoMap(project);
+  const duration = Math.min(maxSeconds, tempoMap.beatToSeconds(getProjectEndBeat(project)) + 0.5);
+  const offline = new OfflineContextClass(1, Math.ceil(duration * sampleRate), sampleRate);
+  const master = offline.createGain();
+  master.gain.value = Number.isFinite(project.masterVolume) ? project.masterVolume : 0.9;
+  master.connect(offline.destination);
+  scheduleProject(offline, project, { master, tempoMap });
+  const data = (await offline.startRendering()).getChannelData(0);
+  const bucketSize = Math.max(1, Math.floor(data.length / bucketCount));
+  return Array.from({ length: bucketCount }, (_, bucket) => {
+    let peak = 0;
+    const end = Math.min(data.length, (bucket + 1) * bucketSize);
+    for (let index = bucket * bucketSize; index < end; index += 1) {
+      peak = Math.max(peak, Math.abs(data[index]));
+    }
+    return Math.round(Math.min(1, peak) * 100) / 100;
+  });
+}
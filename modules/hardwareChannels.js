@@ -0,0 +1,161 @@
+import {
+  DEFAULT_DRUM_ROWS,
+  HARDWARE_CHIPS,
+  ensureDrumPattern,
+  getDrumRowsForConsole,
+} from "./dataModel.js";
+
+const EPSILON = 0.000001;
+
+const VOICE_KINDS = {
+  pulse12: "pulse",
+  pulse25: "pulse",
+  pulse50: "pulse",
+  pulse: "pulse",
+  square: "pulse",
+  triangle: "triangle",
+  noise: "noise",
+  wave: "wave",
+  wave1: "wave",
+  wave2: "wave",
+  wave3: "wave",
+  fm1: "fm",
+  fm2: "fm",
+  fm3: "fm",
+  fm4: "fm",
+};
+
+export function getHardwareChipId(track) {
+  if (!track || (track.type !== "synth" && track.type !== "drums")) return null;
+  return (
+    Object.keys(HARDWARE_CHIPS).find((chipId) =>
+      HARDWARE_CHIPS[chipId].consoles.includes(track.console),
+    ) || null
+  );
+}
+
+export function getHardwareVoiceKind(track) {
+  if (track.type === "drums") return "drums";
+  return VOICE_KINDS[track.waveform] || "tone";
+}
+
+export function getChannelAccepts(channel, kind) {
+  if (channel.accepts.includes(kind)) return true;
+  return kind !== "drums" && kind !== "noise" && channel.accepts.includes("tone");
+}
+
+export function isAuthenticTrack(project, track) {
+  const chipId = getHardwareChipId(track);
+  return Boolean(chipId && project?.authenticChips?.includes(chipId));
+}
+
+export function collectHardwareVoices(project) {
+  const voices = [];
+  project.tracks.forEach((track) => {
+    if (!isAuthenticTrack(project, track)) return;
+    track.blocks.forEach((block) => {
+      if (track.type === "synth") {
+        block.notes.forEach((note) => {
+          const beat = block.startBeat + note.start;
+          voices.push({ type: "note", beat, endBeat: beat + note.duration, track, block, note });
+        });
+      } else {
+        const rows = getDrumRowsForConsole(track.console) || DEFAULT_DRUM_ROWS;
+        ensureDrumPattern(block, rows).events.forEach((event) => {
+          const beat = block.startBeat + event.start;
+          voices.push({
+            type: "drum",
+            beat,
+            endBeat: beat + Math.max(0.05, event.duration || 0.25),
+            track,
+            block,
+            drum: event.drum,
+            event,
+          });
+        });
+      }
+    });
+  });
+  return voices;
+}
+
+export function allocateHardwareChannels(project, voices = collectHardwareVoices(project)) {
+  const trackOrder = new Map(project.tracks.map((track, index) => [track.id, index]));
+  const tracks = new Map();
+  const chips = new Map();
+
+  const candidates = voices
+    .filter(
+      (voice) =>
+        (voice.type === "note" || voice.type === "drum") && isAuthenticTrack(project, voice.track),
+    )
+    .sort(
+      (a, b) =>
+        a.beat - b.beat ||
+        trackOrder.get(a.track.id) - trackOrder.get(b.track.id) ||
+        (b.note?.pitch ?? 0) - (a.note?.pitch ?? 0),
+    );
+
+  candidates.forEach((voice) => {
+    const chipId = getHardwareChipId(voice.track);
+    if (!chips.has(chipId)) {
+      const channels = HARDWARE_CHIPS[chipId].channels;
+      chips.set(chipId, channels.map((channel) => ({ ...channel, voice: null, owner: null })));
+    }
+    if (!tracks.has(voice.track.id)) {
+      tracks.set(voice.track.id, {
+        chipId,
+        channels: new Set(),
+        cut: 0,
+        dropped: 0,
+        unsupported: false,
+      });
+    }
+    const stats = tracks.get(voice.track.id);
+    const kind = getHardwareVoiceKind(voice.track);
+    const channels = chips.get(chipId).filter((channel) => getChannelAccepts(channel, kind));
+    voice.hardware = { chipId, channel: null, status: "dropped", endBeat: voice.endBeat };
+
+    if (!channels.length) {
+      stats.unsupported = true;
+      stats.dropped += 1;
+      return;
+    }
+
+    channels.forEach((channel) => {
+      if (channel.voice && channel.voice.hardware.endBeat <= voice.beat + EPSILON) {
+        channel.voice = null;
+      }
+    });
+    const free = channels.filter((channel) => !channel.voice);
+    let channel =
+      free.find((item) => item.owner === voice.track.id) ||
+      free.find((item) => !item.owner) ||
+      free[0];
+
+    if (!channel) {
+      channel = channels.find((item) => item.voice.track.id === voice.track.id);
+      if (!channel) {
+        stats.dropped += 1;
+        return;
+      }
+      const stolen = channel.voice.hardware;
+      stolen.endBeat = voice.beat;
+      if (stolen.endBeat <= channel.voice.beat + EPSILON) {
+        stolen.status = "dropped";
+        stats.dropped += 1;
+      } else {
+        stolen.status = "cut";
+        stats.cut += 1;
+      }
+    }
+
+    channel.voice = voice;
+    channel.owner = voice.track.id;
+    voice.hardware.channel = channel.id;
+    voice.hardware.status = "ok";
+    stats.channels.add(channel.id);
+  });
+
+  return { voices: candidates, tracks };
+}
@@ -0,0 +1,313 @@
+// Undo ops: `{ path, before, after }` (a missing side deletes) or array splices.
+
+const isContainer = (value) => value !== null && typeof value === "object";
+const cloneValue = (value) => (isContainer(value) ? JSON.parse(JSON.stringify(value)) : value);
+
+function createOp(path, before, after) {
+  const op = { path };
+  if (before !== undefined) op.before = cloneValue(before);
+  if (after !== undefined) op.after = cloneValue(after);
+  return op;
+}
+
+const createSplice = (path, index, before, after) => ({
+  path,
+  index,
+  before: before.map(cloneValue),
+  after: after.map(cloneValue),
+  splice: true,
+});
+
+function diffValues(before, after, path, ops) {
+  if (before === after || (Number.isNaN(before) && Number.isNaN(after))) return;
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects =
+    isContainer(before) && isContainer(after) && !Array.isArray(before) && !Array.isArray(after);
+  if (bothArrays && hasUniqueIds(before) && hasUniqueIds(after)) {
+    diffKeyedArrays(before, after, path, ops);
+  } else if (bothArrays) {
+    diffArrays(before, after, path, ops);
+  } else if (bothObjects) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+      diffValues(before[key], after[key], [...path, key], ops);
+    });
+  } else {
+    ops.push(createOp(path, before, after));
+  }
+}
+
+function hasUniqueIds(list) {
+  const ids = new Set();
+  return list.every((item) => {
+    const id = isContainer(item) ? item.id : undefined;
+    if ((typeof id !== "string" && typeof id !== "number") || ids.has(id)) return false;
+    ids.add(id);
+    return true;
+  });
+}
+
+function getIncreasingRun(values) {
+  const tails = [];
+  const previous = [];
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  const run = [];
+  for (let index = tails[tails.length - 1] ?? -1; index >= 0; index = previous[index]) {
+    run.unshift(index);
+  }
+  return run;
+}
+
+// Elements out of the longest in-order run are spliced out and back in at their new place.
+function diffKeyedArrays(before, after, path, ops) {
+  const afterIndex = new Map(after.map((item, index) => [item.id, index]));
+  const kept = before.filter((item) => afterIndex.has(item.id));
+  const stable = new Set(
+    getIncreasingRun(kept.map((item) => afterIndex.get(item.id))).map((index) => kept[index].id),
+  );
+  const working = [...before];
+  for (let i = working.length - 1; i >= 0; i -= 1) {
+    if (stable.has(working[i].id)) continue;
+    let start = i;
+    while (start > 0 && !stable.has(working[start - 1].id)) start -= 1;
+    ops.push(createSplice(path, start, working.slice(start, i + 1), []));
+    working.splice(start, i + 1 - start);
+    i = start;
+  }
+  for (let i = 0; i < after.length; i += 1) {
+    if (working[i]?.id === after[i].id) {
+      diffValues(working[i], after[i], [...path, i], ops);
+      continue;
+    }
+    let end = i + 1;
+    while (end < after.length && !stable.has(after[end].id)) end += 1;
+    ops.push(createSplice(path, i, [], after.slice(i, end)));
+    working.splice(i, 0, ...after.slice(i, end));
+    i = end - 1;
+  }
+}
+
+// Lists without ids are compared by index.
+function diffArrays(before, after, path, ops) {
+  const common = Math.min(before.length, after.length);
+  for (let i = 0; i < common; i += 1) {
+    diffValues(before[i], after[i], [...path, i], ops);
+  }
+  if (before.length === after.length) return;
+  const lengthOp = createOp([...path, "length"], before.length, after.length);
+  if (after.length > before.length) {
+    ops.push(lengthOp);
+    for (let i = common; i < after.length; i += 1) {
+      ops.push(createOp([...path, i], undefined, after[i]));
+    }
+  } else {
+    for (let i = common; i < before.length; i += 1) ops.push(createOp([...path, i], before[i]));
+    ops.push(lengthOp);
+  }
+}
+
+export function diffState(before, after) {
+  const ops = [];
+  diffValues(before, after, [], ops);
+  return ops;
+}
+
+function getPath(target, path) {
+  return path.reduce((node, key) => node[key], target);
+}
+
+function applySplice(target, op, forward) {
+  const [removed, inserted] = forward ? [op.before, op.after] : [op.after, op.before];
+  getPath(target, op.path).splice(op.index, removed.length, ...inserted.map(cloneValue));
+}
+
+function setPath(target, path, hasValue, value) {
+  const node = getPath(target, path.slice(0, -1));
+  const key = path[path.length - 1];
+  if (hasValue) {
+    node[key] = cloneValue(value);
+  } else {
+    delete node[key];
+  }
+}
+
+export function applyOps(target, ops, direction = "forward") {
+  if (direction === "forward") {
+    ops.forEach((op) => {
+      if (op.splice) applySplice(target, op, true);
+      else setPath(target, op.path, "after" in op, op.after);
+    });
+  } else {
+    for (let i = ops.length - 1; i >= 0; i -= 1) {
+      if (ops[i].splice) applySplice(target, ops[i], false);
+      else setPath(target, ops[i].path, "before" in ops[i], ops[i].before);
+    }
+  }
+  return target;
+}
+
+const PROJECT_LABELS = {
+  name: "Rename project",
+  bpm: "Change tempo",
+  meter: "Change time signature",
+  tempoMap: "Edit tempo map",
+  meterMap: "Edit meter changes",
+  loopRange: "Set loop range",
+  loopPoint: "Set song loop point",
+  markers: "Edit sections",
+  authenticChips: "Change authentic chips",
+  masterVolume: "Change master volume",
+  buses: "Edit return buses",
+  wavetables: "Edit wavetables",
+  instruments: "Edit instruments",
+  assets: "Edit samples",
+};
+
+const TRACK_FIELD_LABELS = {
+  console: "console",
+  waveform: "waveform",
+  duty: "pulse duty",
+  volume: "volume",
+  pan: "pan",
+  octave: "octave",
+  adsr: "envelope",
+  drumVoices: "drum voices",
+  chipDrumPads: "drum pads",
+  effects: "effects",
+  sends: "sends",
+  automation: "automation",
+  wavetable: "wavetable",
+  macros: "macros",
+  instrumentId: "instrument",
+  mute: "mute",
+  solo: "solo",
+};
+
+const NOTE_FIELD_VERBS = {
+  start: "Move",
+  pitch: "Transpose",
+  duration: "Resize",
+  velocity: "Change velocity of",
+  effects: "Edit effects on",
+  instrumentId: "Change instrument of",
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+const toWords = (key) => String(key).replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+
+function getTrackName(track) {
+  if (!track) return "track";
+  if (track.type === "sample") return "sample track";
+  if (track.type === "drums") return `${track.console || "chip"} drums`;
+  return track.console || "synth";
+}
+
+export function describeChange(ops, state) {
+  const labels = [];
+  const add = (label) => {
+    if (!labels.includes(label)) labels.push(label);
+  };
+  const addCount = (path, delta) => {
+    const verb = delta > 0 ? "Add" : "Delete";
+    const count = Math.abs(delta);
+    if (path[0] === "tracks" && path.length === 1) add(`${verb} ${plural(count, "track")}`);
+    else if (path[2] === "blocks" && path.length === 3) add(`${verb} ${plural(count, "clip")}`);
+    else if (path[4] === "notes" && path.length === 5) add(`${verb} ${plural(count, "note")}`);
+    else return false;
+    return true;
+  };
+  const covered = new Set();
+  ops.forEach((op) => {
+    const key = op.path.slice(0, -1).join("/");
+    if (op.splice || op.path[op.path.length - 1] !== "length" || covered.has(key)) return;
+    if (addCount(op.path.slice(0, -1), op.after - op.before)) covered.add(key);
+  });
+  const isCovered = (path) =>
+    path.some((_, end) => end > 0 && covered.has(path.slice(0, end).join("/")));
+
+  // The same id spliced out and back in is a reorder.
+  const lists = new Map();
+  ops.forEach((op) => {
+    if (!op.splice) return;
+    const key = op.path.join("/");
+    const list = lists.get(key) || { path: op.path, removed: new Map(), inserted: new Map() };
+    op.before.forEach((item) => list.removed.set(item.id, item));
+    op.after.forEach((item, offset) => {
+      list.inserted.set(item.id, { item, index: op.index + offset });
+    });
+    lists.set(key, list);
+  });
+  const elementOps = [];
+  lists.forEach(({ path, removed, inserted }) => {
+    const count = elementOps.length;
+    let added = 0;
+    inserted.forEach(({ item, index }, id) => {
+      if (removed.has(id)) diffValues(removed.get(id), item, [...path, index], elementOps);
+      else added += 1;
+    });
+    const deleted = [...removed.keys()].filter((id) => !inserted.has(id)).length;
+    const counted = [added && addCount(path, added), deleted && addCount(path, -deleted)];
+    if (!counted.some(Boolean) && elementOps.length === count) elementOps.push({ path });
+  });
+  const noteGroups = new Map();
+
+  [...ops.filter((op) => !op.splice), ...elementOps].forEach((op) => {
+    const { path } = op;
+    if (isCovered(path)) return;
+    const [root, trackIndex, trackField, blockIndex, blockField, noteIndex, noteField] = path;
+    if (root !== "tracks") {
+      add(PROJECT_LABELS[root] || `Change ${toWords(root)}`);
+      return;
+    }
+    const track = state?.tracks?.[trackIndex];
+    if (trackField === undefined || trackField === "id") {
+      add("Edit tracks");
+    } else if (trackField !== "blocks") {
+      const pulseChange = trackField === "waveform" &&
+        [op.before, op.after].every((waveform) => String(waveform).startsWith("pulse"));
+      const macroField = trackField === "macros" && blockIndex;
+      const field = pulseChange
+        ? "pulse duty"
+        : TRACK_FIELD_LABELS[macroField || trackField] || toWords(macroField || trackField);
+      add(`Change ${getTrackName(track)} ${field}`);
+    } else if (blockField === "notes" && noteField !== undefined) {
+      const verb = NOTE_FIELD_VERBS[noteField] || "Edit";
+      const notes = noteGroups.get(verb) || new Set();
+      notes.add(`${trackIndex}/${blockIndex}/${noteIndex}`);
+      noteGroups.set(verb, notes);
+      add(verb);
+    } else if (blockField === "startBeat") {
+      add("Move clip");
+    } else if (blockField === "length") {
+      add("Resize clip");
+    } else if (blockField === "pattern") {
+      add("Edit drum pattern");
+    } else if (blockField === "linkId") {
+      add("Change clip link");
+    } else {
+      add(blockIndex === undefined ? "Edit clips" : "Edit clip");
+    }
+  });
+
+  // Moving a note usually rewrites both start and pitch; keep the single "Move" label.
+  if (noteGroups.has("Move") && noteGroups.has("Transpose")) {
+    noteGroups.get("Transpose").forEach((note) => noteGroups.get("Move").add(note));
+    labels.splice(labels.indexOf("Transpose"), 1);
+  }
+  const resolved = labels.map((label) =>
+    noteGroups.has(label) ? `${label} ${plural(noteGroups.get(label).size, "note")}` : label,
+  );
+  if (!resolved.length) return "Edit project";
+  if (resolved.length === 1) return resolved[0];
+  return `${resolved[0]} (+${resolved.length - 1} more)`;
+}
@@ -0,0 +1,50 @@
+// Returns `runTransaction(mode, operation)` for a database holding one object store. It
+// resolves to null when IndexedDB is unavailable so callers can fall back to memory storage.
+export function createStoreTransaction({ dbName, storeName, version = 1, onCreateStore }) {
+  function openDatabase() {
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(dbName, version);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, { keyPath: "id" });
+          onCreateStore?.(store);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return async function runTransaction(mode, operation) {
+    let db;
+    try {
+      db = await openDatabase();
+    } catch (error) {
+      console.warn("IndexedDB unavailable, using memory storage", error);
+      return null;
+    }
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const store = transaction.objectStore(storeName);
+      let request;
+      try {
+        request = operation(store);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  };
+}
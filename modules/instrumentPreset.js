@@ -0,0 +1,22 @@
+import { normalizeInstrument } from "./dataModel.js";
+
+const PRESET_FORMAT = "chiptune-composer-instrument";
+const PRESET_VERSION = 1;
+const MAX_PRESET_SIZE = 1024 * 1024;
+
+export function createInstrumentPresetBlob(instrument) {
+  const { id, ...patch } = instrument;
+  const preset = { format: PRESET_FORMAT, version: PRESET_VERSION, instrument: patch };
+  return new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" });
+}
+
+export async function readInstrumentPreset(file) {
+  if (file.size > MAX_PRESET_SIZE) throw new Error("Instrument preset is too large");
+  const preset = JSON.parse(await file.text());
+  if (preset?.format !== PRESET_FORMAT || preset.version !== PRESET_VERSION) {
+    throw new Error("Unsupported .chipinstrument version");
+  }
+  const instrument = normalizeInstrument({ ...preset.instrument, id: null });
+  if (!instrument) throw new Error("Instrument preset has no supported console");
+  return instrument;
+}
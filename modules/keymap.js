@@ -0,0 +1,143 @@
+const GRID_SNAPS = [
+  { snap: 1, label: "1/4" },
+  { snap: 0.5, label: "1/8" },
+  { snap: 0.25, label: "1/16" },
+  { snap: 0.125, label: "1/32" },
+  { snap: 0.0625, label: "1/64" },
+  { snap: 0.03125, label: "1/128" },
+  { snap: 0.015625, label: "1/256" },
+];
+
+export const SHORTCUT_ACTIONS = [
+  { id: "playStop", group: "Transport", label: "Play / stop", keys: ["Space"] },
+  { id: "goToStart", group: "Transport", label: "Cursor to song start", keys: ["Home"] },
+  { id: "goToEnd", group: "Transport", label: "Cursor to song end", keys: ["End"] },
+  { id: "toggleLoop", group: "Transport", label: "Toggle loop", keys: ["L"] },
+  { id: "previousMarker", group: "Transport", label: "Previous section marker", keys: ["["] },
+  { id: "nextMarker", group: "Transport", label: "Next section marker", keys: ["]"] },
+  { id: "addMarker", group: "Transport", label: "Add section marker at cursor", keys: ["M"] },
+  { id: "undo", group: "Edit", label: "Undo", keys: ["Mod+Z"], repeat: true },
+  { id: "redo", group: "Edit", label: "Redo", keys: ["Mod+Shift+Z", "Mod+Y"], repeat: true },
+  { id: "duplicate", group: "Edit", label: "Duplicate selected clip or note", keys: ["Mod+D"] },
+  {
+    id: "delete",
+    group: "Edit",
+    label: "Delete selected clip or note",
+    keys: ["Delete", "Backspace"],
+  },
+  {
+    id: "nudgeLeft",
+    group: "Edit",
+    label: "Nudge earlier by one grid step",
+    keys: ["ArrowLeft"],
+    repeat: true,
+  },
+  {
+    id: "nudgeRight",
+    group: "Edit",
+    label: "Nudge later by one grid step",
+    keys: ["ArrowRight"],
+    repeat: true,
+  },
+  {
+    id: "nudgeUp",
+    group: "Edit",
+    label: "Nudge note up a semitone",
+    keys: ["ArrowUp"],
+    repeat: true,
+  },
+  {
+    id: "nudgeDown",
+    group: "Edit",
+    label: "Nudge note down a semitone",
+    keys: ["ArrowDown"],
+    repeat: true,
+  },
+  {
+    id: "octaveUp",
+    group: "Piano Roll",
+    label: "Octave up (selected note, else view or tracker octave)",
+    keys: ["Shift+ArrowUp"],
+    repeat: true,
+  },
+  {
+    id: "octaveDown",
+    group: "Piano Roll",
+    label: "Octave down (selected note, else view or tracker octave)",
+    keys: ["Shift+ArrowDown"],
+    repeat: true,
+  },
+  ...GRID_SNAPS.map(({ snap, label }, index) => ({
+    id: `grid${index + 1}`,
+    group: "Grid",
+    label: `Grid ${label}`,
+    keys: [`${index + 1}`],
+    snap,
+  })),
+  { id: "showShortcuts", group: "Help", label: "Keyboard shortcuts", keys: ["?"] },
+];
+
+const MODIFIER_KEYS = new Set(["Control", "Meta", "Shift", "Alt", "AltGraph", "CapsLock", "OS"]);
+
+const KEY_SYMBOLS = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || "");
+
+export function getDefaultKeymap() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, [...action.keys]]));
+}
+
+export function normalizeKeymap(saved) {
+  const keymap = getDefaultKeymap();
+  if (!saved || typeof saved !== "object") return keymap;
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const keys = saved[action.id];
+    if (Array.isArray(keys)) {
+      keymap[action.id] = keys.filter((key) => typeof key === "string" && key).slice(0, 4);
+    }
+  });
+  return keymap;
+}
+
+// Shifted symbols arrive as their own key ("?"), so Shift is only kept for letters and names.
+export function getEventCombo(event) {
+  if (!event.key || MODIFIER_KEYS.has(event.key)) return null;
+  const key = event.key === " " ? "Space" : event.key;
+  const isCharacter = key.length === 1;
+  const isLetter = isCharacter && key.toLowerCase() !== key.toUpperCase();
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push("Mod");
+  if (event.altKey) parts.push("Alt");
+  if (event.shiftKey && (!isCharacter || isLetter)) parts.push("Shift");
+  parts.push(isCharacter ? key.toUpperCase() : key);
+  return parts.join("+");
+}
+
+export function formatCombo(combo) {
+  return combo
+    .split("+")
+    .map((part) => {
+      if (part === "Mod") return IS_MAC ? "⌘" : "Ctrl";
+      if (part === "Alt" && IS_MAC) return "⌥";
+      return KEY_SYMBOLS[part] || part;
+    })
+    .join(IS_MAC ? "" : "+");
+}
+
+export function findShortcutAction(keymap, combo) {
+  return SHORTCUT_ACTIONS.find((action) => keymap[action.id]?.includes(combo)) || null;
+}
+
+export function assignShortcut(keymap, actionId, combo) {
+  const next = {};
+  Object.entries(keymap).forEach(([id, keys]) => {
+    next[id] = keys.filter((key) => key !== combo);
+  });
+  next[actionId] = [combo];
+  return next;
+}
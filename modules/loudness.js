@@ -0,0 +1,92 @@
+// ITU-R BS.1770 integrated loudness, used to normalize exports to a LUFS target.
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// BS.1770 K-weighting (high shelf, then high pass), re-derived for the render rate.
+function getKWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = 10 ** (3.999843853973347 / 20);
+  const vb = vh ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+  return [
+    {
+      b: [
+        (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+        (2 * (shelfK * shelfK - vh)) / shelfA0,
+        (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      ],
+      a: [(2 * (shelfK * shelfK - 1)) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0],
+    },
+    {
+      b: [1, -2, 1],
+      a: [(2 * (passK * passK - 1)) / passA0, (1 - passK / passQ + passK * passK) / passA0],
+    },
+  ];
+}
+
+function applyBiquad(input, { b, a }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i += 1) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+export function getPeak(channels) {
+  let peak = 0;
+  channels.forEach((data) => {
+    for (let i = 0; i < data.length; i += 1) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+  });
+  return peak;
+}
+
+// Gated integrated loudness in LUFS, or -Infinity for silence.
+export function measureIntegratedLoudness(channels, sampleRate) {
+  const filters = getKWeightingFilters(sampleRate);
+  const weighted = channels.map((data) =>
+    filters.reduce((signal, filter) => applyBiquad(signal, filter), data),
+  );
+  const blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+  const step = Math.round(STEP_SECONDS * sampleRate);
+  const length = weighted[0]?.length || 0;
+  const powers = [];
+  for (let start = 0; start + blockLength <= length; start += step) {
+    let power = 0;
+    weighted.forEach((data) => {
+      let sum = 0;
+      for (let i = start; i < start + blockLength; i += 1) {
+        sum += data[i] * data[i];
+      }
+      power += sum / blockLength;
+    });
+    powers.push(power);
+  }
+
+  const aboveAbsolute = powers.filter((power) => power > 0 && toLoudness(power) > ABSOLUTE_GATE);
+  if (!aboveAbsolute.length) return -Infinity;
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeGate = toLoudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter((power) => toLoudness(power) > relativeGate);
+  return toLoudness(mean(gated));
+}
@@ -0,0 +1,229 @@
+import {
+  MACRO_TYPES,
+  MAX_MACRO_LENGTH,
+  createMacro,
+  formatMacro,
+  parseMacro,
+} from "./dataModel.js";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const CELL_WIDTH = 10;
+const GRAPH_HEIGHT = 112;
+const MARKER_HEIGHT = 16;
+const MIN_COLUMNS = 32;
+const SPARE_COLUMNS = 8;
+
+export class MacroEditor {
+  constructor({ container, macros = {}, type = "volume", onChange, onTypeChange }) {
+    this.container = container;
+    this.macros = macros;
+    this.type = MACRO_TYPES[type] ? type : "volume";
+    this.onChange = onChange;
+    this.onTypeChange = onTypeChange;
+    this.pointerId = null;
+    this.lastFrame = null;
+    this.render();
+  }
+
+  getMacro() {
+    return this.macros[this.type] || null;
+  }
+
+  setType(type) {
+    this.type = type;
+    this.onTypeChange?.(type);
+    this.render();
+  }
+
+  updateMacro(macro, { commit = true } = {}) {
+    if (macro) {
+      this.macros[this.type] = macro;
+    } else {
+      delete this.macros[this.type];
+    }
+    this.onChange?.(this.type, macro, { commit });
+    if (commit) {
+      this.render();
+    } else {
+      this.draw();
+    }
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    this.container.classList.add("macro-editor");
+
+    const tabs = document.createElement("div");
+    tabs.className = "macro-tabs";
+    Object.entries(MACRO_TYPES).forEach(([type, definition]) => {
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "btn tiny toggle";
+      tab.textContent = definition.label;
+      tab.classList.toggle("has-macro", Boolean(this.macros[type]));
+      tab.setAttribute("aria-pressed", type === this.type ? "true" : "false");
+      tab.addEventListener("click", () => this.setType(type));
+      tabs.appendChild(tab);
+    });
+
+    const definition = MACRO_TYPES[this.type];
+    const macro = this.getMacro();
+    const length = macro?.values.length || 0;
+    this.columns = clamp(Math.max(MIN_COLUMNS, length + SPARE_COLUMNS), 1, MAX_MACRO_LENGTH);
+
+    const graphWrap = document.createElement("div");
+    graphWrap.className = "macro-graph-wrap";
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "macro-graph";
+    this.canvas.width = this.columns * CELL_WIDTH;
+    this.canvas.height = GRAPH_HEIGHT + MARKER_HEIGHT;
+    this.canvas.title =
+      "Draw values · click the bottom strip to set the loop, Shift+click for release";
+    this.canvas.addEventListener("pointerdown", (event) => this.handlePointerDown(event));
+    this.canvas.addEventListener("pointermove", (event) => this.handlePointerMove(event));
+    this.canvas.addEventListener("pointerup", (event) => this.handlePointerUp(event));
+    this.canvas.addEventListener("pointercancel", (event) => this.handlePointerUp(event));
+    graphWrap.appendChild(this.canvas);
+
+    const footer = document.createElement("div");
+    footer.className = "macro-footer";
+
+    const sequenceInput = document.createElement("input");
+    sequenceInput.type = "text";
+    sequenceInput.className = "macro-sequence";
+    sequenceInput.spellcheck = false;
+    sequenceInput.placeholder = "15 12 | 10 8 / 4 0";
+    sequenceInput.value = macro ? formatMacro(macro) : "";
+    sequenceInput.setAttribute("aria-label", `${definition.label} sequence`);
+    sequenceInput.addEventListener("change", () => {
+      this.updateMacro(parseMacro(this.type, sequenceInput.value));
+    });
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.className = "btn tiny";
+    clearButton.textContent = "Clear";
+    clearButton.disabled = !macro;
+    clearButton.addEventListener("click", () => this.updateMacro(null));
+
+    const hint = document.createElement("span");
+    hint.className = "macro-hint";
+    hint.textContent = `${definition.hint} · | loop · / release`;
+
+    footer.append(sequenceInput, clearButton, hint);
+    this.container.append(tabs, graphWrap, footer);
+    this.draw();
+  }
+
+  valueToY(value) {
+    const { min, max } = MACRO_TYPES[this.type];
+    return GRAPH_HEIGHT - ((value - min) / (max - min)) * GRAPH_HEIGHT;
+  }
+
+  draw() {
+    const context = this.canvas.getContext("2d");
+    const width = this.canvas.width;
+    const { min, max } = MACRO_TYPES[this.type];
+    const macro = this.getMacro();
+    context.clearRect(0, 0, width, this.canvas.height);
+    context.fillStyle = "#172027";
+    context.fillRect(0, 0, width, GRAPH_HEIGHT);
+    context.fillStyle = "#222d35";
+    context.fillRect(0, GRAPH_HEIGHT, width, MARKER_HEIGHT);
+
+    const zeroY = this.valueToY(clamp(0, min, max));
+    context.strokeStyle = "rgba(255, 255, 255, 0.24)";
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(0, zeroY);
+    context.lineTo(width, zeroY);
+    for (let column = 4; column < this.columns; column += 4) {
+      context.moveTo(column * CELL_WIDTH + 0.5, 0);
+      context.lineTo(column * CELL_WIDTH + 0.5, GRAPH_HEIGHT);
+    }
+    context.stroke();
+    if (!macro) return;
+
+    macro.values.forEach((value, frame) => {
+      const y = this.valueToY(value);
+      const inLoop = macro.loop !== null && frame >= macro.loop;
+      context.fillStyle = inLoop ? "#f4b849" : "#58c7c2";
+      context.fillRect(
+        frame * CELL_WIDTH + 1,
+        Math.min(y, zeroY),
+        CELL_WIDTH - 2,
+        Math.max(2, Math.abs(y - zeroY)),
+      );
+    });
+
+    context.font = "10px monospace";
+    context.textBaseline = "middle";
+    if (macro.loop !== null) {
+      context.fillStyle = "#f4b849";
+      context.fillText("|", macro.loop * CELL_WIDTH + 3, GRAPH_HEIGHT + MARKER_HEIGHT / 2);
+    }
+    if (macro.release !== null) {
+      context.fillStyle = "#ef6f8c";
+      context.fillText("/", macro.release * CELL_WIDTH + 3, GRAPH_HEIGHT + MARKER_HEIGHT / 2);
+    }
+  }
+
+  getPointerFrame(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * this.canvas.width;
+    const y = ((event.clientY - rect.top) / rect.height) * this.canvas.height;
+    return { frame: clamp(Math.floor(x / CELL_WIDTH), 0, this.columns - 1), y };
+  }
+
+  paint(event) {
+    const { min, max } = MACRO_TYPES[this.type];
+    const { frame, y } = this.getPointerFrame(event);
+    const value = Math.round(min + (1 - clamp(y / GRAPH_HEIGHT, 0, 1)) * (max - min));
+    const macro = this.getMacro() || { ...createMacro(this.type), values: [] };
+    const values = [...macro.values];
+    const from = this.lastFrame ?? frame;
+    const step = frame >= from ? 1 : -1;
+    for (let cursor = from; cursor !== frame + step; cursor += step) {
+      while (values.length < cursor) values.push(values[values.length - 1] ?? value);
+      values[cursor] = value;
+    }
+    this.lastFrame = frame;
+    this.updateMacro({ ...macro, values: values.slice(0, MAX_MACRO_LENGTH) }, { commit: false });
+  }
+
+  setMarker(event) {
+    const macro = this.getMacro();
+    if (!macro) return;
+    const { frame } = this.getPointerFrame(event);
+    if (frame >= macro.values.length) return;
+    const key = event.shiftKey ? "release" : "loop";
+    this.updateMacro({ ...macro, [key]: macro[key] === frame ? null : frame });
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    if (this.getPointerFrame(event).y > GRAPH_HEIGHT) {
+      this.setMarker(event);
+      return;
+    }
+    this.pointerId = event.pointerId;
+    this.lastFrame = null;
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this.paint(event);
+  }
+
+  handlePointerMove(event) {
+    if (this.pointerId !== event.pointerId) return;
+    this.paint(event);
+  }
+
+  handlePointerUp(event) {
+    if (this.pointerId !== event.pointerId) return;
+    this.pointerId = null;
+    this.lastFrame = null;
+    const macro = this.getMacro();
+    if (macro) this.updateMacro(macro);
+  }
+}
@@ -0,0 +1,201 @@
+import {
+  DEFAULT_DRUM_ROWS,
+  ensureDrumPattern,
+  getDrumVoiceDefinition,
+  getNoteInstrumentTrack,
+} from "./dataModel.js";
+import { TempoMap, getMeterChanges } from "./tempoMap.js";
+
+const PPQ = 480;
+const DRUM_CHANNEL = 9;
+const RAMP_STEP_BEATS = 0.25;
+const TEXT_ENCODER = new TextEncoder();
+
+const GM_DRUM_NOTES = {
+  kick: 36,
+  snare: 38,
+  clap: 39,
+  hat: 42,
+  openhat: 46,
+  tom: 45,
+  "fm-tom": 48,
+  cowbell: 56,
+  perc: 37,
+  noise: 49,
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toTicks = (beat) => Math.max(0, Math.round(beat * PPQ));
+
+const toVelocity = (value, fallback = 0.9) =>
+  clamp(Math.round((Number.isFinite(value) ? value : fallback) * 127), 1, 127);
+
+const writeUint32 = (value) => [
+  (value >>> 24) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 8) & 0xff,
+  value & 0xff,
+];
+
+const writeUint16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+
+const writeVarInt = (value) => {
+  const bytes = [value & 0x7f];
+  let remaining = value >>> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  return bytes;
+};
+
+const metaEvent = (type, data) => [0xff, type, ...writeVarInt(data.length), ...data];
+
+const textMeta = (type, text) => metaEvent(type, Array.from(TEXT_ENCODER.encode(String(text || ""))));
+
+export const getMidiDrumNote = (track, drum) => {
+  const engine = getDrumVoiceDefinition(track, drum).engine;
+  return GM_DRUM_NOTES[engine] ?? GM_DRUM_NOTES.perc;
+};
+
+function createTrackChunk(events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+  const bytes = [];
+  let lastTick = 0;
+  sorted.forEach((event) => {
+    bytes.push(...writeVarInt(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  bytes.push(...writeVarInt(0), ...metaEvent(0x2f, []));
+  return [...TEXT_ENCODER.encode("MTrk"), ...writeUint32(bytes.length), ...bytes];
+}
+
+const tempoEvent = (tick, bpm) => {
+  const tempo = Math.round(60000000 / bpm);
+  return {
+    tick,
+    order: 0,
+    data: metaEvent(0x51, [(tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff]),
+  };
+};
+
+const meterEvent = (tick, meter) => ({
+  tick,
+  order: 0,
+  data: metaEvent(0x58, [meter.numerator, Math.round(Math.log2(meter.denominator)), 24, 8]),
+});
+
+function createConductorEvents(project) {
+  const tempoMap = new TempoMap(project);
+  const events = [
+    { tick: 0, order: 0, data: textMeta(0x03, project.name || "Untitled Project") },
+    ...getMeterChanges(project).map((meter) => meterEvent(toTicks(meter.beat), meter)),
+    tempoEvent(0, project.bpm || 120),
+  ];
+
+  (project.tempoMap || []).forEach((change, index, changes) => {
+    if (change.ramp) {
+      const previousBeat = index > 0 ? changes[index - 1].beat : 0;
+      for (let beat = previousBeat + RAMP_STEP_BEATS; beat < change.beat; beat += RAMP_STEP_BEATS) {
+        events.push(tempoEvent(toTicks(beat), tempoMap.getBpmAt(beat)));
+      }
+    }
+    events.push(tempoEvent(toTicks(change.beat), change.bpm));
+  });
+  return events;
+}
+
+function createChannelSetupEvents(track, channel, name) {
+  const volume = clamp(Math.round((track.volume ?? 0.8) * 127), 0, 127);
+  const pan = clamp(Math.round(((track.pan ?? 0) + 1) * 63.5), 0, 127);
+  return [
+    { tick: 0, order: 0, data: textMeta(0x03, name) },
+    { tick: 0, order: 0, data: [0xb0 | channel, 7, volume] },
+    { tick: 0, order: 0, data: [0xb0 | channel, 10, pan] },
+  ];
+}
+
+function pushNote(events, channel, note, startBeat, duration, velocity) {
+  if (!Number.isFinite(note) || note < 0 || note > 127) return;
+  const startTick = toTicks(startBeat);
+  const endTick = Math.max(startTick + 1, toTicks(startBeat + duration));
+  events.push({ tick: startTick, order: 2, data: [0x90 | channel, note, velocity] });
+  events.push({ tick: endTick, order: 1, data: [0x80 | channel, note, 0] });
+}
+
+function createSynthTrackEvents(track, channel, name, instruments) {
+  const events = createChannelSetupEvents(track, channel, name);
+  track.blocks.forEach((block) => {
+    (block.notes || []).forEach((note) => {
+      const noteTrack = getNoteInstrumentTrack(track, instruments.get(note.instrumentId));
+      pushNote(
+        events,
+        channel,
+        Math.round(Number(note.pitch) + Number(noteTrack.octave || 0) * 12),
+        block.startBeat + note.start,
+        note.duration,
+        toVelocity(note.velocity),
+      );
+    });
+  });
+  return events;
+}
+
+function createDrumTrackEvents(track, name) {
+  const events = createChannelSetupEvents(track, DRUM_CHANNEL, name);
+  track.blocks.forEach((block) => {
+    const rows = Array.isArray(block.pattern?.rows) ? block.pattern.rows : DEFAULT_DRUM_ROWS;
+    const pattern = ensureDrumPattern(block, rows);
+    pattern.events.forEach((event) => {
+      pushNote(
+        events,
+        DRUM_CHANNEL,
+        getMidiDrumNote(track, event.drum),
+        block.startBeat + event.start,
+        Math.max(0.05, event.duration || 0.25),
+        toVelocity(event.velocity),
+      );
+    });
+  });
+  return events;
+}
+
+export function createMidiFile(project, options = {}) {
+  const { trackIds = null } = options;
+  const selectedIds = Array.isArray(trackIds) ? new Set(trackIds) : null;
+  const soloActive = project.tracks.some((track) => track.solo);
+  const chunks = [createTrackChunk(createConductorEvents(project))];
+  const instruments = new Map((project.instruments || []).map((item) => [item.id, item]));
+  let nextChannel = 0;
+
+  project.tracks.forEach((track, index) => {
+    if (selectedIds && !selectedIds.has(track.id)) return;
+    if (track.mute || (soloActive && !track.solo)) return;
+    const name = `Track ${index + 1} · ${track.console}`;
+    if (track.type === "drums") {
+      chunks.push(createTrackChunk(createDrumTrackEvents(track, name)));
+    } else if (track.type === "synth") {
+      if (nextChannel === DRUM_CHANNEL) nextChannel += 1;
+      const channel = nextChannel;
+      nextChannel = (nextChannel + 1) % 16;
+      const trackName = `${name} ${track.waveform}`;
+      chunks.push(createTrackChunk(createSynthTrackEvents(track, channel, trackName, instruments)));
+    }
+  });
+
+  const header = [
+    ...TEXT_ENCODER.encode("MThd"),
+    ...writeUint32(6),
+    ...writeUint16(1),
+    ...writeUint16(chunks.length),
+    ...writeUint16(PPQ),
+  ];
+  return new Uint8Array([...header, ...chunks.flat()]);
+}
+
+export function createMidiBlob(project, options = {}) {
+  return new Blob([createMidiFile(project, options)], { type: "audio/midi" });
+}
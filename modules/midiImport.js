@@ -44,7 +44,8 @@ function parseMidi(data) {
 
   const ppq = (division & 0x8000) ? 480 : division;
   const tracks = [];
-  let tempo = 500000;
+  const tempoEvents = [];
+  const meterEvents = [];
 
   for (let trackIndex = 0; trackIndex < trackCount; trackIndex += 1) {
     const chunkId = readString(data, offset, 4);
@@ -83,7 +84,16 @@ function parseMidi(data) {
         const length = lengthInfo.value;
         offset = lengthInfo.next;
         if (metaType === 0x51 && length === 3) {
-          tempo = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+          tempoEvents.push({
+            tick: currentTick,
+            tempo: (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2],
+          });
+        } else if (metaType === 0x58 && length >= 2) {
+          meterEvents.push({
+            tick: currentTick,
+            numerator: data[offset],
+            denominator: 2 ** data[offset + 1],
+          });
         }
         offset += length;
         continue;
@@ -126,11 +136,45 @@ function parseMidi(data) {
     offset = trackEnd;
   }
 
-  return { format, ppq, tempo, tracks };
+  const byTick = (a, b) => a.tick - b.tick;
+  tempoEvents.sort(byTick);
+  meterEvents.sort(byTick);
+  return { format, ppq, tempoEvents, meterEvents, tracks };
+}
+
+const collapseByTick = (events) =>
+  events.filter((event, index) => events[index + 1]?.tick !== event.tick);
+
+function buildTempoMap(midi) {
+  const toBpm = (tempo) => Math.round((60000000 / (tempo || 500000)) * 100) / 100;
+  const tempoEvents = collapseByTick(midi.tempoEvents);
+  const initialTempo = tempoEvents.find((event) => event.tick === 0);
+  const tempoMap = tempoEvents
+    .filter((event) => event.tick > 0)
+    .map((event) => ({ beat: event.tick / midi.ppq, bpm: toBpm(event.tempo), ramp: false }));
+
+  const meterEvents = collapseByTick(midi.meterEvents);
+  const initialMeter = meterEvents.find((event) => event.tick === 0);
+  const meterMap = meterEvents
+    .filter((event) => event.tick > 0)
+    .map((event) => ({
+      beat: event.tick / midi.ppq,
+      numerator: event.numerator,
+      denominator: event.denominator,
+    }));
+
+  return {
+    bpm: toBpm(initialTempo?.tempo),
+    meter: initialMeter
+      ? { numerator: initialMeter.numerator, denominator: initialMeter.denominator }
+      : { numerator: 4, denominator: 4 },
+    tempoMap,
+    meterMap,
+  };
 }
 
 function buildProjectFromMidi(midi, filename) {
-  const bpm = Math.round(60000000 / (midi.tempo || 500000));
+  const { bpm, meter, tempoMap, meterMap } = buildTempoMap(midi);
   const name = filename ? filename.replace(/\.[^/.]+$/, "") : "Imported MIDI";
   const snap = 1 / 16 / 4; // 1/64 beat
   const quantize = (value) => Math.round(value / snap) * snap;
@@ -224,7 +268,7 @@ function buildProjectFromMidi(midi, filename) {
     });
   });
 
-  return { name, bpm, tracks };
+  return { name, bpm, meter, tempoMap, meterMap, tracks };
 }
 
 export async function importMidiFile(file) {
@@ -0,0 +1,533 @@
+import { MAX_BPM, MAX_TRACKS, MIN_BPM, createBlock, createTrack } from "./dataModel.js";
+import { createAssetId } from "./assetStore.js";
+import { audioBufferToWav } from "./exportWav.js";
+import { TempoMap } from "./tempoMap.js";
+
+const ROW_BEATS = 0.25;
+const TEXT_DECODER = new TextDecoder("latin1");
+const XM_MAGIC = "Extended Module: ";
+const XM_KEY_OFF = 97;
+const AMIGA_C2_RATE = 8287; // PAL Paula clock / (2 × period 428)
+const XM_C4_RATE = 8363;
+const RENDER_RATE = 22050;
+const PEAK_BUCKETS = 160;
+const MOD_PANNING = [-0.5, 0.5, 0.5, -0.5];
+const MOD_CHANNEL_SIGNATURES = {
+  "M.K.": 4,
+  "M!K!": 4,
+  "M&K!": 4,
+  FLT4: 4,
+  "4CHN": 4,
+  "6CHN": 6,
+  "8CHN": 8,
+  OCTA: 8,
+  CD81: 8,
+  FLT8: 8,
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const formatHex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+const readString = (bytes, offset, length) =>
+  TEXT_DECODER.decode(bytes.subarray(offset, offset + length)).replace(/\0.*$/s, "").trim();
+
+function countIssue(issues, message) {
+  issues.set(message, (issues.get(message) || 0) + 1);
+}
+
+function getPeaks(data) {
+  const bucketSize = Math.max(1, Math.floor(data.length / PEAK_BUCKETS));
+  return Array.from({ length: PEAK_BUCKETS }, (_, bucket) => {
+    let peak = 0;
+    const to = Math.min(data.length, (bucket + 1) * bucketSize);
+    for (let index = bucket * bucketSize; index < to; index += 1) {
+      peak = Math.max(peak, Math.abs(data[index]));
+    }
+    return peak;
+  });
+}
+
+function parseEffect(code, value) {
+  if (code === 0 && value === 0) return null;
+  if (code === 0x0f) {
+    if (!value) return null;
+    return { type: value < 0x20 ? "speed" : "tempo", value };
+  }
+  if (code === 0x0d) return { type: "break", value: (value >> 4) * 10 + (value & 0x0f) };
+  if (code === 0x0b) return { type: "jump", value };
+  if (code === 0x0c) return { type: "volume", value: Math.min(64, value) };
+  if (code === 0x09) return { type: "offset", value };
+  if (code === 0x14) return { type: "off" };
+  if (code === 0x0e) return { unsupported: `E${formatHex(value >> 4, 1)}x` };
+  return { unsupported: `${code.toString(36).toUpperCase()}xx` };
+}
+
+function getFlowChange(pattern, startRow) {
+  for (let row = startRow; row < pattern.rows; row += 1) {
+    let change = null;
+    pattern.cells[row]?.forEach((cell) => {
+      cell?.effects.forEach((effect) => {
+        if (effect.type !== "break" && effect.type !== "jump") return;
+        change = change || { row, order: null, nextRow: 0 };
+        if (effect.type === "jump") change.order = effect.value;
+        else change.nextRow = effect.value;
+      });
+    });
+    if (change) return change;
+  }
+  return null;
+}
+
+function closeNote(state, endBeat) {
+  if (!state.note) return;
+  state.note.endBeat = endBeat;
+  state.note = null;
+}
+
+function processCell(context, state, cell, beat) {
+  const { song, issues } = context;
+  if (cell.instrument !== null) {
+    state.instrument = cell.instrument;
+    const pitch = typeof cell.note === "number" ? cell.note : state.pitch;
+    const sample = song.samples[song.resolveSample(cell.instrument, pitch)];
+    state.volume = sample ? sample.volume : state.volume;
+  }
+  let volume = cell.volume;
+  let offset = 0;
+  let keyOff = cell.note === "off";
+  cell.effects.forEach((effect) => {
+    if (effect.unsupported) countIssue(issues, `Effect ${effect.unsupported} ignored`);
+    else if (effect.type === "volume") volume = effect.value;
+    else if (effect.type === "offset") offset = effect.value;
+    else if (effect.type === "off") keyOff = true;
+  });
+  if (volume !== null) state.volume = volume;
+
+  if (keyOff) {
+    closeNote(state, beat);
+  } else if (cell.note !== null && state.instrument !== null) {
+    closeNote(state, beat);
+    state.pitch = cell.note;
+    const sampleIndex = song.resolveSample(state.instrument, cell.note);
+    if (!song.samples[sampleIndex]?.data.length) return;
+    state.note = {
+      sample: sampleIndex,
+      pitch: cell.note,
+      startBeat: beat,
+      endBeat: null,
+      gain: state.volume / 64,
+      offset: offset * 256,
+    };
+    context.notes[state.channel].push(state.note);
+  } else if (volume === 0) {
+    closeNote(state, beat);
+  } else if (volume !== null && state.note) {
+    countIssue(issues, "Volume changes during a held note ignored");
+  }
+}
+
+function applyTempoEffects(context, cells, beat, tempoMap) {
+  const { timing } = context;
+  let changed = false;
+  cells.forEach((cell) => {
+    cell?.effects.forEach((effect) => {
+      if (effect.type === "speed") timing.speed = effect.value;
+      else if (effect.type === "tempo") timing.tempo = effect.value;
+      else return;
+      changed = true;
+    });
+  });
+  if (!changed) return;
+  const bpm = Math.round(clamp((6 * timing.tempo) / timing.speed, MIN_BPM, MAX_BPM) * 100) / 100;
+  if (bpm === timing.bpm) return;
+  timing.bpm = bpm;
+  if (beat === 0) {
+    timing.initialBpm = bpm;
+    return;
+  }
+  const existing = tempoMap.find((change) => change.beat === beat);
+  if (existing) existing.bpm = bpm;
+  else tempoMap.push({ beat, bpm, ramp: false });
+}
+
+// Source frame for a play position, following forward and ping-pong loops; null once a one-shot
+// sample has run out.
+function getSourceFrame(sample, position) {
+  const { data, loopStart, loopLength } = sample;
+  if (!loopLength || position < loopStart + loopLength) {
+    return position < data.length ? position : null;
+  }
+  const cycle = (position - loopStart) % (sample.pingPong ? loopLength * 2 : loopLength);
+  return loopStart + (cycle < loopLength ? cycle : loopLength * 2 - cycle);
+}
+
+function renderNotes(context, notes, startBeat, endBeat, tempoMap) {
+  const startTime = tempoMap.beatToSeconds(startBeat);
+  // Rounded so every repeat of a pattern renders to the same bytes and shares one asset.
+  const toFrame = (beat) =>
+    Math.round((tempoMap.beatToSeconds(beat) - startTime) * RENDER_RATE * 1000) / 1000;
+  const data = new Float32Array(Math.ceil(toFrame(endBeat)));
+  notes.forEach((note) => {
+    if (note.startBeat >= endBeat || note.endBeat <= startBeat) return;
+    const sample = context.song.samples[note.sample];
+    const step = (sample.rate * Math.pow(2, note.pitch / 12)) / RENDER_RATE;
+    const noteFrame = toFrame(note.startBeat);
+    const to = Math.min(data.length, Math.ceil(toFrame(note.endBeat)));
+    for (let frame = Math.max(0, Math.ceil(noteFrame)); frame < to; frame += 1) {
+      const position = getSourceFrame(sample, note.offset + (frame - noteFrame) * step);
+      if (position === null) break;
+      const index = Math.floor(position);
+      const current = sample.data[index] ?? 0;
+      const next = sample.data[index + 1] ?? current;
+      data[frame] += (current + (next - current) * (position - index)) * note.gain;
+    }
+  });
+  return data;
+}
+
+async function createRenderedAsset(data, name) {
+  const wav = audioBufferToWav({
+    numberOfChannels: 1,
+    sampleRate: RENDER_RATE,
+    length: data.length,
+    getChannelData: () => data,
+  });
+  const id = await createAssetId(wav);
+  return {
+    id,
+    duration: data.length / RENDER_RATE,
+    record: { id, name, type: "audio/wav", blob: new Blob([wav], { type: "audio/wav" }) },
+    asset: {
+      id,
+      name,
+      type: "audio/wav",
+      size: wav.byteLength,
+      duration: data.length / RENDER_RATE,
+      peaks: getPeaks(data),
+    },
+  };
+}
+
+async function buildModuleProject(song) {
+  const issues = new Map();
+  const initialBpm = Math.round(clamp((6 * song.tempo) / song.speed, MIN_BPM, MAX_BPM) * 100) / 100;
+  const timing = { speed: song.speed, tempo: song.tempo, bpm: initialBpm, initialBpm: null };
+  const context = {
+    song,
+    issues,
+    timing,
+    notes: Array.from({ length: song.channelCount }, () => []),
+  };
+  const states = Array.from({ length: song.channelCount }, (_, channel) => ({
+    channel,
+    instrument: null,
+    pitch: null,
+    volume: 64,
+    note: null,
+  }));
+  const tempoMap = [];
+  const sections = [];
+  const visited = new Set();
+  let beat = 0;
+  let orderIndex = 0;
+  let startRow = 0;
+  while (orderIndex < song.orders.length && !visited.has(`${orderIndex}:${startRow}`)) {
+    visited.add(`${orderIndex}:${startRow}`);
+    const pattern = song.patterns[song.orders[orderIndex]] || { rows: 64, cells: [] };
+    const flow = getFlowChange(pattern, startRow);
+    const endRow = flow ? flow.row + 1 : pattern.rows;
+    const section = { pattern: song.orders[orderIndex], startBeat: beat };
+    for (let row = startRow; row < endRow; row += 1) {
+      const cells = pattern.cells[row] || [];
+      applyTempoEffects(context, cells, beat, tempoMap);
+      cells.forEach((cell, channel) => {
+        if (cell) processCell(context, states[channel], cell, beat);
+      });
+      beat += ROW_BEATS;
+    }
+    if (beat > section.startBeat) sections.push({ ...section, endBeat: beat });
+    orderIndex = flow?.order ?? orderIndex + 1;
+    startRow = flow?.nextRow ?? 0;
+  }
+  states.forEach((state) => closeNote(state, beat));
+
+  const projectBpm = timing.initialBpm ?? initialBpm;
+  const projectTempoMap = new TempoMap({ bpm: projectBpm, tempoMap });
+  const assets = new Map();
+  const tracks = [];
+  for (const [channel, notes] of context.notes.entries()) {
+    if (!notes.length) continue;
+    if (tracks.length >= MAX_TRACKS) {
+      countIssue(issues, `Channel ${channel + 1} skipped, too many channels`);
+      continue;
+    }
+    const track = createTrack(tracks.length, { type: "sample" });
+    track.pan = song.panning?.[channel] ?? 0;
+    for (const { pattern, startBeat, endBeat } of sections) {
+      if (!notes.some((note) => note.startBeat < endBeat && note.endBeat > startBeat)) continue;
+      const data = renderNotes(context, notes, startBeat, endBeat, projectTempoMap);
+      if (!data.some((value) => value !== 0)) continue;
+      const name = `Pattern ${formatHex(pattern)} channel ${channel + 1}.wav`;
+      const asset = await createRenderedAsset(data, name);
+      if (!assets.has(asset.id)) assets.set(asset.id, asset);
+      const block = createBlock({ startBeat, length: endBeat - startBeat, type: "sample" });
+      Object.assign(block, {
+        assetId: asset.id,
+        sourceEnd: asset.duration,
+        loopEnd: asset.duration,
+      });
+      track.blocks.push(block);
+    }
+    tracks.push(track);
+  }
+
+  const project = {
+    name: song.name,
+    bpm: projectBpm,
+    meter: { numerator: 4, denominator: 4 },
+    tempoMap,
+    meterMap: [],
+    instruments: [],
+    tracks,
+    assets: [...assets.values()].map((item) => item.asset),
+  };
+  const issueList = [
+    ...song.issues,
+    ...[...issues].map(([message, count]) => (count > 1 ? `${message} (${count}×)` : message)),
+  ];
+  return { project, assets: [...assets.values()].map((item) => item.record), issues: issueList };
+}
+
+function getModChannelCount(signature) {
+  if (MOD_CHANNEL_SIGNATURES[signature]) return MOD_CHANNEL_SIGNATURES[signature];
+  const match = /^(\d)CHN$/.exec(signature) || /^(\d\d)C[HN]$/.exec(signature);
+  return match ? Number(match[1]) : 0;
+}
+
+export function parseProTrackerModule(bytes, fileName = "") {
+  if (bytes.length < 1084) throw new Error("ProTracker module is truncated");
+  const channelCount = getModChannelCount(readString(bytes, 1080, 4));
+  if (!channelCount) throw new Error("Only 31-sample ProTracker modules are supported");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headers = Array.from({ length: 31 }, (_, index) => {
+    const offset = 20 + index * 30;
+    const finetune = bytes[offset + 24] & 0x0f;
+    return {
+      index,
+      name: readString(bytes, offset, 22),
+      length: view.getUint16(offset + 22) * 2,
+      finetune: finetune > 7 ? finetune - 16 : finetune,
+      volume: Math.min(64, bytes[offset + 25]),
+      loopStart: view.getUint16(offset + 26) * 2,
+      loopLength: view.getUint16(offset + 28) > 1 ? view.getUint16(offset + 28) * 2 : 0,
+    };
+  });
+  const songLength = clamp(bytes[950], 1, 128);
+  const orderTable = [...bytes.subarray(952, 952 + 128)];
+  const patternCount = Math.max(...orderTable) + 1;
+  const patternSize = 64 * channelCount * 4;
+
+  const patterns = Array.from({ length: patternCount }, (_, patternIndex) => {
+    const cells = Array.from({ length: 64 }, (_, row) =>
+      Array.from({ length: channelCount }, (__, channel) => {
+        const offset = 1084 + patternIndex * patternSize + (row * channelCount + channel) * 4;
+        if (offset + 4 > bytes.length) return null;
+        const [b0, b1, b2, b3] = bytes.subarray(offset, offset + 4);
+        const instrument = (b0 & 0xf0) | (b2 >> 4);
+        const period = ((b0 & 0x0f) << 8) | b1;
+        const effect = parseEffect(b2 & 0x0f, b3);
+        return {
+          note: period ? Math.round(12 * Math.log2(428 / period)) : null,
+          instrument: instrument || null,
+          volume: null,
+          effects: effect ? [effect] : [],
+        };
+      }),
+    );
+    return { rows: 64, cells };
+  });
+
+  let sampleOffset = 1084 + patternCount * patternSize;
+  const samples = headers.map((header) => {
+    const raw = bytes.subarray(sampleOffset, Math.min(bytes.length, sampleOffset + header.length));
+    sampleOffset += header.length;
+    const data = Float32Array.from(raw, (value) => (value > 0x7f ? value - 0x100 : value) / 128);
+    const loopStart = Math.min(header.loopStart, data.length);
+    return {
+      ...header,
+      data,
+      rate: AMIGA_C2_RATE * Math.pow(2, header.finetune / 96),
+      loopStart,
+      loopLength: Math.min(header.loopLength, data.length - loopStart),
+      pingPong: false,
+    };
+  });
+
+  return buildModuleProject({
+    name: readString(bytes, 0, 20) || fileName.replace(/\.[^/.]+$/, "") || "Imported Module",
+    channelCount,
+    speed: 6,
+    tempo: 125,
+    orders: orderTable.slice(0, songLength),
+    patterns,
+    samples,
+    resolveSample: (instrument) => instrument - 1,
+    panning: Array.from({ length: channelCount }, (_, channel) => MOD_PANNING[channel % 4]),
+    issues: [],
+  });
+}
+
+function readXmPattern(bytes, offset, rows, channelCount) {
+  let position = offset;
+  return Array.from({ length: rows }, () =>
+    Array.from({ length: channelCount }, () => {
+      const flags = bytes[position] & 0x80 ? bytes[position++] : 0x1f;
+      const read = (bit) => (flags & bit ? bytes[position++] ?? 0 : 0);
+      const note = read(1);
+      const instrument = read(2);
+      const volume = read(4);
+      const code = read(8);
+      const value = read(16);
+      const effects = [];
+      const effect = parseEffect(code, value);
+      if (effect) effects.push(effect);
+      if (volume && (volume < 0x10 || volume > 0x50)) {
+        effects.push({ unsupported: `volume column ${formatHex(volume >> 4, 1)}x` });
+      }
+      return {
+        note: note === XM_KEY_OFF ? "off" : note > 0 && note < XM_KEY_OFF ? note - 49 : null,
+        instrument: instrument || null,
+        volume: volume >= 0x10 && volume <= 0x50 ? volume - 0x10 : null,
+        effects,
+      };
+    }),
+  );
+}
+
+function readXmSampleData(bytes, offset, header) {
+  const sixteenBit = Boolean(header.type & 0x10);
+  const frameCount = sixteenBit ? header.length >> 1 : header.length;
+  const data = new Float32Array(frameCount);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let value = 0;
+  for (let index = 0; index < frameCount; index += 1) {
+    if (sixteenBit) {
+      const position = offset + index * 2;
+      if (position + 2 > bytes.length) break;
+      value = ((value + view.getInt16(position, true)) << 16) >> 16;
+      data[index] = value / 32768;
+    } else {
+      if (offset + index >= bytes.length) break;
+      value = ((value + bytes[offset + index]) << 24) >> 24;
+      data[index] = value / 128;
+    }
+  }
+  return data;
+}
+
+export function parseExtendedModule(bytes, fileName = "") {
+  if (readString(bytes, 0, XM_MAGIC.length) !== XM_MAGIC.trim()) {
+    throw new Error("Not an Extended Module");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint16(58, true);
+  if (version < 0x0104) {
+    throw new Error(`XM version ${formatHex(version, 4)} is not supported (expected 0104)`);
+  }
+  const issues = [];
+  const songLength = view.getUint16(64, true);
+  const channelCount = view.getUint16(68, true);
+  const patternCount = view.getUint16(70, true);
+  const instrumentCount = view.getUint16(72, true);
+  const orders = [...bytes.subarray(80, 80 + Math.min(256, songLength))];
+
+  let offset = 60 + view.getUint32(60, true);
+  const patterns = Array.from({ length: patternCount }, () => {
+    const headerLength = view.getUint32(offset, true);
+    const rows = view.getUint16(offset + 5, true);
+    const size = view.getUint16(offset + 7, true);
+    const cells = size ? readXmPattern(bytes, offset + headerLength, rows, channelCount) : [];
+    offset += headerLength + size;
+    return { rows, cells };
+  });
+
+  const samples = [];
+  const instruments = [];
+  let envelopes = 0;
+  for (let index = 0; index < instrumentCount && offset + 29 <= bytes.length; index += 1) {
+    const instrumentStart = offset;
+    const name = readString(bytes, offset + 4, 22);
+    const sampleCount = view.getUint16(offset + 27, true);
+    const instrument = { keymap: new Array(96).fill(0), samples: [] };
+    instruments.push(instrument);
+    offset += view.getUint32(offset, true);
+    if (!sampleCount) continue;
+    const headerSize = view.getUint32(instrumentStart + 29, true);
+    instrument.keymap = [...bytes.subarray(instrumentStart + 33, instrumentStart + 129)];
+    if (bytes[instrumentStart + 233] & 1) envelopes += 1;
+    const headers = Array.from({ length: sampleCount }, (_, sampleIndex) => {
+      const start = offset + sampleIndex * headerSize;
+      return {
+        length: view.getUint32(start, true),
+        loopStart: view.getUint32(start + 4, true),
+        loopLength: view.getUint32(start + 8, true),
+        volume: Math.min(64, bytes[start + 12]),
+        finetune: view.getInt8(start + 13),
+        type: bytes[start + 14],
+        relative: view.getInt8(start + 16),
+        name: readString(bytes, start + 18, 22),
+      };
+    });
+    offset += sampleCount * headerSize;
+    headers.forEach((header, sampleIndex) => {
+      const data = readXmSampleData(bytes, offset, header);
+      offset += header.length;
+      const frameSize = header.type & 0x10 ? 2 : 1;
+      const loopStart = Math.min(Math.floor(header.loopStart / frameSize), data.length);
+      const loops = (header.type & 3) !== 0;
+      instrument.samples.push(samples.length);
+      samples.push({
+        index: samples.length,
+        name: header.name || (sampleCount > 1 ? `${name} ${sampleIndex + 1}` : name),
+        data,
+        rate: XM_C4_RATE * Math.pow(2, (header.relative + header.finetune / 128) / 12),
+        volume: header.volume,
+        loopStart,
+        loopLength: loops
+          ? Math.min(Math.floor(header.loopLength / frameSize), data.length - loopStart)
+          : 0,
+        pingPong: (header.type & 3) === 2,
+      });
+    });
+  }
+  if (envelopes) issues.push(`Volume envelopes on ${envelopes} instrument(s) ignored`);
+
+  return buildModuleProject({
+    name: readString(bytes, 17, 20) || fileName.replace(/\.[^/.]+$/, "") || "Imported Module",
+    channelCount,
+    speed: view.getUint16(76, true) || 6,
+    tempo: view.getUint16(78, true) || 125,
+    orders,
+    patterns,
+    samples,
+    resolveSample: (instrumentNumber, note) => {
+      const instrument = instruments[instrumentNumber - 1];
+      if (!instrument) return -1;
+      const key = clamp((note ?? 0) + 48, 0, 95);
+      return instrument.samples[instrument.keymap[key]] ?? -1;
+    },
+    issues,
+  });
+}
+
+export async function importModuleFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (readString(bytes, 0, XM_MAGIC.length) === XM_MAGIC.trim()) {
+    return parseExtendedModule(bytes, file.name);
+  }
+  if (bytes.length >= 1084 && getModChannelCount(readString(bytes, 1080, 4))) {
+    return parseProTrackerModule(bytes, file.name);
+  }
+  throw new Error("Expected a ProTracker .mod or FastTracker II .xm module");
+}
@@ -0,0 +1,134 @@
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Keyed by `event.code` so the layout stays put on AZERTY and QWERTZ keyboards.
+export const QWERTY_NOTE_KEYS = {
+  KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9,
+  KeyJ: 10, KeyM: 11, KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17,
+  Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21, Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25,
+  KeyO: 26, Digit0: 27, KeyP: 28,
+};
+
+const KEYBOARD_VELOCITY = 0.9;
+const MIN_INPUT_NOTE_BEATS = 0.125;
+
+// Block-relative start and duration for a live take, or null when it starts outside the block.
+export function getLiveNoteSpan(block, beat, endBeat, { snap, quantize }) {
+  const blockEnd = block.startBeat + block.length;
+  if (beat < block.startBeat || beat >= blockEnd) return null;
+  let start = beat - block.startBeat;
+  // Loop playback can wrap before the key comes up.
+  let end = endBeat >= beat ? Math.min(endBeat, blockEnd) - block.startBeat : block.length;
+  if (quantize) {
+    start = Math.round(start / snap) * snap;
+    end = Math.max(start + snap, Math.round(end / snap) * snap);
+  }
+  if (start > block.length - MIN_INPUT_NOTE_BEATS) return null;
+  const duration = Math.min(Math.max(end - start, MIN_INPUT_NOTE_BEATS), block.length - start);
+  return { start, duration };
+}
+
+export function getNextStepBeat(stepBeat, beats, blockLength) {
+  const next = stepBeat + beats;
+  return next > blockLength - 0.0001 || next < 0 ? 0 : next;
+}
+
+export class NoteInput {
+  constructor({ octave = 4, onNoteOn, onNoteOff, onMidiInputsChange } = {}) {
+    this.octave = octave;
+    this.onNoteOn = onNoteOn;
+    this.onNoteOff = onNoteOff;
+    this.onMidiInputsChange = onMidiInputsChange;
+    this.heldKeys = new Map();
+    this.heldMidiNotes = new Set();
+    this.midiAccess = null;
+  }
+
+  setOctave(octave) {
+    this.octave = clamp(Math.round(Number(octave) || 0), 0, 8);
+    return this.octave;
+  }
+
+  getKeyPitch(code) {
+    const offset = QWERTY_NOTE_KEYS[code];
+    return offset === undefined ? null : clamp((this.octave + 1) * 12 + offset, 0, 127);
+  }
+
+  handleKeyDown(event) {
+    if (event.metaKey || event.ctrlKey || event.altKey) return false;
+    const pitch = this.getKeyPitch(event.code);
+    if (pitch === null) return false;
+    if (!this.heldKeys.has(event.code)) {
+      this.heldKeys.set(event.code, pitch);
+      this.onNoteOn?.(pitch, KEYBOARD_VELOCITY);
+    }
+    return true;
+  }
+
+  handleKeyUp(event) {
+    if (!this.heldKeys.has(event.code)) return false;
+    const pitch = this.heldKeys.get(event.code);
+    this.heldKeys.delete(event.code);
+    this.onNoteOff?.(pitch);
+    return true;
+  }
+
+  releaseAll() {
+    this.heldKeys.forEach((pitch) => this.onNoteOff?.(pitch));
+    this.heldKeys.clear();
+    this.heldMidiNotes.forEach((pitch) => this.onNoteOff?.(pitch));
+    this.heldMidiNotes.clear();
+  }
+
+  async connectMidi() {
+    if (typeof navigator === "undefined" || !navigator.requestMIDIAccess) {
+      throw new Error("Web MIDI is not available in this browser");
+    }
+    this.midiAccess = await navigator.requestMIDIAccess();
+    this.midiAccess.onstatechange = () => this.bindMidiInputs();
+    this.bindMidiInputs();
+    return this.getMidiInputNames();
+  }
+
+  disconnectMidi() {
+    if (!this.midiAccess) return;
+    this.midiAccess.inputs.forEach((input) => {
+      input.onmidimessage = null;
+    });
+    this.midiAccess.onstatechange = null;
+    this.midiAccess = null;
+    this.heldMidiNotes.forEach((pitch) => this.onNoteOff?.(pitch));
+    this.heldMidiNotes.clear();
+    this.onMidiInputsChange?.([]);
+  }
+
+  bindMidiInputs() {
+    if (!this.midiAccess) return;
+    this.midiAccess.inputs.forEach((input) => {
+      input.onmidimessage = (message) => this.handleMidiMessage(message.data);
+    });
+    this.onMidiInputsChange?.(this.getMidiInputNames());
+  }
+
+  getMidiInputNames() {
+    if (!this.midiAccess) return [];
+    const names = [];
+    this.midiAccess.inputs.forEach((input) => {
+      if (input.state !== "disconnected") names.push(input.name || "MIDI input");
+    });
+    return names;
+  }
+
+  // Note on with velocity 0 is a note off.
+  handleMidiMessage(data) {
+    if (!data || data.length < 2) return;
+    const [status, pitch, velocity = 0] = data;
+    const type = status & 0xf0;
+    if (type === 0x90 && velocity > 0) {
+      this.heldMidiNotes.add(pitch);
+      this.onNoteOn?.(pitch, velocity / 127);
+    } else if ((type === 0x80 || type === 0x90) && this.heldMidiNotes.has(pitch)) {
+      this.heldMidiNotes.delete(pitch);
+      this.onNoteOff?.(pitch);
+    }
+  }
+}
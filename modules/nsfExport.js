@@ -0,0 +1,436 @@
+import {
+  DEFAULT_ADSR,
+  NOTE_DUTY_CYCLES,
+  getActiveMacros,
+  getDrumVoiceDefinition,
+  getMacroFrameValue,
+  getNoteEffect,
+  getNoteInstrumentTrack,
+} from "./dataModel.js";
+import {
+  allocateHardwareChannels,
+  collectHardwareVoices,
+  getHardwareChipId,
+} from "./hardwareChannels.js";
+import { TempoMap } from "./tempoMap.js";
+
+const CHIP_ID = "2A03";
+const FRAME_RATE = 60;
+const CPU_CLOCK = 1789773;
+const MAX_PERIOD = 0x7ff;
+const MIN_PULSE_PERIOD = 8;
+const MIN_TRIANGLE_PERIOD = 2;
+const NOISE_PERIODS = [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068];
+const DUTY_INDEXES = { pulse12: 0, pulse25: 1, pulse50: 2 };
+const TEXT_ENCODER = new TextEncoder();
+
+const CHANNEL_REGISTERS = { pulse1: 0x00, pulse2: 0x04, triangle: 0x08, noise: 0x0c };
+
+const NOISE_DRUMS = {
+  kick: { period: 12, mode: 0, frames: 8 },
+  snare: { period: 6, mode: 0, frames: 10 },
+  clap: { period: 5, mode: 0, frames: 8 },
+  hat: { period: 1, mode: 0, frames: 3 },
+  openhat: { period: 2, mode: 0, frames: 14 },
+  tom: { period: 10, mode: 0, frames: 10 },
+  "fm-tom": { period: 9, mode: 1, frames: 8 },
+  cowbell: { period: 4, mode: 1, frames: 8 },
+  perc: { period: 3, mode: 1, frames: 4 },
+  noise: { period: 7, mode: 0, frames: 12 },
+};
+
+const INIT_WRITES = [
+  [0x15, 0x0f],
+  [0x17, 0x40],
+  [0x00, 0x30],
+  [0x01, 0x08],
+  [0x04, 0x30],
+  [0x05, 0x08],
+  [0x08, 0x80],
+  [0x0c, 0x30],
+];
+
+// NSF player stub, loaded at $8000. Zero page: $00-$01 stream pointer, $02 wait counter,
+// $03 writes left. Stream commands: 00-7F = that many (register, value) pairs for one
+// frame, 80-FE = stay silent for (n & 7F) frames, FF = jump back to the start.
+const NSF_LOAD_ADDRESS = 0x8000;
+const NSF_INIT_ADDRESS = 0x8000;
+const NSF_PLAY_ADDRESS = 0x800d;
+const NSF_DATA_ADDRESS = 0x8053;
+const NSF_MAX_DATA = 0x10000 - NSF_DATA_ADDRESS;
+const NSF_MAX_WAIT = 0x7e;
+const NSF_END = 0xff;
+const dataLow = NSF_DATA_ADDRESS & 0xff;
+const dataHigh = NSF_DATA_ADDRESS >> 8;
+const NSF_PLAYER = [
+  0xa9, dataLow, 0x85, 0x00, 0xa9, dataHigh, 0x85, 0x01, // init: pointer = data
+  0xa9, 0x00, 0x85, 0x02, 0x60, //                          wait = 0, rts
+  0xa5, 0x02, 0xf0, 0x03, 0xc6, 0x02, 0x60, //              play: if wait, wait--, rts
+  0xa0, 0x00, 0xb1, 0x00, 0x10, 0x18, 0xc9, 0xff, 0xf0, 0x09, // read command
+  0x29, 0x7f, 0x85, 0x02, 0xc6, 0x02, 0xc8, 0xd0, 0x21, //      silent frames
+  0xa9, dataLow, 0x85, 0x00, 0xa9, dataHigh, 0x85, 0x01, 0x4c, 0x14, 0x80, // restart
+  0x85, 0x03, 0xc8, 0xa5, 0x03, 0xf0, 0x0f, 0xb1, 0x00, 0xaa, 0xc8, //        writes
+  0xb1, 0x00, 0x9d, 0x00, 0x40, 0xc8, 0xc6, 0x03, 0x4c, 0x35, 0x80,
+  0x98, 0x18, 0x65, 0x00, 0x85, 0x00, 0x90, 0x02, 0xe6, 0x01, 0x60, //        advance pointer
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+
+const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+const getTrackLabel = (project, track) =>
+  `Track ${project.tracks.indexOf(track) + 1} · ${track.console || track.type}`;
+
+function getEnvelopeLevel(adsr, time, releaseTime) {
+  const { attack, decay, sustain, release } = adsr;
+  let level;
+  if (time < attack) level = time / attack;
+  else if (time < attack + decay) level = 1 - ((1 - sustain) * (time - attack)) / decay;
+  else level = sustain;
+  if (time < releaseTime) return level;
+  const releaseLevel = getEnvelopeLevel(adsr, releaseTime, Infinity);
+  return release > 0 ? releaseLevel * Math.max(0, 1 - (time - releaseTime) / release) : 0;
+}
+
+function getDutyIndex(track, note, macroDuty) {
+  const duty = getNoteEffect(note, "duty");
+  if (duty) return duty.value;
+  if (macroDuty !== null) return macroDuty;
+  if (Number.isFinite(track.duty)) {
+    return NOTE_DUTY_CYCLES.reduce(
+      (best, cycle, index) =>
+        Math.abs(cycle - track.duty) < Math.abs(NOTE_DUTY_CYCLES[best] - track.duty) ? index : best,
+      0,
+    );
+  }
+  return DUTY_INDEXES[track.waveform] ?? 1;
+}
+
+function getNoisePeriodIndex(frequency) {
+  const target = CPU_CLOCK / (frequency * 16);
+  return NOISE_PERIODS.reduce(
+    (best, period, index) =>
+      Math.abs(Math.log(period / target)) < Math.abs(Math.log(NOISE_PERIODS[best] / target))
+        ? index
+        : best,
+    0,
+  );
+}
+
+function getTonePeriod(channel, frequency) {
+  const divider = channel === "triangle" ? 32 : 16;
+  const period = Math.round(CPU_CLOCK / (divider * frequency) - 1);
+  const min = channel === "triangle" ? MIN_TRIANGLE_PERIOD : MIN_PULSE_PERIOD;
+  return period >= min && period <= MAX_PERIOD ? period : null;
+}
+
+function renderNoteFrames(voice, channel, frameCount, releaseFrame) {
+  const track = voice.noteTrack;
+  const note = voice.note;
+  const macros = getActiveMacros(track);
+  const adsr = track.adsr || DEFAULT_ADSR;
+  const midi = Number(note.pitch) + Number(track.octave || 0) * 12;
+  const velocity = Number.isFinite(note.velocity) ? note.velocity : 0.9;
+  const level = velocity * (track.volume ?? 0.8);
+  const arpeggio = getNoteEffect(note, "arpeggio");
+  const arpeggioSteps = arpeggio ? [0, arpeggio.value >> 4, arpeggio.value & 0xf] : null;
+  const slideUp = getNoteEffect(note, "slideUp");
+  const slideDown = getNoteEffect(note, "slideDown");
+  const vibrato = getNoteEffect(note, "vibrato");
+  const portamento = getNoteEffect(note, "portamento");
+  const portamentoCents =
+    portamento?.value && Number.isFinite(voice.previousPitch)
+      ? (voice.previousPitch - note.pitch) * 100
+      : 0;
+  const volumeSlide = getNoteEffect(note, "volumeSlide");
+  const slideStep = volumeSlide ? ((volumeSlide.value >> 4) - (volumeSlide.value & 0xf)) / 120 : 0;
+  const retrigger = getNoteEffect(note, "retrigger");
+  const frames = [];
+  let pitchOffset = 0;
+  let outOfRange = false;
+
+  for (let tick = 0; tick < frameCount; tick += 1) {
+    const valueOf = (type, fallback) =>
+      macros?.[type] ? getMacroFrameValue(macros[type], tick, releaseFrame) : fallback;
+    if (macros?.pitch) pitchOffset += valueOf("pitch", 0);
+    let cents = valueOf("arpeggio", 0) * 100 + (pitchOffset * 100) / 16;
+    if (slideUp) cents += (tick * slideUp.value * 100) / 16;
+    if (slideDown) cents -= (tick * slideDown.value * 100) / 16;
+    if (portamentoCents) {
+      const travelled = (tick * portamento.value * 100) / 16;
+      const remaining = Math.max(0, Math.abs(portamentoCents) - travelled);
+      cents += Math.sign(portamentoCents) * remaining;
+    }
+    if (vibrato) {
+      const phase = (tick * (vibrato.value >> 4)) / 64;
+      cents += Math.sin(phase * Math.PI * 2) * (vibrato.value & 0xf) * 12.5;
+    }
+    if (arpeggioSteps) cents += arpeggioSteps[tick % 3] * 100;
+
+    const envelopeTick = retrigger ? tick % retrigger.value : tick;
+    const releaseTick = releaseFrame - (tick - envelopeTick);
+    const time = (envelopeTick + 0.5) / FRAME_RATE;
+    let volume = level * getEnvelopeLevel(adsr, time, releaseTick / FRAME_RATE);
+    if (macros?.volume) volume *= valueOf("volume", 15) / 15;
+    if (slideStep) {
+      volume *= clamp(1 + tick * slideStep, 0, 1 / Math.max(0.01, velocity));
+    }
+
+    const frequency = midiToFrequency(midi + cents / 100);
+    const state = {
+      volume: clamp(Math.round(volume * 15), 0, 15),
+      trigger: tick === 0 || (retrigger && envelopeTick === 0),
+    };
+    if (channel === "noise") {
+      state.period = getNoisePeriodIndex(frequency);
+      state.mode = 0;
+    } else {
+      state.period = getTonePeriod(channel, frequency);
+      if (state.period === null) {
+        outOfRange = true;
+        state.volume = 0;
+      }
+      if (channel !== "triangle") state.duty = getDutyIndex(track, note, valueOf("duty", null));
+    }
+    frames.push(state);
+  }
+  return { frames, outOfRange };
+}
+
+function renderDrumFrames(voice, frameCount) {
+  const definition = getDrumVoiceDefinition(voice.track, voice.drum);
+  const drum = NOISE_DRUMS[definition.engine] || NOISE_DRUMS.noise;
+  const volumes = voice.block.pattern?.volumes;
+  const hitVolume = Number.isFinite(volumes?.[voice.drum]) ? volumes[voice.drum] : 0.9;
+  const level = hitVolume * (voice.track.volume ?? 0.8);
+  const frames = [];
+  for (let tick = 0; tick < Math.min(frameCount, drum.frames); tick += 1) {
+    frames.push({
+      volume: clamp(Math.round(level * 15 * (1 - tick / drum.frames)), 0, 15),
+      period: drum.period,
+      mode: drum.mode,
+      trigger: tick === 0,
+    });
+  }
+  return frames;
+}
+
+function getChannelWrites(channel, state, previous) {
+  const base = CHANNEL_REGISTERS[channel];
+  const writes = [];
+  const write = (offset, value, force = false) => {
+    if (force || previous?.registers[offset] !== value) writes.push([base + offset, value]);
+  };
+  if (!state || state.volume === 0) {
+    const silence = channel === "triangle" ? 0x80 : 0x30;
+    write(0, silence);
+    return { writes, registers: { ...previous?.registers, 0: silence } };
+  }
+
+  const registers = {};
+  if (channel === "noise") {
+    registers[0] = 0x30 | state.volume;
+    registers[2] = (state.mode << 7) | state.period;
+    registers[3] = 0xf8;
+  } else {
+    registers[0] = channel === "triangle" ? 0xff : (state.duty << 6) | 0x30 | state.volume;
+    registers[2] = state.period & 0xff;
+    registers[3] = 0xf8 | (state.period >> 8);
+  }
+  write(0, registers[0]);
+  write(2, registers[2]);
+  write(3, registers[3], state.trigger);
+  return { writes, registers };
+}
+
+function collectVoices(project, tracks) {
+  const chipProject = { ...project, tracks, authenticChips: [CHIP_ID] };
+  const instruments = new Map((project.instruments || []).map((item) => [item.id, item]));
+  const { voices } = allocateHardwareChannels(chipProject, collectHardwareVoices(chipProject));
+  const previousPitches = new Map();
+  voices.forEach((voice) => {
+    if (voice.type !== "note") return;
+    voice.previousPitch = previousPitches.get(voice.track.id) ?? null;
+    voice.noteTrack = getNoteInstrumentTrack(voice.track, instruments.get(voice.note.instrumentId));
+    previousPitches.set(voice.track.id, voice.note.pitch);
+  });
+  return voices;
+}
+
+export function createApuExport(project, options = {}) {
+  const { trackIds = null } = options;
+  const selectedIds = Array.isArray(trackIds) ? new Set(trackIds) : null;
+  const soloActive = project.tracks.some((track) => track.solo);
+  const issues = [];
+  const tracks = project.tracks.filter((track) => {
+    if (selectedIds && !selectedIds.has(track.id)) return false;
+    if (track.mute || (soloActive && !track.solo)) return false;
+    if (getHardwareChipId(track) === CHIP_ID) return true;
+    if (track.blocks.length) {
+      issues.push(`${getTrackLabel(project, track)}: not a 2A03 track, skipped`);
+    }
+    return false;
+  });
+
+  const voices = collectVoices(project, tracks);
+  if (!voices.length) throw new Error("No NES or Famicom notes to export.");
+
+  const tempoMap = new TempoMap(project);
+  const toFrame = (beat) => Math.round(tempoMap.beatToSeconds(beat) * FRAME_RATE);
+  const trackStats = new Map(
+    tracks.map((track) => [track.id, { dropped: 0, cut: 0, dpcm: 0, range: 0 }]),
+  );
+  const channels = new Map(Object.keys(CHANNEL_REGISTERS).map((channel) => [channel, []]));
+
+  voices.forEach((voice) => {
+    const stats = trackStats.get(voice.track.id);
+    if (voice.hardware.status === "dropped") stats.dropped += 1;
+    else if (voice.hardware.status === "cut") stats.cut += 1;
+    if (voice.hardware.status === "dropped") return;
+    if (voice.hardware.channel === "dpcm") {
+      stats.dpcm += 1;
+      return;
+    }
+    channels.get(voice.hardware.channel).push(voice);
+  });
+
+  let frameCount = 0;
+  const timelines = new Map();
+  channels.forEach((channelVoices, channel) => {
+    const timeline = [];
+    channelVoices.forEach((voice, index) => {
+      const start = toFrame(voice.beat);
+      const end = Math.max(start + 1, toFrame(voice.hardware.endBeat));
+      const next = channelVoices[index + 1];
+      const limit = next ? Math.max(start + 1, toFrame(next.beat)) : Infinity;
+      let frames;
+      if (voice.type === "drum") {
+        frames = renderDrumFrames(voice, limit - start);
+      } else {
+        const release = voice.hardware.status === "cut" ? 0 : voice.noteTrack.adsr?.release ?? 0;
+        const length = Math.min(limit, end + Math.ceil(release * FRAME_RATE)) - start;
+        const rendered = renderNoteFrames(voice, channel, length, end - start);
+        if (rendered.outOfRange) trackStats.get(voice.track.id).range += 1;
+        frames = rendered.frames;
+      }
+      frames.forEach((state, offset) => {
+        timeline[start + offset] = state;
+      });
+      frameCount = Math.max(frameCount, start + frames.length);
+    });
+    timelines.set(channel, timeline);
+  });
+
+  tracks.forEach((track) => {
+    const stats = trackStats.get(track.id);
+    const label = getTrackLabel(project, track);
+    const count = (value, noun) => `${label}: ${value} ${noun}${value === 1 ? "" : "s"}`;
+    if (stats.dropped) issues.push(`${count(stats.dropped, "note")} dropped, no free channel`);
+    if (stats.cut) issues.push(`${count(stats.cut, "note")} cut short by voice stealing`);
+    if (stats.dpcm) issues.push(`${count(stats.dpcm, "drum hit")} on DPCM skipped, no sample data`);
+    if (stats.range) issues.push(`${count(stats.range, "note")} outside the channel's pitch range`);
+    if (track.effects?.length) issues.push(`${label}: insert effects are not exported`);
+    if (Object.values(track.sends || {}).some((level) => level > 0)) {
+      issues.push(`${label}: return bus sends are not exported`);
+    }
+    if (track.automation?.length) issues.push(`${label}: automation lanes are not exported`);
+  });
+
+  const frames = [];
+  const previous = new Map();
+  for (let frame = 0; frame <= frameCount; frame += 1) {
+    const writes = frame === 0 ? [...INIT_WRITES] : [];
+    timelines.forEach((timeline, channel) => {
+      const state = timeline[frame] || null;
+      if (!state && !previous.get(channel)?.active) return;
+      const result = getChannelWrites(channel, state, previous.get(channel));
+      writes.push(...result.writes);
+      previous.set(channel, { registers: result.registers, active: Boolean(state) });
+    });
+    frames.push(writes);
+  }
+
+  return { frames, frameRate: FRAME_RATE, issues };
+}
+
+export function createApuLog(project, apuExport) {
+  const lines = [
+    "; 2A03 APU register log",
+    `; project: ${project.name || "Untitled Project"}`,
+    `; ${apuExport.frames.length} frames at ${apuExport.frameRate} Hz (NTSC)`,
+    ...apuExport.issues.map((issue) => `; warning: ${issue}`),
+    "; frame  register  value",
+  ];
+  apuExport.frames.forEach((writes, frame) => {
+    writes.forEach(([register, value]) => {
+      const address = hex(0x4000 + register, 4);
+      lines.push(`${String(frame).padStart(6, "0")}  $${address}  $${hex(value)}`);
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function encodeNsfStream(frames) {
+  const bytes = [];
+  let silent = 0;
+  const flushSilence = () => {
+    while (silent > 0) {
+      const count = Math.min(silent, NSF_MAX_WAIT);
+      bytes.push(0x80 | count);
+      silent -= count;
+    }
+  };
+  frames.forEach((writes) => {
+    if (!writes.length) {
+      silent += 1;
+      return;
+    }
+    flushSilence();
+    bytes.push(writes.length);
+    writes.forEach(([register, value]) => bytes.push(register, value));
+  });
+  flushSilence();
+  bytes.push(NSF_END);
+  return bytes;
+}
+
+const nsfText = (text) => {
+  const bytes = new Uint8Array(32);
+  bytes.set(TEXT_ENCODER.encode(String(text || "").replace(/[^\x20-\x7e]/g, "?")).slice(0, 31));
+  return bytes;
+};
+
+export function createNsfFile(project, apuExport) {
+  const stream = encodeNsfStream(apuExport.frames);
+  if (stream.length > NSF_MAX_DATA) {
+    throw new Error(
+      `Song is too long for an NSF without bank switching ` +
+        `(${stream.length} of ${NSF_MAX_DATA} bytes).`,
+    );
+  }
+  const header = new Uint8Array(0x80);
+  const view = new DataView(header.buffer);
+  header.set(TEXT_ENCODER.encode("NESM\x1a"), 0);
+  header[0x05] = 1;
+  header[0x06] = 1;
+  header[0x07] = 1;
+  view.setUint16(0x08, NSF_LOAD_ADDRESS, true);
+  view.setUint16(0x0a, NSF_INIT_ADDRESS, true);
+  view.setUint16(0x0c, NSF_PLAY_ADDRESS, true);
+  header.set(nsfText(project.name || "Untitled Project"), 0x0e);
+  header.set(nsfText("<?>"), 0x2e);
+  header.set(nsfText("<?>"), 0x4e);
+  view.setUint16(0x6e, Math.round(1000000 / apuExport.frameRate), true);
+  view.setUint16(0x78, 20000, true);
+  return new Uint8Array([...header, ...NSF_PLAYER, ...stream]);
+}
+
+export function createApuLogBlob(project, apuExport) {
+  return new Blob([createApuLog(project, apuExport)], { type: "text/plain" });
+}
+
+export function createNsfBlob(project, apuExport) {
+  return new Blob([createNsfFile(project, apuExport)], { type: "audio/x-nsf" });
+}
@@ -1,3 +1,11 @@
+import {
+  MAX_NOTE_EFFECTS,
+  NOTE_EFFECTS,
+  createNoteEffect,
+  formatNoteEffect,
+  normalizeNoteEffects,
+} from "./dataModel.js";
+
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 const SUPPORTS_POINTER = "PointerEvent" in window;
 
@@ -62,6 +70,9 @@ const ensureNoteId = (note) => {
   return note.id;
 };
 
+const formatInstrumentNumber = (number) =>
+  `I${number.toString(16).toUpperCase().padStart(2, "0")}`;
+
 export class PianoRoll {
   constructor({ container, snap = 0.25, zoom = 64, onNoteChange, onPreviewNote }) {
     this.container = container;
@@ -78,6 +89,12 @@ export class PianoRoll {
     this.scrollLeft = 0;
     this.scrollTop = 0;
     this.playheadEl = null;
+    this.selectedNoteId = null;
+    this.instruments = [];
+  }
+
+  setInstruments(instruments) {
+    this.instruments = instruments.filter((instrument) => instrument.type === "synth");
   }
 
   setSnap(snap) {
@@ -185,6 +202,7 @@ export class PianoRoll {
 
     this.container.appendChild(keys);
     this.container.appendChild(gridWrap);
+    this.container.appendChild(this.createEffectsBar());
 
     gridWrap.addEventListener("scroll", () => {
       keys.scrollTop = gridWrap.scrollTop;
@@ -225,12 +243,15 @@ export class PianoRoll {
         return;
       }
 
-      this.block.notes.push({
+      const note = {
         pitch,
         start: beat,
         duration: this.snap,
         velocity: 0.9,
-      });
+        effects: [],
+      };
+      this.block.notes.push(note);
+      this.selectedNoteId = ensureNoteId(note);
       this.onPreviewNote?.(pitch, this.track);
       this.onNoteChange?.(this.block.notes, { commit: true });
       this.render();
@@ -252,12 +273,25 @@ export class PianoRoll {
   createNoteElement(note) {
     const noteEl = document.createElement("div");
     noteEl.className = "note";
+    noteEl.classList.toggle("is-selected", note.id === this.selectedNoteId);
     noteEl.dataset.noteId = note.id;
     noteEl.style.left = `${this.beatToPx(note.start)}px`;
     noteEl.style.width = `${this.beatToPx(note.duration)}px`;
     const rowIndex = this.maxPitch - note.pitch;
     noteEl.style.top = `${rowIndex * this.rowHeight + 1}px`;
 
+    const instrumentIndex = this.instruments.findIndex((item) => item.id === note.instrumentId);
+    if (note.effects?.length || instrumentIndex >= 0) {
+      const effectsLabel = document.createElement("span");
+      effectsLabel.className = "note-effects-label";
+      const instrumentLabel =
+        instrumentIndex >= 0 ? formatInstrumentNumber(instrumentIndex + 1) : null;
+      effectsLabel.textContent = [instrumentLabel, ...(note.effects || []).map(formatNoteEffect)]
+        .filter(Boolean)
+        .join(" ");
+      noteEl.appendChild(effectsLabel);
+    }
+
     const handle = document.createElement("div");
     handle.className = "resize-handle";
     noteEl.appendChild(handle);
@@ -272,6 +306,7 @@ export class PianoRoll {
         return;
       }
       this.onPreviewNote?.(note.pitch, this.track);
+      this.selectNote(note);
       if (event.target === handle) {
         this.attachResize(note, noteEl, event);
       } else {
@@ -297,6 +332,178 @@ export class PianoRoll {
     return noteEl;
   }
 
+  selectNote(note) {
+    if (this.selectedNoteId === note.id) return;
+    this.selectedNoteId = note.id;
+    this.noteElements.forEach((element, noteId) => {
+      element.classList.toggle("is-selected", noteId === note.id);
+    });
+    const previousBar = this.container.querySelector(".note-effects-bar");
+    previousBar?.replaceWith(this.createEffectsBar());
+  }
+
+  getSelectedNote() {
+    return this.block?.notes.find((note) => note.id === this.selectedNoteId) || null;
+  }
+
+  nudgeSelectedNote({ beats = 0, semitones = 0 }) {
+    const note = this.getSelectedNote();
+    if (!note) return false;
+    const maxStart = Math.max(0, this.block.length - note.duration);
+    note.start = clamp(this.quantize(note.start + beats), 0, maxStart);
+    note.pitch = clamp(note.pitch + semitones, this.minPitch, this.maxPitch);
+    if (semitones) this.onPreviewNote?.(note.pitch, this.track);
+    this.onNoteChange?.(this.block.notes, { commit: true });
+    this.render();
+    return true;
+  }
+
+  duplicateSelectedNote() {
+    const note = this.getSelectedNote();
+    if (!note) return false;
+    const start = note.start + note.duration;
+    if (start + note.duration > this.block.length + 0.0001) return true;
+    const copy = { ...note, start, effects: (note.effects || []).map((effect) => ({ ...effect })) };
+    delete copy.id;
+    this.block.notes.push(copy);
+    this.selectedNoteId = ensureNoteId(copy);
+    this.onNoteChange?.(this.block.notes, { commit: true });
+    this.render();
+    return true;
+  }
+
+  deleteSelectedNote() {
+    const note = this.getSelectedNote();
+    if (!note) return false;
+    this.block.notes = this.block.notes.filter((item) => item !== note);
+    this.selectedNoteId = null;
+    this.onNoteChange?.(this.block.notes, { commit: true });
+    this.render();
+    return true;
+  }
+
+  scrollOctave(direction) {
+    const gridWrap = this.container.querySelector(".piano-grid-wrap");
+    if (!gridWrap) return;
+    gridWrap.scrollTop -= direction * 12 * this.rowHeight;
+  }
+
+  updateNoteEffects(note, effects) {
+    note.effects = normalizeNoteEffects(effects);
+    this.onNoteChange?.(this.block.notes, { commit: true });
+    this.render();
+  }
+
+  createEffectsBar() {
+    const bar = document.createElement("div");
+    bar.className = "note-effects-bar";
+    const note = this.block.notes.find((item) => item.id === this.selectedNoteId);
+    if (!note) {
+      const hint = document.createElement("span");
+      hint.className = "note-effects-hint";
+      hint.textContent = "Select a note to add tracker effects.";
+      bar.appendChild(hint);
+      return bar;
+    }
+
+    const title = document.createElement("span");
+    title.className = "note-effects-title";
+    title.textContent = `${getNoteName(note.pitch)} @ ${Math.round(note.start * 1000) / 1000}`;
+    bar.appendChild(title);
+
+    if (this.instruments.length) {
+      const instrumentSelect = document.createElement("select");
+      instrumentSelect.setAttribute("aria-label", "Note instrument");
+      [{ id: "", name: "Track sound" }, ...this.instruments].forEach((instrument, index) => {
+        const option = document.createElement("option");
+        option.value = instrument.id;
+        option.textContent = index
+          ? `${formatInstrumentNumber(index)} ${instrument.name}`
+          : instrument.name;
+        option.selected = (note.instrumentId || "") === instrument.id;
+        instrumentSelect.appendChild(option);
+      });
+      instrumentSelect.addEventListener("change", () => {
+        note.instrumentId = instrumentSelect.value || null;
+        this.onNoteChange?.(this.block.notes, { commit: true });
+        this.render();
+      });
+      bar.appendChild(instrumentSelect);
+    }
+
+    const effects = note.effects || [];
+    effects.forEach((effect) => {
+      const definition = NOTE_EFFECTS[effect.type];
+      const item = document.createElement("label");
+      item.className = "note-effect";
+      item.title = `${definition.label}: ${definition.hint}`;
+
+      const code = document.createElement("span");
+      code.className = "note-effect-code";
+      code.textContent = definition.code;
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.maxLength = 2;
+      input.spellcheck = false;
+      input.value = effect.value.toString(16).toUpperCase().padStart(2, "0");
+      input.setAttribute("aria-label", `${definition.label} value`);
+      input.addEventListener("change", () => {
+        const value = parseInt(input.value, 16);
+        if (!/^[0-9a-f]{1,2}$/i.test(input.value) || !Number.isFinite(value)) {
+          input.value = effect.value.toString(16).toUpperCase().padStart(2, "0");
+          return;
+        }
+        this.updateNoteEffects(
+          note,
+          effects.map((item) => (item === effect ? { ...item, value } : item)),
+        );
+      });
+
+      const name = document.createElement("span");
+      name.textContent = definition.label;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "btn tiny danger";
+      removeBtn.textContent = "x";
+      removeBtn.setAttribute("aria-label", `Remove ${definition.label}`);
+      removeBtn.addEventListener("click", () => {
+        this.updateNoteEffects(
+          note,
+          effects.filter((item) => item !== effect),
+        );
+      });
+
+      item.append(code, input, name, removeBtn);
+      bar.appendChild(item);
+    });
+
+    const available = Object.keys(NOTE_EFFECTS).filter(
+      (type) => !effects.some((effect) => effect.type === type),
+    );
+    if (effects.length < MAX_NOTE_EFFECTS && available.length) {
+      const select = document.createElement("select");
+      select.setAttribute("aria-label", "Add note effect");
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = "+ Effect";
+      select.appendChild(placeholder);
+      available.forEach((type) => {
+        const option = document.createElement("option");
+        option.value = type;
+        option.textContent = `${NOTE_EFFECTS[type].code}xx ${NOTE_EFFECTS[type].label}`;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", () => {
+        if (!select.value) return;
+        this.updateNoteEffects(note, [...effects, createNoteEffect(select.value)]);
+      });
+      bar.appendChild(select);
+    }
+    return bar;
+  }
+
   attachDrag(note, noteEl, event) {
     const startPoint = getPoint(event);
     const startX = startPoint.clientX;
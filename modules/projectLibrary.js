@@ -0,0 +1,101 @@
+import { deleteAsset } from "./assetStore.js";
+import { createStoreTransaction } from "./indexedDbStore.js";
+import { getAllSnapshots } from "./snapshotStore.js";
+
+const runTransaction = createStoreTransaction({
+  dbName: "chiptune_composer_library_v1",
+  storeName: "projects",
+});
+const memoryStore = new Map();
+
+export const createLibraryId = () =>
+  `song_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Every asset a project can play: the asset list plus anything a sample clip points at.
+export function getProjectAssetIds(project) {
+  const ids = new Set((project?.assets || []).map((asset) => asset.id));
+  (project?.tracks || []).forEach((track) => {
+    (track.blocks || []).forEach((block) => {
+      if (block.assetId) ids.add(block.assetId);
+    });
+  });
+  return [...ids];
+}
+
+export async function listLibraryProjects() {
+  const records = (await runTransaction("readonly", (store) => store.getAll())) ||
+    [...memoryStore.values()];
+  return records
+    .map(({ project, history, ...summary }) => ({
+      ...summary,
+      name: project?.name || "Untitled Project",
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function getLibraryProject(id) {
+  if (!id) return null;
+  const result = await runTransaction("readonly", (store) => store.get(id));
+  return result || memoryStore.get(id) || null;
+}
+
+// Omitted `thumbnail` and `history` keep their stored values.
+export async function putLibraryProject({ id, project, thumbnail, history, touched = true }) {
+  const existing = memoryStore.get(id) || (await getLibraryProject(id));
+  const now = Date.now();
+  const record = {
+    id,
+    project,
+    assetIds: getProjectAssetIds(project),
+    thumbnail: thumbnail ?? existing?.thumbnail ?? null,
+    history: history ?? existing?.history ?? null,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: touched || !existing ? now : existing.updatedAt,
+  };
+  memoryStore.set(id, record);
+  await runTransaction("readwrite", (store) => store.put(record));
+  return record;
+}
+
+export async function getAssetReferenceCounts() {
+  const records = (await runTransaction("readonly", (store) => store.getAll())) ||
+    [...memoryStore.values()];
+  const counts = new Map();
+  records.forEach((record) => {
+    (record.assetIds || []).forEach((assetId) => {
+      counts.set(assetId, (counts.get(assetId) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+// Snapshots and saved undo steps can bring a sample back, so they keep it stored as well.
+async function getSavedStateTexts() {
+  const records = (await runTransaction("readonly", (store) => store.getAll())) ||
+    [...memoryStore.values()];
+  return [
+    ...records.map((record) => JSON.stringify(record.history ?? null)),
+    ...(await getAllSnapshots()).map((snapshot) => snapshot.json),
+  ];
+}
+
+// Removes the song and every stored sample nothing else in the library still uses. Delete the
+// song's own snapshots first, or they keep its samples.
+export async function deleteLibraryProject(id) {
+  const record = await getLibraryProject(id);
+  memoryStore.delete(id);
+  await runTransaction("readwrite", (store) => store.delete(id));
+  if (!record) return;
+  const counts = await getAssetReferenceCounts();
+  const savedStates = await getSavedStateTexts();
+  for (const assetId of record.assetIds || []) {
+    const quoted = JSON.stringify(assetId);
+    if (counts.get(assetId) || savedStates.some((text) => text.includes(quoted))) continue;
+    await deleteAsset(assetId);
+  }
+}
+
+export async function clearLibrary() {
+  memoryStore.clear();
+  await runTransaction("readwrite", (store) => store.clear());
+}
@@ -0,0 +1,21 @@
+const SETTINGS_KEY = "chiptune_composer_settings_v1";
+
+export function loadSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn("Ignoring unreadable settings", error);
+    return {};
+  }
+}
+
+export function saveSettings(changes) {
+  const settings = { ...loadSettings(), ...changes };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Failed to save settings", error);
+  }
+  return settings;
+}
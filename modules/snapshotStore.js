@@ -0,0 +1,86 @@
+import { createStoreTransaction } from "./indexedDbStore.js";
+
+const runTransaction = createStoreTransaction({
+  dbName: "chiptune_composer_snapshots_v1",
+  storeName: "snapshots",
+  onCreateStore: (store) => store.createIndex("projectId", "projectId"),
+});
+const memoryStore = new Map();
+let lastCreatedAt = 0;
+
+// Oldest snapshots are dropped first once either cap is exceeded.
+export const SNAPSHOT_SIZE_CAP = 16 * 1024 * 1024;
+export const SNAPSHOTS_PER_PROJECT = 40;
+
+export function isQuotaError(error) {
+  return error?.name === "QuotaExceededError" || error?.code === 22;
+}
+
+export async function getAllSnapshots() {
+  const records = await runTransaction("readonly", (store) => store.getAll());
+  return records || [...memoryStore.values()];
+}
+
+async function deleteSnapshot(id) {
+  memoryStore.delete(id);
+  await runTransaction("readwrite", (store) => store.delete(id));
+}
+
+async function pruneSnapshots(projectId) {
+  const records = (await getAllSnapshots()).sort((a, b) => b.createdAt - a.createdAt);
+  let total = 0;
+  let projectCount = 0;
+  for (const record of records) {
+    total += record.size;
+    if (record.projectId === projectId) projectCount += 1;
+    const overProjectCap = record.projectId === projectId && projectCount > SNAPSHOTS_PER_PROJECT;
+    if (total > SNAPSHOT_SIZE_CAP || overProjectCap) {
+      total -= record.size;
+      if (record.projectId === projectId) projectCount -= 1;
+      await deleteSnapshot(record.id);
+    }
+  }
+}
+
+// Skips the write when the project is identical to its newest snapshot, so periodic and
+// repeated saves do not fill the cap with copies. Resolves to the stored record or null.
+export async function putSnapshot({ projectId, project, reason }) {
+  const json = JSON.stringify(project);
+  const [latest] = await listSnapshots(projectId);
+  if (latest && latest.json === json) return null;
+  // Strictly increasing so "newest" stays unambiguous for snapshots taken in the same ms.
+  lastCreatedAt = Math.max(Date.now(), lastCreatedAt + 1, (latest?.createdAt ?? 0) + 1);
+  const record = {
+    id: `snap_${lastCreatedAt.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    projectId,
+    name: project?.name || "Untitled Project",
+    reason,
+    createdAt: lastCreatedAt,
+    size: json.length,
+    json,
+  };
+  // Snapshots only stay in memory when IndexedDB is unavailable; they can add up to the cap.
+  const stored = await runTransaction("readwrite", (store) => store.put(record));
+  if (stored === null) memoryStore.set(record.id, record);
+  await pruneSnapshots(projectId);
+  return record;
+}
+
+export async function listSnapshots(projectId) {
+  const records = await runTransaction("readonly", (store) =>
+    store.index("projectId").getAll(projectId),
+  );
+  return (records || [...memoryStore.values()].filter((item) => item.projectId === projectId))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteProjectSnapshots(projectId) {
+  for (const record of await listSnapshots(projectId)) {
+    await deleteSnapshot(record.id);
+  }
+}
+
+export async function clearSnapshots() {
+  memoryStore.clear();
+  await runTransaction("readwrite", (store) => store.clear());
+}
@@ -0,0 +1,141 @@
+import { DEFAULT_METER } from "./dataModel.js";
+
+const EPSILON = 0.000001;
+
+const getSegmentSeconds = (segment, beats) => {
+  if (beats <= 0) return 0;
+  const { startBpm, slope } = segment;
+  if (Math.abs(slope) < EPSILON) return (60 * beats) / startBpm;
+  return (60 / slope) * Math.log((startBpm + slope * beats) / startBpm);
+};
+
+const getSegmentBeats = (segment, seconds) => {
+  if (seconds <= 0) return 0;
+  const { startBpm, slope } = segment;
+  if (Math.abs(slope) < EPSILON) return (seconds * startBpm) / 60;
+  return (startBpm * (Math.exp((seconds * slope) / 60) - 1)) / slope;
+};
+
+export class TempoMap {
+  constructor(project) {
+    const changes = Array.isArray(project?.tempoMap) ? project.tempoMap : [];
+    const points = [
+      { beat: 0, bpm: project?.bpm || 120, ramp: false },
+      ...changes.filter((change) => change.beat > 0).sort((a, b) => a.beat - b.beat),
+    ];
+
+    this.segments = [];
+    let startTime = 0;
+    points.forEach((point, index) => {
+      const next = points[index + 1];
+      const endBeat = next ? next.beat : Infinity;
+      const endBpm = next?.ramp ? next.bpm : point.bpm;
+      const segment = {
+        startBeat: point.beat,
+        endBeat,
+        startBpm: point.bpm,
+        endBpm,
+        slope: next ? (endBpm - point.bpm) / Math.max(EPSILON, next.beat - point.beat) : 0,
+        startTime,
+        endTime: Infinity,
+      };
+      if (next) {
+        segment.endTime = startTime + getSegmentSeconds(segment, next.beat - point.beat);
+        startTime = segment.endTime;
+      }
+      this.segments.push(segment);
+    });
+  }
+
+  getSegmentAtBeat(beat) {
+    for (let index = this.segments.length - 1; index > 0; index -= 1) {
+      if (beat >= this.segments[index].startBeat) return this.segments[index];
+    }
+    return this.segments[0];
+  }
+
+  getSegmentAtTime(seconds) {
+    for (let index = this.segments.length - 1; index > 0; index -= 1) {
+      if (seconds >= this.segments[index].startTime) return this.segments[index];
+    }
+    return this.segments[0];
+  }
+
+  beatToSeconds(beat) {
+    if (beat <= 0) return (60 * beat) / this.segments[0].startBpm;
+    const segment = this.getSegmentAtBeat(beat);
+    return segment.startTime + getSegmentSeconds(segment, beat - segment.startBeat);
+  }
+
+  secondsToBeat(seconds) {
+    if (seconds <= 0) return (seconds * this.segments[0].startBpm) / 60;
+    const segment = this.getSegmentAtTime(seconds);
+    return segment.startBeat + getSegmentBeats(segment, seconds - segment.startTime);
+  }
+
+  getDuration(startBeat, endBeat) {
+    return this.beatToSeconds(endBeat) - this.beatToSeconds(startBeat);
+  }
+
+  getBpmAt(beat) {
+    const segment = this.getSegmentAtBeat(beat);
+    return segment.startBpm + segment.slope * Math.max(0, beat - segment.startBeat);
+  }
+}
+
+export const getBarLength = (meter) => (meter.numerator * 4) / meter.denominator;
+
+export function getMeterChanges(project) {
+  const base = project?.meter || DEFAULT_METER;
+  const changes = Array.isArray(project?.meterMap) ? project.meterMap : [];
+  return [
+    { beat: 0, numerator: base.numerator, denominator: base.denominator },
+    ...changes.filter((change) => change.beat > 0).sort((a, b) => a.beat - b.beat),
+  ];
+}
+
+export function getMeterAt(project, beat) {
+  const changes = getMeterChanges(project);
+  let meter = changes[0];
+  changes.forEach((change) => {
+    if (change.beat <= beat) meter = change;
+  });
+  return meter;
+}
+
+export function getBars(project, endBeat) {
+  const changes = getMeterChanges(project);
+  const bars = [];
+  let changeIndex = 0;
+  let beat = 0;
+  while (beat < endBeat && bars.length < 10000) {
+    while (changeIndex + 1 < changes.length && changes[changeIndex + 1].beat <= beat + EPSILON) {
+      changeIndex += 1;
+    }
+    const meter = changes[changeIndex];
+    const nextChange = changes[changeIndex + 1];
+    const fullLength = getBarLength(meter);
+    const length = nextChange ? Math.min(fullLength, nextChange.beat - beat) : fullLength;
+    bars.push({
+      index: bars.length,
+      beat,
+      length,
+      numerator: meter.numerator,
+      denominator: meter.denominator,
+      isMeterChange: bars.length === 0 || Math.abs(meter.beat - beat) < EPSILON,
+    });
+    beat += length;
+  }
+  return bars;
+}
+
+export function getBarPosition(project, beat) {
+  const bars = getBars(project, beat + EPSILON);
+  const bar = bars[bars.length - 1] || { index: 0, beat: 0, denominator: 4 };
+  const beatUnit = 4 / bar.denominator;
+  return {
+    bar: bar.index + 1,
+    beat: Math.floor((beat - bar.beat) / beatUnit + EPSILON) + 1,
+    barStart: bar.beat,
+  };
+}
@@ -1,4 +1,10 @@
-import { getProjectEndBeat } from "./dataModel.js";
+import {
+  createAutomationLane,
+  getAutomationTargets,
+  getProjectEndBeat,
+} from "./dataModel.js";
+import { allocateHardwareChannels } from "./hardwareChannels.js";
+import { TempoMap, getBars } from "./tempoMap.js";
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
@@ -11,6 +17,8 @@ export class Timeline {
     onBlockEdit,
     onBlockDelete,
     onBlockDuplicate,
+    onBlockLinkDuplicate,
+    onBlockUnlink,
     onBlockChange,
     onAddBlock,
     onTrackChange,
@@ -19,6 +27,10 @@ export class Timeline {
     onTrackDelete,
     onTrackSelect,
     onBlockSelect,
+    onTempoMapEdit,
+    onSectionsEdit,
+    onLoopRangeChange,
+    onAutomationChange,
   }) {
     this.container = container;
     this.project = project;
@@ -27,6 +39,8 @@ export class Timeline {
     this.onBlockEdit = onBlockEdit;
     this.onBlockDelete = onBlockDelete;
     this.onBlockDuplicate = onBlockDuplicate;
+    this.onBlockLinkDuplicate = onBlockLinkDuplicate;
+    this.onBlockUnlink = onBlockUnlink;
     this.onBlockChange = onBlockChange;
     this.onAddBlock = onAddBlock;
     this.onTrackChange = onTrackChange;
@@ -35,15 +49,25 @@ export class Timeline {
     this.onTrackDelete = onTrackDelete;
     this.onTrackSelect = onTrackSelect;
     this.onBlockSelect = onBlockSelect;
+    this.onTempoMapEdit = onTempoMapEdit;
+    this.onSectionsEdit = onSectionsEdit;
+    this.onLoopRangeChange = onLoopRangeChange;
+    this.onAutomationChange = onAutomationChange;
     this.blockElements = new Map();
     this.playheadEl = null;
     this.cursorEl = null;
     this.cursorBeat = 0;
+    this.loopEl = null;
+    this.loopRegionEl = null;
+    this.loopEnabled = false;
+    this.expandedAutomation = new Set();
     this.scrollTop = 0;
     this.scrollLeft = 0;
     this.trackList = null;
     this.laneScroller = null;
     this.selectedTrackId = project.tracks[0]?.id || null;
+    this.selectedBlockId = null;
+    this.tempoMap = new TempoMap(project);
 
     this.render();
   }
@@ -70,6 +94,13 @@ export class Timeline {
     });
   }
 
+  setSelectedBlockId(blockId) {
+    this.selectedBlockId = blockId;
+    this.blockElements.forEach((element, id) => {
+      element.classList.toggle("is-selected", id === blockId);
+    });
+  }
+
   setCursor(beat) {
     this.cursorBeat = beat;
     if (this.cursorEl) {
@@ -77,6 +108,23 @@ export class Timeline {
     }
   }
 
+  setLoopEnabled(enabled) {
+    this.loopEnabled = enabled;
+    [this.loopEl, this.loopRegionEl].forEach((element) => {
+      element?.classList.toggle("is-active", enabled);
+    });
+  }
+
+  updateLoopRange(range) {
+    [this.loopEl, this.loopRegionEl].forEach((element) => {
+      if (!element) return;
+      element.hidden = !range;
+      if (!range) return;
+      element.style.left = `${this.beatToPx(range.start)}px`;
+      element.style.width = `${this.beatToPx(range.end - range.start)}px`;
+    });
+  }
+
   beatToPx(beat) {
     return beat * this.zoom;
   }
@@ -90,12 +138,207 @@ export class Timeline {
   }
 
   updateGridVariables() {
-    const major = this.zoom * 4;
     const minor = this.zoom * this.snap;
-    this.container.style.setProperty("--grid-major", `${major}px`);
     this.container.style.setProperty("--grid-minor", `${minor}px`);
   }
 
+  setCursorFromEvent(event, element, totalBeats) {
+    const rect = element.getBoundingClientRect();
+    const beat = this.quantize(this.pxToBeat(event.clientX - rect.left));
+    this.setCursor(clamp(beat, 0, totalBeats));
+    if (this.onCursorChange) {
+      this.onCursorChange(this.cursorBeat);
+    }
+  }
+
+  createRulerCorner() {
+    const corner = document.createElement("div");
+    corner.className = "track-list-ruler";
+    const label = document.createElement("span");
+    label.textContent = "Bar";
+    const tempoBtn = document.createElement("button");
+    tempoBtn.className = "btn tiny";
+    tempoBtn.textContent = "Tempo / Meter";
+    tempoBtn.addEventListener("click", () => this.onTempoMapEdit?.());
+    const sectionsBtn = document.createElement("button");
+    sectionsBtn.className = "btn tiny";
+    sectionsBtn.textContent = "Sections";
+    sectionsBtn.addEventListener("click", () => this.onSectionsEdit?.());
+    corner.append(label, tempoBtn, sectionsBtn);
+    return corner;
+  }
+
+  createRuler(bars, laneWidth, totalBeats) {
+    const ruler = document.createElement("div");
+    ruler.className = "timeline-ruler";
+    ruler.style.width = `${laneWidth}px`;
+
+    this.loopEl = document.createElement("div");
+    this.loopEl.className = "ruler-loop";
+    this.loopEl.dataset.loopDrag = "move";
+    this.loopEl.title = "Loop range: drag to move, double-click to clear";
+    const loopStartHandle = document.createElement("div");
+    loopStartHandle.className = "ruler-loop-handle left";
+    loopStartHandle.dataset.loopDrag = "resize-left";
+    const loopEndHandle = document.createElement("div");
+    loopEndHandle.className = "ruler-loop-handle right";
+    loopEndHandle.dataset.loopDrag = "resize-right";
+    this.loopEl.append(loopStartHandle, loopEndHandle);
+    this.loopEl.addEventListener("dblclick", () => this.onLoopRangeChange?.(null));
+    ruler.appendChild(this.loopEl);
+    this.attachLoopHandlers(ruler, totalBeats);
+
+    bars.forEach((bar) => {
+      const mark = document.createElement("div");
+      mark.className = "ruler-bar";
+      mark.style.left = `${this.beatToPx(bar.beat)}px`;
+      mark.textContent = String(bar.index + 1);
+      if (bar.isMeterChange) {
+        const meter = document.createElement("span");
+        meter.className = "ruler-meter";
+        meter.textContent = `${bar.numerator}/${bar.denominator}`;
+        mark.appendChild(meter);
+      }
+      ruler.appendChild(mark);
+    });
+
+    const tempoPoints = [
+      { beat: 0, bpm: this.project.bpm, ramp: false },
+      ...(this.project.tempoMap || []),
+    ];
+    tempoPoints.forEach((point) => {
+      if (point.beat > totalBeats) return;
+      const marker = document.createElement("button");
+      marker.type = "button";
+      marker.className = "ruler-tempo";
+      marker.classList.toggle("is-ramp", Boolean(point.ramp));
+      marker.style.left = `${this.beatToPx(point.beat)}px`;
+      marker.textContent = `${point.ramp ? "↗" : "♩"}${Math.round(point.bpm * 100) / 100}`;
+      marker.title = point.ramp ? "Tempo ramp" : "Tempo change";
+      marker.addEventListener("click", () => this.onTempoMapEdit?.());
+      ruler.appendChild(marker);
+    });
+
+    if (Number.isFinite(this.project.loopPoint) && this.project.loopPoint <= totalBeats) {
+      const loopPoint = document.createElement("button");
+      loopPoint.type = "button";
+      loopPoint.className = "ruler-loop-point";
+      loopPoint.style.left = `${this.beatToPx(this.project.loopPoint)}px`;
+      loopPoint.textContent = "⟲ Loop";
+      loopPoint.title = "Song loop point: exports loop from here to the end of the song";
+      loopPoint.addEventListener("click", () => this.onSectionsEdit?.());
+      ruler.appendChild(loopPoint);
+    }
+
+    (this.project.markers || []).forEach((item) => {
+      if (item.beat > totalBeats) return;
+      const marker = document.createElement("button");
+      marker.type = "button";
+      marker.className = "ruler-section";
+      marker.style.left = `${this.beatToPx(item.beat)}px`;
+      marker.textContent = item.name;
+      marker.title = `${item.name}: click to jump, double-click to edit sections`;
+      marker.addEventListener("click", () => {
+        this.setCursor(item.beat);
+        this.onCursorChange?.(this.cursorBeat);
+      });
+      marker.addEventListener("dblclick", () => this.onSectionsEdit?.(item.id));
+      ruler.appendChild(marker);
+    });
+
+    return ruler;
+  }
+
+  attachLoopHandlers(ruler, totalBeats) {
+    let dragMode = null;
+    let startX = 0;
+    let anchorBeat = 0;
+    let startRange = null;
+    let pendingRange = null;
+
+    const getRulerBeat = (event) => {
+      const rect = ruler.getBoundingClientRect();
+      return clamp(this.quantize(this.pxToBeat(event.clientX - rect.left)), 0, totalBeats);
+    };
+
+    const onPointerMove = (event) => {
+      if (!dragMode) return;
+      const delta = this.quantize(this.pxToBeat(event.clientX - startX));
+
+      if (dragMode === "create") {
+        const beat = getRulerBeat(event);
+        pendingRange = Math.abs(beat - anchorBeat) >= this.snap
+          ? { start: Math.min(anchorBeat, beat), end: Math.max(anchorBeat, beat) }
+          : null;
+      }
+
+      if (dragMode === "move") {
+        const length = startRange.end - startRange.start;
+        const start = clamp(startRange.start + delta, 0, Math.max(0, totalBeats - length));
+        pendingRange = { start, end: start + length };
+      }
+
+      if (dragMode === "resize-left") {
+        pendingRange = {
+          start: clamp(startRange.start + delta, 0, startRange.end - this.snap),
+          end: startRange.end,
+        };
+      }
+
+      if (dragMode === "resize-right") {
+        pendingRange = {
+          start: startRange.start,
+          end: Math.max(startRange.start + this.snap, Math.min(startRange.end + delta, totalBeats)),
+        };
+      }
+
+      this.updateLoopRange(pendingRange || this.project.loopRange);
+    };
+
+    const onPointerUp = () => {
+      if (!dragMode) return;
+      if (pendingRange) {
+        this.onLoopRangeChange?.(pendingRange);
+      }
+      dragMode = null;
+      pendingRange = null;
+      window.removeEventListener("pointermove", onPointerMove);
+      window.removeEventListener("pointerup", onPointerUp);
+    };
+
+    ruler.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0) return;
+      if (event.target.closest(".ruler-tempo, .ruler-section, .ruler-loop-point")) return;
+      const handle = event.target.closest("[data-loop-drag]");
+      if (handle && this.project.loopRange) {
+        dragMode = handle.dataset.loopDrag;
+        startRange = { ...this.project.loopRange };
+      } else {
+        this.setCursorFromEvent(event, ruler, totalBeats);
+        dragMode = "create";
+        anchorBeat = this.cursorBeat;
+      }
+      startX = event.clientX;
+      pendingRange = null;
+      ruler.setPointerCapture(event.pointerId);
+
+      window.addEventListener("pointermove", onPointerMove);
+      window.addEventListener("pointerup", onPointerUp);
+    });
+  }
+
+  createBarLines(bars) {
+    const layer = document.createElement("div");
+    layer.className = "bar-lines";
+    layer.setAttribute("aria-hidden", "true");
+    bars.forEach((bar) => {
+      const line = document.createElement("i");
+      line.style.left = `${this.beatToPx(bar.beat)}px`;
+      layer.appendChild(line);
+    });
+    return layer;
+  }
+
   render() {
     if (this.laneScroller) {
       this.scrollTop = this.laneScroller.scrollTop;
@@ -103,6 +346,9 @@ export class Timeline {
     }
     this.container.innerHTML = "";
     this.blockElements.clear();
+    this.tempoMap = new TempoMap(this.project);
+    this.hardware = this.getHardwareReport();
+    this.linkGroups = this.getLinkGroups();
 
     const trackList = document.createElement("div");
     trackList.className = "track-list";
@@ -153,6 +399,18 @@ export class Timeline {
 
     const totalBeats = Math.max(16, getProjectEndBeat(this.project) + 4);
     const laneWidth = this.beatToPx(totalBeats);
+    const bars = getBars(this.project, totalBeats);
+
+    trackList.appendChild(this.createRulerCorner());
+    lanes.appendChild(this.createRuler(bars, laneWidth, totalBeats));
+    lanes.appendChild(this.createBarLines(bars));
+
+    this.loopRegionEl = document.createElement("div");
+    this.loopRegionEl.className = "loop-region";
+    this.loopRegionEl.setAttribute("aria-hidden", "true");
+    lanes.appendChild(this.loopRegionEl);
+    this.updateLoopRange(this.project.loopRange);
+    this.setLoopEnabled(this.loopEnabled);
 
     this.project.tracks.forEach((track, index) => {
       const header = this.createTrackHeader(track, index);
@@ -166,12 +424,7 @@ export class Timeline {
       lane.addEventListener("pointerdown", (event) => {
         this.onTrackSelect?.(track.id);
         if (event.target.closest(".block")) return;
-        const rect = lane.getBoundingClientRect();
-        const beat = this.quantize(this.pxToBeat(event.clientX - rect.left));
-        this.setCursor(clamp(beat, 0, totalBeats));
-        if (this.onCursorChange) {
-          this.onCursorChange(this.cursorBeat);
-        }
+        this.setCursorFromEvent(event, lane, totalBeats);
       });
 
       track.blocks.forEach((block) => {
@@ -181,6 +434,21 @@ export class Timeline {
       });
 
       lanes.appendChild(lane);
+
+      if (this.expandedAutomation.has(track.id)) {
+        const targets = getAutomationTargets(track);
+        (track.automation || []).forEach((automationLane) => {
+          const target = targets.find((item) => item.id === automationLane.target);
+          if (!target) return;
+          trackList.appendChild(this.createAutomationHeader(track, automationLane, target));
+          lanes.appendChild(this.createAutomationLane(track, automationLane, target, laneWidth));
+        });
+        trackList.appendChild(this.createAutomationAddHeader(track, targets));
+        const spacer = document.createElement("div");
+        spacer.className = "automation-lane is-empty";
+        spacer.style.width = `${laneWidth}px`;
+        lanes.appendChild(spacer);
+      }
     });
 
     const horizontalScrollbarHeight = Math.max(
@@ -201,6 +469,29 @@ export class Timeline {
     trackList.scrollTop = this.scrollTop;
   }
 
+  getHardwareReport() {
+    if (!this.project.authenticChips?.length) return null;
+    const { voices, tracks } = allocateHardwareChannels(this.project);
+    const notes = new Map();
+    const blocks = new Map();
+    voices.forEach((voice) => {
+      const { status } = voice.hardware;
+      if (voice.note) notes.set(voice.note, status);
+      if (status === "ok") return;
+      const counts = blocks.get(voice.block.id) || { cut: 0, dropped: 0 };
+      counts[status] += 1;
+      blocks.set(voice.block.id, counts);
+    });
+    return { notes, blocks, tracks };
+  }
+
+  getHardwareSummary(counts) {
+    const parts = [];
+    if (counts.dropped) parts.push(`${counts.dropped} dropped`);
+    if (counts.cut) parts.push(`${counts.cut} cut short`);
+    return parts.join(", ");
+  }
+
   createTrackHeader(track, index) {
     const header = document.createElement("div");
     header.className = "track-header";
@@ -214,6 +505,20 @@ export class Timeline {
     title.className = "track-title";
     title.innerHTML = `<span>Track ${index + 1} · ${track.type}</span>`;
 
+    const hardwareStats = this.hardware?.tracks.get(track.id);
+    if (hardwareStats) {
+      const flag = document.createElement("span");
+      const channels = [...hardwareStats.channels].join(", ") || "none";
+      const problems = this.getHardwareSummary(hardwareStats);
+      flag.className = "track-hardware-flag";
+      flag.classList.toggle("is-warning", Boolean(problems));
+      flag.textContent = problems ? "!" : hardwareStats.chipId;
+      flag.title = hardwareStats.unsupported
+        ? `${hardwareStats.chipId} has no channel for this waveform`
+        : `${hardwareStats.chipId} channels: ${channels}${problems ? ` · ${problems}` : ""}`;
+      title.appendChild(flag);
+    }
+
     const addBtn = document.createElement("button");
     addBtn.className = "btn tiny";
     addBtn.textContent = "+ Block";
@@ -237,6 +542,23 @@ export class Timeline {
     deleteBtn.textContent = "Del";
     deleteBtn.addEventListener("click", () => this.onTrackDelete?.(track.id));
 
+    const automationBtn = document.createElement("button");
+    automationBtn.className = "btn tiny toggle";
+    automationBtn.textContent = "Auto";
+    automationBtn.title = "Show automation lanes";
+    automationBtn.setAttribute("aria-pressed", this.expandedAutomation.has(track.id) ? "true" : "false");
+    automationBtn.addEventListener("click", () => {
+      if (this.expandedAutomation.has(track.id)) {
+        this.expandedAutomation.delete(track.id);
+      } else {
+        this.expandedAutomation.add(track.id);
+      }
+      this.render();
+    });
+    const automatedTargets = new Set(
+      (track.automation || []).filter((lane) => lane.points.length).map((lane) => lane.target),
+    );
+
     const controls = document.createElement("div");
     controls.className = "track-controls";
 
@@ -247,6 +569,8 @@ export class Timeline {
     volumeInput.step = 0.01;
     volumeInput.value = track.volume ?? 0.8;
     volumeInput.className = "mini";
+    volumeInput.disabled = automatedTargets.has("volume");
+    volumeInput.title = volumeInput.disabled ? "Volume is automated" : "";
     volumeInput.addEventListener("input", () => {
       this.onTrackChange?.(track.id, { volume: parseFloat(volumeInput.value) });
     });
@@ -258,6 +582,8 @@ export class Timeline {
     panInput.step = 0.1;
     panInput.value = track.pan ?? 0;
     panInput.className = "mini";
+    panInput.disabled = automatedTargets.has("pan");
+    panInput.title = panInput.disabled ? "Pan is automated" : "";
     panInput.addEventListener("input", () => {
       this.onTrackChange?.(track.id, { pan: parseFloat(panInput.value) });
     });
@@ -306,12 +632,193 @@ export class Timeline {
     actions.appendChild(moveUpBtn);
     actions.appendChild(moveDownBtn);
     actions.appendChild(deleteBtn);
+    actions.appendChild(automationBtn);
     header.appendChild(actions);
     header.appendChild(controls);
 
     return header;
   }
 
+  createAutomationHeader(track, lane, target) {
+    const header = document.createElement("div");
+    header.className = "automation-header";
+    header.dataset.trackId = track.id;
+
+    const label = document.createElement("span");
+    label.className = "automation-label";
+    label.textContent = target.label;
+
+    const clearBtn = document.createElement("button");
+    clearBtn.className = "btn tiny";
+    clearBtn.textContent = "Clear";
+    clearBtn.disabled = lane.points.length === 0;
+    clearBtn.addEventListener("click", () => {
+      this.updateAutomationLane(track, lane.id, []);
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn tiny danger";
+    deleteBtn.textContent = "Del";
+    deleteBtn.addEventListener("click", () => {
+      this.onAutomationChange?.(
+        track.id,
+        track.automation.filter((item) => item.id !== lane.id),
+      );
+    });
+
+    header.append(label, clearBtn, deleteBtn);
+    return header;
+  }
+
+  createAutomationAddHeader(track, targets) {
+    const header = document.createElement("div");
+    header.className = "automation-header";
+    const usedTargets = new Set((track.automation || []).map((lane) => lane.target));
+    const available = targets.filter((target) => !usedTargets.has(target.id));
+
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", "Automation target");
+    available.forEach((target) => {
+      const option = document.createElement("option");
+      option.value = target.id;
+      option.textContent = target.label;
+      select.appendChild(option);
+    });
+
+    const addBtn = document.createElement("button");
+    addBtn.className = "btn tiny";
+    addBtn.textContent = "+ Lane";
+    addBtn.disabled = available.length === 0;
+    addBtn.addEventListener("click", () => {
+      if (!select.value) return;
+      this.onAutomationChange?.(track.id, [
+        ...(track.automation || []),
+        createAutomationLane(select.value),
+      ]);
+    });
+
+    header.append(select, addBtn);
+    return header;
+  }
+
+  updateAutomationLane(track, laneId, points) {
+    this.onAutomationChange?.(
+      track.id,
+      track.automation.map((lane) => (lane.id === laneId ? { ...lane, points } : lane)),
+    );
+  }
+
+  drawAutomationLane(laneEl, points, target, laneWidth) {
+    laneEl.innerHTML = "";
+    const valueToPercent = (value) => (1 - (value - target.min) / (target.max - target.min)) * 100;
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("viewBox", `0 0 ${Math.max(1, laneWidth)} 100`);
+    svg.setAttribute("preserveAspectRatio", "none");
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    const linePoints = points.length
+      ? [
+          [0, valueToPercent(points[0].value)],
+          ...points.map((point) => [this.beatToPx(point.beat), valueToPercent(point.value)]),
+          [laneWidth, valueToPercent(points[points.length - 1].value)],
+        ]
+      : [
+          [0, valueToPercent(target.value)],
+          [laneWidth, valueToPercent(target.value)],
+        ];
+    line.setAttribute("points", linePoints.map(([x, y]) => `${x},${y}`).join(" "));
+    line.classList.toggle("is-static", points.length === 0);
+    svg.appendChild(line);
+    laneEl.appendChild(svg);
+
+    points.forEach((point, index) => {
+      const handle = document.createElement("div");
+      handle.className = "automation-point";
+      handle.dataset.pointIndex = String(index);
+      handle.style.left = `${this.beatToPx(point.beat)}px`;
+      handle.style.top = `${valueToPercent(point.value)}%`;
+      handle.title = `${target.label}: ${Math.round(point.value * 100) / 100}`;
+      laneEl.appendChild(handle);
+    });
+  }
+
+  createAutomationLane(track, lane, target, laneWidth) {
+    const laneEl = document.createElement("div");
+    laneEl.className = "automation-lane";
+    laneEl.dataset.trackId = track.id;
+    laneEl.style.width = `${laneWidth}px`;
+    this.drawAutomationLane(laneEl, lane.points, target, laneWidth);
+
+    let points = null;
+    let dragIndex = -1;
+    let startX = 0;
+    let startBeat = 0;
+
+    const getValue = (event) => {
+      const rect = laneEl.getBoundingClientRect();
+      const ratio = 1 - clamp((event.clientY - rect.top) / Math.max(1, rect.height), 0, 1);
+      return target.min + ratio * (target.max - target.min);
+    };
+
+    const onPointerMove = (event) => {
+      if (dragIndex === -1) return;
+      const previous = points[dragIndex - 1];
+      const next = points[dragIndex + 1];
+      const beat = clamp(
+        this.quantize(startBeat + this.pxToBeat(event.clientX - startX)),
+        previous ? previous.beat : 0,
+        next ? next.beat : Infinity,
+      );
+      points[dragIndex] = { beat, value: getValue(event) };
+      this.drawAutomationLane(laneEl, points, target, laneWidth);
+    };
+
+    const onPointerUp = () => {
+      if (dragIndex === -1) return;
+      dragIndex = -1;
+      window.removeEventListener("pointermove", onPointerMove);
+      window.removeEventListener("pointerup", onPointerUp);
+      this.updateAutomationLane(track, lane.id, points);
+    };
+
+    laneEl.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0) return;
+      this.onTrackSelect?.(track.id);
+      points = lane.points.map((point) => ({ ...point }));
+      const handle = event.target.closest(".automation-point");
+      if (handle) {
+        dragIndex = parseInt(handle.dataset.pointIndex, 10);
+      } else {
+        const rect = laneEl.getBoundingClientRect();
+        const beat = Math.max(0, this.quantize(this.pxToBeat(event.clientX - rect.left)));
+        const point = { beat, value: getValue(event) };
+        dragIndex = points.findIndex((item) => item.beat > beat);
+        if (dragIndex === -1) dragIndex = points.length;
+        points.splice(dragIndex, 0, point);
+        this.drawAutomationLane(laneEl, points, target, laneWidth);
+      }
+      startX = event.clientX;
+      startBeat = points[dragIndex].beat;
+      laneEl.setPointerCapture(event.pointerId);
+
+      window.addEventListener("pointermove", onPointerMove);
+      window.addEventListener("pointerup", onPointerUp);
+    });
+
+    laneEl.addEventListener("dblclick", (event) => {
+      const handle = event.target.closest(".automation-point");
+      if (!handle) return;
+      const index = parseInt(handle.dataset.pointIndex, 10);
+      this.updateAutomationLane(
+        track,
+        lane.id,
+        lane.points.filter((_, pointIndex) => pointIndex !== index),
+      );
+    });
+
+    return laneEl;
+  }
+
   wrapControl(labelText, input) {
     const label = document.createElement("label");
     label.innerHTML = `<span>${labelText}</span>`;
@@ -342,7 +849,11 @@ export class Timeline {
     const offset = isLoop
       ? rawOffset % activeDuration
       : clamp(rawOffset, 0, activeDuration - 0.001);
-    const projectBpm = Math.max(1, this.project.bpm || 120);
+    const outputDuration = Math.max(
+      0.001,
+      this.tempoMap.getDuration(block.startBeat, block.startBeat + block.length),
+    );
+    const projectBpm = Math.max(1, (block.length * 60) / outputDuration);
     const warpRate = block.warp?.enabled
       ? projectBpm / clamp(block.warp.sourceBpm || projectBpm, 20, 400)
       : 1;
@@ -351,7 +862,6 @@ export class Timeline {
       block.warp?.enabled && block.warp.mode === "beats"
         ? warpRate
         : warpRate * pitchRate;
-    const outputDuration = Math.max(0.001, block.length * (60 / projectBpm));
     let sourceElapsed = offset + progress * outputDuration * sourceRate;
 
     if (!isLoop && sourceElapsed >= activeDuration) return 0;
@@ -401,16 +911,45 @@ export class Timeline {
       noteEl.style.top = `${((maxPitch - note.pitch) / pitchSpan) * 100}%`;
       noteEl.style.height = `${noteHeight}%`;
       noteEl.style.opacity = `${clamp(note.velocity ?? 0.9, 0.35, 1)}`;
+      const hardwareStatus = this.hardware?.notes.get(note);
+      if (hardwareStatus && hardwareStatus !== "ok") {
+        noteEl.classList.add(`is-${hardwareStatus}`);
+      }
       preview.appendChild(noteEl);
     });
 
     return preview;
   }
 
+  getLinkGroups() {
+    const groups = new Map();
+    this.project.tracks.forEach((track) => {
+      [...track.blocks]
+        .sort((a, b) => a.startBeat - b.startBeat)
+        .forEach((block) => {
+          if (!block.linkId) return;
+          const group = groups.get(block.linkId);
+          if (group) {
+            group.count += 1;
+            return;
+          }
+          const index = groups.size;
+          const suffix = index >= 26 ? Math.floor(index / 26) : "";
+          groups.set(block.linkId, {
+            label: `${String.fromCharCode(65 + (index % 26))}${suffix}`,
+            hue: (index * 67) % 360,
+            count: 1,
+          });
+        });
+    });
+    return groups;
+  }
+
   createBlockElement(track, block) {
     const blockEl = document.createElement("div");
     blockEl.className = `block ${track.type}`;
     blockEl.dataset.blockId = block.id;
+    blockEl.classList.toggle("is-selected", block.id === this.selectedBlockId);
     blockEl.style.left = `${this.beatToPx(block.startBeat)}px`;
     blockEl.style.width = `${this.beatToPx(block.length)}px`;
     blockEl.addEventListener("pointerdown", () => {
@@ -432,6 +971,24 @@ export class Timeline {
     label.title = blockLabel;
     header.appendChild(label);
 
+    const link = block.linkId ? this.linkGroups.get(block.linkId) : null;
+    if (link) {
+      blockEl.classList.add("is-linked");
+      blockEl.style.setProperty("--link-color", `hsl(${link.hue} 55% 40%)`);
+      const badge = document.createElement("b");
+      badge.className = "block-link-badge";
+      badge.textContent = link.label;
+      label.title =
+        `${blockLabel} · linked clip ${link.label}, ${link.count} copies share its content`;
+      label.prepend(badge);
+    }
+
+    const hardwareCounts = this.hardware?.blocks.get(block.id);
+    if (hardwareCounts) {
+      blockEl.classList.add("has-hardware-conflict");
+      blockEl.title = `Does not fit the hardware: ${this.getHardwareSummary(hardwareCounts)}`;
+    }
+
     const actions = document.createElement("div");
     actions.className = "block-actions";
 
@@ -451,7 +1008,28 @@ export class Timeline {
       this.onBlockDelete?.(track.id, block.id);
     });
 
+    const linkBtn = document.createElement("button");
+    linkBtn.className = "block-action";
+    linkBtn.textContent = "Link";
+    linkBtn.title = "Duplicate as a linked clip that shares this content";
+    linkBtn.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.onBlockLinkDuplicate?.(track.id, block.id);
+    });
+
     actions.appendChild(dupBtn);
+    actions.appendChild(linkBtn);
+    if (link) {
+      const uniqueBtn = document.createElement("button");
+      uniqueBtn.className = "block-action";
+      uniqueBtn.textContent = "Unique";
+      uniqueBtn.title = "Make unique: detach this clip from its linked copies";
+      uniqueBtn.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.onBlockUnlink?.(track.id, block.id);
+      });
+      actions.appendChild(uniqueBtn);
+    }
     actions.appendChild(delBtn);
     header.appendChild(actions);
 
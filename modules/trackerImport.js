@@ -0,0 +1,708 @@
+import {
+  CONSOLE_WAVES,
+  MACRO_TYPES,
+  MAX_BPM,
+  MAX_INSTRUMENTS,
+  MAX_MACRO_LENGTH,
+  MAX_TRACKS,
+  MIN_BPM,
+  NOTE_EFFECTS,
+  createBlock,
+  createInstrument,
+  createNote,
+  createTrack,
+  ensureDrumPattern,
+  getDrumRowsForConsole,
+} from "./dataModel.js";
+
+const ROW_BEATS = 0.25;
+const TEXT_DECODER = new TextDecoder("latin1");
+const DMF_MAGIC = ".DelekDefleMask.";
+const DMF_VERSION = 24;
+const NOTE_INDEX = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const FAMITRACKER_EFFECTS = {
+  0: "arpeggio",
+  1: "slideUp",
+  2: "slideDown",
+  3: "portamento",
+  4: "vibrato",
+  A: "volumeSlide",
+  V: "duty",
+};
+
+const DEFLEMASK_EFFECTS = {
+  0x00: "arpeggio",
+  0x01: "slideUp",
+  0x02: "slideDown",
+  0x03: "portamento",
+  0x04: "vibrato",
+  0x0a: "volumeSlide",
+  0x12: "duty",
+};
+
+const FAMITRACKER_CHANNELS = [
+  { label: "Pulse 1", type: "synth", console: "Famicom", waveform: "pulse12" },
+  { label: "Pulse 2", type: "synth", console: "Famicom", waveform: "pulse12" },
+  { label: "Triangle", type: "synth", console: "Famicom", waveform: "triangle", octave: -1 },
+  { label: "Noise", type: "drums", console: "Famicom" },
+  { label: "DPCM", type: "drums", console: "Famicom", drum: "kick" },
+];
+
+const channelList = (count, channel) => Array.from({ length: count }, () => channel);
+const SEGA_FM = { type: "synth", console: "Sega", waveform: "fm1", maxVolume: 127 };
+const PCE_WAVE = { type: "synth", console: "TurboGrafx16", waveform: "wave1", maxVolume: 31 };
+const SEGA_PSG = [
+  ...channelList(3, { type: "synth", console: "Basics", waveform: "square", maxVolume: 15 }),
+  { type: "drums", console: "Sega", maxVolume: 15 },
+];
+
+const DEFLEMASK_SYSTEMS = {
+  0x02: {
+    label: "Genesis",
+    channels: [...channelList(6, SEGA_FM), ...SEGA_PSG],
+  },
+  0x42: {
+    label: "Genesis (extended channel 3)",
+    channels: [...channelList(9, SEGA_FM), ...SEGA_PSG],
+  },
+  0x03: { label: "Master System", channels: SEGA_PSG },
+  0x04: {
+    label: "Game Boy",
+    channels: [
+      ...channelList(2, { type: "synth", console: "GameBoy", waveform: "pulse50", maxVolume: 15 }),
+      { type: "synth", console: "GameBoy", waveform: "wave", maxVolume: 15 },
+      { type: "drums", console: "GameBoy", maxVolume: 15 },
+    ],
+  },
+  0x05: {
+    label: "PC Engine",
+    channels: channelList(6, PCE_WAVE),
+  },
+  0x06: {
+    label: "NES",
+    channels: [
+      ...channelList(2, { type: "synth", console: "Famicom", waveform: "pulse12", maxVolume: 15 }),
+      { type: "synth", console: "Famicom", waveform: "triangle", maxVolume: 15 },
+      { type: "drums", console: "Famicom", maxVolume: 15 },
+      { type: "drums", console: "Famicom", drum: "kick", maxVolume: 15 },
+    ],
+  },
+  0x07: {
+    label: "C64 (SID 8580)",
+    channels: channelList(3, { type: "synth", console: "C64", waveform: "pulse", maxVolume: 15 }),
+  },
+  0x47: {
+    label: "C64 (SID 6581)",
+    channels: channelList(3, { type: "synth", console: "C64", waveform: "pulse", maxVolume: 15 }),
+  },
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const createEventId = () => Math.random().toString(36).slice(2, 10);
+
+const formatHex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+const plural = (count, noun, suffix = "s") => `${count} ${noun}${count === 1 ? "" : suffix}`;
+
+function countIssue(issues, message) {
+  issues.set(message, (issues.get(message) || 0) + 1);
+}
+
+function pickNoiseDrum(level, rows) {
+  const lowTom = rows.includes("tom") ? "tom" : "snare";
+  const choice = level < 0.25 ? "kick" : level < 0.5 ? lowTom : level < 0.75 ? "snare" : "hat";
+  return rows.includes(choice) ? choice : rows[0];
+}
+
+function createMacroFromSequence(type, values, loop, release) {
+  const definition = MACRO_TYPES[type];
+  const macroValues = values
+    .slice(0, MAX_MACRO_LENGTH)
+    .map((value) => clamp(Math.round(value), definition.min, definition.max));
+  if (!macroValues.length) return null;
+  const getPoint = (point) => (point >= 0 && point < macroValues.length ? point : null);
+  return { values: macroValues, loop: getPoint(loop), release: getPoint(release) };
+}
+
+function getTrackerInstrument(context, track, index) {
+  const source = context.song.instruments.get(index);
+  if (!source || track.type !== "synth") return null;
+  const key = `${index}:${track.id}`;
+  if (context.instrumentIds.has(key)) return context.instrumentIds.get(key);
+  let id = null;
+  const waves = CONSOLE_WAVES[track.console] || [];
+  const waveform = waves.includes(source.waveform) ? source.waveform : null;
+  const hasPatch = Object.keys(source.macros).length || waveform;
+  if (hasPatch && context.instruments.length < MAX_INSTRUMENTS) {
+    const instrument = createInstrument(track, source.name || `Instrument ${formatHex(index)}`);
+    instrument.macros = source.macros;
+    if (waveform) instrument.waveform = waveform;
+    context.instruments.push(instrument);
+    id = instrument.id;
+  }
+  context.instrumentIds.set(key, id);
+  return id;
+}
+
+function applyCellEffects(context, state, cell) {
+  cell.effects.forEach((effect) => {
+    if (effect.unsupported) {
+      countIssue(context.issues, `Effect ${effect.unsupported} ignored`);
+      return;
+    }
+    if (!NOTE_EFFECTS[effect.type]) return;
+    const target = state.note;
+    if (!target) return;
+    const effects = target.effects.filter((item) => item.type !== effect.type);
+    if (effect.value || effect.type === "duty") {
+      effects.push({ type: effect.type, value: effect.value });
+    }
+    target.effects = effects;
+    state.effects = effects;
+  });
+}
+
+function closeNote(state, endBeat) {
+  if (!state.note) return;
+  state.note.duration = Math.max(ROW_BEATS / 4, endBeat - state.note.start);
+  state.note = null;
+}
+
+function fillSynthBlock(context, channel, state, block, cells, rows) {
+  if (state.pitch !== null && (cells[0]?.note ?? null) === null) {
+    state.note = createNote({
+      pitch: state.pitch,
+      start: 0,
+      duration: ROW_BEATS,
+      velocity: state.velocity,
+      effects: [...state.effects],
+      instrumentId: state.instrumentId,
+    });
+    block.notes.push(state.note);
+  }
+  for (let row = 0; row < rows; row += 1) {
+    const cell = cells[row];
+    if (!cell) continue;
+    if (cell.volume !== null) state.velocity = clamp(cell.volume / channel.maxVolume, 0, 1);
+    if (cell.instrument !== null) {
+      const track = context.tracks.get(channel);
+      state.instrumentId = getTrackerInstrument(context, track, cell.instrument);
+    }
+    const start = row * ROW_BEATS;
+    if (cell.note === "off") {
+      closeNote(state, start);
+      state.pitch = null;
+      state.effects = [];
+    } else if (cell.note !== null) {
+      closeNote(state, start);
+      state.pitch = cell.note;
+      state.effects = [];
+      state.note = createNote({
+        pitch: cell.note,
+        start,
+        duration: ROW_BEATS,
+        velocity: state.velocity,
+        effects: [],
+        instrumentId: state.instrumentId,
+      });
+      block.notes.push(state.note);
+    } else if (cell.volume !== null && state.note) {
+      countIssue(context.issues, "Volume changes during a held note ignored");
+    }
+    applyCellEffects(context, state, cell);
+  }
+  closeNote(state, rows * ROW_BEATS);
+}
+
+function fillDrumBlock(context, channel, state, block, cells, rows) {
+  const drumRows = getDrumRowsForConsole(channel.console);
+  const pattern = ensureDrumPattern(block, drumRows);
+  for (let row = 0; row < rows; row += 1) {
+    const cell = cells[row];
+    if (!cell) continue;
+    if (cell.volume !== null) state.velocity = clamp(cell.volume / channel.maxVolume, 0, 1);
+    cell.effects.forEach((effect) => {
+      if (effect.unsupported) countIssue(context.issues, `Effect ${effect.unsupported} ignored`);
+    });
+    if (cell.note === null || cell.note === "off") continue;
+    pattern.events.push({
+      id: createEventId(),
+      drum: channel.drum || pickNoiseDrum(cell.note, drumRows),
+      start: row * ROW_BEATS,
+      duration: ROW_BEATS,
+      velocity: state.velocity,
+    });
+  }
+  block.pattern = pattern;
+}
+
+function getFrameRows(song, order) {
+  let rows = song.rowsPerPattern;
+  order.forEach((patternIndex, channelIndex) => {
+    const cells = song.patterns.get(`${channelIndex}:${patternIndex}`) || [];
+    cells.forEach((cell, row) => {
+      if (cell?.effects.some((effect) => effect.type === "break")) rows = Math.min(rows, row + 1);
+    });
+  });
+  return rows;
+}
+
+function addTempoChanges(song, order, rows, startBeat, timing, tempoMap) {
+  for (let row = 0; row < rows; row += 1) {
+    let changed = false;
+    order.forEach((patternIndex, channelIndex) => {
+      const cell = song.patterns.get(`${channelIndex}:${patternIndex}`)?.[row];
+      cell?.effects.forEach((effect) => {
+        if (effect.type === "speed" && effect.value > 0) {
+          timing.speed = effect.value;
+          changed = true;
+        } else if (effect.type === "tempo") {
+          timing.tempo = effect.value;
+          changed = true;
+        }
+      });
+    });
+    if (!changed) continue;
+    const beat = startBeat + row * ROW_BEATS;
+    const bpm = Math.round(clamp(song.getBpm(timing), MIN_BPM, MAX_BPM) * 100) / 100;
+    if (bpm === timing.bpm) continue;
+    timing.bpm = bpm;
+    if (beat === 0) {
+      timing.initialBpm = bpm;
+      continue;
+    }
+    const existing = tempoMap.find((change) => change.beat === beat);
+    if (existing) existing.bpm = bpm;
+    else tempoMap.push({ beat, bpm, ramp: false });
+  }
+}
+
+function buildTrackerProject(song) {
+  const issues = new Map();
+  const tracks = new Map();
+  const context = { song, issues, tracks, instruments: [], instrumentIds: new Map() };
+  const channels = song.channels.filter((channel, index) => {
+    if (index < MAX_TRACKS) return true;
+    countIssue(issues, `${channel.label || `Channel ${index + 1}`} skipped, too many channels`);
+    return false;
+  });
+  channels.forEach((channel, index) => {
+    const track = createTrack(index, { type: channel.type });
+    track.console = channel.console;
+    if (channel.type === "synth") track.waveform = channel.waveform;
+    track.octave = channel.octave || 0;
+    tracks.set(channel, track);
+  });
+
+  const states = channels.map(() => ({
+    pitch: null,
+    velocity: 1,
+    effects: [],
+    instrumentId: null,
+    note: null,
+  }));
+  const initialBpm = Math.round(clamp(song.getBpm(song), MIN_BPM, MAX_BPM) * 100) / 100;
+  const timing = { speed: song.speed, tempo: song.tempo, bpm: initialBpm, initialBpm: null };
+  const tempoMap = [];
+  let beat = 0;
+  song.orders.forEach((order) => {
+    const rows = getFrameRows(song, order);
+    addTempoChanges(song, order, rows, beat, timing, tempoMap);
+    channels.forEach((channel, channelIndex) => {
+      const cells = song.patterns.get(`${channelIndex}:${order[channelIndex]}`) || [];
+      const state = states[channelIndex];
+      const block = createBlock({ startBeat: beat, length: rows * ROW_BEATS, type: channel.type });
+      if (channel.type === "synth") {
+        fillSynthBlock(context, channel, state, block, cells, rows);
+        if (block.notes.length) tracks.get(channel).blocks.push(block);
+      } else {
+        fillDrumBlock(context, channel, state, block, cells, rows);
+        if (block.pattern.events.length) tracks.get(channel).blocks.push(block);
+      }
+      cells.slice(0, rows).forEach((cell) => {
+        cell?.effects.forEach((effect) => {
+          if (effect.type === "break" && effect.value) {
+            countIssue(issues, "Pattern breaks to a later row start at row 0");
+          }
+        });
+      });
+    });
+    beat += rows * ROW_BEATS;
+  });
+
+  const project = {
+    name: song.name,
+    bpm: timing.initialBpm ?? initialBpm,
+    meter: { numerator: 4, denominator: 4 },
+    tempoMap,
+    meterMap: [],
+    instruments: context.instruments,
+    tracks: [...tracks.values()],
+  };
+  const issueList = [
+    ...song.issues,
+    ...[...issues].map(([message, count]) => (count > 1 ? `${message} (${count}×)` : message)),
+  ];
+  return { project, issues: issueList };
+}
+
+function parseQuoted(line) {
+  const match = /"((?:[^"\\]|\\.)*)"/.exec(line);
+  return match ? match[1].replace(/\\(.)/g, "$1") : "";
+}
+
+function parseFamiTrackerNote(token, channel) {
+  if (token.startsWith(".")) return null;
+  if (token === "---" || token === "===") return "off";
+  if (channel.type === "drums" && !channel.drum) {
+    const level = parseInt(token[0], 16);
+    return Number.isFinite(level) ? level / 15 : null;
+  }
+  const match = /^([A-G])([-#])(\d)$/.exec(token);
+  if (!match) return null;
+  return 12 * (Number(match[3]) + 1) + NOTE_INDEX[match[1]] + (match[2] === "#" ? 1 : 0);
+}
+
+function parseFamiTrackerEffect(token) {
+  if (token.startsWith(".")) return null;
+  const code = token[0];
+  const value = parseInt(token.slice(1), 16);
+  if (!Number.isFinite(value)) return null;
+  if (FAMITRACKER_EFFECTS[code]) {
+    return { type: FAMITRACKER_EFFECTS[code], value: code === "V" ? value & 3 : value };
+  }
+  if (code === "F") return { type: value < 0x20 ? "speed" : "tempo", value };
+  if (code === "D") return { type: "break", value };
+  return { unsupported: `${code}xx` };
+}
+
+function parseFamiTrackerCell(text, channel) {
+  const [note = "...", instrument = "..", volume = ".", ...effects] = text.trim().split(/\s+/);
+  return {
+    note: parseFamiTrackerNote(note, channel),
+    instrument: instrument.startsWith(".") ? null : parseInt(instrument, 16),
+    volume: volume.startsWith(".") ? null : parseInt(volume, 16),
+    effects: effects.map(parseFamiTrackerEffect).filter(Boolean),
+  };
+}
+
+const FAMITRACKER_MACRO_TYPES = ["volume", "arpeggio", "pitch", null, "duty"];
+
+export function parseFamiTrackerText(text, fileName = "") {
+  const lines = String(text).split(/\r?\n/);
+  if (!/^#\s*FamiTracker text export/i.test(lines[0] || "")) {
+    throw new Error("Not a FamiTracker text export");
+  }
+  const song = {
+    name: fileName.replace(/\.[^/.]+$/, "") || "Imported FamiTracker",
+    channels: FAMITRACKER_CHANNELS.map((channel) => ({ ...channel, maxVolume: 15 })),
+    rowsPerPattern: 64,
+    speed: 6,
+    tempo: 150,
+    getBpm: ({ speed, tempo }) => (6 * tempo) / speed,
+    orders: [],
+    patterns: new Map(),
+    instruments: new Map(),
+    issues: [],
+  };
+  const macros = new Map();
+  let trackCount = 0;
+  let pattern = null;
+  let expansionChannels = 0;
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    const [keyword] = line.split(/\s+/, 1);
+    if (keyword === "TITLE") {
+      const title = parseQuoted(line);
+      if (title) song.name = title;
+    } else if (keyword === "MACRO") {
+      const [head, values = ""] = line.split(":");
+      const [, type, index, loop, release, setting] = head.trim().split(/\s+/).map(Number);
+      macros.set(`${type}:${index}`, {
+        type,
+        loop,
+        release,
+        setting,
+        values: values.trim().split(/\s+/).filter(Boolean).map(Number),
+      });
+    } else if (keyword === "INST2A03") {
+      const [, index, ...sequences] = line.replace(/".*$/, "").trim().split(/\s+/).map(Number);
+      const instrument = { name: parseQuoted(line), macros: {} };
+      sequences.forEach((sequence, type) => {
+        const macro = macros.get(`${type}:${sequence}`);
+        if (sequence < 0 || !macro) return;
+        const macroType = FAMITRACKER_MACRO_TYPES[type];
+        if (!macroType || (macroType === "arpeggio" && macro.setting)) {
+          const label = macroType ? "fixed or relative arpeggio" : "hi-pitch";
+          song.issues.push(`Instrument ${formatHex(index)}: ${label} macro skipped`);
+          return;
+        }
+        const values = macroType === "pitch" ? macro.values.map((value) => -value) : macro.values;
+        const converted = createMacroFromSequence(macroType, values, macro.loop, macro.release);
+        if (converted) instrument.macros[macroType] = converted;
+      });
+      song.instruments.set(index, instrument);
+    } else if (/^INST(?!2A03)/.test(keyword)) {
+      song.issues.push(`Expansion instrument "${parseQuoted(line)}" skipped`);
+    } else if (keyword === "TRACK") {
+      trackCount += 1;
+      if (trackCount === 1) {
+        const [, rows, speed, tempo] = line.replace(/".*$/, "").trim().split(/\s+/).map(Number);
+        song.rowsPerPattern = rows || song.rowsPerPattern;
+        song.speed = speed || song.speed;
+        song.tempo = tempo || song.tempo;
+      }
+    } else if (trackCount !== 1) {
+      return;
+    } else if (keyword === "COLUMNS") {
+      const count = line.split(":")[1].trim().split(/\s+/).length;
+      expansionChannels = Math.max(0, count - FAMITRACKER_CHANNELS.length);
+    } else if (keyword === "ORDER") {
+      const patterns = line.split(":")[1].trim().split(/\s+/).map((value) => parseInt(value, 16));
+      song.orders.push(patterns.slice(0, FAMITRACKER_CHANNELS.length));
+    } else if (keyword === "PATTERN") {
+      pattern = parseInt(line.split(/\s+/)[1], 16);
+    } else if (keyword === "ROW" && pattern !== null) {
+      const [head, ...cells] = line.split(" : ");
+      const row = parseInt(head.split(/\s+/)[1], 16);
+      song.channels.forEach((channel, channelIndex) => {
+        if (!cells[channelIndex]) return;
+        const key = `${channelIndex}:${pattern}`;
+        if (!song.patterns.has(key)) song.patterns.set(key, []);
+        song.patterns.get(key)[row] = parseFamiTrackerCell(cells[channelIndex], channel);
+      });
+    }
+  });
+
+  if (!song.orders.length) throw new Error("FamiTracker export has no frames");
+  if (trackCount > 1) song.issues.push(`Only the first of ${trackCount} songs was imported`);
+  if (expansionChannels) {
+    song.issues.push(`${plural(expansionChannels, "expansion chip channel")} skipped`);
+  }
+  return buildTrackerProject(song);
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.bytes.length) throw new Error("DefleMask module is truncated");
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.bytes[this.offset++];
+  }
+
+  int8() {
+    const value = this.uint8();
+    return value > 0x7f ? value - 0x100 : value;
+  }
+
+  int16() {
+    this.ensure(2);
+    const value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  int32() {
+    this.ensure(4);
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  string(length = this.uint8()) {
+    this.ensure(length);
+    const value = TEXT_DECODER.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.offset += length;
+  }
+}
+
+function readDefleMaskSequence(reader) {
+  const size = reader.uint8();
+  const values = Array.from({ length: size }, () => reader.int32());
+  const loop = size > 0 ? reader.int8() : -1;
+  return { values, loop };
+}
+
+function readDefleMaskInstrument(reader, systemId, song) {
+  const name = reader.string();
+  const mode = reader.uint8();
+  const instrument = { name, macros: {} };
+  if (mode === 1) {
+    reader.skip(4 + 4 * 12);
+    song.fmPatches += 1;
+    return instrument;
+  }
+  if (systemId !== 0x04) {
+    const volume = readDefleMaskSequence(reader);
+    const volumeScale = systemId === 0x05 ? 15 / 31 : 1;
+    const values = volume.values.map((value) => value * volumeScale);
+    const macro = createMacroFromSequence("volume", values, volume.loop, -1);
+    if (macro) instrument.macros.volume = macro;
+  }
+  const arpeggio = readDefleMaskSequence(reader);
+  const fixedArpeggio = reader.uint8() === 1;
+  if (arpeggio.values.length && fixedArpeggio) {
+    song.issues.push(`Instrument "${name}": fixed arpeggio macro skipped`);
+  } else {
+    const values = arpeggio.values.map((value) => value - 12);
+    const macro = createMacroFromSequence("arpeggio", values, arpeggio.loop, -1);
+    if (macro) instrument.macros.arpeggio = macro;
+  }
+  const duty = readDefleMaskSequence(reader);
+  if (duty.values.length && (systemId === 0x04 || systemId === 0x06)) {
+    const macro = createMacroFromSequence("duty", duty.values, duty.loop, -1);
+    if (macro) instrument.macros.duty = macro;
+  } else if (duty.values.length) {
+    song.issues.push(`Instrument "${name}": duty/noise macro skipped`);
+  }
+  const wave = readDefleMaskSequence(reader);
+  if (wave.values.length) song.issues.push(`Instrument "${name}": wavetable macro skipped`);
+  if (systemId === 0x07 || systemId === 0x47) {
+    // 20 bytes: four waveform flags, then ADSR, pulse width, ring, sync and filter settings.
+    const [triangle, saw, pulse, noise] = Array.from({ length: 4 }, () => reader.uint8());
+    instrument.waveform = triangle ? "triangle" : saw ? "saw" : "pulse";
+    if (noise && !triangle && !saw && !pulse) {
+      song.issues.push(`Instrument "${name}": noise waveform played as pulse`);
+    }
+    reader.skip(16);
+  } else if (systemId === 0x04) {
+    reader.skip(4);
+  }
+  return instrument;
+}
+
+function readDefleMaskNote(reader, channel) {
+  const note = reader.int16();
+  const octave = reader.int16();
+  if (note === 100) return "off";
+  if (note === 0 && octave === 0) return null;
+  const midi = 12 * (octave + 1) + note;
+  if (channel.type === "drums" && !channel.drum) return clamp((midi - 36) / 48, 0, 1);
+  return midi;
+}
+
+function readDefleMaskEffect(reader) {
+  const code = reader.int16();
+  const value = reader.int16();
+  if (code < 0) return null;
+  const safeValue = Math.max(0, value);
+  if (DEFLEMASK_EFFECTS[code]) {
+    return { type: DEFLEMASK_EFFECTS[code], value: code === 0x12 ? safeValue & 3 : safeValue };
+  }
+  if (code === 0x0f) return { type: "speed", value: safeValue };
+  if (code === 0x0d) return { type: "break", value: safeValue };
+  return { unsupported: `${formatHex(code)}xx` };
+}
+
+export function parseDefleMaskModule(bytes, fileName = "") {
+  const reader = new ByteReader(bytes);
+  if (reader.string(DMF_MAGIC.length) !== DMF_MAGIC) throw new Error("Not a DefleMask module");
+  const version = reader.uint8();
+  if (version !== DMF_VERSION) {
+    throw new Error(`DefleMask file version ${version} is not supported (expected ${DMF_VERSION})`);
+  }
+  const systemId = reader.uint8();
+  const system = DEFLEMASK_SYSTEMS[systemId];
+  if (!system) throw new Error(`DefleMask system 0x${formatHex(systemId)} is not supported`);
+
+  const name = reader.string();
+  reader.string();
+  reader.skip(2);
+  const timeBase = reader.uint8() + 1;
+  const tickTime1 = reader.uint8();
+  const tickTime2 = reader.uint8();
+  const ntsc = reader.uint8() === 1;
+  const customHz = reader.uint8() === 1;
+  const hzDigits = [reader.uint8(), reader.uint8(), reader.uint8()]
+    .map((digit) => (digit >= 0x30 ? digit - 0x30 : digit))
+    .filter((digit) => digit >= 0 && digit <= 9);
+  const hz = customHz && hzDigits.length ? Number(hzDigits.join("")) || 60 : ntsc ? 60 : 50;
+  const rowsPerPattern = reader.int32();
+  const matrixRows = reader.uint8();
+  const channels = system.channels.map((channel) => ({ ...channel }));
+  const matrix = channels.map(() => Array.from({ length: matrixRows }, () => reader.uint8()));
+
+  const song = {
+    name: name.trim() || fileName.replace(/\.[^/.]+$/, "") || "Imported DefleMask",
+    channels,
+    rowsPerPattern,
+    speed: (tickTime1 + tickTime2) / 2,
+    tempo: hz,
+    getBpm: ({ speed, tempo }) => (60 * tempo) / (speed * timeBase * 4),
+    orders: Array.from({ length: matrixRows }, (_, row) => matrix.map((column) => column[row])),
+    patterns: new Map(),
+    instruments: new Map(),
+    issues: [],
+    fmPatches: 0,
+  };
+
+  const instrumentCount = reader.uint8();
+  for (let index = 0; index < instrumentCount; index += 1) {
+    song.instruments.set(index, readDefleMaskInstrument(reader, systemId, song));
+  }
+  if (song.fmPatches) song.issues.push(`${plural(song.fmPatches, "FM patch", "es")} not imported`);
+  const wavetableCount = reader.uint8();
+  for (let index = 0; index < wavetableCount; index += 1) {
+    reader.skip(reader.int32() * 4);
+  }
+  if (wavetableCount) song.issues.push(`${plural(wavetableCount, "wavetable")} not imported`);
+
+  channels.forEach((channel, channelIndex) => {
+    const effectColumns = reader.uint8();
+    for (let row = 0; row < matrixRows; row += 1) {
+      const cells = Array.from({ length: rowsPerPattern }, () => {
+        const note = readDefleMaskNote(reader, channel);
+        const volume = reader.int16();
+        const effects = Array.from({ length: effectColumns }, () => readDefleMaskEffect(reader));
+        const instrument = reader.int16();
+        return {
+          note,
+          volume: volume < 0 ? null : volume,
+          instrument: instrument < 0 ? null : instrument,
+          effects: effects.filter(Boolean),
+        };
+      });
+      song.patterns.set(`${channelIndex}:${matrix[channelIndex][row]}`, cells);
+    }
+  });
+  return buildTrackerProject(song);
+}
+
+async function inflate(bytes) {
+  if (!window.DecompressionStream) {
+    throw new Error("Compressed DefleMask modules require a newer browser");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function importTrackerFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const header = TEXT_DECODER.decode(bytes.subarray(0, 32));
+  if (header.startsWith("FamiTracker Module")) {
+    throw new Error("Binary .ftm files are not supported; use File > Export text in FamiTracker");
+  }
+  if (/^#\s*FamiTracker text export/i.test(header)) {
+    return parseFamiTrackerText(new TextDecoder().decode(bytes), file.name);
+  }
+  if (header.startsWith(DMF_MAGIC)) return parseDefleMaskModule(bytes, file.name);
+  if (/\.dmf$/i.test(file.name)) return parseDefleMaskModule(await inflate(bytes), file.name);
+  throw new Error("Expected a FamiTracker text export or a DefleMask .dmf module");
+}
@@ -0,0 +1,632 @@
+import {
+  DEFAULT_DRUM_ROWS,
+  MAX_NOTE_EFFECTS,
+  NOTE_EFFECTS,
+  createNoteEffect,
+  ensureDrumPattern,
+  formatNoteEffect,
+  getDrumRowsForConsole,
+  getDrumVoiceLabel,
+  normalizeNoteEffects,
+} from "./dataModel.js";
+import { QWERTY_NOTE_KEYS as NOTE_KEYS } from "./noteInput.js";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const EPSILON = 0.0001;
+const MAX_ROWS = 1024;
+const MAX_NOTE_COLUMNS = 8;
+const PAGE_ROWS = 16;
+const NOTE_NAMES = ["C-", "C#", "D-", "D#", "E-", "F-", "F#", "G-", "G#", "A-", "A#", "B-"];
+const NOTE_OFF_KEYS = new Set(["=", "`"]);
+
+const formatPitch = (pitch) => `${NOTE_NAMES[pitch % 12]}${Math.floor(pitch / 12) - 1}`;
+
+const formatHex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, "0");
+
+const ensureNoteId = (note) => {
+  if (!note.id) {
+    note.id = Math.random().toString(36).slice(2, 10);
+  }
+  return note.id;
+};
+
+export class TrackerView {
+  constructor({ container, snap = 0.25, onNoteChange, onPatternChange, onPreviewNote, onPreview }) {
+    this.container = container;
+    this.snap = snap;
+    this.onNoteChange = onNoteChange;
+    this.onPatternChange = onPatternChange;
+    this.onPreviewNote = onPreviewNote;
+    this.onPreview = onPreview;
+    this.track = null;
+    this.block = null;
+    this.octave = 4;
+    this.step = 1;
+    this.cursor = { row: 0, channel: 0, field: 0 };
+    this.columnHints = new Map();
+    this.channels = [];
+    this.rowCount = 0;
+    this.rowBeats = snap;
+    this.scrollTop = 0;
+    this.playheadRow = -1;
+    this.instruments = [];
+    this.instrumentNumber = 0;
+
+    this.container.tabIndex = 0;
+    this.container.addEventListener("keydown", (event) => this.handleKeyDown(event));
+  }
+
+  setSnap(snap) {
+    this.snap = snap;
+    this.render();
+  }
+
+  setInstruments(instruments) {
+    this.instruments = instruments.filter((instrument) => instrument.type === "synth");
+    this.instrumentNumber = Math.min(this.instrumentNumber, this.instruments.length);
+  }
+
+  getInstrumentNumber(note) {
+    return this.instruments.findIndex((instrument) => instrument.id === note.instrumentId) + 1;
+  }
+
+  setData(track, block) {
+    if (this.block?.id !== block?.id) {
+      this.cursor = { row: 0, channel: 0, field: 0 };
+      this.columnHints.clear();
+    }
+    this.track = track;
+    this.block = block;
+    this.render();
+  }
+
+  rowOf(beat) {
+    return Math.floor(beat / this.rowBeats + EPSILON);
+  }
+
+  getNoteColumns() {
+    const notes = [...this.block.notes].sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+    const columns = [];
+    const isFree = (column, note) =>
+      column.every(
+        (item) =>
+          item.start + item.duration <= note.start + EPSILON ||
+          item.start >= note.start + note.duration - EPSILON,
+      );
+    notes.forEach((note) => {
+      ensureNoteId(note);
+      const hint = this.columnHints.get(note.id);
+      let index = -1;
+      if (Number.isInteger(hint) && hint < MAX_NOTE_COLUMNS) {
+        while (columns.length <= hint) columns.push([]);
+        if (isFree(columns[hint], note)) index = hint;
+      }
+      if (index === -1) index = columns.findIndex((column) => isFree(column, note));
+      if (index === -1) {
+        columns.push([]);
+        index = columns.length - 1;
+      }
+      columns[index].push(note);
+      this.columnHints.set(note.id, index);
+    });
+    if (columns.length < MAX_NOTE_COLUMNS) columns.push([]);
+    columns.forEach((column) => column.sort((a, b) => a.start - b.start));
+    return columns;
+  }
+
+  getChannels() {
+    if (this.track?.type === "drums") {
+      const rows = getDrumRowsForConsole(this.track.console) || DEFAULT_DRUM_ROWS;
+      const pattern = ensureDrumPattern(this.block, rows);
+      return rows.map((drum) => ({
+        type: "drum",
+        drum,
+        label: getDrumVoiceLabel(this.track, drum).toUpperCase(),
+        events: pattern.events.filter((event) => event.drum === drum),
+        fields: ["hit"],
+      }));
+    }
+    const columns = this.getNoteColumns();
+    const effectCount = clamp(
+      Math.max(2, ...this.block.notes.map((note) => note.effects?.length || 0)),
+      1,
+      MAX_NOTE_EFFECTS,
+    );
+    const effectFields = [];
+    for (let index = 0; index < effectCount; index += 1) {
+      effectFields.push(`fx${index}.code`, `fx${index}.hi`, `fx${index}.lo`);
+    }
+    return columns.map((notes, index) => ({
+      type: "note",
+      column: index,
+      label: `CH${index + 1}`,
+      notes,
+      effectCount,
+      fields: ["note", "inst.hi", "inst.lo", "volume", ...effectFields],
+    }));
+  }
+
+  render() {
+    if (!this.block) {
+      this.container.innerHTML = "";
+      return;
+    }
+
+    const previousBody = this.container.querySelector(".tracker-body");
+    if (previousBody) {
+      this.scrollTop = previousBody.scrollTop;
+    }
+
+    this.container.innerHTML = "";
+    this.container.classList.add("tracker-view");
+    this.rowBeats = Math.max(this.snap, this.block.length / MAX_ROWS);
+    this.rowCount = Math.max(1, Math.ceil(this.block.length / this.rowBeats - EPSILON));
+    this.channels = this.getChannels();
+    this.clampCursor();
+
+    this.container.appendChild(this.createToolbar());
+
+    const body = document.createElement("div");
+    body.className = "tracker-body";
+
+    const header = document.createElement("div");
+    header.className = "tracker-row tracker-header";
+    const corner = document.createElement("span");
+    corner.className = "tracker-rownum";
+    corner.textContent = "ROW";
+    header.appendChild(corner);
+    this.channels.forEach((channel) => {
+      const label = document.createElement("span");
+      label.className = `tracker-channel is-${channel.type}`;
+      label.textContent = channel.label;
+      header.appendChild(label);
+    });
+    body.appendChild(header);
+
+    const rowDigits = this.rowCount > 256 ? 3 : 2;
+    const rowsPerBeat = Math.max(1, Math.round(1 / this.rowBeats));
+    for (let row = 0; row < this.rowCount; row += 1) {
+      const rowEl = document.createElement("div");
+      rowEl.className = "tracker-row";
+      rowEl.dataset.row = String(row);
+      rowEl.classList.toggle("is-beat", row % rowsPerBeat === 0);
+      rowEl.classList.toggle("is-bar", row % (rowsPerBeat * 4) === 0);
+      rowEl.classList.toggle("is-playing", row === this.playheadRow);
+
+      const rowNumber = document.createElement("span");
+      rowNumber.className = "tracker-rownum";
+      rowNumber.textContent = formatHex(row, rowDigits);
+      rowEl.appendChild(rowNumber);
+
+      this.channels.forEach((channel, channelIndex) => {
+        rowEl.appendChild(this.createChannelCells(channel, channelIndex, row));
+      });
+      body.appendChild(rowEl);
+    }
+
+    body.addEventListener("pointerdown", (event) => {
+      const cell = event.target.closest(".tracker-cell");
+      if (!cell) return;
+      this.setCursor({
+        row: parseInt(cell.dataset.row, 10),
+        channel: parseInt(cell.dataset.channel, 10),
+        field: parseInt(cell.dataset.field, 10),
+      });
+      this.container.focus({ preventScroll: true });
+    });
+
+    this.container.appendChild(body);
+    body.scrollTop = this.scrollTop;
+    this.updateCursor();
+  }
+
+  createToolbar() {
+    const toolbar = document.createElement("div");
+    toolbar.className = "tracker-toolbar";
+
+    const createNumberControl = (labelText, value, min, max, onChange) => {
+      const label = document.createElement("label");
+      label.className = "tracker-control";
+      const span = document.createElement("span");
+      span.textContent = labelText;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = String(min);
+      input.max = String(max);
+      input.value = String(value);
+      input.addEventListener("change", () => {
+        const next = clamp(parseInt(input.value, 10) || 0, min, max);
+        input.value = String(next);
+        onChange(next);
+      });
+      input.addEventListener("keydown", (event) => event.stopPropagation());
+      label.append(span, input);
+      return label;
+    };
+
+    toolbar.appendChild(
+      createNumberControl("Octave", this.octave, 0, 8, (value) => {
+        this.octave = value;
+      }),
+    );
+    toolbar.appendChild(
+      createNumberControl("Step", this.step, 0, 16, (value) => {
+        this.step = value;
+      }),
+    );
+
+    if (this.track?.type === "synth") {
+      const label = document.createElement("label");
+      label.className = "tracker-control";
+      const span = document.createElement("span");
+      span.textContent = "Inst";
+      const select = document.createElement("select");
+      ["Track", ...this.instruments.map((instrument) => instrument.name)].forEach((name, index) => {
+        const option = document.createElement("option");
+        option.value = String(index);
+        option.textContent = `${formatHex(index)} ${name}`;
+        option.selected = index === this.instrumentNumber;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", () => {
+        this.instrumentNumber = parseInt(select.value, 10) || 0;
+      });
+      select.addEventListener("keydown", (event) => event.stopPropagation());
+      label.append(span, select);
+      toolbar.appendChild(label);
+    }
+
+    const hint = document.createElement("div");
+    hint.className = "tracker-hint";
+    hint.textContent =
+      this.track?.type === "drums"
+        ? "Enter or X toggles a hit · Del clears · arrows move"
+        : "Z–M / Q–U notes · = note off · 0–F volume and effects · Del clears · / * octave";
+    toolbar.appendChild(hint);
+    return toolbar;
+  }
+
+  createChannelCells(channel, channelIndex, row) {
+    const channelEl = document.createElement("span");
+    channelEl.className = `tracker-channel is-${channel.type}`;
+    const appendCell = (fieldIndex, text, className = "") => {
+      const cell = document.createElement("span");
+      cell.className = `tracker-cell ${className}`.trim();
+      cell.dataset.row = String(row);
+      cell.dataset.channel = String(channelIndex);
+      cell.dataset.field = String(fieldIndex);
+      cell.textContent = text;
+      channelEl.appendChild(cell);
+      return cell;
+    };
+
+    if (channel.type === "drum") {
+      const hit = channel.events.find((event) => this.rowOf(event.start) === row);
+      appendCell(0, hit ? "X" : "·", hit ? "is-hit" : "is-empty");
+      return channelEl;
+    }
+
+    const note = channel.notes.find((item) => this.rowOf(item.start) === row);
+    if (!note) {
+      const ending = channel.notes.find(
+        (item) =>
+          item.start + item.duration < this.block.length - EPSILON &&
+          this.rowOf(item.start + item.duration) === row,
+      );
+      const rowStart = row * this.rowBeats;
+      const held = channel.notes.some(
+        (item) => this.rowOf(item.start) < row && item.start + item.duration > rowStart + EPSILON,
+      );
+      appendCell(0, ending ? "===" : "...", ending ? "is-off" : held ? "is-held" : "is-empty");
+      appendCell(1, ".", "is-empty is-instrument is-group");
+      appendCell(2, ".", "is-empty is-instrument");
+      appendCell(3, ".", "is-empty is-group");
+      for (let index = 0; index < channel.effectCount; index += 1) {
+        appendCell(4 + index * 3, ".", "is-empty is-fx is-group");
+        appendCell(5 + index * 3, ".", "is-empty is-fx");
+        appendCell(6 + index * 3, ".", "is-empty is-fx");
+      }
+      return channelEl;
+    }
+
+    const offGrid = Math.abs(note.start / this.rowBeats - row) > EPSILON;
+    const pitch = Number(note.pitch) + Number(this.track?.octave || 0) * 12;
+    appendCell(0, formatPitch(pitch), offGrid ? "is-note is-off-grid" : "is-note");
+    const instrumentNumber = this.getInstrumentNumber(note);
+    const instrumentText = instrumentNumber ? formatHex(instrumentNumber) : "..";
+    const instrumentClass = instrumentNumber ? "is-instrument" : "is-empty is-instrument";
+    appendCell(1, instrumentText[0], `${instrumentClass} is-group`);
+    appendCell(2, instrumentText[1], instrumentClass);
+    appendCell(3, formatHex(Math.round((note.velocity ?? 0.9) * 15), 1), "is-volume is-group");
+    for (let index = 0; index < channel.effectCount; index += 1) {
+      const effect = note.effects?.[index];
+      const text = effect ? formatNoteEffect(effect) : "...";
+      const className = effect ? "is-fx is-effect" : "is-empty is-fx";
+      appendCell(4 + index * 3, text[0], `${className} is-group`);
+      appendCell(5 + index * 3, text[1], className);
+      appendCell(6 + index * 3, text[2], className);
+    }
+    return channelEl;
+  }
+
+  clampCursor() {
+    const channelCount = Math.max(1, this.channels.length);
+    this.cursor.channel = clamp(this.cursor.channel, 0, channelCount - 1);
+    const fields = this.channels[this.cursor.channel]?.fields || ["note"];
+    this.cursor.field = clamp(this.cursor.field, 0, fields.length - 1);
+    this.cursor.row = clamp(this.cursor.row, 0, this.rowCount - 1);
+  }
+
+  setCursor(next) {
+    this.cursor = { ...this.cursor, ...next };
+    this.clampCursor();
+    this.updateCursor();
+  }
+
+  updateCursor() {
+    this.container
+      .querySelectorAll(".tracker-row.is-cursor, .tracker-cell.is-cursor")
+      .forEach((element) => element.classList.remove("is-cursor"));
+    const rowEl = this.container.querySelector(`.tracker-row[data-row="${this.cursor.row}"]`);
+    if (!rowEl) return;
+    rowEl.classList.add("is-cursor");
+    const cell = rowEl.querySelector(
+      `.tracker-cell[data-channel="${this.cursor.channel}"][data-field="${this.cursor.field}"]`,
+    );
+    cell?.classList.add("is-cursor");
+    (cell || rowEl).scrollIntoView?.({ block: "nearest", inline: "nearest" });
+  }
+
+  setPlayhead(beat) {
+    const row = this.block && beat > 0 ? this.rowOf(beat) : -1;
+    if (row === this.playheadRow) return;
+    this.container.querySelector(".tracker-row.is-playing")?.classList.remove("is-playing");
+    this.playheadRow = row;
+    this.container.querySelector(`.tracker-row[data-row="${row}"]`)?.classList.add("is-playing");
+  }
+
+  moveField(delta) {
+    let { channel, field } = this.cursor;
+    field += delta;
+    while (field < 0 && channel > 0) {
+      channel -= 1;
+      field += this.channels[channel].fields.length;
+    }
+    while (field >= this.channels[channel].fields.length && channel < this.channels.length - 1) {
+      field -= this.channels[channel].fields.length;
+      channel += 1;
+    }
+    this.setCursor({ channel, field });
+  }
+
+  stepOctave(direction) {
+    this.octave = clamp(this.octave + direction, 0, 8);
+    const octaveInput = this.container.querySelector(".tracker-control input");
+    if (octaveInput) octaveInput.value = String(this.octave);
+  }
+
+  advance() {
+    this.setCursor({ row: this.cursor.row + this.step });
+  }
+
+  handleKeyDown(event) {
+    if (!this.block || event.target !== this.container) return;
+    if (event.metaKey || event.ctrlKey || event.altKey) return;
+    const key = event.key;
+    const navigation = {
+      ArrowUp: () => this.setCursor({ row: this.cursor.row - 1 }),
+      ArrowDown: () => this.setCursor({ row: this.cursor.row + 1 }),
+      ArrowLeft: () => this.moveField(-1),
+      ArrowRight: () => this.moveField(1),
+      PageUp: () => this.setCursor({ row: this.cursor.row - PAGE_ROWS }),
+      PageDown: () => this.setCursor({ row: this.cursor.row + PAGE_ROWS }),
+      Home: () => this.setCursor({ row: 0 }),
+      End: () => this.setCursor({ row: this.rowCount - 1 }),
+      Tab: () => {
+        const count = this.channels.length;
+        this.setCursor({
+          channel: (this.cursor.channel + (event.shiftKey ? -1 : 1) + count) % count,
+          field: 0,
+        });
+      },
+    };
+    if (navigation[key]) {
+      event.preventDefault();
+      navigation[key]();
+      return;
+    }
+    if (key === "/" || key === "*") {
+      event.preventDefault();
+      this.stepOctave(key === "*" ? 1 : -1);
+      return;
+    }
+
+    const channel = this.channels[this.cursor.channel];
+    if (!channel) return;
+    const normalizedKey = key.length === 1 ? key.toLowerCase() : key;
+    const handled =
+      channel.type === "drum"
+        ? this.handleDrumKey(channel, normalizedKey, event.code)
+        : this.handleNoteKey(channel, channel.fields[this.cursor.field], normalizedKey, event.code);
+    if (handled) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
+
+  handleDrumKey(channel, key, code) {
+    const pattern = this.block.pattern;
+    const start = this.cursor.row * this.rowBeats;
+    const existing = channel.events.find((event) => this.rowOf(event.start) === this.cursor.row);
+    if (key === "Delete" || key === "Backspace") {
+      if (existing) {
+        pattern.events = pattern.events.filter((event) => event !== existing);
+      }
+    } else if (key === "Enter" || NOTE_KEYS[code] !== undefined) {
+      if (existing) {
+        pattern.events = pattern.events.filter((event) => event !== existing);
+      } else {
+        pattern.events.push({
+          id: Math.random().toString(36).slice(2, 10),
+          drum: channel.drum,
+          start,
+          duration: this.rowBeats,
+          velocity: 0.9,
+        });
+        const level = Number.isFinite(pattern.volumes?.[channel.drum])
+          ? pattern.volumes[channel.drum]
+          : 0.9;
+        this.onPreview?.(channel.drum, level);
+      }
+    } else {
+      return false;
+    }
+    this.advance();
+    this.onPatternChange?.(pattern, { commit: true });
+    this.render();
+    return true;
+  }
+
+  handleNoteKey(channel, field, key, code) {
+    const row = this.cursor.row;
+    const note = channel.notes.find((item) => this.rowOf(item.start) === row);
+    const isClear = key === "Delete" || key === "Backspace";
+    const hexDigit = /^[0-9a-f]$/.test(key) ? parseInt(key, 16) : null;
+
+    if (field === "note") {
+      if (isClear) {
+        this.clearNoteAt(channel, row, note);
+      } else if (NOTE_OFF_KEYS.has(key)) {
+        this.insertNoteOff(channel, row, note);
+      } else if (NOTE_KEYS[code] !== undefined) {
+        const trackShift = Number(this.track?.octave || 0) * 12;
+        const pitch = clamp((this.octave + 1) * 12 + NOTE_KEYS[code] - trackShift, 0, 127);
+        this.insertNote(channel, row, note, pitch);
+        this.onPreviewNote?.(pitch, this.track);
+      } else {
+        return false;
+      }
+      this.advance();
+    } else if (field === "inst.hi" || field === "inst.lo") {
+      if (!note || (!isClear && hexDigit === null)) return false;
+      const current = this.getInstrumentNumber(note);
+      let number = 0;
+      if (field === "inst.hi" && !isClear) {
+        number = (current & 0x0f) | (hexDigit << 4);
+        if (number > this.instruments.length) number = hexDigit << 4;
+      } else if (!isClear) {
+        number = (current & 0xf0) | hexDigit;
+      }
+      if (number > this.instruments.length) return false;
+      note.instrumentId = number ? this.instruments[number - 1].id : null;
+      this.instrumentNumber = number;
+      if (field === "inst.hi" && !isClear) {
+        this.moveField(1);
+      } else {
+        if (field === "inst.lo") this.moveField(-1);
+        this.advance();
+      }
+    } else if (field === "volume") {
+      if (!note || (!isClear && hexDigit === null)) return false;
+      note.velocity = isClear ? 0.9 : hexDigit / 15;
+      this.advance();
+    } else {
+      const [, indexText, part] = /^fx(\d+)\.(code|hi|lo)$/.exec(field) || [];
+      const index = parseInt(indexText, 10);
+      if (!note) return false;
+      const effects = [...(note.effects || [])];
+      if (isClear) {
+        effects.splice(index, 1);
+        note.effects = effects;
+        this.advance();
+      } else if (part === "code") {
+        const type = Object.keys(NOTE_EFFECTS).find(
+          (name) => NOTE_EFFECTS[name].code.toLowerCase() === key,
+        );
+        if (!type) return false;
+        const current = effects[index];
+        const next = current ? { type, value: current.value } : createNoteEffect(type);
+        if (index < effects.length) {
+          effects[index] = next;
+        } else {
+          effects.push(next);
+        }
+        note.effects = normalizeNoteEffects(effects);
+        this.moveField(1);
+      } else {
+        const effect = effects[index];
+        if (!effect || hexDigit === null) return false;
+        const value =
+          part === "hi"
+            ? (effect.value & 0x0f) | (hexDigit << 4)
+            : (effect.value & 0xf0) | hexDigit;
+        effects[index] = { ...effect, value };
+        note.effects = normalizeNoteEffects(effects);
+        if (part === "hi") {
+          this.moveField(1);
+        } else {
+          this.moveField(-2);
+          this.advance();
+        }
+      }
+    }
+
+    this.onNoteChange?.(this.block.notes, { commit: true });
+    this.render();
+    return true;
+  }
+
+  insertNote(channel, row, existing, pitch) {
+    if (existing) {
+      existing.pitch = pitch;
+      return;
+    }
+    const start = row * this.rowBeats;
+    const covering = channel.notes.find(
+      (item) => item.start < start - EPSILON && item.start + item.duration > start + EPSILON,
+    );
+    const next = channel.notes.find((item) => item.start > start + EPSILON);
+    let end = next ? next.start : this.block.length;
+    if (covering) {
+      end = covering.start + covering.duration;
+      covering.duration = start - covering.start;
+    }
+    const note = {
+      pitch,
+      start,
+      duration: Math.max(this.rowBeats, end - start),
+      velocity: 0.9,
+      effects: [],
+      instrumentId: this.instruments[this.instrumentNumber - 1]?.id || null,
+    };
+    this.columnHints.set(ensureNoteId(note), channel.column);
+    this.block.notes.push(note);
+  }
+
+  insertNoteOff(channel, row, existing) {
+    if (existing) {
+      this.block.notes = this.block.notes.filter((item) => item !== existing);
+      return;
+    }
+    const start = row * this.rowBeats;
+    const covering = channel.notes.find(
+      (item) => item.start < start - EPSILON && item.start + item.duration > start + EPSILON,
+    );
+    if (covering) {
+      covering.duration = start - covering.start;
+    }
+  }
+
+  clearNoteAt(channel, row, existing) {
+    if (existing) {
+      this.block.notes = this.block.notes.filter((item) => item !== existing);
+      return;
+    }
+    const ending = channel.notes.find((item) => this.rowOf(item.start + item.duration) === row);
+    if (!ending) return;
+    const end = ending.start + ending.duration;
+    const next = channel.notes.find((item) => item.start >= end - EPSILON);
+    ending.duration = (next ? next.start : this.block.length) - ending.start;
+  }
+}
@@ -0,0 +1,184 @@
+import { WAVETABLE_LENGTH, quantizeWavetable } from "./dataModel.js";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 128;
+
+const WAVE_SHAPES = {
+  Sine: (phase) => Math.sin(phase * Math.PI * 2),
+  Tri: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+  Saw: (phase) => phase * 2 - 1,
+  Square: (phase) => (phase < 0.5 ? 1 : -1),
+  Noise: () => Math.random() * 2 - 1,
+};
+
+export class WavetableEditor {
+  constructor({ container, bits = 4, samples = [], onChange }) {
+    this.container = container;
+    this.bits = bits;
+    this.max = Math.pow(2, bits) - 1;
+    this.samples = samples.length === WAVETABLE_LENGTH ? [...samples] : this.createShape("Sine");
+    this.onChange = onChange;
+    this.pointerId = null;
+    this.lastIndex = null;
+    this.render();
+  }
+
+  createShape(shape) {
+    const levels = Array.from({ length: WAVETABLE_LENGTH }, (_, index) =>
+      WAVE_SHAPES[shape]((index + 0.5) / WAVETABLE_LENGTH),
+    );
+    return quantizeWavetable(levels, this.bits);
+  }
+
+  setSamples(samples, { commit = true } = {}) {
+    this.samples = samples.map((sample) => clamp(Math.round(sample), 0, this.max));
+    this.draw();
+    this.valueInput.value = this.samples.join(" ");
+    if (this.onChange) {
+      this.onChange([...this.samples], { commit });
+    }
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    this.container.classList.add("wavetable-editor");
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "wavetable-toolbar";
+    const depth = document.createElement("span");
+    depth.className = "wavetable-depth";
+    depth.textContent = `${this.bits}-bit`;
+    toolbar.appendChild(depth);
+    Object.keys(WAVE_SHAPES).forEach((shape) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn tiny";
+      button.textContent = shape;
+      button.addEventListener("click", () => this.setSamples(this.createShape(shape)));
+      toolbar.appendChild(button);
+    });
+    const invert = document.createElement("button");
+    invert.type = "button";
+    invert.className = "btn tiny";
+    invert.textContent = "Invert";
+    invert.addEventListener("click", () => {
+      this.setSamples(this.samples.map((sample) => this.max - sample));
+    });
+    toolbar.appendChild(invert);
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "wavetable-canvas";
+    this.canvas.width = CANVAS_WIDTH;
+    this.canvas.height = CANVAS_HEIGHT;
+    this.canvas.addEventListener("pointerdown", (event) => this.handlePointerDown(event));
+    this.canvas.addEventListener("pointermove", (event) => this.handlePointerMove(event));
+    this.canvas.addEventListener("pointerup", (event) => this.handlePointerUp(event));
+    this.canvas.addEventListener("pointercancel", (event) => this.handlePointerUp(event));
+
+    this.valueInput = document.createElement("input");
+    this.valueInput.type = "text";
+    this.valueInput.className = "wavetable-values";
+    this.valueInput.spellcheck = false;
+    this.valueInput.value = this.samples.join(" ");
+    this.valueInput.title = `${WAVETABLE_LENGTH} values from 0 to ${this.max}`;
+    this.valueInput.addEventListener("change", () => {
+      const values = this.valueInput.value
+        .trim()
+        .split(/[\s,]+/)
+        .map((value) => Number.parseInt(value, 10));
+      if (values.length !== WAVETABLE_LENGTH || values.some((value) => !Number.isFinite(value))) {
+        this.valueInput.value = this.samples.join(" ");
+        return;
+      }
+      this.setSamples(values);
+    });
+
+    this.container.appendChild(toolbar);
+    this.container.appendChild(this.canvas);
+    this.container.appendChild(this.valueInput);
+    this.draw();
+  }
+
+  draw() {
+    const context = this.canvas.getContext("2d");
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const columnWidth = width / WAVETABLE_LENGTH;
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "#172027";
+    context.fillRect(0, 0, width, height);
+
+    if (this.max <= 31) {
+      context.strokeStyle = "rgba(88, 199, 194, 0.12)";
+      context.lineWidth = 1;
+      context.beginPath();
+      for (let level = 1; level < this.max; level += 1) {
+        const y = Math.round(height - (level / this.max) * height) + 0.5;
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+      }
+      context.stroke();
+    }
+
+    context.strokeStyle = "rgba(255, 255, 255, 0.24)";
+    context.beginPath();
+    context.moveTo(0, height / 2);
+    context.lineTo(width, height / 2);
+    context.stroke();
+
+    context.fillStyle = "#58c7c2";
+    this.samples.forEach((sample, index) => {
+      const y = height - (sample / this.max) * height;
+      const top = Math.min(y, height / 2);
+      const barHeight = Math.max(2, Math.abs(y - height / 2));
+      context.fillRect(index * columnWidth + 1, top, columnWidth - 2, barHeight);
+    });
+  }
+
+  getPointerSample(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = clamp((event.clientX - rect.left) / rect.width, 0, 0.9999);
+    const y = clamp((event.clientY - rect.top) / rect.height, 0, 1);
+    return {
+      index: Math.floor(x * WAVETABLE_LENGTH),
+      value: Math.round((1 - y) * this.max),
+    };
+  }
+
+  paint(event) {
+    const { index, value } = this.getPointerSample(event);
+    const from = this.lastIndex ?? index;
+    const step = index >= from ? 1 : -1;
+    const samples = [...this.samples];
+    for (let cursor = from; cursor !== index + step; cursor += step) {
+      samples[cursor] = value;
+    }
+    this.lastIndex = index;
+    this.setSamples(samples, { commit: false });
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    this.pointerId = event.pointerId;
+    this.lastIndex = null;
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this.paint(event);
+  }
+
+  handlePointerMove(event) {
+    if (this.pointerId !== event.pointerId) return;
+    this.paint(event);
+  }
+
+  handlePointerUp(event) {
+    if (this.pointerId !== event.pointerId) return;
+    this.pointerId = null;
+    this.lastIndex = null;
+    if (this.onChange) {
+      this.onChange([...this.samples], { commit: true });
+    }
+  }
+}
@@ -0,0 +1,661 @@
+import {
+  NOTE_EFFECT_TICK_RATE,
+  WAVETABLE_CONSOLES,
+  WAVETABLES,
+  getActiveMacros,
+  getNoteInstrumentTrack,
+  getWavetableLevels,
+} from "./dataModel.js";
+import { scheduleProject } from "./audioEngine.js";
+import { TempoMap } from "./tempoMap.js";
+
+const ROWS_PER_BEAT = 8;
+const TICKS_PER_ROW = 3;
+const PATTERN_ROWS = 64;
+const MAX_CHANNELS = 32;
+const MAX_PATTERNS = 256;
+const MAX_XM_INSTRUMENTS = 128;
+const XM_HEADER_SIZE = 276;
+const XM_INSTRUMENT_SIZE = 263;
+const XM_SAMPLE_HEADER_SIZE = 40;
+const XM_C4 = 49;
+const XM_C4_RATE = 8363;
+const XM_KEY_OFF = 97;
+const MIDDLE_C = 60;
+const MIDDLE_C_HZ = 261.6256;
+const CYCLE_LENGTH = 64;
+const CYCLE_LEVEL = 0.5;
+const RENDER_RATE = 22050;
+const MAX_RENDER_SECONDS = 2;
+const SILENCE_LEVEL = 1 / 4096;
+const CHIP_PULSE_CONSOLES = ["NES", "Famicom", "GameBoy"];
+const PLAIN_WAVE_CONSOLES = ["Basics", "Atari", "C64"];
+const DUTY_MAP = { pulse12: 0.125, pulse25: 0.25, pulse50: 0.5 };
+const SLIDE_EFFECTS = ["slideUp", "slideDown", "portamento"];
+
+const XM_EFFECTS = {
+  arpeggio: 0x00,
+  slideUp: 0x01,
+  slideDown: 0x02,
+  portamento: 0x03,
+  vibrato: 0x04,
+  volumeSlide: 0x0a,
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const getTrackLabel = (project, track) =>
+  `Track ${project.tracks.indexOf(track) + 1} · ${track.console || track.type}`;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+// XM ticks last 2.5 / BPM seconds; note effects tick at NOTE_EFFECT_TICK_RATE. Slides
+// skip the first tick of every row, so rates are scaled up to cover the same distance.
+const getTickRatio = (bpm) => NOTE_EFFECT_TICK_RATE / ((bpm * 2) / 5);
+
+function getSingleCycle(track) {
+  if (getActiveMacros(track) || track.effects?.length) return null;
+  const spec = WAVETABLE_CONSOLES[track.console];
+  const tableName = spec?.tables[track.waveform];
+  if (tableName) {
+    return track.wavetable
+      ? getWavetableLevels(track.wavetable.samples, spec.bits)
+      : WAVETABLES[tableName];
+  }
+  const { console: consoleName, waveform } = track;
+  let shape = null;
+  if (CHIP_PULSE_CONSOLES.includes(consoleName) && DUTY_MAP[waveform]) {
+    const duty = track.duty ?? DUTY_MAP[waveform];
+    shape = (phase) => (phase < duty ? 1 : -1);
+  } else if (consoleName === "Famicom" && waveform === "triangle") {
+    shape = (phase) => 1 - 4 * Math.abs(phase - 0.5);
+  } else if (PLAIN_WAVE_CONSOLES.includes(consoleName)) {
+    const duty = Number.isFinite(track.duty) ? track.duty : 0.5;
+    const shapes = {
+      pulse: (phase) => (phase < duty ? 1 : -1),
+      square: (phase) => (phase < duty ? 1 : -1),
+      saw: (phase) => 2 * phase - 1,
+      triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+      sine: (phase) => Math.sin(2 * Math.PI * phase),
+    };
+    shape = shapes[waveform] || null;
+  }
+  if (!shape) return null;
+  return Array.from({ length: CYCLE_LENGTH }, (_, index) => shape(index / CYCLE_LENGTH));
+}
+
+function createAdsrEnvelope(adsr, bpm) {
+  const ticksPerSecond = (bpm * 2) / 5;
+  const toTicks = (seconds) => Math.max(1, Math.round(seconds * ticksPerSecond));
+  const points = [];
+  let tick = 0;
+  if (adsr.attack > 1 / ticksPerSecond) {
+    points.push([0, 0]);
+    tick = toTicks(adsr.attack);
+  }
+  points.push([tick, 64]);
+  tick += toTicks(adsr.decay);
+  points.push([tick, Math.round(clamp(adsr.sustain, 0, 1) * 64)]);
+  const sustainPoint = points.length - 1;
+  points.push([tick + toTicks(adsr.release), 0]);
+  return { points, sustainPoint };
+}
+
+function createReleaseEnvelope(release, bpm) {
+  const ticks = Math.max(1, Math.round(Math.max(0.02, release) * ((bpm * 2) / 5)));
+  return { points: [[0, 64], [ticks, 0]], sustainPoint: 0 };
+}
+
+function trimSilence(data) {
+  let end = data.length;
+  while (end > 1 && Math.abs(data[end - 1]) < SILENCE_LEVEL) end -= 1;
+  return data.slice(0, end);
+}
+
+async function renderOneShot(project, track, block, seconds) {
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) {
+    throw new Error("OfflineAudioContext not supported");
+  }
+  const renderTrack = {
+    ...track,
+    volume: 1,
+    pan: 0,
+    mute: false,
+    solo: false,
+    sends: {},
+    automation: [],
+    blocks: [block],
+  };
+  const renderProject = { ...project, bpm: 60, tempoMap: [], tracks: [renderTrack] };
+  const offline = new OfflineContextClass(1, Math.ceil(seconds * RENDER_RATE), RENDER_RATE);
+  scheduleProject(offline, renderProject, { master: offline.destination, ignoreMuteSolo: true });
+  const rendered = await offline.startRendering();
+  return trimSilence(rendered.getChannelData(0));
+}
+
+function getSampleSlice(buffer, block) {
+  const mono = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel += 1) {
+    const data = buffer.getChannelData(channel);
+    for (let index = 0; index < buffer.length; index += 1) {
+      mono[index] += data[index] / buffer.numberOfChannels;
+    }
+  }
+  const toFrame = (seconds) => clamp(Math.round(seconds * buffer.sampleRate), 0, buffer.length);
+  const sourceStart = toFrame(block.sourceStart || 0);
+  const sourceEnd = Number.isFinite(block.sourceEnd) ? toFrame(block.sourceEnd) : buffer.length;
+  let [from, to] = [sourceStart, Math.max(sourceStart + 1, sourceEnd)];
+  if (block.mode === "loop") {
+    from = clamp(toFrame(block.loopStart ?? block.sourceStart ?? 0), sourceStart, to - 1);
+    to = Number.isFinite(block.loopEnd) ? clamp(toFrame(block.loopEnd), from + 1, to) : to;
+  }
+  const slice = mono.slice(from, to);
+  return block.reverse ? slice.reverse() : slice;
+}
+
+async function buildInstrument(project, definition, options) {
+  const { bpm, getSampleBuffer } = options;
+  if (definition.type === "sample") {
+    const buffer = getSampleBuffer(definition.block.assetId);
+    if (!buffer) {
+      return { ...definition, data: new Float32Array(0), rate: XM_C4_RATE, missing: true };
+    }
+    return {
+      ...definition,
+      data: getSampleSlice(buffer, definition.block),
+      rate: buffer.sampleRate,
+      loop: definition.block.mode === "loop",
+    };
+  }
+  if (definition.type === "drum") {
+    const block = {
+      id: "xm-render",
+      startBeat: 0,
+      length: 1,
+      notes: [],
+      pattern: {
+        events: [{ id: "xm-render", drum: definition.drum, start: 0, duration: 0.25, velocity: 1 }],
+        rows: [definition.drum],
+        volumes: { [definition.drum]: 1 },
+        steps: 16,
+      },
+    };
+    const data = await renderOneShot(project, definition.track, block, MAX_RENDER_SECONDS);
+    return { ...definition, data, rate: RENDER_RATE };
+  }
+  const { noteTrack } = definition;
+  const cycle = getSingleCycle(noteTrack);
+  if (cycle) {
+    return {
+      ...definition,
+      data: Float32Array.from(cycle, (level) => level * CYCLE_LEVEL),
+      rate: MIDDLE_C_HZ * cycle.length,
+      loop: true,
+      envelope: createAdsrEnvelope(noteTrack.adsr, bpm),
+    };
+  }
+  const release = clamp(noteTrack.adsr?.release ?? 0, 0, MAX_RENDER_SECONDS / 2);
+  const duration = clamp(definition.maxSeconds, 0.05, MAX_RENDER_SECONDS - release);
+  const block = {
+    id: "xm-render",
+    startBeat: 0,
+    length: duration,
+    notes: [
+      {
+        id: "xm-render",
+        pitch: MIDDLE_C - (noteTrack.octave || 0) * 12,
+        start: 0,
+        duration,
+        velocity: 1,
+        effects: [],
+        instrumentId: definition.instrumentId,
+      },
+    ],
+    pattern: [],
+  };
+  const data = await renderOneShot(project, definition.track, block, duration + release + 0.05);
+  return {
+    ...definition,
+    data,
+    rate: RENDER_RATE,
+    envelope: createReleaseEnvelope(release, bpm),
+    truncated: definition.maxSeconds > duration,
+  };
+}
+
+function getNoteEffectCell(note, bpm, stats) {
+  const effects = Array.isArray(note.effects) ? note.effects : [];
+  let cell = null;
+  effects.forEach((effect) => {
+    const ratio = getTickRatio(bpm);
+    let mapped = null;
+    if (effect.type === "retrigger") {
+      mapped = { effect: 0x0e, param: 0x90 | clamp(Math.round(effect.value / ratio), 1, 15) };
+    } else if (effect.type === "volumeSlide") {
+      const scale = (nibble) => clamp(Math.round(nibble * ratio * 1.5), 0, 15);
+      mapped = { effect: 0x0a, param: (scale(effect.value >> 4) << 4) | scale(effect.value & 15) };
+    } else if (SLIDE_EFFECTS.includes(effect.type)) {
+      const param = clamp(Math.round(effect.value * ratio * 1.5), 1, 0xff);
+      mapped = { effect: XM_EFFECTS[effect.type], param };
+    } else if (XM_EFFECTS[effect.type] !== undefined) {
+      mapped = { effect: XM_EFFECTS[effect.type], param: effect.value & 0xff };
+    }
+    if (!mapped) stats.unsupportedEffects += 1;
+    else if (cell) stats.droppedEffects += 1;
+    else cell = mapped;
+  });
+  return cell;
+}
+
+function collectVoices(project, tracks, tempoMap, stats, getSampleBuffer) {
+  const instruments = new Map((project.instruments || []).map((item) => [item.id, item]));
+  const definitions = new Map();
+  const voices = [];
+  const toRow = (beat) => {
+    const row = Math.round(beat * ROWS_PER_BEAT);
+    if (Math.abs(row - beat * ROWS_PER_BEAT) > 1e-6) stats.get("grid").rounded += 1;
+    return row;
+  };
+  const define = (key, definition) => {
+    if (!definitions.has(key)) definitions.set(key, { key, ...definition });
+    return definitions.get(key);
+  };
+
+  tracks.forEach((track) => {
+    const trackStats = stats.get(track.id);
+    track.blocks.forEach((block) => {
+      if (track.type === "synth") {
+        block.notes.forEach((note) => {
+          const beat = block.startBeat + note.start;
+          const noteTrack = getNoteInstrumentTrack(track, instruments.get(note.instrumentId));
+          const definition = define(`${track.id}:${note.instrumentId || ""}`, {
+            type: "synth",
+            track,
+            noteTrack,
+            instrumentId: note.instrumentId || null,
+            maxSeconds: 0,
+          });
+          const seconds = tempoMap.getDuration(beat, beat + note.duration);
+          definition.maxSeconds = Math.max(definition.maxSeconds, seconds);
+          const xmNote = note.pitch + (noteTrack.octave || 0) * 12 - MIDDLE_C + XM_C4;
+          if (xmNote < 1 || xmNote > 96) {
+            trackStats.range += 1;
+            return;
+          }
+          const start = toRow(beat);
+          voices.push({
+            track,
+            definition,
+            start,
+            end: Math.max(start + 1, toRow(beat + note.duration)),
+            note: xmNote,
+            volume: (note.velocity ?? 1) * (track.volume ?? 1),
+            effect: getNoteEffectCell(note, tempoMap.getBpmAt(beat), trackStats),
+            keyOff: true,
+          });
+        });
+      } else if (track.type === "drums") {
+        const pattern = block.pattern || {};
+        (pattern.events || []).forEach((event) => {
+          const beat = block.startBeat + event.start;
+          const start = toRow(beat);
+          const level = Number.isFinite(pattern.volumes?.[event.drum])
+            ? pattern.volumes[event.drum]
+            : 0.9;
+          voices.push({
+            track,
+            definition: define(`${track.id}:drum:${event.drum}`, {
+              type: "drum",
+              track,
+              drum: event.drum,
+            }),
+            start,
+            end: Math.max(start + 1, toRow(beat + Math.max(0.05, event.duration || 0.25))),
+            note: XM_C4,
+            volume: (event.velocity ?? 1) * level * (track.volume ?? 1),
+            effect: null,
+            keyOff: false,
+          });
+        });
+      } else if (track.type === "sample" && block.assetId) {
+        const slice = [
+          block.mode,
+          block.sourceStart,
+          block.sourceEnd,
+          block.loopStart,
+          block.loopEnd,
+          block.reverse,
+        ];
+        const definition = define(`${track.id}:sample:${block.assetId}:${slice.join(":")}`, {
+          type: "sample",
+          track,
+          block,
+        });
+        if (block.warp?.enabled) trackStats.warp += 1;
+        if (block.fadeIn > 0 || block.fadeOut > 0) trackStats.fades += 1;
+        const rate = getSampleBuffer(block.assetId)?.sampleRate ?? 0;
+        const offset = block.mode === "loop" ? 0 : Math.round(((block.offset || 0) * rate) / 256);
+        if (offset > 0xff) trackStats.offsets += 1;
+        const start = toRow(block.startBeat);
+        voices.push({
+          track,
+          definition,
+          start,
+          end: Math.max(start + 1, toRow(block.startBeat + block.length)),
+          note: XM_C4 + Math.round(block.pitch || 0),
+          volume: (block.gain ?? 1) * (track.volume ?? 1),
+          effect: offset > 0 ? { effect: 0x09, param: Math.min(0xff, offset) } : null,
+          keyOff: true,
+        });
+      }
+    });
+  });
+  return { voices };
+}
+
+function allocateChannels(tracks, voices, stats, limit) {
+  const channels = [];
+  tracks.forEach((track) => {
+    const trackChannels = [];
+    voices
+      .filter((voice) => voice.track === track)
+      .sort((a, b) => a.start - b.start || a.end - b.end)
+      .forEach((voice) => {
+        let channel = trackChannels.find((item) => item.free <= voice.start);
+        if (!channel && channels.length < limit) {
+          channel = { free: 0, voices: [] };
+          trackChannels.push(channel);
+          channels.push(channel);
+        }
+        if (!channel) {
+          stats.get(track.id).dropped += 1;
+          return;
+        }
+        channel.free = voice.end;
+        channel.voices.push(voice);
+      });
+  });
+  return channels;
+}
+
+function getSampleTuning(rate) {
+  const semitones = 12 * Math.log2(rate / XM_C4_RATE);
+  const relative = clamp(Math.round(semitones), -96, 95);
+  return { relative, finetune: clamp(Math.round((semitones - relative) * 128), -128, 127) };
+}
+
+function writeText(bytes, offset, text, length) {
+  const safe = String(text || "").replace(/[^\x20-\x7e]/g, "?").slice(0, length);
+  for (let index = 0; index < safe.length; index += 1) {
+    bytes[offset + index] = safe.charCodeAt(index);
+  }
+}
+
+function createHeader(project, { orders, channelCount, patternCount, instrumentCount, bpm }) {
+  const bytes = new Uint8Array(60 + XM_HEADER_SIZE);
+  const view = new DataView(bytes.buffer);
+  writeText(bytes, 0, "Extended Module: ", 17);
+  writeText(bytes, 17, project.name || "Untitled Project", 20);
+  bytes[37] = 0x1a;
+  writeText(bytes, 38, "Chiptune Composer", 20);
+  view.setUint16(58, 0x0104, true);
+  view.setUint32(60, XM_HEADER_SIZE, true);
+  view.setUint16(64, orders.length, true);
+  view.setUint16(68, channelCount, true);
+  view.setUint16(70, patternCount, true);
+  view.setUint16(72, instrumentCount, true);
+  view.setUint16(74, 1, true);
+  view.setUint16(76, TICKS_PER_ROW, true);
+  view.setUint16(78, bpm, true);
+  bytes.set(orders, 80);
+  return bytes;
+}
+
+function encodePattern(grid, firstRow, rowCount) {
+  const data = [];
+  for (let row = firstRow; row < firstRow + rowCount; row += 1) {
+    grid.forEach((column) => {
+      const cell = column[row];
+      if (!cell) {
+        data.push(0x80);
+        return;
+      }
+      const fields = [
+        [1, cell.note],
+        [2, cell.instrument],
+        [4, cell.volume],
+        [8, cell.effect],
+        [16, cell.effect === undefined ? undefined : cell.param],
+      ].filter(([, value]) => value !== undefined);
+      data.push(0x80 | fields.reduce((flags, [bit]) => flags | bit, 0));
+      fields.forEach(([, value]) => data.push(value));
+    });
+  }
+  const header = new Uint8Array(9);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 9, true);
+  view.setUint16(5, rowCount, true);
+  view.setUint16(7, data.length, true);
+  return new Uint8Array([...header, ...data]);
+}
+
+function encodeInstrument(instrument, panning) {
+  const header = new Uint8Array(XM_INSTRUMENT_SIZE);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, XM_INSTRUMENT_SIZE, true);
+  writeText(header, 4, instrument.name, 22);
+  view.setUint16(27, 1, true);
+  view.setUint32(29, XM_SAMPLE_HEADER_SIZE, true);
+  const { envelope } = instrument;
+  if (envelope) {
+    envelope.points.forEach(([tick, level], index) => {
+      view.setUint16(129 + index * 4, tick, true);
+      view.setUint16(131 + index * 4, level, true);
+    });
+    header[225] = envelope.points.length;
+    header[227] = envelope.sustainPoint;
+    header[233] = 0x03;
+  }
+
+  const frames = instrument.data.length;
+  const sample = new Uint8Array(XM_SAMPLE_HEADER_SIZE);
+  const sampleView = new DataView(sample.buffer);
+  const { relative, finetune } = getSampleTuning(instrument.rate);
+  sampleView.setUint32(0, frames * 2, true);
+  sampleView.setUint32(8, instrument.loop ? frames * 2 : 0, true);
+  sample[12] = 64;
+  sampleView.setInt8(13, finetune);
+  sample[14] = 0x10 | (instrument.loop ? 1 : 0);
+  sample[15] = panning;
+  sampleView.setInt8(16, relative);
+  writeText(sample, 18, instrument.name, 22);
+
+  const data = new Uint8Array(frames * 2);
+  const dataView = new DataView(data.buffer);
+  let previous = 0;
+  instrument.data.forEach((level, index) => {
+    const value = Math.round(clamp(level, -1, 1) * 32767);
+    dataView.setInt16(index * 2, ((value - previous) << 16) >> 16, true);
+    previous = value;
+  });
+  return [header, sample, data];
+}
+
+function getInstrumentName(project, definition) {
+  const label = `T${project.tracks.indexOf(definition.track) + 1}`;
+  if (definition.type === "drum") return `${label} ${definition.drum}`;
+  if (definition.type === "sample") {
+    const asset = (project.assets || []).find((item) => item.id === definition.block.assetId);
+    return `${label} ${asset?.name || "sample"}`;
+  }
+  const { instrumentId } = definition;
+  const instrument = (project.instruments || []).find((item) => item.id === instrumentId);
+  return `${label} ${instrument?.name || definition.noteTrack.waveform || "synth"}`;
+}
+
+export async function createXmFile(project, options = {}) {
+  const { trackIds = null, getSampleBuffer = () => null } = options;
+  const selectedIds = Array.isArray(trackIds) ? new Set(trackIds) : null;
+  const soloActive = project.tracks.some((track) => track.solo);
+  const tracks = project.tracks.filter((track) => {
+    if (selectedIds && !selectedIds.has(track.id)) return false;
+    return !track.mute && !(soloActive && !track.solo);
+  });
+  const tempoMap = new TempoMap(project);
+  const stats = new Map([
+    ["grid", { rounded: 0 }],
+    ...tracks.map((track) => [
+      track.id,
+      {
+        dropped: 0,
+        range: 0,
+        unsupportedEffects: 0,
+        droppedEffects: 0,
+        warp: 0,
+        fades: 0,
+        offsets: 0,
+      },
+    ]),
+  ]);
+  const { voices } = collectVoices(project, tracks, tempoMap, stats, getSampleBuffer);
+  if (!voices.length) throw new Error("No notes, drum hits or samples to export.");
+
+  const lastRow = Math.max(...voices.map((voice) => voice.end));
+  const bpmRows = Array.from({ length: lastRow + 1 }, (_, row) =>
+    clamp(Math.round(tempoMap.getBpmAt(row / ROWS_PER_BEAT)), 32, 255),
+  );
+  const hasTempoChanges = bpmRows.some((bpm) => bpm !== bpmRows[0]);
+  const channels = allocateChannels(
+    tracks,
+    voices,
+    stats,
+    MAX_CHANNELS - (hasTempoChanges ? 1 : 0),
+  );
+
+  const instrumentIndexes = new Map();
+  const usedDefinitions = [];
+  let droppedInstruments = 0;
+  channels.forEach((channel) => {
+    channel.voices = channel.voices.filter((voice) => {
+      if (instrumentIndexes.has(voice.definition.key)) return true;
+      if (usedDefinitions.length >= MAX_XM_INSTRUMENTS) {
+        droppedInstruments += 1;
+        return false;
+      }
+      usedDefinitions.push(voice.definition);
+      instrumentIndexes.set(voice.definition.key, usedDefinitions.length);
+      return true;
+    });
+  });
+
+  const grid = channels.map((channel) => {
+    const column = [];
+    channel.voices.forEach((voice) => {
+      const cell = {
+        note: voice.note,
+        instrument: instrumentIndexes.get(voice.definition.key),
+        volume: 0x10 + Math.round(clamp(voice.volume, 0, 1) * 64),
+      };
+      if (voice.effect) Object.assign(cell, voice.effect);
+      column[voice.start] = cell;
+      if (voice.effect && voice.definition.type === "synth") {
+        for (let row = voice.start + 1; row < voice.end; row += 1) {
+          column[row] = { ...voice.effect };
+        }
+      }
+      if (voice.keyOff && !column[voice.end]) column[voice.end] = { note: XM_KEY_OFF };
+    });
+    return column;
+  });
+  if (hasTempoChanges) {
+    const column = [];
+    bpmRows.forEach((bpm, row) => {
+      if (row > 0 && bpm !== bpmRows[row - 1]) column[row] = { effect: 0x0f, param: bpm };
+    });
+    grid.push(column);
+  }
+  if (grid.length % 2) grid.push([]);
+
+  const patterns = [];
+  const patternKeys = new Map();
+  const orders = [];
+  for (let firstRow = 0; firstRow <= lastRow; firstRow += PATTERN_ROWS) {
+    const pattern = encodePattern(grid, firstRow, Math.min(PATTERN_ROWS, lastRow + 1 - firstRow));
+    const key = pattern.join(",");
+    if (!patternKeys.has(key)) {
+      patternKeys.set(key, patterns.length);
+      patterns.push(pattern);
+    }
+    orders.push(patternKeys.get(key));
+  }
+  if (orders.length > MAX_PATTERNS) {
+    throw new Error(`Song is too long for XM (${orders.length} of ${MAX_PATTERNS} patterns).`);
+  }
+
+  const bpm = bpmRows[0];
+  const instrumentChunks = [];
+  for (const definition of usedDefinitions) {
+    const instrument = await buildInstrument(project, definition, { bpm, getSampleBuffer });
+    instrument.name = getInstrumentName(project, definition);
+    if (instrument.missing) stats.get(definition.track.id).missing = true;
+    if (instrument.truncated) stats.get(definition.track.id).truncated = true;
+    const panning = Math.round((clamp(definition.track.pan ?? 0, -1, 1) + 1) * 127.5);
+    instrumentChunks.push(...encodeInstrument(instrument, panning));
+  }
+
+  const issues = [];
+  const { rounded } = stats.get("grid");
+  if (rounded) issues.push(`${plural(rounded, "event")} rounded to the 1/32-note grid`);
+  if (droppedInstruments) {
+    const limit = `over ${MAX_XM_INSTRUMENTS} instruments`;
+    issues.push(`${plural(droppedInstruments, "note")} dropped, ${limit}`);
+  }
+  tracks.forEach((track) => {
+    const trackStats = stats.get(track.id);
+    const label = getTrackLabel(project, track);
+    const count = (value, noun) => `${label}: ${plural(value, noun)}`;
+    if (trackStats.dropped) {
+      issues.push(`${count(trackStats.dropped, "note")} dropped, no free channel`);
+    }
+    if (trackStats.range) {
+      issues.push(`${count(trackStats.range, "note")} outside the XM note range`);
+    }
+    if (trackStats.unsupportedEffects) {
+      issues.push(`${count(trackStats.unsupportedEffects, "note effect")} with no XM equivalent`);
+    }
+    if (trackStats.droppedEffects) {
+      issues.push(`${count(trackStats.droppedEffects, "note effect")} dropped, one effect column`);
+    }
+    if (trackStats.warp) issues.push(`${count(trackStats.warp, "warped block")} played unwarped`);
+    if (trackStats.fades) issues.push(`${count(trackStats.fades, "block fade")} not exported`);
+    if (trackStats.offsets) {
+      issues.push(`${count(trackStats.offsets, "sample offset")} beyond the 9xx range, clamped`);
+    }
+    if (trackStats.missing) issues.push(`${label}: sample audio is not loaded`);
+    if (trackStats.truncated) {
+      issues.push(`${label}: notes over ${MAX_RENDER_SECONDS} s cut to the rendered sample`);
+    }
+    if (track.effects?.length && track.type === "sample") {
+      issues.push(`${label}: insert effects are not exported`);
+    }
+    if (Object.values(track.sends || {}).some((level) => level > 0)) {
+      issues.push(`${label}: return bus sends are not exported`);
+    }
+    if (track.automation?.length) issues.push(`${label}: automation lanes are not exported`);
+  });
+
+  const header = createHeader(project, {
+    orders,
+    channelCount: grid.length,
+    patternCount: patterns.length,
+    instrumentCount: usedDefinitions.length,
+    bpm,
+  });
+  return { parts: [header, ...patterns, ...instrumentChunks], issues };
+}
+
+export async function createXmBlob(project, options = {}) {
+  const { parts, issues } = await createXmFile(project, options);
+  return { blob: new Blob(parts, { type: "audio/x-xm" }), issues };
+}
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+// Every node, param and method of the fake graph is a callable stand-in that records nothing.
+function createStandIn() {
+  const values = new Map();
+  return new Proxy(function standIn() {}, {
+    get(target, key) {
+      if (key === "then" || typeof key === "symbol") return undefined;
+      if (!values.has(key)) values.set(key, createStandIn());
+      return values.get(key);
+    },
+    set(target, key, value) {
+      values.set(key, value);
+      return true;
+    },
+    apply: () => createStandIn(),
+  });
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 44100;
+    this.state = "running";
+    this.destination = createStandIn();
+    return new Proxy(this, {
+      get: (target, key) => (key in target ? target[key] : createStandIn()),
+    });
+  }
+}
+
+globalThis.window = {
+  AudioContext: FakeAudioContext,
+  setInterval: () => 0,
+  setTimeout: () => 0,
+};
+const { AudioEngine } = await import("../modules/audioEngine.js");
+const { createBlock, createDefaultProject, createNote, createTrack } = await import(
+  "../modules/dataModel.js"
+);
+
+function createSong() {
+  const project = createDefaultProject();
+  const track = createTrack(0, { type: "synth" });
+  const block = createBlock({ startBeat: 0, length: 16 });
+  block.notes = [0, 4, 8, 12].map((start) => createNote({ pitch: 60, start, duration: 1 }));
+  track.blocks = [block];
+  project.tracks = [track];
+  return project;
+}
+
+function startPlaying(project, options) {
+  const engine = new AudioEngine();
+  engine.playProject(project, options);
+  return engine;
+}
+
+test("note edits swap the events in without restarting the transport", () => {
+  const project = createSong();
+  const engine = startPlaying(project);
+  const pass = engine.currentPass;
+  engine.context.currentTime = 1;
+  engine.runScheduler();
+
+  const notes = project.tracks[0].blocks[0].notes;
+  notes[1].pitch = 64;
+  notes.push(createNote({ pitch: 67, start: 6, duration: 1 }));
+  engine.updateProject(project);
+
+  assert.equal(engine.currentPass, pass);
+  const next = engine.playEvents[engine.nextEventIndex];
+  assert.equal(next.beat, 4);
+  assert.equal(next.note.pitch, 64);
+  assert.equal(engine.playEvents[engine.nextEventIndex + 1].note.pitch, 67);
+});
+
+test("tempo changes restart the transport at the playing beat", () => {
+  const project = createSong();
+  const engine = startPlaying(project);
+  const pass = engine.currentPass;
+  engine.context.currentTime = 1;
+  engine.runScheduler();
+
+  project.bpm = 90;
+  engine.updateProject(project);
+
+  assert.notEqual(engine.currentPass, pass);
+  assert.ok(Math.abs(engine.currentPass.startBeat - 1.84) < 0.01);
+});
+
+test("starting past the loop end with loop on plays from the loop start", () => {
+  const options = { loop: true, startBeat: 12, loopStart: 4, loopEnd: 8 };
+  const engine = startPlaying(createSong(), options);
+  assert.equal(engine.currentPass.startBeat, 4);
+  assert.equal(engine.currentPass.endBeat, 8);
+
+  engine.context.currentTime = 2.2;
+  engine.runScheduler();
+  assert.equal(engine.currentPass.startBeat, 4);
+  assert.ok(engine.passes.length > 1);
+});
+
+test("turning loop on past the loop end jumps back to the loop start", () => {
+  const engine = startPlaying(createSong(), { startBeat: 10 });
+  engine.setLoop(true, { loopStart: 0, loopEnd: 8 });
+  assert.equal(engine.currentPass.startBeat, 0);
+  assert.equal(engine.currentPass.endBeat, 8);
+});
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+const { createDefaultProject, createTrack } = await import("../modules/dataModel.js");
+const { createMidiFile } = await import("../modules/midiExport.js");
+
+const countTrackChunks = (bytes) => Buffer.from(bytes).toString("latin1").split("MTrk").length - 1;
+
+function createProject() {
+  const project = createDefaultProject();
+  project.tracks = [0, 1, 2].map((index) => createTrack(index, { type: "synth" }));
+  return project;
+}
+
+test("muted tracks are left out of the MIDI file", () => {
+  const project = createProject();
+  project.tracks[1].mute = true;
+  assert.equal(countTrackChunks(createMidiFile(project)), 3);
+});
+
+test("only soloed tracks are written while any track is soloed", () => {
+  const project = createProject();
+  project.tracks[2].solo = true;
+  assert.equal(countTrackChunks(createMidiFile(project)), 2);
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+globalThis.window = { crypto: globalThis.crypto };
+const { parseProTrackerModule } = await import("../modules/moduleImport.js");
+
+const PATTERN_OFFSET = 1084;
+const PATTERN_SIZE = 64 * 4 * 4;
+
+// Two patterns played as 0, 1, 0: a one-shot blip on channel 1 and a held, looping tone on
+// channel 2 that starts in the first pattern and rings to the end of the song.
+function createModule() {
+  const sampleBytes = 64;
+  const bytes = new Uint8Array(PATTERN_OFFSET + PATTERN_SIZE * 2 + sampleBytes);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode("Grouping"), 0);
+  [
+    { length: 16, loopStart: 0, loopLength: 1 },
+    { length: 16, loopStart: 8, loopLength: 8 },
+  ].forEach(({ length, loopStart, loopLength }, index) => {
+    const offset = 20 + index * 30;
+    view.setUint16(offset + 22, length);
+    bytes[offset + 25] = 64;
+    view.setUint16(offset + 26, loopStart);
+    view.setUint16(offset + 28, loopLength);
+  });
+  bytes[950] = 3;
+  bytes.set([0, 1, 0], 952);
+  bytes.set(new TextEncoder().encode("M.K."), 1080);
+  const setCell = (pattern, row, channel, instrument) => {
+    const offset = PATTERN_OFFSET + pattern * PATTERN_SIZE + (row * 4 + channel) * 4;
+    bytes.set([(instrument & 0xf0) | 0x01, 0xac, (instrument & 0x0f) << 4, 0], offset);
+  };
+  setCell(0, 0, 0, 1);
+  setCell(0, 16, 0, 1);
+  setCell(1, 8, 0, 1);
+  setCell(0, 32, 1, 2);
+  const samples = PATTERN_OFFSET + PATTERN_SIZE * 2;
+  for (let index = 0; index < sampleBytes; index += 1) {
+    bytes[samples + index] = index % 4 < 2 ? 0x40 : 0xc0;
+  }
+  return bytes;
+}
+
+test("each pattern a channel plays becomes one sample block", async () => {
+  const { project } = await parseProTrackerModule(createModule());
+  const [blips, tone] = project.tracks;
+  assert.deepEqual(
+    blips.blocks.map((block) => [block.startBeat, block.length]),
+    [[0, 16], [16, 16], [32, 16]],
+  );
+  assert.equal(blips.blocks[0].assetId, blips.blocks[2].assetId);
+  assert.notEqual(blips.blocks[0].assetId, blips.blocks[1].assetId);
+  assert.deepEqual(
+    tone.blocks.map((block) => block.startBeat),
+    [0, 16, 32],
+  );
+  assert.equal(project.assets.length, 5);
+});
+
+test("mid-sample loops keep sounding to the end of the pattern", async () => {
+  const { project, issues } = await parseProTrackerModule(createModule());
+  const tone = project.tracks[1];
+  const last = project.assets.find((asset) => asset.id === tone.blocks[2].assetId);
+  assert.ok(last.peaks.at(-1) > 0.4);
+  assert.ok(!issues.some((issue) => /loop/i.test(issue)));
+});
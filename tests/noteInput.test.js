@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+
+globalThis.navigator ??= {};
+const { NoteInput, getLiveNoteSpan, getNextStepBeat } = await import("../modules/noteInput.js");
+
+function createMidiAccess(names) {
+  const inputs = new Map(
+    names.map((name, index) => [`in${index}`, { name, state: "connected", onmidimessage: null }]),
+  );
+  return { inputs, onstatechange: null };
+}
+
+function createRecorder(options = {}) {
+  const events = [];
+  const input = new NoteInput({
+    ...options,
+    onNoteOn: (pitch, velocity) => events.push(["on", pitch, velocity]),
+    onNoteOff: (pitch) => events.push(["off", pitch]),
+    onMidiInputsChange: (names) => events.push(["inputs", names]),
+  });
+  return { input, events };
+}
+
+const keyEvent = (code, modifiers = {}) => ({ code, ...modifiers });
+
+afterEach(() => {
+  delete globalThis.navigator.requestMIDIAccess;
+});
+
+test("a note on with velocity 0 ends the held note", () => {
+  const { input, events } = createRecorder();
+  input.handleMidiMessage([0x90, 60, 127]);
+  input.handleMidiMessage([0x90, 60, 0]);
+  assert.deepEqual(events, [["on", 60, 1], ["off", 60]]);
+  assert.equal(input.heldMidiNotes.size, 0);
+});
+
+test("note offs only go out for notes that are held", () => {
+  const { input, events } = createRecorder();
+  input.handleMidiMessage([0x80, 60, 64]);
+  input.handleMidiMessage([0x93, 62, 64]);
+  input.handleMidiMessage([0x83, 62, 64]);
+  input.handleMidiMessage([0x83, 62, 64]);
+  assert.deepEqual(events, [["on", 62, 64 / 127], ["off", 62]]);
+});
+
+test("connectMidi binds every input and rebinds when a device is plugged in", async () => {
+  const access = createMidiAccess(["Keys"]);
+  globalThis.navigator.requestMIDIAccess = async () => access;
+  const { input, events } = createRecorder();
+
+  assert.deepEqual(await input.connectMidi(), ["Keys"]);
+  access.inputs.set("in1", { name: "Pads", state: "connected", onmidimessage: null });
+  access.onstatechange();
+  access.inputs.get("in1").onmidimessage({ data: [0x90, 36, 100] });
+
+  assert.deepEqual(events, [
+    ["inputs", ["Keys"]],
+    ["inputs", ["Keys", "Pads"]],
+    ["on", 36, 100 / 127],
+  ]);
+});
+
+test("connectMidi fails when Web MIDI is missing", async () => {
+  const { input } = createRecorder();
+  await assert.rejects(() => input.connectMidi(), /Web MIDI is not available/);
+});
+
+test("disconnectMidi unbinds inputs and ends held MIDI notes", async () => {
+  const access = createMidiAccess(["Keys"]);
+  globalThis.navigator.requestMIDIAccess = async () => access;
+  const { input, events } = createRecorder();
+  await input.connectMidi();
+  access.inputs.get("in0").onmidimessage({ data: [0x90, 64, 127] });
+  events.length = 0;
+
+  input.disconnectMidi();
+
+  assert.deepEqual(events, [["off", 64], ["inputs", []]]);
+  assert.equal(access.inputs.get("in0").onmidimessage, null);
+  assert.equal(access.onstatechange, null);
+  assert.equal(input.midiAccess, null);
+});
+
+test("releaseAll ends held keyboard and MIDI notes", () => {
+  const { input, events } = createRecorder({ octave: 4 });
+  input.handleKeyDown(keyEvent("KeyZ"));
+  input.handleMidiMessage([0x90, 72, 127]);
+  events.length = 0;
+
+  input.releaseAll();
+
+  assert.deepEqual(events, [["off", 60], ["off", 72]]);
+  assert.equal(input.handleKeyUp(keyEvent("KeyZ")), false);
+});
+
+test("keyboard notes follow the physical key and ignore repeats and shortcuts", () => {
+  const { input, events } = createRecorder({ octave: 3 });
+  assert.equal(input.handleKeyDown(keyEvent("KeyQ")), true);
+  assert.equal(input.handleKeyDown(keyEvent("KeyQ")), true);
+  assert.equal(input.handleKeyDown(keyEvent("KeyZ", { ctrlKey: true })), false);
+  assert.equal(input.handleKeyDown(keyEvent("KeyA")), false);
+  assert.equal(input.handleKeyUp(keyEvent("KeyQ")), true);
+  assert.deepEqual(events, [["on", 60, 0.9], ["off", 60]]);
+});
+
+test("live takes snap to the grid when quantize is on", () => {
+  const block = { startBeat: 8, length: 4 };
+  assert.deepEqual(getLiveNoteSpan(block, 9.1, 9.8, { snap: 0.5, quantize: true }), {
+    start: 1,
+    duration: 1,
+  });
+  assert.deepEqual(getLiveNoteSpan(block, 9.25, 9.3, { snap: 0.5, quantize: false }), {
+    start: 1.25,
+    duration: 0.125,
+  });
+});
+
+test("live takes clip to the block and run to its end when the loop wraps", () => {
+  const block = { startBeat: 0, length: 4 };
+  assert.deepEqual(getLiveNoteSpan(block, 3, 6, { snap: 0.25, quantize: true }), {
+    start: 3,
+    duration: 1,
+  });
+  assert.deepEqual(getLiveNoteSpan(block, 2, 0.5, { snap: 0.25, quantize: true }), {
+    start: 2,
+    duration: 2,
+  });
+  assert.equal(getLiveNoteSpan(block, 4, 5, { snap: 0.25, quantize: true }), null);
+  assert.equal(getLiveNoteSpan(block, 3.99, 4, { snap: 0.25, quantize: false }), null);
+});
+
+test("step input advances by the grid and wraps at the block end", () => {
+  assert.equal(getNextStepBeat(1, 0.5, 4), 1.5);
+  assert.equal(getNextStepBeat(3.5, 0.5, 4), 0);
+  assert.equal(getNextStepBeat(0, -0.25, 4), 0);
+});
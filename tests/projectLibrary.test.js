@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+globalThis.window = {};
+const { getAsset, putAsset, clearAssets } = await import("../modules/assetStore.js");
+const { putSnapshot, deleteProjectSnapshots, clearSnapshots } = await import(
+  "../modules/snapshotStore.js"
+);
+const { putLibraryProject, deleteLibraryProject, clearLibrary } = await import(
+  "../modules/projectLibrary.js"
+);
+
+const sampleProject = (assetId) => ({
+  name: "Song",
+  assets: assetId ? [{ id: assetId, name: "Kick" }] : [],
+  tracks: [],
+});
+
+beforeEach(async () => {
+  await clearLibrary();
+  await clearSnapshots();
+  await clearAssets();
+  await putAsset({ id: "audio_kick", name: "Kick", blob: null });
+});
+
+test("keeps an asset that only another song's snapshot still uses", async () => {
+  await putLibraryProject({ id: "a", project: sampleProject(null) });
+  await putSnapshot({ projectId: "a", project: sampleProject("audio_kick"), reason: "Autosave" });
+  await putLibraryProject({ id: "b", project: sampleProject("audio_kick") });
+
+  await deleteLibraryProject("b");
+
+  assert.ok(await getAsset("audio_kick"));
+});
+
+test("keeps an asset that only another song's saved undo history uses", async () => {
+  const history = {
+    entries: [
+      { label: "Delete sample", ops: [{ path: ["assets", 0], before: { id: "audio_kick" } }] },
+    ],
+  };
+  await putLibraryProject({ id: "a", project: sampleProject(null), history });
+  await putLibraryProject({ id: "b", project: sampleProject("audio_kick") });
+
+  await deleteLibraryProject("b");
+
+  assert.ok(await getAsset("audio_kick"));
+});
+
+test("removes an asset once the deleted song and its snapshots were its only users", async () => {
+  await putLibraryProject({ id: "a", project: sampleProject("audio_kick") });
+  await putSnapshot({ projectId: "a", project: sampleProject("audio_kick"), reason: "Autosave" });
+
+  await deleteProjectSnapshots("a");
+  await deleteLibraryProject("a");
+
+  assert.equal(await getAsset("audio_kick"), null);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+globalThis.window = {};
+const { parseDefleMaskModule } = await import("../modules/trackerImport.js");
+
+function createWriter() {
+  const bytes = [];
+  const writer = {
+    bytes,
+    uint8: (...values) => bytes.push(...values.map((value) => value & 0xff)),
+    int16: (value) => writer.uint8(value, value >> 8),
+    int32: (value) => writer.uint8(value, value >> 8, value >> 16, value >> 24),
+    string: (text) => writer.uint8(text.length, ...[...text].map((char) => char.charCodeAt(0))),
+  };
+  return writer;
+}
+
+// A DMF v24 C64 song: two standard instruments, one note each on the first two channels.
+function createC64Module() {
+  const writer = createWriter();
+  writer.uint8(...[...".DelekDefleMask."].map((char) => char.charCodeAt(0)), 24, 0x07);
+  writer.string("SID Song");
+  writer.string("");
+  writer.uint8(4, 16, 0, 6, 6, 1, 0, 0, 0, 0);
+  writer.int32(1);
+  writer.uint8(1, 0, 0, 0);
+
+  writer.uint8(2);
+  [
+    { name: "Lead", waves: [0, 1, 0, 0], volume: [15, 12] },
+    { name: "Bass", waves: [1, 0, 0, 0], volume: [] },
+  ].forEach(({ name, waves, volume }) => {
+    writer.string(name);
+    writer.uint8(0);
+    writer.uint8(volume.length);
+    volume.forEach(writer.int32);
+    if (volume.length) writer.uint8(0xff);
+    writer.uint8(0, 0, 0, 0);
+    writer.uint8(...waves, 2, 8, 10, 4, 0x80, 0, 0, 0, 0, 0, 0, 0x30, 0, 0, 1, 0);
+  });
+  writer.uint8(0);
+
+  [0, 1, null].forEach((instrument) => {
+    writer.uint8(1);
+    if (instrument === null) {
+      [0, 0, -1, -1, 0, -1].forEach(writer.int16);
+    } else {
+      [1, 4, -1, -1, 0, instrument].forEach(writer.int16);
+    }
+  });
+  return new Uint8Array(writer.bytes);
+}
+
+test("C64 instruments are read with their 20 bytes of SID settings", () => {
+  const { project } = parseDefleMaskModule(createC64Module());
+  assert.deepEqual(
+    project.instruments.map((instrument) => [instrument.name, instrument.waveform]),
+    [["Lead", "saw"], ["Bass", "triangle"]],
+  );
+  assert.deepEqual(project.instruments[0].macros.volume.values, [15, 12]);
+  const [lead, bass] = project.tracks;
+  assert.equal(lead.blocks[0].notes[0].instrumentId, project.instruments[0].id);
+  assert.equal(bass.blocks[0].notes[0].instrumentId, project.instruments[1].id);
+});